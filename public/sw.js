@@ -0,0 +1,76 @@
+/**
+ * Service worker
+ *
+ * - Makes the app installable and keeps the app shell available offline
+ *   (navigation requests are network-first, falling back to the cached shell)
+ * - Shows Web Push notifications (restocks, released orders, QR expiry reminders)
+ *   while the site is closed, and opens the right page when one is tapped
+ *
+ * Push payload (JSON from the backend): { title, body, url, tag, event }
+ */
+
+const SHELL_CACHE = "orderflow-shell-v1";
+const SHELL_URLS = ["/", "/manifest.webmanifest", "/assets/image/LV%20Logo.png"];
+const ICON = "/assets/image/LV%20Logo.png";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== SHELL_CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  // Only page loads; API calls, sockets and assets go straight to the network
+  if (event.request.mode !== "navigate") return;
+  event.respondWith(
+    fetch(event.request).catch(() => caches.match("/")),
+  );
+});
+
+self.addEventListener("push", (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = { body: event.data ? event.data.text() : "" };
+  }
+
+  const title = payload.title || "La Verdad OrderFlow";
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: payload.body || "",
+      icon: ICON,
+      badge: ICON,
+      // Same tag replaces the older notification (e.g. repeated QR expiry reminders)
+      tag: payload.tag || payload.event || undefined,
+      data: { url: payload.url || "/student/profile" },
+    }),
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || "/student-dashboard", self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url.startsWith(self.location.origin));
+      if (open) {
+        return open.navigate(url).then((client) => (client || open).focus());
+      }
+      return self.clients.openWindow(url);
+    }),
+  );
+});
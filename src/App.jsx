@@ -8,6 +8,7 @@ import { OrderProvider } from "./context/OrderContext";
 import { ActivityProvider } from "./context/ActivityContext";
 import { CheckoutProvider } from "./context/CheckoutContext";
 import { NotificationProvider } from "./context/NotificationContext";
+import { LanguageProvider } from "./context/LanguageContext";
 import ErrorBoundary from "./components/common/ErrorBoundary";
 import RateLimitHandler from "./components/common/RateLimitHandler";
 import AppRoutes from "./routes";
@@ -16,6 +17,7 @@ export default function App() {
   return (
     <ErrorBoundary>
       <div className="min-h-screen bg-white">
+      <LanguageProvider>
       <MaintenanceProvider>
         <AuthProvider>
           <SocketProvider>
@@ -67,6 +69,7 @@ export default function App() {
           </SocketProvider>
         </AuthProvider>
         </MaintenanceProvider>
+      </LanguageProvider>
       </div>
     </ErrorBoundary>
   );
@@ -0,0 +1,42 @@
+import React from "react";
+import { History } from "lucide-react";
+import { useAcademicYear } from "../../context/AcademicYearContext";
+import { ACADEMIC_YEAR_STATUS, formatAcademicYearLabel } from "../../utils/academicYear";
+
+/**
+ * AcademicYearScope Component
+ *
+ * Wraps admin page content: remounts it when the school year changes so every page
+ * refetches for the new year, and shows a notice while a past year is open.
+ *
+ * Props:
+ * - children: React node - Page content
+ */
+const AcademicYearScope = ({ children }) => {
+  const { selectedYear, currentYear, isCurrentYear, selectYear } = useAcademicYear();
+  const isClosed = selectedYear.status === ACADEMIC_YEAR_STATUS.CLOSED;
+
+  return (
+    <>
+      {!isCurrentYear && (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-4 px-4 py-2.5 bg-orange-50 border-b border-orange-200 text-sm text-[#0C2340]">
+          <History size={18} className="text-[#E68B00] flex-shrink-0 hidden sm:block" />
+          <p className="flex-1">
+            Showing <strong>{formatAcademicYearLabel(selectedYear)}</strong>
+            {isClosed ? " (closed). Records from a closed year are read-only." : "."}
+          </p>
+          <button
+            type="button"
+            onClick={() => selectYear(null)}
+            className="self-start sm:self-auto text-sm font-semibold text-[#E68B00] hover:text-orange-600"
+          >
+            Back to {formatAcademicYearLabel(currentYear)}
+          </button>
+        </div>
+      )}
+      <React.Fragment key={selectedYear.id}>{children}</React.Fragment>
+    </>
+  );
+};
+
+export default AcademicYearScope;
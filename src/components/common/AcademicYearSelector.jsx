@@ -0,0 +1,40 @@
+import React from "react";
+import { CalendarRange } from "lucide-react";
+import { useAcademicYear } from "../../context/AcademicYearContext";
+import { ACADEMIC_YEAR_STATUS, formatAcademicYearLabel } from "../../utils/academicYear";
+
+/**
+ * AcademicYearSelector Component
+ *
+ * School-year picker shown in the admin headers. Every list, dashboard metric and
+ * report below the header follows the picked year.
+ */
+const AcademicYearSelector = () => {
+  const { years, selectedYear, selectYear, isCurrentYear } = useAcademicYear();
+
+  return (
+    <label
+      className={`flex items-center gap-1.5 px-2 py-1 sm:py-1.5 rounded-lg border transition-colors ${
+        isCurrentYear ? "border-gray-200 bg-white" : "border-[#E68B00] bg-orange-50"
+      }`}
+      title="School year shown on every page"
+    >
+      <CalendarRange size={16} className="text-[#0C2340] flex-shrink-0" />
+      <span className="sr-only">School year</span>
+      <select
+        value={selectedYear.id}
+        onChange={(e) => selectYear(e.target.value)}
+        className="bg-transparent text-[11px] sm:text-xs md:text-sm font-medium text-[#0C2340] focus:outline-none cursor-pointer max-w-[110px] sm:max-w-none"
+      >
+        {years.map((year) => (
+          <option key={year.id} value={year.id}>
+            {formatAcademicYearLabel(year)}
+            {year.is_current ? " (current)" : year.status === ACADEMIC_YEAR_STATUS.CLOSED ? " (closed)" : ""}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default AcademicYearSelector;
@@ -0,0 +1,36 @@
+import React from "react";
+import { splitAccentText } from "../../utils/landingContent";
+
+/**
+ * AccentText Component
+ *
+ * Renders landing page text where **wrapped** words use the orange accent,
+ * e.g. "Now **Available**".
+ *
+ * Props:
+ * - text: string - Text with optional **accent** markers
+ * - accentClassName: string - Classes for the accented parts
+ * - breakBeforeAccent: boolean - Start the first accented part on a new line
+ */
+const AccentText = ({
+  text,
+  accentClassName = "text-[#E68B00]",
+  breakBeforeAccent = false,
+}) => {
+  let brokeLine = false;
+
+  return splitAccentText(text).map((part, index) => {
+    if (!part.accent) return <React.Fragment key={index}>{part.text}</React.Fragment>;
+
+    const addBreak = breakBeforeAccent && !brokeLine;
+    brokeLine = true;
+    return (
+      <React.Fragment key={index}>
+        {addBreak && <br />}
+        <span className={accentClassName}>{part.text}</span>
+      </React.Fragment>
+    );
+  });
+};
+
+export default AccentText;
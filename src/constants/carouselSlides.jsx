@@ -1,81 +1,42 @@
 import React, { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
-
-const uniforms = [
-  {
-    id: "uniform-1",
-    images: [
-      { src: "../../assets/image/PANTS.png", alt: "Higher Education Pants" },
-      { src: "../../assets/image/SHS BLOUSE.png", alt: "Higher Education Blouse" },
-      { src: "../../assets/image/SHS SKIRT.png", alt: "Higher Education Skirt" },
-    ],
-    text: "Higher Education",
-  },
-  {
-    id: "uniform-2",
-    images: [
-      { src: "../../assets/image/KINDER DRESS.png", alt: "Basic Education Dress" },
-      { src: "../../assets/image/ELEMENTARY BLOUSE.png", alt: "Elementary Blouse" },
-      { src: "../../assets/image/JHS BLOUSE.png", alt: "Junior High Blouse" },
-      { src: "../../assets/image/POLO JACKET (Elem & JHS).png", alt: "Polo Jacket" },
-    ],
-    text: "Basic Education",
-  },
-  {
-    id: "uniform-3",
-    images: [
-      { src: "../../assets/image/POLO JACKET (Elem & JHS).png", alt: "Basic Education Polo" },
-      { src: "../../assets/image/JERSEY.png", alt: "PE Jersey" },
-      { src: "../../assets/image/JOGGING PANTS.png", alt: "Jogging Pants" },
-    ],
-    text: "Basic Education Polo",
-  },
-];
-
-const carouselSlides = [
-  {
-    type: "main",
-    content: (
-      <div className="relative w-full h-[40vh] sm:h-[45vh] md:h-[50vh] lg:h-[55vh] xl:h-[60vh] bg-[#F3F3F3]">
-        <h1 className="absolute left-0 top-1 px-2 py-2 sm:px-3 sm:py-3 md:px-4 md:py-4 tracking-[-4px] sm:tracking-[-6px] md:tracking-[-5px] leading-none text-[42px] sm:text-6xl md:text-7xl lg:text-8xl xl:text-9xl font-SFRegular text-[#00396E] opacity-100 z-[0]">
-          La Verdad{" "}
-          <span className="text-[#f59301] drop-shadow-lg leading-tight text-[45px] sm:text-6xl md:text-7xl lg:text-[80px] xl:text-[110px] flex font-SFRegular">
-            OrderFlow
-          </span>
-        </h1>
-
-        <p className="absolute right-2 top-6 sm:right-3 sm:top-8 md:right-4 md:top-10 font-SFRegular text-xs sm:text-sm md:text-base text-[#00396E] opacity-100 z-[0] leading-tight">
-          A seamless Order Tracking for <br />
-          <span className="text-[#E68B00]">School Uniform and Items</span>
-        </p>
-
-        <img
-          src="../../assets/image/LandingPage.png"
-          alt="La Verdad Christian College"
-          className="absolute inset-0 z-[10] w-full h-full object-cover shadow-gray-800 rounded-lg sm:rounded-xl shadow-md bg-black bg-opacity-10 pointer-events-none"
-        />
-      </div>
-    ),
-  },
-  {
-    type: "features",
-    content: null, // This slide is dynamic below
-  },
-];
-
-function FeatureCarousel() {
+import AccentText from "../components/common/AccentText";
+
+// Slide 0 is the hero, slide 1 the uniforms showcase
+const SLIDE_COUNT = 2;
+
+const initialImageIndices = (uniforms) =>
+  uniforms.reduce((acc, uniform) => {
+    acc[uniform.id] = 0;
+    return acc;
+  }, {});
+
+/**
+ * FeatureCarousel Component
+ *
+ * Landing page hero carousel. Text and images come from the landing content
+ * managed in SystemSettings.
+ *
+ * Props:
+ * - hero: Object - { title, titleAccent, tagline, taglineAccent, image }
+ * - carousel: Object - { heading, description, ctaLabel, uniforms: [{ id, text, images: [{ src, alt }] }] }
+ */
+function FeatureCarousel({ hero, carousel }) {
   const navigate = useNavigate();
   const [mainIndex, setMainIndex] = useState(0);
-  const [displayedUniforms, setDisplayedUniforms] = useState([...uniforms]);
-  
+  const [displayedUniforms, setDisplayedUniforms] = useState([...carousel.uniforms]);
+
   // Track current image index for each uniform
-  const [uniformImageIndices, setUniformImageIndices] = useState(
-    uniforms.reduce((acc, uniform) => {
-      acc[uniform.id] = 0;
-      return acc;
-    }, {})
+  const [uniformImageIndices, setUniformImageIndices] = useState(() =>
+    initialImageIndices(carousel.uniforms)
   );
 
+  // Start over when the content changes (published content replacing the defaults)
+  useEffect(() => {
+    setDisplayedUniforms([...carousel.uniforms]);
+    setUniformImageIndices(initialImageIndices(carousel.uniforms));
+  }, [carousel.uniforms]);
+
   // Auto-rotate images within each uniform card
   useEffect(() => {
     if (mainIndex !== 1) return;
@@ -84,8 +45,8 @@ function FeatureCarousel() {
       setUniformImageIndices((prev) => {
         const newIndices = { ...prev };
         displayedUniforms.forEach((uniform) => {
-          newIndices[uniform.id] = 
-            (prev[uniform.id] + 1) % uniform.images.length;
+          newIndices[uniform.id] =
+            ((prev[uniform.id] || 0) + 1) % uniform.images.length;
         });
         return newIndices;
       });
@@ -168,12 +129,30 @@ function FeatureCarousel() {
     <div className="relative w-full min-h-[280px] h-[40vh] sm:h-[45vh] md:h-[50vh] lg:h-[55vh] xl:h-[60vh]">
       <div className="relative z-20 w-full h-full">
         {mainIndex === 0 ? (
-          carouselSlides[mainIndex].content
+          <div className="relative w-full h-[40vh] sm:h-[45vh] md:h-[50vh] lg:h-[55vh] xl:h-[60vh] bg-[#F3F3F3]">
+            <h1 className="absolute left-0 top-1 px-2 py-2 sm:px-3 sm:py-3 md:px-4 md:py-4 tracking-[-4px] sm:tracking-[-6px] md:tracking-[-5px] leading-none text-[42px] sm:text-6xl md:text-7xl lg:text-8xl xl:text-9xl font-SFRegular text-[#00396E] opacity-100 z-[0]">
+              {hero.title}{" "}
+              <span className="text-[#f59301] drop-shadow-lg leading-tight text-[45px] sm:text-6xl md:text-7xl lg:text-[80px] xl:text-[110px] flex font-SFRegular">
+                {hero.titleAccent}
+              </span>
+            </h1>
+
+            <p className="absolute right-2 top-6 sm:right-3 sm:top-8 md:right-4 md:top-10 font-SFRegular text-xs sm:text-sm md:text-base text-[#00396E] opacity-100 z-[0] leading-tight">
+              {hero.tagline} <br />
+              <span className="text-[#E68B00]">{hero.taglineAccent}</span>
+            </p>
+
+            <img
+              src={hero.image}
+              alt="La Verdad Christian College"
+              className="absolute inset-0 z-[10] w-full h-full object-cover shadow-gray-800 rounded-lg sm:rounded-xl shadow-md bg-black bg-opacity-10 pointer-events-none"
+            />
+          </div>
         ) : (
           <div className="relative w-full h-full">
             <div className="relative w-full h-full">
               <img
-                src="../../assets/image/LandingPage.png"
+                src={hero.image}
                 alt="Building Background"
                 className="absolute z-10 w-full h-full object-cover shadow-gray-800 rounded-lg sm:rounded-xl shadow-md bg-black bg-opacity-10"
               />
@@ -181,27 +160,23 @@ function FeatureCarousel() {
               <div className="relative z-20 flex flex-col h-full items-end gap-2 sm:gap-3 md:gap-4">
                 {/* La Verdad OrderFlow label - one position per breakpoint */}
                 <p className="absolute left-[10px] top-4 sm:left-6 sm:top-8 md:left-8 md:top-10 lg:left-8 lg:top-8 text-xs sm:text-sm md:text-base text-[#00396E] font-semibold py-1 sm:py-2 px-2 sm:px-4 md:px-6 z-30">
-                  La Verdad <span className="text-[#E68B00]">OrderFlow</span>
+                  {hero.title} <span className="text-[#E68B00]">{hero.titleAccent}</span>
                 </p>
                 {/* Single content block: title, hr, description, Order Now - in line at every breakpoint */}
                 <div className="absolute left-[20px] top-[80px] sm:left-6 sm:top-[120px] md:left-6 md:top-[126px] lg:left-4 lg:top-34 max-w-[180px] sm:max-w-xs md:max-w-sm lg:max-w-md z-30 flex flex-col text-left font-sf-semibold">
                   <div className="flex flex-col px-2 pt-0 sm:px-4 sm:pt-0 md:px-6 md:pt-0 lg:px-10 lg:pt-0">
                     <h2 className="text-xl sm:text-2xl md:text-3xl lg:text-4xl xl:text-5xl font-bold text-[#00396E] leading-tight">
-                      School <br />{" "}
-                      <span className="text-[#E68B00]">Uniforms</span>
+                      <AccentText text={carousel.heading} breakBeforeAccent />
                     </h2>
                     <hr className="border border-[#f59301] sm:border-2 w-[122px] sm:w-24 md:w-[235px] lg:w-[238px] my-1 sm:my-2" />
                     <p className="text-[10px] sm:text-xs md:text-sm text-[#003363] mb-1 sm:mb-1.5 md:mb-2 font-medium leading-tight">
-                      School Uniforms from Basic Education
-                      <br />
-                      to Higher Education
-                      are now Available
+                      {carousel.description}
                     </p>
                     <button 
                       onClick={() => navigate("/login")}
                       className="mt-1 sm:mt-1.5 md:mt-2 px-3 py-2 sm:px-5 sm:py-2.5 md:px-8 md:py-3 border border-[#f59301] sm:border-2 text-[#f59301] rounded-full font-bold shadow hover:bg-orange-50 hover:text-orange-600 transition w-fit text-xs sm:text-sm md:text-base min-h-[6px] sm:min-h-[40px] md:min-h-[44px] flex items-center justify-center self-start"
                     >
-                      Order Now
+                      {carousel.ctaLabel}
                     </button>
                   </div>
                 </div>
@@ -226,7 +201,7 @@ function FeatureCarousel() {
                         </button>
                       </div>
                       <span className="text-[#00396E] font-medium text-[10px] sm:text-xs md:text-sm whitespace-nowrap order-2 sm:order-1 pr-4 md:mt-10">
-                        {displayedUniforms[0].text}
+                        {displayedUniforms[0]?.text}
                       </span>
                       <span className="h-0.5 w-6 sm:w-10 md:w-16 lg:w-24 bg-[#f59301] hidden sm:inline-block order-2 sm:order-2 md:mt-10"></span>
                     </div>
@@ -245,7 +220,7 @@ function FeatureCarousel() {
         className="absolute left-0 top-1/2 transform -translate-y-1/2 -translate-x-1/2 w-10 h-10 sm:w-11 sm:h-11 md:w-12 md:h-12 rounded-full bg-[#f59301] text-white flex items-center justify-center shadow hover:bg-orange-700 z-30 text-sm sm:text-base md:text-lg min-w-[44px] min-h-[44px]"
         onClick={() =>
           setMainIndex(
-            (prev) => (prev - 1 + carouselSlides.length) % carouselSlides.length
+            (prev) => (prev - 1 + SLIDE_COUNT) % SLIDE_COUNT
           )
         }
         aria-label="Carousel Previous"
@@ -255,7 +230,7 @@ function FeatureCarousel() {
       <button
         className="absolute right-0 top-1/2 transform -translate-y-1/2 translate-x-1/2 w-10 h-10 sm:w-11 sm:h-11 md:w-12 md:h-12 rounded-full bg-[#f59301] text-white flex items-center justify-center shadow hover:bg-orange-700 z-30 text-sm sm:text-base md:text-lg min-w-[44px] min-h-[44px]"
         onClick={() =>
-          setMainIndex((prev) => (prev + 1) % carouselSlides.length)
+          setMainIndex((prev) => (prev + 1) % SLIDE_COUNT)
         }
         aria-label="Carousel Next"
       >
@@ -0,0 +1,117 @@
+/**
+ * Default Landing Page Content
+ *
+ * What the landing page shows until a system admin publishes content in
+ * SystemSettings, and the fallback for any field missing from stored content.
+ * Text wrapped in **double asterisks** is shown in the orange accent color.
+ */
+
+export const FEATURED_GROUP_KEYS = ["seniorHigh", "basicEducation", "peUniforms", "higherEducation"];
+
+export const DEFAULT_LANDING_CONTENT = {
+  hero: {
+    title: "La Verdad",
+    titleAccent: "OrderFlow",
+    tagline: "A seamless Order Tracking for",
+    taglineAccent: "School Uniform and Items",
+    image: "../../assets/image/LandingPage.png",
+    intro:
+      "A Web-Based Order Tracking System with QR-integrated Inventory Monitoring of school uniforms at La Verdad Christian College Inc., Apalit.",
+    ctaLabel: "Get Started",
+  },
+  carousel: {
+    heading: "School **Uniforms**",
+    description: "School Uniforms from Basic Education to Higher Education are now Available",
+    ctaLabel: "Order Now",
+    uniforms: [
+      {
+        id: "uniform-1",
+        text: "Higher Education",
+        images: [
+          { src: "../../assets/image/PANTS.png", alt: "Higher Education Pants" },
+          { src: "../../assets/image/SHS BLOUSE.png", alt: "Higher Education Blouse" },
+          { src: "../../assets/image/SHS SKIRT.png", alt: "Higher Education Skirt" },
+        ],
+      },
+      {
+        id: "uniform-2",
+        text: "Basic Education",
+        images: [
+          { src: "../../assets/image/KINDER DRESS.png", alt: "Basic Education Dress" },
+          { src: "../../assets/image/ELEMENTARY BLOUSE.png", alt: "Elementary Blouse" },
+          { src: "../../assets/image/JHS BLOUSE.png", alt: "Junior High Blouse" },
+          { src: "../../assets/image/POLO JACKET (Elem & JHS).png", alt: "Polo Jacket" },
+        ],
+      },
+      {
+        id: "uniform-3",
+        text: "Basic Education Polo",
+        images: [
+          { src: "../../assets/image/POLO JACKET (Elem & JHS).png", alt: "Basic Education Polo" },
+          { src: "../../assets/image/JERSEY.png", alt: "PE Jersey" },
+          { src: "../../assets/image/JOGGING PANTS.png", alt: "Jogging Pants" },
+        ],
+      },
+    ],
+  },
+  announcements: [],
+  featured: {
+    heading: "Now **Available**",
+    groups: {
+      seniorHigh: {
+        title: "Senior High",
+        subtitle: "Uniforms",
+        description: "are now Available!",
+        watermark: ["Senior", "High School"],
+        images: [
+          "../../assets/image/SHS BLOUSE.png",
+          "../../assets/image/SHS SKIRT.png",
+          "../../assets/image/SHS NECKTIE.png",
+          "../../assets/image/PANTS.png",
+        ],
+      },
+      basicEducation: {
+        title: "Basic Education",
+        subtitle: "Uniforms",
+        description: "are now in stock!",
+        watermark: ["Basic", "Education"],
+        images: [
+          "../../assets/image/ELEMENTARY BLOUSE.png",
+          "../../assets/image/JHS BLOUSE.png",
+          "../../assets/image/KINDER DRESS.png",
+          "../../assets/image/POLO JACKET (Elem & JHS).png",
+        ],
+      },
+      peUniforms: {
+        title: "PE Uniforms",
+        subtitle: "",
+        description: "are now Available!",
+        watermark: ["PE", "Uniform"],
+        images: ["../../assets/image/JERSEY.png", "../../assets/image/JOGGING PANTS.png"],
+      },
+      higherEducation: {
+        title: "Higher Education",
+        subtitle: "Uniforms",
+        description: "are now Available!",
+        watermark: ["Higher", "Education"],
+        images: [
+          "../../assets/image/PANTS.png",
+          "../../assets/image/SHS BLOUSE.png",
+          "../../assets/image/POLO JACKET (Elem & JHS).png",
+        ],
+      },
+    },
+  },
+  about: {
+    vision: "The institution that ensures **quality learning** and **biblical moral standards.**",
+    mission: "To be the frontrunner in providing **academic excellence** and **morally upright principles.**",
+  },
+  contact: {
+    heading: "We are here to **assist** you",
+    description:
+      "If you have any inquiries, require assistance, or wish to provide feedback, we are here to assist you.",
+    address: "Mac Arthur High-way, Sampaloc, Apalit, Pampanga",
+    phone: "+639479998499",
+    email: "support@laverdad.edu.ph",
+  },
+};
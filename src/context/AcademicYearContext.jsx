@@ -0,0 +1,118 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from "react";
+import { academicYearAPI } from "../services/academicYear.service";
+import {
+  getAcademicYearDateRange,
+  getAcademicYearForDate,
+  getStoredAcademicYearId,
+  setSelectedAcademicYearId,
+  storeAcademicYearId,
+} from "../utils/academicYear";
+
+/**
+ * Academic Year Context
+ *
+ * Provides the school year the admin pages are scoped to. Wraps the property custodian
+ * and system admin layouts; the year picked in their headers is sent with every API
+ * request and the pages below remount (and refetch) when it changes.
+ */
+
+export const ACADEMIC_YEAR_CHANGED_EVENT = "academic-year-changed";
+
+const AcademicYearContext = createContext();
+
+// eslint-disable-next-line react-refresh/only-export-components
+export const useAcademicYear = () => {
+  const context = useContext(AcademicYearContext);
+  if (!context) {
+    throw new Error("useAcademicYear must be used within AcademicYearProvider");
+  }
+  return context;
+};
+
+export const AcademicYearProvider = ({ children }) => {
+  const [years, setYears] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // null = the current year (no header sent); restored per browser tab. Set on the
+  // request scope right away so the pages' first fetches already carry it.
+  const [selectedId, setSelectedId] = useState(() => {
+    const storedId = getStoredAcademicYearId();
+    setSelectedAcademicYearId(storedId);
+    return storedId;
+  });
+
+  /**
+   * Fetch the school years
+   */
+  const fetchYears = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await academicYearAPI.getAcademicYears();
+      if (response.data && response.data.success) {
+        setYears(response.data.data || []);
+      }
+    } catch (error) {
+      console.error("Error fetching school years:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchYears();
+  }, [fetchYears]);
+
+  // Leaving the admin area stops scoping requests to a past year
+  useEffect(() => {
+    setSelectedAcademicYearId(getStoredAcademicYearId());
+    return () => setSelectedAcademicYearId(null);
+  }, []);
+
+  const currentYear = useMemo(
+    () => years.find((year) => year.is_current) || getAcademicYearForDate(),
+    [years],
+  );
+
+  const selectedYear = useMemo(
+    () => (selectedId && years.find((year) => year.id === selectedId)) || currentYear,
+    [selectedId, years, currentYear],
+  );
+
+  /**
+   * Scope the admin pages to a school year
+   * @param {string|null} yearId - null or the current year's ID go back to the current year
+   */
+  const selectYear = useCallback(
+    (yearId) => {
+      const nextId = yearId && yearId !== currentYear.id ? yearId : null;
+      setSelectedAcademicYearId(nextId);
+      storeAcademicYearId(nextId);
+      setSelectedId(nextId);
+      window.dispatchEvent(new CustomEvent(ACADEMIC_YEAR_CHANGED_EVENT, { detail: { yearId: nextId } }));
+    },
+    [currentYear.id],
+  );
+
+  // A year picked earlier that no longer exists: back to the current year
+  useEffect(() => {
+    if (!loading && selectedId && years.length > 0 && !years.some((year) => year.id === selectedId)) {
+      selectYear(null);
+    }
+  }, [loading, selectedId, years, selectYear]);
+
+  const value = {
+    years: years.length > 0 ? years : [currentYear],
+    selectedYear,
+    currentYear,
+    isCurrentYear: selectedYear.id === currentYear.id,
+    dateRange: getAcademicYearDateRange(selectedYear),
+    loading,
+    selectYear,
+    refetch: fetchYears,
+  };
+
+  return (
+    <AcademicYearContext.Provider value={value}>
+      {children}
+    </AcademicYearContext.Provider>
+  );
+};
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useEffect, useState, useRef, useCallback } from "react";
-import { authAPI } from "../services/api";
+import { authAPI, pushAPI } from "../services/api";
+import { getPushSubscription, setPushSubscriptionOwner } from "../utils/serviceWorker";
 
 const AuthContext = createContext();
 
@@ -21,9 +22,10 @@ export const AuthProvider = ({ children }) => {
   const timeoutRef = useRef(null);
   const lastActivityRef = useRef(Date.now());
 
-  // User roles: student (students table) and staff roles (staff table)
+  // User roles: student (students table), guardian (linked to students) and staff roles (staff table)
   const USER_ROLES = {
     STUDENT: "student",
+    GUARDIAN: "guardian",
     SYSTEM_ADMIN: "system_admin",
     PROPERTY_CUSTODIAN: "property_custodian",
     FINANCE_STAFF: "finance_staff",
@@ -278,6 +280,18 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = useCallback(async () => {
+    // Stop push notifications for this account on the device (needs the token, so first)
+    try {
+      const subscription = await getPushSubscription();
+      if (subscription) {
+        await pushAPI.unsubscribe(subscription.endpoint).catch(() => {});
+        await subscription.unsubscribe();
+        setPushSubscriptionOwner(null);
+      }
+    } catch {
+      // Continue with logout even if the subscription could not be removed
+    }
+
     try {
       await authAPI.logout();
     } catch (error) {
@@ -0,0 +1,66 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from "react";
+import {
+  SUPPORTED_LANGUAGES,
+  LANGUAGE_STORAGE_KEY,
+  getInitialLanguage,
+  isSupportedLanguage,
+  translate,
+  formatCurrency,
+  formatDate,
+} from "../i18n";
+
+/**
+ * Language Context
+ *
+ * Provides the selected language to the entire application:
+ * - t(key, params) looks up a message in the selected language's catalog
+ * - formatCurrency / formatDate format pesos and dates for the selected locale
+ * - The choice is remembered on this device and set as the page's lang attribute
+ */
+
+const LanguageContext = createContext();
+
+// eslint-disable-next-line react-refresh/only-export-components
+export const useLanguage = () => {
+  const context = useContext(LanguageContext);
+  if (!context) {
+    throw new Error("useLanguage must be used within LanguageProvider");
+  }
+  return context;
+};
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(getInitialLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  /**
+   * Change the language
+   * @param {string} nextLanguage - A code from SUPPORTED_LANGUAGES
+   */
+  const setLanguage = useCallback((nextLanguage) => {
+    if (!isSupportedLanguage(nextLanguage)) return;
+    setLanguageState(nextLanguage);
+    try {
+      localStorage.setItem(LANGUAGE_STORAGE_KEY, nextLanguage);
+    } catch {
+      // Ignore storage errors
+    }
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      language,
+      languages: SUPPORTED_LANGUAGES,
+      setLanguage,
+      t: (key, params) => translate(language, key, params),
+      formatCurrency: (amount) => formatCurrency(amount, language),
+      formatDate: (date, options) => formatDate(date, language, options),
+    }),
+    [language, setLanguage],
+  );
+
+  return <LanguageContext.Provider value={value}>{children}</LanguageContext.Provider>;
+};
@@ -199,6 +199,12 @@ export const OrderProvider = ({ children }) => {
             paymentDate: order.payment_date,
             claimedDate: order.claimed_date,
             statusHistory: [],
+            approvalStatus: order.approval_status || null,
+            approvalReasons: order.approval_reasons || [],
+            approvalComment: order.approval_comment || null,
+            approvalDecidedBy: order.approval_decided_by_name || null,
+            approvalDecidedAt: order.approval_decided_at || null,
+            pickupSlot: order.pickup_slot || null,
             // Keep original order data for debugging
             _original: order
           };
@@ -287,6 +293,11 @@ export const OrderProvider = ({ children }) => {
             paymentDate: data.order.payment_date,
             claimedDate: data.order.claimed_date,
             statusHistory: [],
+            approvalStatus: data.order.approval_status || null,
+            approvalReasons: data.order.approval_reasons || [],
+            approvalComment: data.order.approval_comment || null,
+            approvalDecidedBy: data.order.approval_decided_by_name || null,
+            approvalDecidedAt: data.order.approval_decided_at || null,
             _original: data.order
           };
           
@@ -343,7 +354,13 @@ export const OrderProvider = ({ children }) => {
           totalAmount: newOrder.total_amount || 0,
           qrCodeData: newOrder.qr_code_data,
           notes: newOrder.notes,
-          statusHistory: []
+          statusHistory: [],
+          approvalStatus: newOrder.approval_status || null,
+          approvalReasons: newOrder.approval_reasons || [],
+          approvalComment: newOrder.approval_comment || null,
+          approvalDecidedBy: newOrder.approval_decided_by_name || null,
+          approvalDecidedAt: newOrder.approval_decided_at || null,
+          _original: newOrder
         };
 
         dispatch({ type: 'ADD_ORDER', payload: transformedOrder });
@@ -0,0 +1,41 @@
+import React from "react";
+import Sidebar from "../common/Sidebar";
+import FinanceHeader from "../common/FinanceHeader";
+import { useFinanceSidebar } from "../../hooks/common/useFinanceSidebar";
+
+/**
+ * FinanceLayout Component
+ *
+ * A reusable layout wrapper for finance pages that includes:
+ * - Sidebar navigation
+ * - Finance header
+ * - Main content area with proper spacing
+ *
+ * Props:
+ * - children: React node - The page content to render
+ * - noPadding: boolean (optional, default: false) - Whether to remove default padding
+ */
+const FinanceLayout = ({ children, noPadding = false }) => {
+  const { sidebarOpen, toggleSidebar, closeSidebar } = useFinanceSidebar();
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Fixed Sidebar — mobile route change uses closeSidebar */}
+      <Sidebar isOpen={sidebarOpen} onNavigate={closeSidebar} />
+
+      {/* Fixed Header */}
+      <FinanceHeader onMenuToggle={toggleSidebar} sidebarOpen={sidebarOpen} />
+
+      {/* Main Content Area - Scrollable */}
+      <main
+        className={`fixed top-16 bottom-0 right-0 bg-gray-50 overflow-y-auto transition-all duration-300 ${
+          sidebarOpen ? "left-64" : "left-20"
+        }`}
+      >
+        <div className={noPadding ? "" : "p-4 sm:p-6 lg:p-8"}>{children}</div>
+      </main>
+    </div>
+  );
+};
+
+export default FinanceLayout;
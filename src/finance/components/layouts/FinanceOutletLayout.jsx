@@ -0,0 +1,15 @@
+import { Outlet } from "react-router-dom";
+import FinanceLayout from "./FinanceLayout";
+
+/**
+ * Single persistent shell for all /finance/* routes.
+ */
+const FinanceOutletLayout = () => {
+  return (
+    <FinanceLayout>
+      <Outlet />
+    </FinanceLayout>
+  );
+};
+
+export default FinanceOutletLayout;
@@ -0,0 +1,41 @@
+import { useState, useCallback, useEffect } from "react";
+
+/**
+ * useFinanceSidebar Hook
+ *
+ * Manages the sidebar open/closed state for Finance pages.
+ * Auto-closes sidebar when switching to mobile viewport (same as system admin).
+ *
+ * @returns {Object} - { sidebarOpen, toggleSidebar, closeSidebar }
+ */
+export const useFinanceSidebar = () => {
+  const MOBILE_BREAKPOINT = 1024; // px (matches Tailwind's lg breakpoint)
+
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+
+  // Auto-close when switching to mobile/tablet view
+  useEffect(() => {
+    const handleResize = () => {
+      if (window.innerWidth < MOBILE_BREAKPOINT && sidebarOpen) {
+        setSidebarOpen(false);
+      }
+    };
+
+    window.addEventListener("resize", handleResize);
+    return () => window.removeEventListener("resize", handleResize);
+  }, [sidebarOpen]);
+
+  const toggleSidebar = useCallback(() => {
+    setSidebarOpen((prev) => !prev);
+  }, []);
+
+  const closeSidebar = useCallback(() => {
+    setSidebarOpen(false);
+  }, []);
+
+  return {
+    sidebarOpen,
+    toggleSidebar,
+    closeSidebar,
+  };
+};
@@ -0,0 +1,9 @@
+/**
+ * Finance Hooks Index
+ *
+ * Central export file for finance-specific custom hooks.
+ */
+
+export { useFinanceSidebar } from "./common/useFinanceSidebar";
+export { useFinanceOrders } from "./useFinanceOrders";
+export { useFinanceInventory } from "./useFinanceInventory";
@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from "react";
+import inventoryService from "../../services/inventory.service";
+
+/**
+ * useFinanceInventory Hook
+ *
+ * Fetches raw inventory report rows (one per item/size) for the finance pages.
+ *
+ * @param {Object} options
+ * @param {string} options.educationLevel - DB education level or null for all
+ * @returns {Object} { rows, loading, error, refetch }
+ */
+export const useFinanceInventory = ({ educationLevel = null } = {}) => {
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await inventoryService.getInventoryReport(
+        educationLevel ? { educationLevel } : {},
+      );
+      setRows(response.success && Array.isArray(response.data) ? response.data : []);
+    } catch (err) {
+      console.error("Error fetching finance inventory report:", err);
+      setError(err.message || "Failed to fetch inventory report");
+      setRows([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [educationLevel]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  return {
+    rows,
+    loading,
+    error,
+    refetch: fetchReport,
+  };
+};
+
+export default useFinanceInventory;
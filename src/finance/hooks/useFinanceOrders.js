@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback } from "react";
+import { orderAPI } from "../../services/api";
+
+/**
+ * useFinanceOrders Hook
+ *
+ * Fetches orders for the finance pages through orderAPI.getOrders.
+ * Active orders (status omitted) and claimed orders are fetched separately because
+ * the backend excludes claimed orders when no status is given.
+ *
+ * @param {Object} options
+ * @param {string} options.educationLevel - DB education level or null for all
+ * @returns {Object} { activeOrders, claimedOrders, orders, loading, error, refetch }
+ */
+export const useFinanceOrders = ({ educationLevel = null } = {}) => {
+  const [activeOrders, setActiveOrders] = useState([]);
+  const [claimedOrders, setClaimedOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchOrders = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const filters = educationLevel ? { education_level: educationLevel } : {};
+      const [activeResponse, claimedResponse] = await Promise.all([
+        orderAPI.getOrders(filters, 1, 10000),
+        orderAPI.getOrders({ ...filters, status: "claimed" }, 1, 10000),
+      ]);
+
+      setActiveOrders(activeResponse.data?.success ? activeResponse.data.data || [] : []);
+      setClaimedOrders(claimedResponse.data?.success ? claimedResponse.data.data || [] : []);
+    } catch (err) {
+      console.error("Error fetching finance orders:", err);
+      setError(err.response?.data?.message || err.message || "Failed to fetch orders");
+      setActiveOrders([]);
+      setClaimedOrders([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [educationLevel]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  return {
+    activeOrders,
+    claimedOrders,
+    orders: [...activeOrders, ...claimedOrders],
+    loading,
+    error,
+    refetch: fetchOrders,
+  };
+};
+
+export default useFinanceOrders;
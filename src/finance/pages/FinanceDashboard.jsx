@@ -0,0 +1,170 @@
+import React, { useMemo, useState } from "react";
+import { ShoppingCart, Wallet, CheckCircle, Clock } from "lucide-react";
+import StatsCard from "../../property-custodian/components/shared/stats/StatsCard";
+import EducationLevelFilter from "../../property-custodian/components/shared/dashboard/EducationLevelFilter";
+import { useFinanceOrders } from "../hooks/useFinanceOrders";
+import {
+  summarizeOrderTotals,
+  isReleasedOrder,
+  getOrderAmount,
+  formatPeso,
+  toDbEducationLevel,
+} from "../utils/financeSummary";
+
+const STATUS_LABELS = {
+  pending: "Pending",
+  processing: "Processing",
+  ready: "Ready for Pickup",
+  payment_pending: "Payment Pending",
+  claimed: "Claimed",
+  completed: "Completed",
+  cancelled: "Cancelled",
+};
+
+/**
+ * Finance Dashboard
+ *
+ * Order totals for finance staff: overall amounts, amounts per order status
+ * and per education level.
+ */
+const FinanceDashboard = () => {
+  const [educationLevel, setEducationLevel] = useState("all");
+  const { orders, loading, error } = useFinanceOrders({
+    educationLevel: toDbEducationLevel(educationLevel),
+  });
+
+  const summary = useMemo(() => summarizeOrderTotals(orders), [orders]);
+  const releasedAmount = useMemo(
+    () =>
+      orders
+        .filter(isReleasedOrder)
+        .reduce((sum, order) => sum + getOrderAmount(order), 0),
+    [orders],
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-[#0C2340]">Order Totals</h1>
+          <p className="text-sm text-gray-500">
+            Amounts for active and claimed orders
+          </p>
+        </div>
+        <div className="w-full sm:w-64">
+          <EducationLevelFilter value={educationLevel} onChange={setEducationLevel} />
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatsCard
+          title="Total Orders"
+          value={loading ? "—" : summary.totalOrders}
+          icon={ShoppingCart}
+          color="text-[#0C2340]"
+          bgColor="bg-blue-100"
+          iconColor="text-blue-600"
+        />
+        <StatsCard
+          title="Total Amount"
+          value={loading ? "—" : formatPeso(summary.totalAmount)}
+          icon={Wallet}
+          color="text-[#0C2340]"
+          bgColor="bg-orange-100"
+          iconColor="text-[#e68b00]"
+        />
+        <StatsCard
+          title="Claimed Amount"
+          value={loading ? "—" : formatPeso(releasedAmount)}
+          icon={CheckCircle}
+          color="text-green-700"
+          bgColor="bg-green-100"
+          iconColor="text-green-600"
+        />
+        <StatsCard
+          title="Outstanding Amount"
+          value={loading ? "—" : formatPeso(summary.totalAmount - releasedAmount)}
+          icon={Clock}
+          color="text-yellow-700"
+          bgColor="bg-yellow-100"
+          iconColor="text-yellow-600"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <SummaryTable
+          title="By Status"
+          loading={loading}
+          firstColumn="Status"
+          rows={summary.byStatus.map((row) => ({
+            key: row.status,
+            label: STATUS_LABELS[row.status] || row.status,
+            count: row.count,
+            amount: row.amount,
+          }))}
+        />
+        <SummaryTable
+          title="By Education Level"
+          loading={loading}
+          firstColumn="Education Level"
+          rows={summary.byEducationLevel.map((row) => ({
+            key: row.educationLevel,
+            label: row.educationLevel,
+            count: row.count,
+            amount: row.amount,
+          }))}
+        />
+      </div>
+    </div>
+  );
+};
+
+const SummaryTable = ({ title, firstColumn, rows, loading }) => (
+  <div className="bg-white border border-gray-200 rounded-lg shadow-sm overflow-hidden">
+    <h2 className="px-4 py-3 text-base font-semibold text-[#0C2340] border-b border-gray-200">
+      {title}
+    </h2>
+    <table className="w-full text-sm">
+      <thead className="bg-gray-50 text-gray-600">
+        <tr>
+          <th className="px-4 py-2 text-left font-medium">{firstColumn}</th>
+          <th className="px-4 py-2 text-right font-medium">Orders</th>
+          <th className="px-4 py-2 text-right font-medium">Amount</th>
+        </tr>
+      </thead>
+      <tbody>
+        {loading ? (
+          <tr>
+            <td colSpan={3} className="px-4 py-6 text-center text-gray-500">
+              Loading…
+            </td>
+          </tr>
+        ) : rows.length === 0 ? (
+          <tr>
+            <td colSpan={3} className="px-4 py-6 text-center text-gray-500">
+              No orders found
+            </td>
+          </tr>
+        ) : (
+          rows.map((row) => (
+            <tr key={row.key} className="border-t border-gray-100">
+              <td className="px-4 py-2 text-gray-900">{row.label}</td>
+              <td className="px-4 py-2 text-right text-gray-700">{row.count}</td>
+              <td className="px-4 py-2 text-right font-medium text-gray-900">
+                {formatPeso(row.amount)}
+              </td>
+            </tr>
+          ))
+        )}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default FinanceDashboard;
@@ -0,0 +1,177 @@
+import React, { useMemo, useState } from "react";
+import { Package, Wallet, Scale, AlertTriangle } from "lucide-react";
+import StatsCard from "../../property-custodian/components/shared/stats/StatsCard";
+import EducationLevelFilter from "../../property-custodian/components/shared/dashboard/EducationLevelFilter";
+import { useFinanceOrders } from "../hooks/useFinanceOrders";
+import { useFinanceInventory } from "../hooks/useFinanceInventory";
+import {
+  reconcileClaimedOrders,
+  formatPeso,
+  toDbEducationLevel,
+} from "../utils/financeSummary";
+
+/**
+ * Reconciliation Page
+ *
+ * Compares claimed orders with the inventory report: released quantities and
+ * order amounts against inventory value at the inventory unit price.
+ */
+const Reconciliation = () => {
+  const [educationLevel, setEducationLevel] = useState("all");
+  const [showMismatchesOnly, setShowMismatchesOnly] = useState(false);
+  const dbEducationLevel = toDbEducationLevel(educationLevel);
+
+  const {
+    claimedOrders,
+    loading: ordersLoading,
+    error: ordersError,
+  } = useFinanceOrders({ educationLevel: dbEducationLevel });
+  const {
+    rows: reportRows,
+    loading: inventoryLoading,
+    error: inventoryError,
+  } = useFinanceInventory({ educationLevel: dbEducationLevel });
+
+  const loading = ordersLoading || inventoryLoading;
+  const error = ordersError || inventoryError;
+
+  const { rows, totals } = useMemo(
+    () => reconcileClaimedOrders(claimedOrders, reportRows),
+    [claimedOrders, reportRows],
+  );
+
+  const visibleRows = showMismatchesOnly
+    ? rows.filter((row) => row.qtyVariance !== 0 || Math.abs(row.amountVariance) >= 0.01)
+    : rows;
+
+  const varianceClass = (value) =>
+    Math.abs(value) < 0.01 ? "text-gray-500" : value > 0 ? "text-green-700" : "text-red-600";
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-[#0C2340]">Reconciliation</h1>
+          <p className="text-sm text-gray-500">
+            Claimed orders against inventory releases and value
+          </p>
+        </div>
+        <div className="w-full sm:w-64">
+          <EducationLevelFilter value={educationLevel} onChange={setEducationLevel} />
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatsCard
+          title="Claimed Quantity"
+          value={loading ? "—" : totals.orderedQty}
+          subtitle={loading ? undefined : `Inventory released: ${totals.inventoryQty}`}
+          icon={Package}
+          color="text-[#0C2340]"
+          bgColor="bg-blue-100"
+          iconColor="text-blue-600"
+        />
+        <StatsCard
+          title="Claimed Order Amount"
+          value={loading ? "—" : formatPeso(totals.orderAmount)}
+          icon={Wallet}
+          color="text-[#0C2340]"
+          bgColor="bg-orange-100"
+          iconColor="text-[#e68b00]"
+        />
+        <StatsCard
+          title="Inventory Value"
+          value={loading ? "—" : formatPeso(totals.inventoryValue)}
+          subtitle={
+            loading
+              ? undefined
+              : `Variance: ${formatPeso(totals.orderAmount - totals.inventoryValue)}`
+          }
+          icon={Scale}
+          color="text-[#0C2340]"
+          bgColor="bg-green-100"
+          iconColor="text-green-600"
+        />
+        <StatsCard
+          title="Mismatched Lines"
+          value={loading ? "—" : totals.mismatched}
+          icon={AlertTriangle}
+          color={totals.mismatched > 0 ? "text-red-600" : "text-gray-900"}
+          bgColor="bg-red-100"
+          iconColor="text-red-600"
+        />
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg shadow-sm overflow-x-auto">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+          <h2 className="text-base font-semibold text-[#0C2340]">Item Lines</h2>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={showMismatchesOnly}
+              onChange={(e) => setShowMismatchesOnly(e.target.checked)}
+              className="rounded border-gray-300"
+            />
+            Mismatches only
+          </label>
+        </div>
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="px-4 py-2 text-left font-medium">Item</th>
+              <th className="px-4 py-2 text-left font-medium">Size</th>
+              <th className="px-4 py-2 text-left font-medium">Education Level</th>
+              <th className="px-4 py-2 text-right font-medium">Claimed Qty</th>
+              <th className="px-4 py-2 text-right font-medium">Released Qty</th>
+              <th className="px-4 py-2 text-right font-medium">Qty Variance</th>
+              <th className="px-4 py-2 text-right font-medium">Order Amount</th>
+              <th className="px-4 py-2 text-right font-medium">Inventory Value</th>
+              <th className="px-4 py-2 text-right font-medium">Amount Variance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan={9} className="px-4 py-6 text-center text-gray-500">
+                  Loading…
+                </td>
+              </tr>
+            ) : visibleRows.length === 0 ? (
+              <tr>
+                <td colSpan={9} className="px-4 py-6 text-center text-gray-500">
+                  Nothing to reconcile
+                </td>
+              </tr>
+            ) : (
+              visibleRows.map((row) => (
+                <tr key={row.key} className="border-t border-gray-100">
+                  <td className="px-4 py-2 text-gray-900">{row.itemName}</td>
+                  <td className="px-4 py-2 text-gray-700">{row.size}</td>
+                  <td className="px-4 py-2 text-gray-700">{row.educationLevel}</td>
+                  <td className="px-4 py-2 text-right">{row.orderedQty}</td>
+                  <td className="px-4 py-2 text-right">{row.inventoryQty}</td>
+                  <td className={`px-4 py-2 text-right font-medium ${varianceClass(row.qtyVariance)}`}>
+                    {row.qtyVariance}
+                  </td>
+                  <td className="px-4 py-2 text-right">{formatPeso(row.orderAmount)}</td>
+                  <td className="px-4 py-2 text-right">{formatPeso(row.inventoryValue)}</td>
+                  <td className={`px-4 py-2 text-right font-medium ${varianceClass(row.amountVariance)}`}>
+                    {formatPeso(row.amountVariance)}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Reconciliation;
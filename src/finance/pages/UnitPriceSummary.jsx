@@ -0,0 +1,129 @@
+import React, { useMemo, useState } from "react";
+import { Search } from "lucide-react";
+import EducationLevelFilter from "../../property-custodian/components/shared/dashboard/EducationLevelFilter";
+import { useFinanceInventory } from "../hooks/useFinanceInventory";
+import {
+  summarizeUnitPrices,
+  formatPeso,
+  toDbEducationLevel,
+} from "../utils/financeSummary";
+
+/**
+ * Unit Price Summary Page
+ *
+ * Unit prices per item and education level (FIFO display price, same as the
+ * Inventory page) with the current stock valued at that price.
+ */
+const UnitPriceSummary = () => {
+  const [educationLevel, setEducationLevel] = useState("all");
+  const [search, setSearch] = useState("");
+  const { rows, loading, error } = useFinanceInventory({
+    educationLevel: toDbEducationLevel(educationLevel),
+  });
+
+  const summary = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    const all = summarizeUnitPrices(rows);
+    return term ? all.filter((row) => row.itemName.toLowerCase().includes(term)) : all;
+  }, [rows, search]);
+
+  const totalStockValue = summary.reduce((sum, row) => sum + row.stockValue, 0);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-[#0C2340]">Unit Prices</h1>
+          <p className="text-sm text-gray-500">
+            Unit prices per item and education level
+          </p>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-3">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search item"
+              className="w-full sm:w-56 pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#0C2340]"
+            />
+          </div>
+          <div className="w-full sm:w-64">
+            <EducationLevelFilter value={educationLevel} onChange={setEducationLevel} />
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white border border-gray-200 rounded-lg shadow-sm overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="px-4 py-2 text-left font-medium">Item</th>
+              <th className="px-4 py-2 text-left font-medium">Education Level</th>
+              <th className="px-4 py-2 text-right font-medium">Sizes</th>
+              <th className="px-4 py-2 text-right font-medium">Min Price</th>
+              <th className="px-4 py-2 text-right font-medium">Max Price</th>
+              <th className="px-4 py-2 text-right font-medium">Average Price</th>
+              <th className="px-4 py-2 text-right font-medium">Stock</th>
+              <th className="px-4 py-2 text-right font-medium">Stock Value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan={8} className="px-4 py-6 text-center text-gray-500">
+                  Loading…
+                </td>
+              </tr>
+            ) : summary.length === 0 ? (
+              <tr>
+                <td colSpan={8} className="px-4 py-6 text-center text-gray-500">
+                  No items found
+                </td>
+              </tr>
+            ) : (
+              summary.map((row) => (
+                <tr
+                  key={`${row.itemName}-${row.educationLevel}`}
+                  className="border-t border-gray-100"
+                >
+                  <td className="px-4 py-2 text-gray-900">{row.itemName}</td>
+                  <td className="px-4 py-2 text-gray-700">{row.educationLevel}</td>
+                  <td className="px-4 py-2 text-right text-gray-700">{row.sizes}</td>
+                  <td className="px-4 py-2 text-right">{formatPeso(row.minPrice)}</td>
+                  <td className="px-4 py-2 text-right">{formatPeso(row.maxPrice)}</td>
+                  <td className="px-4 py-2 text-right">{formatPeso(row.averagePrice)}</td>
+                  <td className="px-4 py-2 text-right text-gray-700">{row.stock}</td>
+                  <td className="px-4 py-2 text-right font-medium text-gray-900">
+                    {formatPeso(row.stockValue)}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+          {!loading && summary.length > 0 && (
+            <tfoot className="bg-gray-50">
+              <tr className="border-t border-gray-200">
+                <td colSpan={7} className="px-4 py-2 text-right font-semibold text-[#0C2340]">
+                  Total Stock Value
+                </td>
+                <td className="px-4 py-2 text-right font-semibold text-[#0C2340]">
+                  {formatPeso(totalStockValue)}
+                </td>
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default UnitPriceSummary;
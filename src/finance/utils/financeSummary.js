@@ -0,0 +1,249 @@
+import { getInventoryDisplayUnitPrice } from "../../property-custodian/utils/inventoryDisplayUnitPrice";
+
+/**
+ * Finance Summary Utilities
+ *
+ * Pure helpers that turn raw orders (orderAPI.getOrders) and inventory report rows
+ * (inventoryService.getInventoryReport) into the figures shown on the finance pages.
+ */
+
+const RELEASED_STATUSES = ["claimed", "completed"];
+
+/**
+ * Normalize sizes - handle "Small (S)" vs "Small" vs "S" (same rule as the Inventory page)
+ * @param {string} size
+ * @returns {string}
+ */
+const normalizeSize = (size) => {
+  if (!size) return "";
+  const match = String(size).match(/^(.+?)\s*\([A-Z]\)$/i);
+  return (match ? match[1] : String(size)).trim().toLowerCase();
+};
+
+const itemKey = (name, size, educationLevel) =>
+  `${String(name || "").toLowerCase().trim()}|${normalizeSize(size)}|${educationLevel || ""}`;
+
+/**
+ * Parse order items (backend may return a JSON string or an array)
+ * @param {Object} order
+ * @returns {Array}
+ */
+export const parseOrderItems = (order) => {
+  if (!order?.items) return [];
+  if (Array.isArray(order.items)) return order.items;
+  if (typeof order.items === "string") {
+    try {
+      const parsed = JSON.parse(order.items);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+};
+
+/**
+ * Order amount: stored total_amount, falling back to the sum of item lines
+ * @param {Object} order
+ * @returns {number}
+ */
+export const getOrderAmount = (order) => {
+  const stored = Number(order?.total_amount);
+  if (Number.isFinite(stored) && stored > 0) return stored;
+  return parseOrderItems(order).reduce(
+    (sum, item) => sum + (Number(item.price) || 0) * (Number(item.quantity) || 0),
+    0,
+  );
+};
+
+export const isReleasedOrder = (order) =>
+  RELEASED_STATUSES.includes(String(order?.status || "").toLowerCase());
+
+/**
+ * Totals per order status and per education level
+ * @param {Array} orders
+ * @returns {{ totalOrders: number, totalAmount: number, byStatus: Array, byEducationLevel: Array }}
+ */
+export const summarizeOrderTotals = (orders = []) => {
+  const byStatus = {};
+  const byEducationLevel = {};
+  let totalAmount = 0;
+
+  orders.forEach((order) => {
+    const amount = getOrderAmount(order);
+    const status = String(order.status || "unknown").toLowerCase();
+    const level = order.education_level || "Unspecified";
+    totalAmount += amount;
+
+    byStatus[status] = byStatus[status] || { status, count: 0, amount: 0 };
+    byStatus[status].count += 1;
+    byStatus[status].amount += amount;
+
+    byEducationLevel[level] = byEducationLevel[level] || {
+      educationLevel: level,
+      count: 0,
+      amount: 0,
+    };
+    byEducationLevel[level].count += 1;
+    byEducationLevel[level].amount += amount;
+  });
+
+  return {
+    totalOrders: orders.length,
+    totalAmount,
+    byStatus: Object.values(byStatus).sort((a, b) => b.amount - a.amount),
+    byEducationLevel: Object.values(byEducationLevel).sort((a, b) =>
+      a.educationLevel.localeCompare(b.educationLevel),
+    ),
+  };
+};
+
+/**
+ * Unit-price summary per item and education level (sizes collapsed into min/max/average)
+ * @param {Array} reportRows - Raw rows from getInventoryReport
+ * @returns {Array}
+ */
+export const summarizeUnitPrices = (reportRows = []) => {
+  const groups = {};
+
+  reportRows.forEach((row) => {
+    const level = row.education_level || "Unspecified";
+    const key = `${row.name}|${level}`;
+    const unitPrice = getInventoryDisplayUnitPrice({
+      beginningInventory: row.beginning_inventory,
+      unitPriceBeginning: row.unit_price_beginning ?? row.unit_price,
+      purchaseUnitPrice: row.purchase_unit_price ?? row.unit_price,
+      price: row.price,
+    });
+    const stock = Math.max(Number(row.ending_inventory) || 0, 0);
+
+    groups[key] = groups[key] || {
+      itemName: row.name || "",
+      educationLevel: level,
+      sizes: 0,
+      minPrice: Infinity,
+      maxPrice: 0,
+      priceTotal: 0,
+      stock: 0,
+      stockValue: 0,
+    };
+    const group = groups[key];
+    group.sizes += 1;
+    group.minPrice = Math.min(group.minPrice, unitPrice);
+    group.maxPrice = Math.max(group.maxPrice, unitPrice);
+    group.priceTotal += unitPrice;
+    group.stock += stock;
+    group.stockValue += stock * unitPrice;
+  });
+
+  return Object.values(groups)
+    .map(({ priceTotal, ...group }) => ({
+      ...group,
+      minPrice: Number.isFinite(group.minPrice) ? group.minPrice : 0,
+      averagePrice: group.sizes > 0 ? priceTotal / group.sizes : 0,
+    }))
+    .sort((a, b) =>
+      a.itemName === b.itemName
+        ? a.educationLevel.localeCompare(b.educationLevel)
+        : a.itemName.localeCompare(b.itemName),
+    );
+};
+
+/**
+ * Reconcile claimed orders against inventory value.
+ * For every item/size/education level, compares the quantity and amount released through
+ * claimed orders with the quantity the inventory report recorded as released, valued at the
+ * inventory unit price. A non-zero variance means orders and stock movements disagree.
+ *
+ * @param {Array} claimedOrders - Orders with status claimed/completed
+ * @param {Array} reportRows - Raw rows from getInventoryReport
+ * @returns {{ rows: Array, totals: Object }}
+ */
+export const reconcileClaimedOrders = (claimedOrders = [], reportRows = []) => {
+  const rows = {};
+
+  const ensureRow = (name, size, educationLevel) => {
+    const key = itemKey(name, size, educationLevel);
+    rows[key] = rows[key] || {
+      key,
+      itemName: name || "",
+      size: size || "N/A",
+      educationLevel: educationLevel || "Unspecified",
+      orderedQty: 0,
+      orderAmount: 0,
+      inventoryQty: 0,
+      unitPrice: 0,
+    };
+    return rows[key];
+  };
+
+  claimedOrders.filter(isReleasedOrder).forEach((order) => {
+    parseOrderItems(order).forEach((item) => {
+      const row = ensureRow(item.name, item.size, order.education_level);
+      const quantity = Number(item.quantity) || 0;
+      row.orderedQty += quantity;
+      row.orderAmount += quantity * (Number(item.price) || 0);
+    });
+  });
+
+  reportRows.forEach((report) => {
+    const key = itemKey(report.name, report.size, report.education_level);
+    // Only reconcile inventory rows that were released or matched an order
+    if (!rows[key] && !(Number(report.released) > 0)) return;
+    const row = ensureRow(report.name, report.size, report.education_level);
+    row.inventoryQty += Number(report.released) || 0;
+    row.unitPrice = getInventoryDisplayUnitPrice({
+      beginningInventory: report.beginning_inventory,
+      unitPriceBeginning: report.unit_price_beginning ?? report.unit_price,
+      purchaseUnitPrice: report.purchase_unit_price ?? report.unit_price,
+      price: report.price,
+    });
+  });
+
+  const reconciled = Object.values(rows)
+    .map((row) => {
+      const inventoryValue = row.inventoryQty * row.unitPrice;
+      return {
+        ...row,
+        inventoryValue,
+        qtyVariance: row.orderedQty - row.inventoryQty,
+        amountVariance: row.orderAmount - inventoryValue,
+      };
+    })
+    .sort((a, b) => Math.abs(b.amountVariance) - Math.abs(a.amountVariance));
+
+  const totals = reconciled.reduce(
+    (acc, row) => ({
+      orderedQty: acc.orderedQty + row.orderedQty,
+      inventoryQty: acc.inventoryQty + row.inventoryQty,
+      orderAmount: acc.orderAmount + row.orderAmount,
+      inventoryValue: acc.inventoryValue + row.inventoryValue,
+      mismatched:
+        acc.mismatched + (row.qtyVariance !== 0 || Math.abs(row.amountVariance) >= 0.01 ? 1 : 0),
+    }),
+    { orderedQty: 0, inventoryQty: 0, orderAmount: 0, inventoryValue: 0, mismatched: 0 },
+  );
+
+  return { rows: reconciled, totals };
+};
+
+/**
+ * Format a number as Philippine peso
+ * @param {number} value
+ * @returns {string}
+ */
+export const formatPeso = (value) =>
+  `₱${(Number(value) || 0).toLocaleString("en-PH", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+/**
+ * Map EducationLevelFilter values to DB education_level (Preschool is stored as Kindergarten)
+ * @param {string} level
+ * @returns {string|null}
+ */
+export const toDbEducationLevel = (level) => {
+  if (!level || level === "all") return null;
+  return level === "Preschool" ? "Kindergarten" : level;
+};
@@ -0,0 +1,217 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { createPortal } from "react-dom";
+import { Minus, Plus } from "lucide-react";
+import { itemsAPI } from "../../../services/api";
+
+/**
+ * AddCartItemModal Component
+ *
+ * Adds an item to a linked student's cart. Only items the student's education level is
+ * eligible for are listed, and the quantity is capped by the student's remaining limit.
+ *
+ * Props:
+ * - studentName: string - Shown in the title
+ * - eligibleItems: Array - Items for the student's eligibility level (from useStudentAccount)
+ * - getItemRoom: function(itemName) - Largest quantity that can still be added
+ * - saving: boolean - Add in progress
+ * - onAdd: async function(item, size, quantity) - Add to the cart
+ * - onClose: function - Close the modal
+ */
+const AddCartItemModal = ({ studentName, eligibleItems, getItemRoom, saving = false, onAdd, onClose }) => {
+  const [itemId, setItemId] = useState("");
+  const [sizes, setSizes] = useState([]);
+  const [loadingSizes, setLoadingSizes] = useState(false);
+  const [size, setSize] = useState("");
+  const [quantity, setQuantity] = useState(1);
+  const [error, setError] = useState("");
+
+  // One entry per item name (the list has a row per size)
+  const itemOptions = useMemo(() => {
+    const seen = new Set();
+    return (eligibleItems || [])
+      .filter((item) => {
+        const key = `${item.name}|${item.education_level}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [eligibleItems]);
+
+  const selectedItem = itemOptions.find((item) => String(item.id) === itemId) || null;
+  const room = selectedItem ? getItemRoom(selectedItem.name) : 0;
+
+  useEffect(() => {
+    if (!selectedItem) return;
+    let cancelled = false;
+    setSize("");
+    setQuantity(1);
+    setLoadingSizes(true);
+    itemsAPI
+      .getAvailableSizes(selectedItem.name, selectedItem.education_level)
+      .then((response) => {
+        if (cancelled) return;
+        const list = (response.data?.success ? response.data.data || [] : []).filter(
+          (sizeData) => sizeData.size && sizeData.size !== "N/A",
+        );
+        setSizes(list);
+        if (list.length === 0) setSize("N/A");
+      })
+      .catch((err) => {
+        console.error("Error fetching sizes:", err);
+        if (!cancelled) setSizes([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingSizes(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedItem]);
+
+  const handleAdd = async () => {
+    setError("");
+    try {
+      await onAdd(selectedItem, size, quantity);
+      onClose();
+    } catch (err) {
+      setError(err.message || "Failed to add item.");
+    }
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-[9999] p-2 sm:p-4"
+      onClick={onClose}
+      aria-modal="true"
+      role="dialog"
+      aria-label="Add item to cart"
+    >
+      <div
+        className="bg-white rounded-xl sm:rounded-2xl shadow-2xl max-w-md w-full p-4 sm:p-6 relative max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          type="button"
+          onClick={onClose}
+          className="absolute top-2 right-2 sm:top-4 sm:right-4 w-8 h-8 sm:w-10 sm:h-10 rounded-full bg-red-500 hover:bg-red-600 text-white flex items-center justify-center transition-colors z-10"
+          aria-label="Close"
+        >
+          ✕
+        </button>
+
+        <h2 className="text-center text-xl sm:text-2xl font-bold mb-1 pr-8">
+          <span className="text-[#003363]">Add </span>
+          <span className="text-[#F28C28]">Item</span>
+        </h2>
+        <p className="text-center text-xs sm:text-sm text-gray-600 mb-4">For {studentName}</p>
+
+        {itemOptions.length === 0 ? (
+          <p className="text-sm text-gray-600 text-center">
+            No items are available for this student&apos;s education level yet.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            <label className="block text-sm font-medium text-gray-700">
+              Item
+              <select
+                value={itemId}
+                onChange={(e) => setItemId(e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#F28C28] focus:border-transparent"
+              >
+                <option value="">Select an item</option>
+                {itemOptions.map((item) => (
+                  <option key={item.id} value={String(item.id)} disabled={getItemRoom(item.name) < 1}>
+                    {item.name}
+                    {getItemRoom(item.name) < 1 ? " (limit reached)" : ""}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            {selectedItem && (
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-1.5">Size</p>
+                {loadingSizes ? (
+                  <p className="text-xs text-gray-500">Loading sizes...</p>
+                ) : sizes.length === 0 ? (
+                  <p className="text-xs text-gray-500">This item has no sizes.</p>
+                ) : (
+                  <div className="flex flex-wrap gap-2">
+                    {sizes.map((sizeData) => (
+                      <button
+                        key={sizeData.size}
+                        type="button"
+                        onClick={() => setSize(sizeData.size)}
+                        className={`px-3 py-1.5 rounded-lg border text-xs font-medium transition-colors ${
+                          size === sizeData.size
+                            ? "bg-[#003363] text-white border-[#003363]"
+                            : "bg-white text-gray-700 border-gray-300 hover:border-[#003363]"
+                        }`}
+                      >
+                        {sizeData.size}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {selectedItem && (
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Quantity</p>
+                  <p className="text-xs text-gray-500">Up to {room} more for this student</p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setQuantity((q) => Math.max(1, q - 1))}
+                    disabled={quantity <= 1}
+                    className="p-1.5 rounded-full border border-gray-300 disabled:opacity-40"
+                    aria-label="Decrease quantity"
+                  >
+                    <Minus size={14} />
+                  </button>
+                  <span className="w-6 text-center text-sm font-semibold">{quantity}</span>
+                  <button
+                    type="button"
+                    onClick={() => setQuantity((q) => Math.min(room, q + 1))}
+                    disabled={quantity >= room}
+                    className="p-1.5 rounded-full border border-gray-300 disabled:opacity-40"
+                    aria-label="Increase quantity"
+                  >
+                    <Plus size={14} />
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+        <div className="flex gap-3 justify-end mt-5">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={saving || !selectedItem || !size || room < 1 || loadingSizes}
+            className="px-4 py-2 text-sm bg-[#F28C28] text-white rounded-lg hover:bg-[#d97a1f] transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? "Adding..." : "Add to cart"}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+};
+
+export default AddCartItemModal;
@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import { createPortal } from "react-dom";
+
+/**
+ * LinkStudentModal Component
+ *
+ * Links a student to the guardian account with the code the student creates under
+ * Settings → Guardian Access. Codes are short-lived and single use.
+ *
+ * Props:
+ * - linking: boolean - Link request in progress
+ * - onLink: async function(code) - Link the student; rejects with a readable error
+ * - onClose: function - Close the modal
+ */
+const LinkStudentModal = ({ linking = false, onLink, onClose }) => {
+  const [code, setCode] = useState("");
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      await onLink(code);
+      onClose();
+    } catch (err) {
+      setError(err.message || "Failed to link student.");
+    }
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-[9999] p-2 sm:p-4"
+      onClick={onClose}
+      aria-modal="true"
+      role="dialog"
+      aria-label="Link a student"
+    >
+      <form
+        className="bg-white rounded-xl sm:rounded-2xl shadow-2xl max-w-md w-full p-4 sm:p-6 relative"
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+      >
+        <button
+          type="button"
+          onClick={onClose}
+          className="absolute top-2 right-2 sm:top-4 sm:right-4 w-8 h-8 sm:w-10 sm:h-10 rounded-full bg-red-500 hover:bg-red-600 text-white flex items-center justify-center transition-colors z-10"
+          aria-label="Close"
+        >
+          ✕
+        </button>
+
+        <h2 className="text-center text-xl sm:text-2xl font-bold mb-2 pr-8">
+          <span className="text-[#003363]">Link a </span>
+          <span className="text-[#F28C28]">Student</span>
+        </h2>
+        <p className="text-center text-xs sm:text-sm text-gray-600 mb-4">
+          Ask your child to open Settings → Guardian Access in their account and create a link
+          code, then enter it here.
+        </p>
+
+        <label className="block text-sm font-medium text-gray-700">
+          Link code
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+            maxLength={12}
+            autoFocus
+            placeholder="e.g. K7QX-42PM"
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono tracking-widest focus:outline-none focus:ring-2 focus:ring-[#F28C28] focus:border-transparent"
+          />
+        </label>
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+        <div className="flex gap-3 justify-end mt-5">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={linking || !code.trim()}
+            className="px-4 py-2 text-sm bg-[#F28C28] text-white rounded-lg hover:bg-[#d97a1f] transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {linking ? "Linking..." : "Link student"}
+          </button>
+        </div>
+      </form>
+    </div>,
+    document.body,
+  );
+};
+
+export default LinkStudentModal;
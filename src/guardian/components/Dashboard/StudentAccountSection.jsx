@@ -0,0 +1,302 @@
+import React, { useEffect, useState } from "react";
+import { createPortal } from "react-dom";
+import { format } from "date-fns";
+import { AlertCircle, Minus, Plus, QrCode, ShoppingCart, Package, Trash2, Unlink } from "lucide-react";
+import { toast } from "react-hot-toast";
+import { useStudentAccount } from "../../hooks";
+import { QRCodeModal } from "../../../student/components/Orders/MyOrders";
+import {
+  ORDER_AWAITING_APPROVAL_STATUS,
+  APPROVAL_STATUS,
+} from "../../../utils/orderLimitPolicy";
+import { getCartItemName } from "../../../utils/studentOrderLimits";
+import AddCartItemModal from "./AddCartItemModal";
+
+const ACTIVE_STATUSES = ["pending", "processing", "ready", "payment_pending", ORDER_AWAITING_APPROVAL_STATUS];
+
+const STATUS_LABELS = {
+  pending: { label: "Pending", className: "bg-yellow-100 text-yellow-700" },
+  processing: { label: "Processing", className: "bg-blue-100 text-blue-700" },
+  ready: { label: "Ready to claim", className: "bg-green-100 text-green-700" },
+  payment_pending: { label: "Payment pending", className: "bg-yellow-100 text-yellow-700" },
+  [ORDER_AWAITING_APPROVAL_STATUS]: { label: "Awaiting approval", className: "bg-purple-100 text-purple-700" },
+  claimed: { label: "Claimed", className: "bg-gray-100 text-gray-700" },
+  completed: { label: "Claimed", className: "bg-gray-100 text-gray-700" },
+  cancelled: { label: "Cancelled", className: "bg-red-100 text-red-700" },
+  voided: { label: "Voided", className: "bg-red-100 text-red-700" },
+};
+
+/** Orders the student can claim with a QR code (same rule as MyOrders' Show QR button) */
+const canShowQR = (order) =>
+  order.order_type !== "pre-order" &&
+  ["pending", "processing", "ready", "payment_pending"].includes(order.status) &&
+  order.approval_status !== APPROVAL_STATUS.DENIED;
+
+/**
+ * StudentAccountSection Component
+ *
+ * One linked student on the guardian dashboard: their cart (limited to what their
+ * education level is eligible for and to their max quantities), their orders and the
+ * QR codes for orders waiting to be claimed.
+ *
+ * Props:
+ * - student: linked student from useLinkedStudents
+ * - onUnlink: function(student) - Unlink the student
+ * - onSummaryChange: function(studentId, { cartCount, activeOrders, readyOrders }) - Totals for the overview
+ */
+const StudentAccountSection = ({ student, onUnlink, onSummaryChange }) => {
+  const {
+    cart,
+    orders,
+    eligibleItems,
+    issues,
+    loading,
+    error,
+    saving,
+    addItem,
+    updateQuantity,
+    removeItem,
+    checkout,
+    getLineMax,
+    getItemRoom,
+  } = useStudentAccount(student);
+  const [showAddItem, setShowAddItem] = useState(false);
+  const [qrOrder, setQrOrder] = useState(null);
+  const [showPastOrders, setShowPastOrders] = useState(false);
+
+  const activeOrders = orders.filter((order) => ACTIVE_STATUSES.includes(order.status));
+  const pastOrders = orders.filter((order) => !ACTIVE_STATUSES.includes(order.status));
+  const cartCount = cart.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+  const readyOrders = activeOrders.filter((order) => order.status === "ready").length;
+
+  useEffect(() => {
+    onSummaryChange?.(student.id, { cartCount, activeOrders: activeOrders.length, readyOrders });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [student.id, cartCount, activeOrders.length, readyOrders]);
+
+  const ineligibleIds = new Set(issues.ineligibleItems.map((item) => item.id));
+
+  const runCartAction = async (action, successMessage) => {
+    try {
+      await action();
+      if (successMessage) toast.success(successMessage);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleCheckout = () =>
+    runCartAction(checkout, `Order placed for ${student.name}. You can show the QR code below when it is ready.`);
+
+  const renderOrder = (order) => {
+    const status = STATUS_LABELS[order.status] || { label: order.status, className: "bg-gray-100 text-gray-700" };
+    const items = Array.isArray(order.items) ? order.items : [];
+    return (
+      <li key={order.id} className="py-3 flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900">
+            {items.map((item) => `${item.quantity > 1 ? `${item.quantity}x ` : ""}${item.name}${item.size && item.size !== "N/A" ? ` (${item.size})` : ""}`).join(", ") || "No items"}
+          </p>
+          <p className="text-xs text-gray-500">
+            <span className="font-mono">{order.order_number}</span>
+            {order.created_at && ` · ${format(new Date(order.created_at), "MMM d, yyyy")}`}
+            {order.order_type === "pre-order" && " · Pre-order"}
+          </p>
+        </div>
+        <div className="flex flex-col items-end gap-1.5 shrink-0">
+          <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${status.className}`}>{status.label}</span>
+          {canShowQR(order) && (
+            <button
+              type="button"
+              onClick={() => setQrOrder(order)}
+              className="flex items-center gap-1 text-xs font-medium text-[#003363] hover:text-[#F28C28]"
+            >
+              <QrCode size={14} />
+              Show QR
+            </button>
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <section id={`student-${student.id}`} className="bg-white rounded-xl shadow-sm border border-gray-100 scroll-mt-24">
+      {/* Student header */}
+      <div className="px-4 sm:px-6 py-4 border-b border-gray-100 flex items-start justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-bold text-[#0C2340]">{student.name}</h2>
+          <p className="text-sm text-[#e68b00]">
+            {[student.education_level, student.course_year_level].filter(Boolean).join(" · ") || "Education level not set"}
+          </p>
+          {student.student_number && <p className="text-xs text-gray-500 font-mono">{student.student_number}</p>}
+        </div>
+        <button
+          type="button"
+          onClick={() => onUnlink(student)}
+          className="flex items-center gap-1 text-xs font-medium text-gray-500 hover:text-red-600"
+          title="Unlink this student from your account"
+        >
+          <Unlink size={14} />
+          Unlink
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="px-6 py-8 text-sm text-gray-500 text-center">Loading {student.name}&apos;s account...</p>
+      ) : error ? (
+        <p className="px-6 py-8 text-sm text-red-600 text-center">{error}</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 divide-y lg:divide-y-0 lg:divide-x divide-gray-100">
+          {/* Cart */}
+          <div className="p-4 sm:p-6">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sm font-semibold text-[#003363] flex items-center gap-1.5">
+                <ShoppingCart size={16} />
+                Cart ({cartCount})
+              </h3>
+              <button
+                type="button"
+                onClick={() => setShowAddItem(true)}
+                className="text-sm font-medium text-[#F28C28] hover:text-[#d97a1f] underline"
+              >
+                Add item
+              </button>
+            </div>
+
+            {cart.length === 0 ? (
+              <p className="text-sm text-gray-500">The cart is empty.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {cart.map((line) => {
+                  const lineMax = getLineMax(line);
+                  const quantity = Number(line.quantity) || 1;
+                  const ineligible = ineligibleIds.has(line.id);
+                  return (
+                    <li key={line.id} className="py-2.5 flex items-center justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className={`text-sm font-medium ${ineligible ? "text-red-600 line-through" : "text-gray-900"}`}>
+                          {getCartItemName(line)}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {line.size && line.size !== "N/A" ? `Size ${line.size}` : "No size"}
+                          {ineligible && <span className="text-red-600"> · Not for this education level</span>}
+                          {!ineligible && quantity > lineMax && <span className="text-red-600"> · Max {lineMax}</span>}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2 shrink-0">
+                        <button
+                          type="button"
+                          onClick={() =>
+                            runCartAction(() => (quantity <= 1 ? removeItem(line) : updateQuantity(line, quantity - 1)))
+                          }
+                          disabled={saving}
+                          className="p-1 rounded-full border border-gray-300 disabled:opacity-40"
+                          aria-label="Decrease quantity"
+                        >
+                          <Minus size={12} />
+                        </button>
+                        <span className="w-5 text-center text-sm font-semibold">{quantity}</span>
+                        <button
+                          type="button"
+                          onClick={() => runCartAction(() => updateQuantity(line, quantity + 1))}
+                          disabled={saving || ineligible || quantity >= lineMax}
+                          className="p-1 rounded-full border border-gray-300 disabled:opacity-40"
+                          aria-label="Increase quantity"
+                        >
+                          <Plus size={12} />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => runCartAction(() => removeItem(line), "Item removed")}
+                          disabled={saving}
+                          className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-40"
+                          aria-label="Remove item"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+
+            {cart.length > 0 && issues.messages.length > 0 && (
+              <div className="mt-3 rounded-lg bg-red-50 border border-red-200 p-3 space-y-1">
+                {issues.messages.map((message) => (
+                  <p key={message} className="text-xs text-red-700 flex items-start gap-1.5">
+                    <AlertCircle size={14} className="shrink-0 mt-px" />
+                    {message}
+                  </p>
+                ))}
+              </div>
+            )}
+
+            {cart.length > 0 && (
+              <button
+                type="button"
+                onClick={handleCheckout}
+                disabled={saving || !issues.canOrder}
+                className="mt-4 w-full py-2.5 bg-[#F28C28] text-white rounded-full text-sm font-semibold hover:bg-[#d97a1f] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? "Please wait..." : `Place order for ${student.name}`}
+              </button>
+            )}
+          </div>
+
+          {/* Orders */}
+          <div className="p-4 sm:p-6">
+            <h3 className="text-sm font-semibold text-[#003363] flex items-center gap-1.5 mb-1">
+              <Package size={16} />
+              Orders ({activeOrders.length} active)
+            </h3>
+            {activeOrders.length === 0 ? (
+              <p className="text-sm text-gray-500 mt-2">No active orders.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">{activeOrders.map(renderOrder)}</ul>
+            )}
+            {pastOrders.length > 0 && (
+              <>
+                <button
+                  type="button"
+                  onClick={() => setShowPastOrders((prev) => !prev)}
+                  className="mt-2 text-xs font-medium text-gray-500 hover:text-[#003363] underline"
+                >
+                  {showPastOrders ? "Hide" : "Show"} past orders ({pastOrders.length})
+                </button>
+                {showPastOrders && <ul className="divide-y divide-gray-100">{pastOrders.map(renderOrder)}</ul>}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {showAddItem && (
+        <AddCartItemModal
+          studentName={student.name}
+          eligibleItems={eligibleItems}
+          getItemRoom={getItemRoom}
+          saving={saving}
+          onAdd={async (item, size, quantity) => {
+            await addItem(item, size, quantity);
+            toast.success(`${item.name} added to ${student.name}'s cart`);
+          }}
+          onClose={() => setShowAddItem(false)}
+        />
+      )}
+
+      {qrOrder &&
+        createPortal(
+          <QRCodeModal
+            order={qrOrder}
+            profileData={{ courseYearLevel: student.course_year_level }}
+            onClose={() => setQrOrder(null)}
+          />,
+          document.body,
+        )}
+    </section>
+  );
+};
+
+export default StudentAccountSection;
@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { LogOut } from "lucide-react";
+import { useAuth } from "../../../context/AuthContext";
+import { splitDisplayName } from "../../../utils/displayName";
+
+/**
+ * GuardianHeader Component
+ *
+ * Top header of the guardian portal with:
+ * - School logo and "Guardian" title
+ * - User profile section (responsive)
+ * - Logout button
+ */
+const GuardianHeader = () => {
+  const navigate = useNavigate();
+  const { user, logout } = useAuth();
+  const [imageLoadError, setImageLoadError] = useState(false);
+
+  const rawName = user?.displayName || user?.name || "";
+  const displayName = rawName ? splitDisplayName(rawName).displayName : "Guardian";
+  const userEmail = user?.email || "";
+  const userAvatar = user?.photoURL || null;
+  const avatarInitial = displayName.charAt(0).toUpperCase() || "G";
+
+  // Reset image load error when user photo URL changes
+  useEffect(() => {
+    setImageLoadError(false);
+  }, [user?.photoURL]);
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error("Logout failed:", error);
+    }
+    navigate("/");
+  };
+
+  return (
+    <header className="fixed top-0 left-0 right-0 h-16 bg-white border-b border-gray-100 px-4 sm:px-8 flex items-center justify-between z-40">
+      <div className="flex items-center gap-3">
+        <img src="/assets/image/LV Logo.png" alt="La Verdad" className="w-9 h-9 object-contain" />
+        <h2 className="text-base sm:text-lg font-semibold text-[#0C2340]">
+          Guardian <span className="hidden sm:inline text-[#e68b00]">Portal</span>
+        </h2>
+      </div>
+
+      <div className="flex items-center gap-3 sm:gap-6">
+        <div className="flex items-center gap-2 sm:gap-3">
+          {/* Hide name/email on small screens */}
+          <div className="hidden sm:flex flex-col items-end">
+            <span className="text-sm font-medium text-[#0C2340]">{displayName}</span>
+            {userEmail && <span className="text-xs text-gray-500">{userEmail}</span>}
+          </div>
+          {userAvatar && !imageLoadError ? (
+            <img
+              src={userAvatar}
+              alt={displayName}
+              className="w-9 h-9 sm:w-10 sm:h-10 rounded-full object-cover border-2 border-[#e68b00]"
+              onError={() => setImageLoadError(true)}
+            />
+          ) : (
+            <div
+              className="w-9 h-9 sm:w-10 sm:h-10 rounded-full bg-[#003363] flex items-center justify-center border-2 border-[#e68b00] text-white text-sm font-semibold shrink-0"
+              aria-label={displayName}
+            >
+              {avatarInitial}
+            </div>
+          )}
+        </div>
+        <button
+          onClick={handleLogout}
+          className="flex items-center gap-1.5 px-3 py-2 text-sm font-medium text-[#0C2340] hover:bg-gray-100 rounded-lg transition-colors"
+        >
+          <LogOut size={18} />
+          <span className="hidden sm:inline">Logout</span>
+        </button>
+      </div>
+    </header>
+  );
+};
+
+export default GuardianHeader;
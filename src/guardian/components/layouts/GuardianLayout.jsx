@@ -0,0 +1,24 @@
+import React from "react";
+import GuardianHeader from "../common/GuardianHeader";
+
+/**
+ * GuardianLayout Component
+ *
+ * Layout wrapper for guardian pages: the guardian header and a centered content area.
+ * Guardians have a single dashboard, so there is no sidebar.
+ *
+ * Props:
+ * - children: React node - The page content to render
+ */
+const GuardianLayout = ({ children }) => {
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <GuardianHeader />
+      <main className="pt-16">
+        <div className="max-w-6xl mx-auto p-4 sm:p-6 lg:p-8">{children}</div>
+      </main>
+    </div>
+  );
+};
+
+export default GuardianLayout;
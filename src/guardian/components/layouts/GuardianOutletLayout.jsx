@@ -0,0 +1,15 @@
+import { Outlet } from "react-router-dom";
+import GuardianLayout from "./GuardianLayout";
+
+/**
+ * Single persistent shell for all /guardian/* routes.
+ */
+const GuardianOutletLayout = () => {
+  return (
+    <GuardianLayout>
+      <Outlet />
+    </GuardianLayout>
+  );
+};
+
+export default GuardianOutletLayout;
@@ -0,0 +1,8 @@
+/**
+ * Guardian Hooks Index
+ *
+ * Central export file for guardian-specific custom hooks.
+ */
+
+export { useLinkedStudents } from "./useLinkedStudents";
+export { useStudentAccount } from "./useStudentAccount";
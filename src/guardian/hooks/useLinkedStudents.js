@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback } from "react";
+import { guardianAPI } from "../../services/guardian.service";
+
+/**
+ * useLinkedStudents Hook
+ *
+ * Students linked to the signed-in guardian:
+ * - Loads the linked students
+ * - Links a student with the code from the student's Settings page
+ * - Unlinks a student
+ *
+ * @returns {Object} { students, loading, error, linking, linkStudent, unlinkStudent, refetch }
+ */
+export const useLinkedStudents = () => {
+  const [students, setStudents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [linking, setLinking] = useState(false);
+
+  const fetchStudents = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await guardianAPI.getStudents();
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || "Failed to load linked students");
+      }
+      setStudents(response.data.data || []);
+    } catch (err) {
+      console.error("Error fetching linked students:", err);
+      setError(err.response?.data?.message || err.message || "Failed to load linked students");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStudents();
+  }, [fetchStudents]);
+
+  /**
+   * Link a student
+   * @param {string} linkCode - Code the student created
+   * @returns {Promise<Object>} The linked student
+   */
+  const linkStudent = useCallback(async (linkCode) => {
+    const code = (linkCode || "").trim().toUpperCase();
+    if (!code) throw new Error("Enter the link code from the student's account");
+
+    try {
+      setLinking(true);
+      const response = await guardianAPI.linkStudent(code);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || "Failed to link student");
+      }
+      const student = response.data.data;
+      setStudents((prev) => [...prev.filter((s) => s.id !== student.id), student]);
+      return student;
+    } catch (err) {
+      console.error("Error linking student:", err);
+      throw new Error(err.response?.data?.message || err.message || "Failed to link student");
+    } finally {
+      setLinking(false);
+    }
+  }, []);
+
+  /**
+   * Unlink a student
+   * @param {string} studentId - Student user ID
+   */
+  const unlinkStudent = useCallback(async (studentId) => {
+    try {
+      const response = await guardianAPI.unlinkStudent(studentId);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || "Failed to unlink student");
+      }
+      setStudents((prev) => prev.filter((s) => s.id !== studentId));
+    } catch (err) {
+      console.error("Error unlinking student:", err);
+      throw new Error(err.response?.data?.message || err.message || "Failed to unlink student");
+    }
+  }, []);
+
+  return {
+    students,
+    loading,
+    error,
+    linking,
+    linkStudent,
+    unlinkStudent,
+    refetch: fetchStudents,
+  };
+};
+
+export default useLinkedStudents;
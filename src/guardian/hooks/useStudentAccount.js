@@ -0,0 +1,257 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import api, { cartAPI } from "../../services/api";
+import { guardianAPI } from "../../services/guardian.service";
+import { useSocket } from "../../context/SocketContext";
+import {
+  EMPTY_LIMITS,
+  normalizeLimits,
+  getCartIssues,
+  getMaxQuantityForLine,
+  getRoomForItem,
+} from "../../utils/studentOrderLimits";
+
+/** Vocational students order from the College item list (same as AllProducts) */
+const getEligibilityLevel = (educationLevel) =>
+  educationLevel === "Vocational" ? "College" : educationLevel;
+
+/**
+ * useStudentAccount Hook
+ *
+ * One linked student's cart, orders and limits as seen by their guardian:
+ * - Loads the cart, orders, max-quantity limits and the items the student's education
+ *   level is eligible for
+ * - Cart changes are capped by the student's limits; checkout is blocked while the cart
+ *   has ineligible or over-limit items (the backend checks again)
+ * - Refetches when the student's orders change
+ *
+ * @param {Object} student - Linked student ({ id, education_level, course_year_level, student_type })
+ * @returns {Object} { cart, orders, limits, eligibleItems, issues, isOldStudent, loading, error, saving,
+ *   addItem, updateQuantity, removeItem, checkout, getLineMax, getItemRoom, refetch }
+ */
+export const useStudentAccount = (student) => {
+  const { on, off } = useSocket();
+  const [cart, setCart] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [limits, setLimits] = useState(EMPTY_LIMITS);
+  const [eligibleItems, setEligibleItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const studentId = student?.id;
+  const eligibilityLevel = getEligibilityLevel(student?.education_level);
+  const studentType = student?.student_type || null;
+  const gradeLevel = student?.course_year_level || null;
+  const isOldStudent = (studentType || "").toLowerCase() === "old";
+
+  const fetchCart = useCallback(async () => {
+    const response = await cartAPI.getCartItems(studentId);
+    setCart(response.data?.success ? response.data.data || [] : []);
+  }, [studentId]);
+
+  const fetchOrders = useCallback(async () => {
+    const response = await guardianAPI.getStudentOrders(studentId);
+    setOrders(response.data?.success ? response.data.data || [] : []);
+  }, [studentId]);
+
+  const fetchLimits = useCallback(async () => {
+    try {
+      const response = await guardianAPI.getStudentLimits(studentId);
+      setLimits(normalizeLimits(response.data));
+    } catch (err) {
+      // 400/403 still carry the limits (profile incomplete, old student without permission)
+      if (err?.response?.data) {
+        setLimits(normalizeLimits(err.response.data));
+        return;
+      }
+      throw err;
+    }
+  }, [studentId]);
+
+  const fetchEligibleItems = useCallback(async () => {
+    if (!eligibilityLevel) {
+      setEligibleItems([]);
+      return;
+    }
+    const response = await api.get("/items", {
+      params: {
+        userEducationLevel: eligibilityLevel,
+        ...(studentType ? { studentType } : {}),
+        ...(gradeLevel ? { userGradeLevel: gradeLevel } : {}),
+        limit: 10000,
+        page: 1,
+      },
+    });
+    setEligibleItems(response.data?.success ? response.data.data || [] : []);
+  }, [eligibilityLevel, studentType, gradeLevel]);
+
+  const fetchAll = useCallback(async () => {
+    if (!studentId) return;
+    try {
+      setLoading(true);
+      setError(null);
+      await Promise.all([fetchCart(), fetchOrders(), fetchLimits(), fetchEligibleItems()]);
+    } catch (err) {
+      console.error("Error fetching student account:", err);
+      setError(err.response?.data?.message || err.message || "Failed to load this student's account");
+    } finally {
+      setLoading(false);
+    }
+  }, [studentId, fetchCart, fetchOrders, fetchLimits, fetchEligibleItems]);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  // Orders placed, released or voided elsewhere also change the limits
+  useEffect(() => {
+    if (!studentId) return;
+    const handleOrderChange = (data) => {
+      const changedStudent = data?.order?.student_id || data?.studentId || data?.student_id;
+      if (changedStudent && String(changedStudent) !== String(studentId)) return;
+      Promise.all([fetchOrders(), fetchLimits()]).catch((err) =>
+        console.error("Error refreshing student orders:", err),
+      );
+    };
+    on("order:created", handleOrderChange);
+    on("order:updated", handleOrderChange);
+    on("order:claimed", handleOrderChange);
+    return () => {
+      off("order:created", handleOrderChange);
+      off("order:updated", handleOrderChange);
+      off("order:claimed", handleOrderChange);
+    };
+  }, [studentId, on, off, fetchOrders, fetchLimits]);
+
+  const issues = useMemo(
+    () => getCartIssues(cart, limits, { isOldStudent, eligibleItems }),
+    [cart, limits, isOldStudent, eligibleItems],
+  );
+
+  /** Largest quantity allowed for a cart line */
+  const getLineMax = useCallback(
+    (line) => getMaxQuantityForLine(cart, line, limits, isOldStudent),
+    [cart, limits, isOldStudent],
+  );
+
+  /** Largest quantity of an item that can still be added */
+  const getItemRoom = useCallback(
+    (itemName) => getRoomForItem(cart, itemName, limits, isOldStudent),
+    [cart, limits, isOldStudent],
+  );
+
+  /** Run a cart change, then reload the cart */
+  const withCartSave = useCallback(
+    async (action, fallbackMessage) => {
+      try {
+        setSaving(true);
+        const response = await action();
+        if (!response.data?.success) {
+          throw new Error(response.data?.message || fallbackMessage);
+        }
+        await fetchCart();
+        return response.data;
+      } catch (err) {
+        console.error(`${fallbackMessage}:`, err);
+        throw new Error(err.response?.data?.message || err.message || fallbackMessage);
+      } finally {
+        setSaving(false);
+      }
+    },
+    [fetchCart],
+  );
+
+  /**
+   * Add an eligible item to the student's cart
+   * @param {Object} item - Eligible item ({ id, name })
+   * @param {string} size - Size from the item's available sizes ("N/A" when sizeless)
+   * @param {number} quantity
+   */
+  const addItem = useCallback(
+    async (item, size, quantity) => {
+      if (!eligibleItems.some((eligible) => eligible.id === item.id)) {
+        throw new Error(`${item.name} is not available for this student's education level`);
+      }
+      const room = getRoomForItem(cart, item.name, limits, isOldStudent);
+      if (room < 1) throw new Error(`${item.name} is already at this student's maximum`);
+
+      return withCartSave(
+        () =>
+          cartAPI.addToCart({
+            userId: studentId,
+            inventoryId: item.id,
+            size: size || "N/A",
+            quantity: Math.min(Math.max(1, quantity), room),
+          }),
+        "Failed to add item to cart",
+      );
+    },
+    [cart, limits, isOldStudent, eligibleItems, studentId, withCartSave],
+  );
+
+  /**
+   * Change a cart line's quantity (capped by the student's limits)
+   * @param {Object} line - Cart line
+   * @param {number} quantity - Wanted quantity
+   */
+  const updateQuantity = useCallback(
+    async (line, quantity) => {
+      const capped = Math.min(quantity, getMaxQuantityForLine(cart, line, limits, isOldStudent));
+      if (capped < 1) throw new Error("This item is already at the student's maximum");
+      return withCartSave(
+        () => cartAPI.updateCartItem(line.id, studentId, capped),
+        "Failed to update cart",
+      );
+    },
+    [cart, limits, isOldStudent, studentId, withCartSave],
+  );
+
+  /** Remove a cart line */
+  const removeItem = useCallback(
+    async (line) =>
+      withCartSave(() => cartAPI.removeFromCart(line.id, studentId), "Failed to remove item"),
+    [studentId, withCartSave],
+  );
+
+  /** Place the order for the whole cart */
+  const checkout = useCallback(async () => {
+    if (!issues.canOrder) {
+      throw new Error(issues.messages[0] || "The cart is empty");
+    }
+    try {
+      setSaving(true);
+      const response = await guardianAPI.checkoutCart(studentId);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || "Failed to place order");
+      }
+      await Promise.all([fetchCart(), fetchOrders(), fetchLimits()]);
+      return response.data.data;
+    } catch (err) {
+      console.error("Error placing guardian order:", err);
+      throw new Error(err.response?.data?.message || err.message || "Failed to place order");
+    } finally {
+      setSaving(false);
+    }
+  }, [issues, studentId, fetchCart, fetchOrders, fetchLimits]);
+
+  return {
+    cart,
+    orders,
+    limits,
+    eligibleItems,
+    issues,
+    isOldStudent,
+    loading,
+    error,
+    saving,
+    addItem,
+    updateQuantity,
+    removeItem,
+    checkout,
+    getLineMax,
+    getItemRoom,
+    refetch: fetchAll,
+  };
+};
+
+export default useStudentAccount;
@@ -0,0 +1,144 @@
+import React, { useCallback, useState } from "react";
+import { Users, ShoppingCart, Package, QrCode, UserPlus } from "lucide-react";
+import { toast } from "react-hot-toast";
+import StatsCard from "../../property-custodian/components/shared/stats/StatsCard";
+import { useLinkedStudents } from "../hooks";
+import StudentAccountSection from "../components/Dashboard/StudentAccountSection";
+import LinkStudentModal from "../components/Dashboard/LinkStudentModal";
+
+/**
+ * Guardian Dashboard
+ *
+ * One page for every student linked to the guardian: a family overview followed by
+ * each student's cart, orders and pickup QR codes.
+ */
+const GuardianDashboard = () => {
+  const { students, loading, error, linking, linkStudent, unlinkStudent } = useLinkedStudents();
+  const [showLinkModal, setShowLinkModal] = useState(false);
+  const [summaries, setSummaries] = useState({});
+
+  const handleSummaryChange = useCallback((studentId, summary) => {
+    setSummaries((prev) => ({ ...prev, [studentId]: summary }));
+  }, []);
+
+  const handleLink = async (code) => {
+    const student = await linkStudent(code);
+    toast.success(`${student.name} is now linked to your account`);
+  };
+
+  const handleUnlink = async (student) => {
+    if (!window.confirm(`Unlink ${student.name}? You will no longer see their cart and orders.`)) return;
+    try {
+      await unlinkStudent(student.id);
+      setSummaries((prev) => {
+        const next = { ...prev };
+        delete next[student.id];
+        return next;
+      });
+      toast.success(`${student.name} was unlinked`);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const totals = students.reduce(
+    (acc, student) => {
+      const summary = summaries[student.id];
+      if (!summary) return acc;
+      return {
+        cartCount: acc.cartCount + summary.cartCount,
+        activeOrders: acc.activeOrders + summary.activeOrders,
+        readyOrders: acc.readyOrders + summary.readyOrders,
+      };
+    },
+    { cartCount: 0, activeOrders: 0, readyOrders: 0 },
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-[#0C2340]">My Students</h1>
+          <p className="text-sm text-gray-500">Carts, orders and pickup QR codes for your linked students</p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setShowLinkModal(true)}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-[#F28C28] text-white rounded-lg text-sm font-semibold hover:bg-[#d97a1f] transition-colors"
+        >
+          <UserPlus size={18} />
+          Link a student
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatsCard
+          title="Linked Students"
+          value={loading ? "—" : students.length}
+          icon={Users}
+          color="text-[#0C2340]"
+          bgColor="bg-blue-100"
+          iconColor="text-blue-600"
+        />
+        <StatsCard
+          title="Items in Carts"
+          value={loading ? "—" : totals.cartCount}
+          icon={ShoppingCart}
+          color="text-[#0C2340]"
+          bgColor="bg-orange-100"
+          iconColor="text-[#e68b00]"
+        />
+        <StatsCard
+          title="Active Orders"
+          value={loading ? "—" : totals.activeOrders}
+          icon={Package}
+          color="text-yellow-700"
+          bgColor="bg-yellow-100"
+          iconColor="text-yellow-600"
+        />
+        <StatsCard
+          title="Ready to Claim"
+          value={loading ? "—" : totals.readyOrders}
+          icon={QrCode}
+          color="text-green-700"
+          bgColor="bg-green-100"
+          iconColor="text-green-600"
+        />
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500 text-center py-12">Loading linked students...</p>
+      ) : students.length === 0 ? (
+        <div className="bg-white rounded-xl border border-dashed border-gray-300 p-8 text-center">
+          <Users size={40} className="mx-auto text-gray-300 mb-3" />
+          <h2 className="text-lg font-semibold text-[#0C2340]">No linked students yet</h2>
+          <p className="text-sm text-gray-500 mt-1 max-w-md mx-auto">
+            Ask your child to create a link code under Settings → Guardian Access in their
+            account, then link them here.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {students.map((student) => (
+            <StudentAccountSection
+              key={student.id}
+              student={student}
+              onUnlink={handleUnlink}
+              onSummaryChange={handleSummaryChange}
+            />
+          ))}
+        </div>
+      )}
+
+      {showLinkModal && (
+        <LinkStudentModal linking={linking} onLink={handleLink} onClose={() => setShowLinkModal(false)} />
+      )}
+    </div>
+  );
+};
+
+export default GuardianDashboard;
@@ -9,6 +9,7 @@
  * - Authentication: Login, redirect, and role management hooks
  * - Dashboard: Student dashboard data hooks
  * - Product: Product categories and pagination hooks (student-side)
+ * - Landing: Published landing page content
  * - UI: Scroll and navigation utility hooks
  *
  * Note: Admin-specific hooks are in admin/hooks/index.js
@@ -27,11 +28,15 @@ export { useRoleSelection } from "./useRoleSelection";
 // Dashboard Hooks (Student)
 export { useDashboardData } from "./useDashboardData";
 export { useOrderStatus } from "./useOrderStatus";
+export { useSchoolCalendar } from "./useSchoolCalendar";
 
 // Product Hooks (Student)
 export { useProductCategories } from "./useProductCategories";
 export { useProductPagination } from "./useProductPagination";
 
+// Landing Page Hooks
+export { useLandingContent } from "./useLandingContent";
+
 // UI Hooks (Shared)
 export { useScrollOnState } from "./useScrollOnState";
 export { useNavigateToSection } from "./useNavigateToSection";
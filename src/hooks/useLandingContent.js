@@ -0,0 +1,49 @@
+import { useEffect, useState } from "react";
+import { useLocation } from "react-router-dom";
+import { landingContentAPI } from "../services/landingContent.service";
+import { loadLandingPreview, mergeLandingContent } from "../utils/landingContent";
+
+/**
+ * useLandingContent Hook
+ *
+ * Content for the landing page. Starts with the defaults and switches to the content
+ * published in SystemSettings once it loads; on ?preview=draft it shows the draft an
+ * admin opened from the content editor instead.
+ *
+ * Usage:
+ * const { content, isPreview } = useLandingContent();
+ */
+export const useLandingContent = () => {
+  const location = useLocation();
+  const isPreview = new URLSearchParams(location.search).get("preview") === "draft";
+  const [content, setContent] = useState(() =>
+    mergeLandingContent(isPreview ? loadLandingPreview() : null),
+  );
+  const [loaded, setLoaded] = useState(isPreview);
+
+  useEffect(() => {
+    if (isPreview) {
+      setContent(mergeLandingContent(loadLandingPreview()));
+      setLoaded(true);
+      return undefined;
+    }
+
+    let cancelled = false;
+    landingContentAPI
+      .getPublishedContent()
+      .then((response) => {
+        if (!cancelled && response.data?.success && response.data.data) {
+          setContent(mergeLandingContent(response.data.data));
+        }
+      })
+      .catch((err) => console.error("Error fetching landing page content:", err))
+      .finally(() => {
+        if (!cancelled) setLoaded(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isPreview]);
+
+  return { content, isPreview, loaded };
+};
@@ -27,10 +27,13 @@ const getDefaultRoute = (user) => {
   // Backend determines role based on email domain and admin config
   if (user.role === "system_admin") {
     return "/system-admin";
+  } else if (user.role === "finance_staff") {
+    return "/finance";
+  } else if (user.role === "guardian") {
+    return "/guardian";
   } else if (
     user.role === "property_custodian" || 
     user.role === "admin" ||
-    user.role === "finance_staff" ||
     user.role === "accounting_staff" ||
     user.role === "department_head"
   ) {
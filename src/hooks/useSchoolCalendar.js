@@ -0,0 +1,31 @@
+import { useEffect, useState } from "react";
+import { getNonWorkingDates, loadSchoolCalendar } from "../utils/schoolCalendar";
+
+/**
+ * useSchoolCalendar Hook
+ *
+ * Loads the school's non-working dates and re-renders once they arrive, so QR validity
+ * countdowns (getRemainingValidityDays) include holidays and class suspensions.
+ *
+ * Usage:
+ * const { nonWorkingDates, loaded } = useSchoolCalendar();
+ */
+export const useSchoolCalendar = () => {
+  const [nonWorkingDates, setNonWorkingDatesState] = useState(getNonWorkingDates);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadSchoolCalendar().then((dates) => {
+      if (!cancelled) {
+        setNonWorkingDatesState(dates);
+        setLoaded(true);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { nonWorkingDates, loaded };
+};
@@ -0,0 +1,113 @@
+import en from "./messages/en";
+import fil from "./messages/fil";
+
+/**
+ * i18n
+ *
+ * Message catalogs and locale-aware formatting for the student pages.
+ * Components use these through LanguageContext (useLanguage), which keeps the
+ * selected language; the helpers here are pure so they can be used anywhere.
+ */
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const LANGUAGE_STORAGE_KEY = "orderflow.language";
+
+/** Supported languages: code, label in that language, and the Intl locale used for formatting */
+export const SUPPORTED_LANGUAGES = [
+  { code: "en", label: "English", locale: "en-PH" },
+  { code: "fil", label: "Filipino", locale: "fil-PH" },
+];
+
+const CATALOGS = { en, fil };
+
+/**
+ * Whether a language code is supported
+ * @param {string} language
+ * @returns {boolean}
+ */
+export const isSupportedLanguage = (language) =>
+  SUPPORTED_LANGUAGES.some((entry) => entry.code === language);
+
+/**
+ * Intl locale for a language (falls back to the default language's locale)
+ * @param {string} language
+ * @returns {string}
+ */
+export const getLocale = (language) =>
+  (SUPPORTED_LANGUAGES.find((entry) => entry.code === language) || SUPPORTED_LANGUAGES[0]).locale;
+
+/**
+ * Language to start with: the saved choice, else the browser language (fil/tl → Filipino), else English
+ * @returns {string}
+ */
+export const getInitialLanguage = () => {
+  try {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (isSupportedLanguage(saved)) return saved;
+  } catch {
+    // Ignore storage errors
+  }
+  const browserLanguage = (typeof navigator !== "undefined" && navigator.language) || "";
+  return /^(fil|tl)\b/i.test(browserLanguage) ? "fil" : DEFAULT_LANGUAGE;
+};
+
+const lookup = (catalog, key) =>
+  key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), catalog);
+
+const interpolate = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+
+/**
+ * Translate a message key (e.g. "checkout.emptyCart")
+ *
+ * Missing keys fall back to English, then to the key itself. {placeholders} are filled
+ * from params; a { one, other } entry is picked by params.count.
+ *
+ * @param {string} language
+ * @param {string} key
+ * @param {Object} [params]
+ * @returns {string|Object} The message (or the sub-tree, for keys that group several messages)
+ */
+export const translate = (language, key, params = {}) => {
+  let message = lookup(CATALOGS[language], key);
+  if (message === undefined) message = lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+  if (message === undefined) return key;
+
+  if (message && typeof message === "object" && "other" in message && params.count !== undefined) {
+    message = Number(params.count) === 1 && message.one ? message.one : message.other;
+  }
+  return typeof message === "string" ? interpolate(message, params) : message;
+};
+
+/**
+ * Format an amount as Philippine peso for a language (e.g. ₱1,250.00)
+ * @param {number} amount
+ * @param {string} language
+ * @returns {string}
+ */
+export const formatCurrency = (amount, language = DEFAULT_LANGUAGE) =>
+  new Intl.NumberFormat(getLocale(language), {
+    style: "currency",
+    currency: "PHP",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(Number(amount) || 0);
+
+/**
+ * Format a date for a language
+ * @param {Date|string|number} value
+ * @param {string} language
+ * @param {Intl.DateTimeFormatOptions} [options] - Defaults to e.g. "October 19, 2026"
+ * @returns {string} Empty string for missing or invalid dates
+ */
+export const formatDate = (
+  value,
+  language = DEFAULT_LANGUAGE,
+  options = { month: "long", day: "numeric", year: "numeric" },
+) => {
+  if (value == null || value === "") return "";
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return new Intl.DateTimeFormat(getLocale(language), options).format(date);
+};
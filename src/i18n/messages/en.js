@@ -0,0 +1,203 @@
+/**
+ * English message catalog (default language).
+ *
+ * Keys are grouped by screen. Values may contain {placeholders}; values that depend on
+ * a count are { one, other } objects (see translate in ../index.js).
+ */
+const en = {
+  common: {
+    back: "Back",
+    next: "Next",
+    cancel: "Cancel",
+    cancelling: "Cancelling…",
+    processing: "Processing...",
+    free: "FREE",
+    noImage: "No Image",
+    pieces: "{count}PC",
+    pageOf: "Page {page} of {total}",
+    goBack: "Go back",
+    close: "Close",
+  },
+
+  language: {
+    label: "Language",
+    english: "English",
+    filipino: "Filipino",
+    settingsTitle: "Language",
+    settingsDescription:
+      "Choose the language for the student pages. Product names and messages from the school office stay as they were written.",
+    changed: "Language changed to English",
+  },
+
+  navbar: {
+    goToAllProducts: "Go to all products",
+    notifications: "Notifications",
+    markAllRead: "Mark all read",
+    noNotifications: "No notifications yet",
+    deleteNotification: "Delete notification",
+    viewAllNotifications: "View all notifications",
+    shoppingCart: "Shopping Cart",
+    myProfile: "My Profile",
+    myOrders: "My Orders",
+    settings: "Settings",
+    logout: "Logout",
+    logoutConfirm: "Are you sure you want to log out?",
+    logOut: "Log out",
+    student: "Student",
+    toggleMenu: "Toggle menu",
+    justNow: "Just now",
+    minutesAgo: "{count}m ago",
+    hoursAgo: "{count}h ago",
+    daysAgo: "{count}d ago",
+  },
+
+  // Messages shown when the student cannot order (voided unclaimed order, limits)
+  orderBlock: {
+    voided:
+      "You cannot place new orders because a previous order was not claimed in time and was voided. Contact your administrator if you need assistance.",
+    voidedShort:
+      "You cannot place new orders because a previous order was not claimed in time and was voided.",
+    voidedContactFinance:
+      "You cannot place another order because a previous order was voided for not being claimed in time. Please contact the finance department first.",
+    limitNotSet:
+      "Your order limit has not been set. Contact your administrator to set Total Item Limit before ordering.",
+    slotLimitReached:
+      "Total item limit reached. You have used all item slots for this order period. Remove existing orders to place new ones.",
+    overLimitApproval:
+      "This order is over your order limits. It will be sent to the department head for approval before it can be claimed.",
+  },
+
+  products: {
+    heroHeading: "Item Card",
+    titleFirst: "All",
+    titleSecond: "Products",
+    toggleSidebar: "Toggle sidebar",
+    searchPlaceholder: "Search for items",
+    errorLoading: "Error loading products",
+    completeProfileTitle: "Complete your profile to see relevant products",
+    completeProfileBody: "Set your year level in Settings to filter products for your education level.",
+  },
+
+  checkout: {
+    heroHeading: "Checkout",
+    emptyCart: "Your cart is empty",
+    loginRequired: "Please log in to place an order",
+    sentForApproval:
+      "Your order is over your order limits and was sent to the department head for approval. You can follow the decision in My Orders.",
+    submitted: "Order submitted successfully!",
+    submittedMany: "{count} orders created successfully!",
+    failedCount: "({count} failed)",
+    someFailed: "Some orders failed to create. Please check your orders page.",
+    failed: "Failed to submit order. Please try again.",
+    sizeCount: { one: "{count} Size", other: "{count} Sizes" },
+    sizeLabel: "{size} Size",
+    showSizes: { one: "Show {count} size", other: "Show {count} sizes" },
+    hideVariations: "Hide variations",
+    submitting: "Submitting Order...",
+    checkout: "Checkout",
+  },
+
+  orderSuccess: {
+    backToHome: "Back to Home",
+    watermarkFirst: "Order",
+    watermarkSecond: "Successfull",
+    thankYou: "Thank you for ordering,",
+    description:
+      "Your order has been successfully processed. Please check your notifications for updates regarding your order status.",
+    showOrder: "SHOW ORDER",
+  },
+
+  orders: {
+    errorLoading: "Error loading orders",
+    noData: "No orders data available",
+    tryRefreshing: "Please try refreshing the page",
+    titleFirst: "My",
+    titleSecond: "Orders",
+    preOrders: "Pre-Orders",
+    orders: "Orders",
+    claimed: "Claimed",
+    suggestedFirst: "Suggested",
+    suggestedSecond: "For You",
+    exploreMore: "Explore More Products",
+    categoryTitle: {
+      history: { first: "Order", second: "History" },
+      preOrders: { first: "Pre", second: "Orders" },
+      orders: { first: "Order", second: "Items" },
+      claimed: { first: "Claimed", second: "Orders" },
+    },
+    tooltip: {
+      info: "{title} information",
+      preOrdersTitle: "Pre-Orders",
+      preOrdersMessage: "Your pre-order is now on process. Check your notification for more updates.",
+      ordersTitle: "Orders",
+      ordersMessage:
+        "Your orders are now ready for claiming. Please have your QR code prepared for verification during the claiming process.",
+      claimedTitle: "Claimed Orders",
+      claimedMessage: "Your orders are now complete. Digital receipts are now available in your order history.",
+    },
+    emptyHistory: "No orders found in order history",
+    emptyCategory: "No orders found in this category",
+    viewDetails: "View Details",
+    orderAgain: "Order Again",
+    orderAgainTitle: "Order this item again",
+    orderAgainClaimed: "This item has been claimed and cannot be ordered again",
+    orderAgainMaxed: "You have reached your max item per order",
+    status: {
+      processing: "Processing",
+      awaitingApproval: "Awaiting Department Head Approval",
+      denied: "Denied",
+      available: "Available for Claiming",
+      completed: "Completed",
+    },
+    cancelPreOrderTitle: "Cancel this pre-order so you can place a new one",
+    cancelOrderTitle: "Cancel this order so you can place a new one",
+    checkingAvailability: "Checking availability...",
+    convertTitle: "Click to convert pre-order to regular order",
+    notYetAvailable: "Item not yet available",
+    checking: "Checking...",
+    order: "Order",
+    notAvailable: "Not Available",
+    showQR: "Show QR",
+    showQRTitle: "Show QR code",
+    awaitingApprovalMessage: "This order is over your order limits and is waiting for the department head.",
+    awaitingApprovalQR: "Your QR code will be available once it is approved.",
+    deniedMessage: "The department head denied this order. It will not be released.",
+    availableMessage: "Your order is now available. Please proceed to the designated claiming area",
+    availableMessageQR: "and present your QR code to receive your item.",
+    pickup: "Pickup:",
+    skipTheLine: "Skip the line by booking a pickup time. ",
+    changePickup: "Change",
+    bookPickup: "Book a pickup time",
+    unsuccessfulClaims: "Notice: This order has already gone through ({count}) unsuccessful claim attempts.",
+    processImmediately: "Kindly process your order immediately to prevent this product from being voided.",
+    attemptsLeft: { one: "{count} attempt left", other: "{count} attempts left" },
+    preOrderMessage: "Your pre-order is now being processed. Please prepare to present the QR code",
+    preOrderMessageQR: "provided to you upon claiming your order.",
+    cancelTitle: "Cancel order",
+    cancelConfirm: "Are you sure you want to cancel this order? You can place a new order after cancelling.",
+    keepOrder: "Keep order",
+    confirmCancel: "Yes, cancel order",
+  },
+
+  qr: {
+    student: "Student",
+    error: "QR Code Error",
+    expiredTitle: "QR Code Expired",
+    expiredBody: "Please place a new order to get a new QR code.",
+    preparing: "Preparing your QR code…",
+    print: "Print QR",
+    download: "Download QR",
+    expiresIn: "Expires in ({count}) days",
+    expired: "Expired",
+    disclaimer: "Disclaimer:",
+    validUntil: "This QR code is valid only until",
+    forClaiming: "for claiming",
+    orderLabel: "Order #{orderNumber}",
+    issuedTo: "issued to student",
+    invalidUse:
+      "Any attempt to use this code for other orders, items, or by other individuals will be considered invalid.",
+    proxiesNote: "Authorized proxies must use their own pickup pass.",
+  },
+};
+
+export default en;
@@ -0,0 +1,203 @@
+/**
+ * Filipino (Tagalog) message catalog.
+ *
+ * Mirrors en.js; a missing key falls back to English. Common school and ordering terms
+ * that parents already use in English (QR code, pre-order, size) are kept as is.
+ */
+const fil = {
+  common: {
+    back: "Bumalik",
+    next: "Susunod",
+    cancel: "Kanselahin",
+    cancelling: "Kinakansela…",
+    processing: "Pinoproseso...",
+    free: "LIBRE",
+    noImage: "Walang Larawan",
+    pieces: "{count}PC",
+    pageOf: "Pahina {page} ng {total}",
+    goBack: "Bumalik",
+    close: "Isara",
+  },
+
+  language: {
+    label: "Wika",
+    english: "English",
+    filipino: "Filipino",
+    settingsTitle: "Wika",
+    settingsDescription:
+      "Piliin ang wika ng mga pahina ng estudyante. Ang mga pangalan ng produkto at mga mensahe mula sa opisina ng paaralan ay mananatili kung paano ito isinulat.",
+    changed: "Filipino na ang wika",
+  },
+
+  navbar: {
+    goToAllProducts: "Pumunta sa lahat ng produkto",
+    notifications: "Mga Abiso",
+    markAllRead: "Markahang nabasa lahat",
+    noNotifications: "Wala pang abiso",
+    deleteNotification: "Burahin ang abiso",
+    viewAllNotifications: "Tingnan ang lahat ng abiso",
+    shoppingCart: "Cart",
+    myProfile: "Aking Profile",
+    myOrders: "Aking mga Order",
+    settings: "Mga Setting",
+    logout: "Mag-logout",
+    logoutConfirm: "Sigurado ka bang gusto mong mag-logout?",
+    logOut: "Mag-logout",
+    student: "Estudyante",
+    toggleMenu: "Buksan o isara ang menu",
+    justNow: "Ngayon lang",
+    minutesAgo: "{count}m ang nakalipas",
+    hoursAgo: "{count}h ang nakalipas",
+    daysAgo: "{count}d ang nakalipas",
+  },
+
+  orderBlock: {
+    voided:
+      "Hindi ka makakapag-order muna dahil may naunang order na hindi nakuha sa takdang oras at na-void. Makipag-ugnayan sa administrator kung kailangan mo ng tulong.",
+    voidedShort:
+      "Hindi ka makakapag-order muna dahil may naunang order na hindi nakuha sa takdang oras at na-void.",
+    voidedContactFinance:
+      "Hindi ka makakapag-order muli dahil may naunang order na na-void dahil hindi ito nakuha sa takdang oras. Makipag-ugnayan muna sa finance department.",
+    limitNotSet:
+      "Hindi pa naitatakda ang iyong order limit. Makipag-ugnayan sa administrator para maitakda ang Total Item Limit bago mag-order.",
+    slotLimitReached:
+      "Naabot na ang total item limit. Nagamit mo na ang lahat ng item slot para sa panahong ito. Alisin ang mga kasalukuyang order para makapag-order ng bago.",
+    overLimitApproval:
+      "Lampas sa iyong order limit ang order na ito. Ipapadala ito sa department head para maaprubahan bago ito makuha.",
+  },
+
+  products: {
+    heroHeading: "Mga Item",
+    titleFirst: "Lahat ng",
+    titleSecond: "Produkto",
+    toggleSidebar: "Buksan o isara ang sidebar",
+    searchPlaceholder: "Maghanap ng item",
+    errorLoading: "Hindi ma-load ang mga produkto",
+    completeProfileTitle: "Kumpletuhin ang iyong profile para makita ang mga angkop na produkto",
+    completeProfileBody:
+      "Itakda ang iyong year level sa Mga Setting para makita ang mga produkto para sa iyong antas.",
+  },
+
+  checkout: {
+    heroHeading: "Checkout",
+    emptyCart: "Walang laman ang iyong cart",
+    loginRequired: "Mag-log in muna para makapag-order",
+    sentForApproval:
+      "Lampas sa iyong order limit ang order mo kaya ipinadala ito sa department head para maaprubahan. Makikita mo ang desisyon sa Aking mga Order.",
+    submitted: "Naipadala na ang iyong order!",
+    submittedMany: "{count} order ang matagumpay na nagawa!",
+    failedCount: "({count} ang pumalya)",
+    someFailed: "May mga order na hindi nagawa. Pakitingnan ang pahina ng iyong mga order.",
+    failed: "Hindi naipadala ang order. Pakisubukang muli.",
+    sizeCount: { one: "{count} Size", other: "{count} Size" },
+    sizeLabel: "Size {size}",
+    showSizes: { one: "Ipakita ang {count} size", other: "Ipakita ang {count} size" },
+    hideVariations: "Itago ang mga size",
+    submitting: "Ipinapadala ang Order...",
+    checkout: "Checkout",
+  },
+
+  orderSuccess: {
+    backToHome: "Bumalik sa Home",
+    watermarkFirst: "Order",
+    watermarkSecond: "Tagumpay",
+    thankYou: "Salamat sa iyong order,",
+    description:
+      "Matagumpay na naproseso ang iyong order. Tingnan ang iyong mga abiso para sa mga update sa status ng iyong order.",
+    showOrder: "IPAKITA ANG ORDER",
+  },
+
+  orders: {
+    errorLoading: "Hindi ma-load ang mga order",
+    noData: "Walang makuhang datos ng order",
+    tryRefreshing: "Pakisubukang i-refresh ang pahina",
+    titleFirst: "Aking mga",
+    titleSecond: "Order",
+    preOrders: "Mga Pre-Order",
+    orders: "Mga Order",
+    claimed: "Nakuha Na",
+    suggestedFirst: "Para",
+    suggestedSecond: "Sa Iyo",
+    exploreMore: "Tumingin ng Iba Pang Produkto",
+    categoryTitle: {
+      history: { first: "Kasaysayan ng", second: "Order" },
+      preOrders: { first: "Mga", second: "Pre-Order" },
+      orders: { first: "Mga", second: "Order" },
+      claimed: { first: "Mga Nakuhang", second: "Order" },
+    },
+    tooltip: {
+      info: "Impormasyon tungkol sa {title}",
+      preOrdersTitle: "Mga Pre-Order",
+      preOrdersMessage: "Pinoproseso na ang iyong pre-order. Tingnan ang iyong mga abiso para sa mga update.",
+      ordersTitle: "Mga Order",
+      ordersMessage:
+        "Handa nang kunin ang iyong mga order. Ihanda ang iyong QR code para sa beripikasyon sa pagkuha.",
+      claimedTitle: "Mga Nakuhang Order",
+      claimedMessage: "Kumpleto na ang iyong mga order. Makikita na ang digital na resibo sa kasaysayan ng order.",
+    },
+    emptyHistory: "Walang order sa kasaysayan",
+    emptyCategory: "Walang order sa kategoryang ito",
+    viewDetails: "Tingnan ang Detalye",
+    orderAgain: "Umorder Muli",
+    orderAgainTitle: "I-order muli ang item na ito",
+    orderAgainClaimed: "Nakuha na ang item na ito at hindi na maaaring i-order muli",
+    orderAgainMaxed: "Naabot mo na ang maximum na item bawat order",
+    status: {
+      processing: "Pinoproseso",
+      awaitingApproval: "Naghihintay ng Pag-apruba ng Department Head",
+      denied: "Tinanggihan",
+      available: "Handa nang Kunin",
+      completed: "Kumpleto",
+    },
+    cancelPreOrderTitle: "Kanselahin ang pre-order na ito para makapag-order ng bago",
+    cancelOrderTitle: "Kanselahin ang order na ito para makapag-order ng bago",
+    checkingAvailability: "Tinitingnan kung may stock...",
+    convertTitle: "I-click para gawing regular na order ang pre-order",
+    notYetAvailable: "Wala pang stock ang item",
+    checking: "Tinitingnan...",
+    order: "Umorder",
+    notAvailable: "Wala Pang Stock",
+    showQR: "Ipakita ang QR",
+    showQRTitle: "Ipakita ang QR code",
+    awaitingApprovalMessage: "Lampas sa iyong order limit ang order na ito at naghihintay ito sa department head.",
+    awaitingApprovalQR: "Makukuha mo ang iyong QR code kapag naaprubahan na ito.",
+    deniedMessage: "Tinanggihan ng department head ang order na ito. Hindi na ito ire-release.",
+    availableMessage: "Handa na ang iyong order. Pumunta sa itinakdang lugar ng pagkuha",
+    availableMessageQR: "at ipakita ang iyong QR code para makuha ang iyong item.",
+    pickup: "Pagkuha:",
+    skipTheLine: "Iwasan ang pila sa pag-book ng oras ng pagkuha. ",
+    changePickup: "Palitan",
+    bookPickup: "Mag-book ng oras ng pagkuha",
+    unsuccessfulClaims: "Paalala: ({count}) beses nang hindi natuloy ang pagkuha ng order na ito.",
+    processImmediately: "Pakikuha agad ang iyong order para hindi ma-void ang produktong ito.",
+    attemptsLeft: { one: "{count} pagkakataon na lang", other: "{count} pagkakataon na lang" },
+    preOrderMessage: "Pinoproseso na ang iyong pre-order. Ihanda ang QR code na ibibigay sa iyo",
+    preOrderMessageQR: "sa pagkuha ng iyong order.",
+    cancelTitle: "Kanselahin ang order",
+    cancelConfirm: "Sigurado ka bang gusto mong kanselahin ang order na ito? Maaari kang mag-order muli pagkatapos.",
+    keepOrder: "Huwag kanselahin",
+    confirmCancel: "Oo, kanselahin",
+  },
+
+  qr: {
+    student: "Estudyante",
+    error: "Error sa QR Code",
+    expiredTitle: "Expired na ang QR Code",
+    expiredBody: "Mag-order muli para makakuha ng bagong QR code.",
+    preparing: "Inihahanda ang iyong QR code…",
+    print: "I-print ang QR",
+    download: "I-download ang QR",
+    expiresIn: "Mag-e-expire sa loob ng ({count}) araw",
+    expired: "Expired na",
+    disclaimer: "Paalala:",
+    validUntil: "Ang QR code na ito ay may bisa lamang hanggang",
+    forClaiming: "para sa pagkuha ng",
+    orderLabel: "Order #{orderNumber}",
+    issuedTo: "na ibinigay sa estudyanteng",
+    invalidUse:
+      "Ang anumang paggamit ng code na ito para sa ibang order, item, o ng ibang tao ay hindi tatanggapin.",
+    proxiesNote: "Ang mga awtorisadong proxy ay dapat gumamit ng sarili nilang pickup pass.",
+  },
+};
+
+export default fil;
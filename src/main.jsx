@@ -2,6 +2,7 @@ import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import "./index.css";
 import App from "./App.jsx";
+import { registerServiceWorker } from "./utils/serviceWorker";
 
 // Detect iOS device
 const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
@@ -45,6 +46,9 @@ if (!rootElement) {
     );
     
     console.log("✅ React app rendered successfully");
+
+    // Installable app and offline shell; push stays off until the student turns it on
+    registerServiceWorker();
   } catch (error) {
     console.error("❌ Error initializing React app:", error);
     console.error("❌ Error stack:", error.stack);
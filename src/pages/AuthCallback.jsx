@@ -86,10 +86,13 @@ const AuthCallback = () => {
 
       if (role === "system_admin") {
         navigate("/system-admin", { replace: true });
+      } else if (role === "finance_staff") {
+        navigate("/finance", { replace: true });
+      } else if (role === "guardian") {
+        navigate("/guardian", { replace: true });
       } else if (
         role === "property_custodian" || 
         role === "admin" ||
-        role === "finance_staff" ||
         role === "accounting_staff" ||
         role === "department_head"
       ) {
@@ -5,117 +5,24 @@ import React, {
   useCallback,
 } from "react";
 import { Link } from "react-router-dom";
-import { ArrowUp } from "lucide-react";
+import { ArrowUp, Megaphone } from "lucide-react";
 import { useScrollOnState } from "../hooks/useScrollOnState";
 import Header from "../components/common/Header";
 import ContactForm from "../components/common/ContactForm";
+import AccentText from "../components/common/AccentText";
 import FeatureCarousel from "../constants/carouselSlides";
-
-// Featured items data for automatic rotation
-const featuredItems = {
-  seniorHigh: [
-    {
-      image: "../../assets/image/SHS BLOUSE.png",
-      title: "Senior High",
-      subtitle: "Uniforms",
-      description: "are now Available!",
-      watermark: ["Senior", "High School"],
-    },
-    {
-      image: "../../assets/image/SHS SKIRT.png",
-      title: "Senior High",
-      subtitle: "Uniforms",
-      description: "are now Available!",
-      watermark: ["Senior", "High School"],
-    },
-    {
-      image: "../../assets/image/SHS NECKTIE.png",
-      title: "Senior High",
-      subtitle: "Uniforms",
-      description: "are now Available!",
-      watermark: ["Senior", "High School"],
-    },
-    {
-      image: "../../assets/image/PANTS.png",
-      title: "Senior High",
-      subtitle: "Uniforms",
-      description: "are now Available!",
-      watermark: ["Senior", "High School"],
-    },
-  ],
-  basicEducation: [
-    {
-      image: "../../assets/image/ELEMENTARY BLOUSE.png",
-      title: "Basic Education",
-      subtitle: "Uniforms",
-      description: "are now in stock!",
-      watermark: ["Basic", "Education"],
-    },
-    {
-      image: "../../assets/image/JHS BLOUSE.png",
-      title: "Basic Education",
-      subtitle: "Uniforms",
-      description: "are now in stock!",
-      watermark: ["Basic", "Education"],
-    },
-    {
-      image: "../../assets/image/KINDER DRESS.png",
-      title: "Basic Education",
-      subtitle: "Uniforms",
-      description: "are now in stock!",
-      watermark: ["Basic", "Education"],
-    },
-    {
-      image: "../../assets/image/POLO JACKET (Elem & JHS).png",
-      title: "Basic Education",
-      subtitle: "Uniforms",
-      description: "are now in stock!",
-      watermark: ["Basic", "Education"],
-    },
-  ],
-  peUniforms: [
-    {
-      image: "../../assets/image/JERSEY.png",
-      title: "PE Uniforms",
-      subtitle: "",
-      description: "are now Available!",
-      watermark: ["PE", "Uniform"],
-    },
-    {
-      image: "../../assets/image/JOGGING PANTS.png",
-      title: "PE Uniforms",
-      subtitle: "",
-      description: "are now Available!",
-      watermark: ["PE", "Uniform"],
-    },
-  ],
-  higherEducation: [
-    {
-      image: "../../assets/image/PANTS.png",
-      title: "Higher Education",
-      subtitle: "Uniforms",
-      description: "are now Available!",
-      watermark: ["Higher", "Education"],
-    },
-    {
-      image: "../../assets/image/SHS BLOUSE.png",
-      title: "Higher Education",
-      subtitle: "Uniforms",
-      description: "are now Available!",
-      watermark: ["Higher", "Education"],
-    },
-    {
-      image: "../../assets/image/POLO JACKET (Elem & JHS).png",
-      title: "Higher Education",
-      subtitle: "Uniforms",
-      description: "are now Available!",
-      watermark: ["Higher", "Education"],
-    },
-  ],
-};
+import { useLandingContent } from "../hooks/useLandingContent";
+import { isSafeLinkUrl } from "../utils/landingContent";
 
 export default function LandingPage() {
   useScrollOnState();
+  const { content, isPreview } = useLandingContent();
+
+  // Featured card content; indices keep counting up and wrap around each card's images
+  const featuredItem = (key, index) => {
+    const group = content.featured.groups[key];
+    return { ...group, image: group.images[index % group.images.length] };
+  };
   const [showScrollTop, setShowScrollTop] = useState(false);
   const [seniorHighIndex, setSeniorHighIndex] = useState(0);
   const [basicEducationIndex, setBasicEducationIndex] = useState(0);
@@ -181,35 +88,27 @@ export default function LandingPage() {
 
     // Senior High rotation - every 4 seconds
     seniorHighInterval = setInterval(() => {
-      setSeniorHighIndex(
-        (prev) => (prev + 1) % featuredItems.seniorHigh.length,
-      );
+      setSeniorHighIndex((prev) => prev + 1);
     }, 4000);
 
     // Basic Education rotation - every 4 seconds, starts after 1 second
     const basicEducationTimeout = setTimeout(() => {
       basicEducationInterval = setInterval(() => {
-        setBasicEducationIndex(
-          (prev) => (prev + 1) % featuredItems.basicEducation.length,
-        );
+        setBasicEducationIndex((prev) => prev + 1);
       }, 4000);
     }, 1000);
 
     // PE Uniforms rotation - every 4 seconds, starts after 2 seconds
     const peUniformsTimeout = setTimeout(() => {
       peUniformsInterval = setInterval(() => {
-        setPeUniformsIndex(
-          (prev) => (prev + 1) % featuredItems.peUniforms.length,
-        );
+        setPeUniformsIndex((prev) => prev + 1);
       }, 4000);
     }, 2000);
 
     // Higher Education rotation - every 4 seconds, starts after 3 seconds
     const higherEducationTimeout = setTimeout(() => {
       higherEducationInterval = setInterval(() => {
-        setHigherEducationIndex(
-          (prev) => (prev + 1) % featuredItems.higherEducation.length,
-        );
+        setHigherEducationIndex((prev) => prev + 1);
       }, 4000);
     }, 3000);
 
@@ -479,21 +378,19 @@ export default function LandingPage() {
       {/* Hero Section - Add padding-top to account for fixed header */}
       <section className="relative w-full px-4 sm:px-6 lg:px-8 bg-white pt-20 sm:pt-24">
         {/* Background Image with Text Behind */}
-        <FeatureCarousel />
+        <FeatureCarousel hero={content.hero} carousel={content.carousel} />
 
         {/* Content under the Background */}
         <div className="container mx-auto px-4 sm:px-6 py-8 sm:py-12 grid grid-cols-1 lg:grid-cols-2 gap-8 lg:gap-12 items-center">
           <div className="max-w-xl space-y-4 sm:space-y-6 flex flex-col">
             <p className="text-sm sm:text-base lg:text-lg text-[#003363] leading-relaxed">
-              A Web-Based Order Tracking System with QR-integrated Inventory
-              Monitoring of school uniforms at La Verdad Christian College Inc.,
-              Apalit.
+              {content.hero.intro}
             </p>
             <Link
               to="/login"
               className="border-2 border-[#E68B00] text-[#E68B00] px-6 sm:px-8 py-2.5 sm:py-3 rounded-full font-semibold hover:bg-orange-50 hover:text-orange-600 transition ml-auto inline-flex items-center justify-center w-fit text-sm sm:text-base min-h-[44px]"
             >
-              Get Started
+              {content.hero.ctaLabel}
             </Link>
           </div>
 
@@ -544,11 +441,41 @@ export default function LandingPage() {
         </div>
       </section>
 
+      {/* Announcements Section - only when the school has posted any */}
+      {content.announcements.length > 0 && (
+        <section id="announcements" className="bg-white pb-8 sm:pb-12">
+          <div className="container mx-auto px-4 sm:px-6 lg:px-8 space-y-3">
+            {content.announcements.map((item) => (
+              <div
+                key={item.id}
+                className="flex flex-col sm:flex-row sm:items-center gap-3 sm:gap-4 border-l-4 border-[#E68B00] bg-orange-50 rounded-r-lg px-4 py-3"
+              >
+                <Megaphone className="text-[#E68B00] flex-shrink-0" size={22} />
+                <div className="flex-1 min-w-0">
+                  <p className="font-bold text-[#003363] text-sm sm:text-base">{item.title}</p>
+                  {item.message && (
+                    <p className="text-sm text-[#163869] leading-relaxed whitespace-pre-line">{item.message}</p>
+                  )}
+                </div>
+                {isSafeLinkUrl(item.link_url) && (
+                  <a
+                    href={item.link_url.trim()}
+                    className="text-[#E68B00] font-semibold text-sm hover:underline min-h-[44px] inline-flex items-center flex-shrink-0"
+                  >
+                    {item.link_label || "Learn more"} →
+                  </a>
+                )}
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
       {/* Featured Section */}
       <section id="featured" className="bg-gray-50 py-8 sm:py-12 lg:py-16">
         <div className="container mx-auto px-4 sm:px-6 lg:px-8">
           <h2 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-[#003363] mb-8 sm:mb-12">
-            Now <span className="text-[#E68B00]">Available</span>
+            <AccentText text={content.featured.heading} />
           </h2>
           <div
             className={`relative ${
@@ -640,13 +567,13 @@ export default function LandingPage() {
               >
                 <div className="p-4 sm:p-6 rounded-xl shadow-lg hover:shadow-xl transition flex flex-col flex-1 overflow-hidden bg-white">
                   <h3 className="text-lg sm:text-xl lg:text-2xl font-semibold text-[#003363] mb-1">
-                    {featuredItems.seniorHigh[seniorHighIndex].title} <br />{" "}
+                    {featuredItem("seniorHigh", seniorHighIndex).title} <br />{" "}
                     <span className="text-[#E68B00]">
-                      {featuredItems.seniorHigh[seniorHighIndex].subtitle}
+                      {featuredItem("seniorHigh", seniorHighIndex).subtitle}
                     </span>
                   </h3>
                   <p className="text-sm sm:text-base text-gray-600 mb-2">
-                    {featuredItems.seniorHigh[seniorHighIndex].description}
+                    {featuredItem("seniorHigh", seniorHighIndex).description}
                   </p>
                   <div className="relative w-full h-40 sm:h-48 lg:h-56 mt-auto overflow-hidden">
                     <div className="absolute -left-2 bottom-0 pointer-events-none select-none z-0">
@@ -660,7 +587,7 @@ export default function LandingPage() {
                           display: "block",
                         }}
                       >
-                        {featuredItems.seniorHigh[seniorHighIndex].watermark[0]}
+                        {featuredItem("seniorHigh", seniorHighIndex).watermark[0]}
                       </div>
                       <div
                         className="text-6xl sm:text-7xl md:text-8xl lg:text-[6.5rem] font-bold text-blue-200/30 select-none uppercase"
@@ -673,12 +600,12 @@ export default function LandingPage() {
                           marginTop: "-0.1em",
                         }}
                       >
-                        {featuredItems.seniorHigh[seniorHighIndex].watermark[1]}
+                        {featuredItem("seniorHigh", seniorHighIndex).watermark[1]}
                       </div>
                     </div>
                     <img
                       key={seniorHighIndex}
-                      src={featuredItems.seniorHigh[seniorHighIndex].image}
+                      src={featuredItem("seniorHigh", seniorHighIndex).image}
                       alt="Senior High Uniforms"
                       className="relative z-10 w-full h-full object-contain"
                       style={{ animation: "fadeIn 0.6s ease-in-out" }}
@@ -736,18 +663,18 @@ export default function LandingPage() {
               >
                 <div className="p-4 sm:p-6 rounded-xl shadow-lg hover:shadow-xl transition flex flex-col flex-1 overflow-hidden bg-white">
                   <h3 className="text-lg sm:text-xl lg:text-2xl font-semibold text-[#003363] mb-1">
-                    {featuredItems.basicEducation[basicEducationIndex].title}{" "}
+                    {featuredItem("basicEducation", basicEducationIndex).title}{" "}
                     <br />{" "}
                     <span className="text-[#E68B00]">
                       {
-                        featuredItems.basicEducation[basicEducationIndex]
+                        featuredItem("basicEducation", basicEducationIndex)
                           .subtitle
                       }
                     </span>
                   </h3>
                   <p className="text-sm sm:text-base text-gray-600 mb-2">
                     {
-                      featuredItems.basicEducation[basicEducationIndex]
+                      featuredItem("basicEducation", basicEducationIndex)
                         .description
                     }
                   </p>
@@ -764,7 +691,7 @@ export default function LandingPage() {
                         }}
                       >
                         {
-                          featuredItems.basicEducation[basicEducationIndex]
+                          featuredItem("basicEducation", basicEducationIndex)
                             .watermark[0]
                         }
                       </div>
@@ -780,7 +707,7 @@ export default function LandingPage() {
                         }}
                       >
                         {
-                          featuredItems.basicEducation[basicEducationIndex]
+                          featuredItem("basicEducation", basicEducationIndex)
                             .watermark[1]
                         }
                       </div>
@@ -788,7 +715,7 @@ export default function LandingPage() {
                     <img
                       key={basicEducationIndex}
                       src={
-                        featuredItems.basicEducation[basicEducationIndex].image
+                        featuredItem("basicEducation", basicEducationIndex).image
                       }
                       alt="Basic Education Uniforms"
                       className="relative z-10 w-full h-full object-contain"
@@ -847,10 +774,10 @@ export default function LandingPage() {
               >
                 <div className="p-4 sm:p-6 rounded-xl shadow-lg hover:shadow-xl transition flex flex-col flex-1 overflow-hidden bg-white">
                   <h3 className="text-lg sm:text-xl lg:text-2xl font-semibold text-[#003363] mb-1">
-                    {featuredItems.peUniforms[peUniformsIndex].title}
+                    {featuredItem("peUniforms", peUniformsIndex).title}
                   </h3>
                   <p className="text-sm sm:text-base text-gray-600 mb-2">
-                    {featuredItems.peUniforms[peUniformsIndex].description}
+                    {featuredItem("peUniforms", peUniformsIndex).description}
                   </p>
                   <div className="relative w-full h-40 sm:h-48 lg:h-56 mt-auto overflow-hidden">
                     <div className="absolute -left-2 bottom-0 pointer-events-none select-none z-0">
@@ -864,7 +791,7 @@ export default function LandingPage() {
                           display: "block",
                         }}
                       >
-                        {featuredItems.peUniforms[peUniformsIndex].watermark[0]}
+                        {featuredItem("peUniforms", peUniformsIndex).watermark[0]}
                       </div>
                       <div
                         className="text-6xl sm:text-7xl md:text-8xl lg:text-[6.5rem] font-bold text-blue-200/30 select-none uppercase"
@@ -877,12 +804,12 @@ export default function LandingPage() {
                           marginTop: "-0.1em",
                         }}
                       >
-                        {featuredItems.peUniforms[peUniformsIndex].watermark[1]}
+                        {featuredItem("peUniforms", peUniformsIndex).watermark[1]}
                       </div>
                     </div>
                     <img
                       key={peUniformsIndex}
-                      src={featuredItems.peUniforms[peUniformsIndex].image}
+                      src={featuredItem("peUniforms", peUniformsIndex).image}
                       alt="PE Uniforms"
                       className="relative z-10 w-full h-full object-contain"
                       style={{ animation: "fadeIn 0.6s ease-in-out" }}
@@ -937,18 +864,18 @@ export default function LandingPage() {
               >
                 <div className="p-4 sm:p-6 rounded-xl shadow-lg hover:shadow-xl transition flex flex-col flex-1 overflow-hidden bg-white">
                   <h3 className="text-lg sm:text-xl lg:text-2xl font-semibold text-[#003363] mb-1">
-                    {featuredItems.higherEducation[higherEducationIndex].title}{" "}
+                    {featuredItem("higherEducation", higherEducationIndex).title}{" "}
                     <br />{" "}
                     <span className="text-[#E68B00]">
                       {
-                        featuredItems.higherEducation[higherEducationIndex]
+                        featuredItem("higherEducation", higherEducationIndex)
                           .subtitle
                       }
                     </span>
                   </h3>
                   <p className="text-sm sm:text-base text-gray-600 mb-2">
                     {
-                      featuredItems.higherEducation[higherEducationIndex]
+                      featuredItem("higherEducation", higherEducationIndex)
                         .description
                     }
                   </p>
@@ -965,7 +892,7 @@ export default function LandingPage() {
                         }}
                       >
                         {
-                          featuredItems.higherEducation[higherEducationIndex]
+                          featuredItem("higherEducation", higherEducationIndex)
                             .watermark[0]
                         }
                       </div>
@@ -981,7 +908,7 @@ export default function LandingPage() {
                         }}
                       >
                         {
-                          featuredItems.higherEducation[higherEducationIndex]
+                          featuredItem("higherEducation", higherEducationIndex)
                             .watermark[1]
                         }
                       </div>
@@ -989,7 +916,7 @@ export default function LandingPage() {
                     <img
                       key={higherEducationIndex}
                       src={
-                        featuredItems.higherEducation[higherEducationIndex]
+                        featuredItem("higherEducation", higherEducationIndex)
                           .image
                       }
                       alt="Higher Education Uniforms"
@@ -1026,15 +953,10 @@ export default function LandingPage() {
               {/* Orange underline */}
               <div className="w-16 sm:w-20 h-1 bg-[#E68B00] mx-auto mb-4 sm:mb-6"></div>
               <p className="text-sm sm:text-base lg:text-lg text-[#003363] font-SFPro leading-relaxed max-w-md mx-auto">
-                The institution that ensures
-                <span className="text-[#E68B00] font-semibold">
-                  {" "}
-                  quality learning{" "}
-                </span>
-                and{" "}
-                <span className="text-[#E68B00] font-semibold">
-                  biblical moral standards.
-                </span>
+                <AccentText
+                  text={content.about.vision}
+                  accentClassName="text-[#E68B00] font-semibold"
+                />
               </p>
             </div>
 
@@ -1046,16 +968,10 @@ export default function LandingPage() {
               {/* Orange underline */}
               <div className="w-16 sm:w-20 h-1 bg-[#E68B00] mx-auto mb-4 sm:mb-6"></div>
               <p className="text-sm sm:text-base lg:text-lg text-[#003363] font-SFPro leading-relaxed max-w-md mx-auto">
-                To be the frontrunner in providing
-                <span className="text-[#E68B00] font-semibold">
-                  {" "}
-                  academic excellence{" "}
-                </span>
-                and
-                <span className="text-[#E68B00] font-semibold">
-                  {" "}
-                  morally upright principles.
-                </span>
+                <AccentText
+                  text={content.about.mission}
+                  accentClassName="text-[#E68B00] font-semibold"
+                />
               </p>
             </div>
           </div>
@@ -1088,12 +1004,10 @@ export default function LandingPage() {
               Contact <span className="text-[#E68B00]">Us</span>
             </h3>
             <div className="text-xl sm:text-2xl md:text-3xl lg:text-4xl xl:text-5xl font-bold text-[#163869] mb-4 leading-tight">
-              We are here to <br />
-              <span className="text-[#E68B00]">assist</span> you
+              <AccentText text={content.contact.heading} breakBeforeAccent />
             </div>
             <p className="text-[#163869] text-sm sm:text-base mb-6 lg:mb-8 max-w-xl leading-relaxed">
-              If you have any inquiries, require assistance, or wish to provide
-              feedback, we are here to assist you.
+              {content.contact.description}
             </p>
 
             {/* Contact Information */}
@@ -1112,9 +1026,7 @@ export default function LandingPage() {
                     Address
                   </span>
                   <span className="text-[#163869] text-sm sm:text-base leading-relaxed">
-                    Mac Arthur High-way, Sampaloc, Apalit,
-                    <br />
-                    Pampanga
+                    {content.contact.address}
                   </span>
                 </div>
               </div>
@@ -1129,9 +1041,9 @@ export default function LandingPage() {
                     Contact
                   </span>
                   <span className="text-[#163869] text-sm sm:text-base leading-relaxed">
-                    +639479998499
+                    {content.contact.phone}
                     <br />
-                    support@laverdad.edu.ph
+                    {content.contact.email}
                   </span>
                 </div>
               </div>
@@ -1145,8 +1057,7 @@ export default function LandingPage() {
             Find Us on <span className="text-[#E68B00]">Google Maps</span>
           </div>
           <p className="mt-2 sm:mt-3 text-[#163869] text-sm sm:text-base text-center max-w-xl mb-6 sm:mb-8 leading-relaxed px-4 sm:px-6 lg:px-8">
-            If you have any inquiries, require assistance, or wish to provide
-            feedback, we are here to assist you
+            {content.contact.description}
           </p>
           <div className="w-full">
             <iframe
@@ -1161,6 +1072,13 @@ export default function LandingPage() {
         </div>
       </div>
 
+      {/* Draft preview opened from System Settings */}
+      {isPreview && (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 bg-[#0C2340] text-white text-sm font-semibold px-4 py-2 rounded-full shadow-lg">
+          Preview: this draft is not published yet
+        </div>
+      )}
+
       {/* Scroll to Top Button - Mobile Only */}
       {showScrollTop && (
         <button
@@ -0,0 +1,314 @@
+import React, { useState, useMemo } from "react";
+import { createPortal } from "react-dom";
+import { X } from "lucide-react";
+import { useInventoryAtReorderPoint } from "../../hooks";
+
+const lineKey = (row) => `${row.itemId}|${row.size}`;
+
+/** Default order quantity: enough to bring stock back to twice the reorder point */
+const suggestQuantity = (row) =>
+  Math.max(1, (Number(row.reorderPoint) || 0) * 2 - (Number(row.currentStock) || 0));
+
+/**
+ * CreatePurchaseOrderModal Component
+ *
+ * Modal for creating a supplier purchase order from the items at reorder point.
+ * Each item and size is a PO line; the custodian ticks the lines to order and can
+ * change the suggested quantity and unit cost.
+ *
+ * Props:
+ * - isOpen: boolean - Whether the modal is open
+ * - onClose: function - Close the modal
+ * - onCreate: async function(purchaseOrder) - Save the PO (see purchaseOrderService.createPurchaseOrder)
+ */
+const CreatePurchaseOrderModal = ({ isOpen, onClose, onCreate }) => {
+  const { data: reorderRows, loading } = useInventoryAtReorderPoint("all");
+  const [supplierName, setSupplierName] = useState("");
+  const [supplierContact, setSupplierContact] = useState("");
+  const [expectedDate, setExpectedDate] = useState("");
+  const [notes, setNotes] = useState("");
+  const [selectedLines, setSelectedLines] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const rows = useMemo(() => (Array.isArray(reorderRows) ? reorderRows : []), [reorderRows]);
+  const selectedCount = Object.keys(selectedLines).length;
+  const totalCost = Object.values(selectedLines).reduce(
+    (sum, line) => sum + (Number(line.quantity) || 0) * (Number(line.unitCost) || 0),
+    0,
+  );
+
+  const toggleLine = (row) => {
+    const key = lineKey(row);
+    setSelectedLines((prev) => {
+      const next = { ...prev };
+      if (next[key]) {
+        delete next[key];
+      } else {
+        next[key] = { row, quantity: String(suggestQuantity(row)), unitCost: "" };
+      }
+      return next;
+    });
+  };
+
+  const updateLine = (key, field, value) => {
+    setSelectedLines((prev) => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+  };
+
+  const resetForm = () => {
+    setSupplierName("");
+    setSupplierContact("");
+    setExpectedDate("");
+    setNotes("");
+    setSelectedLines({});
+    setError("");
+  };
+
+  const handleClose = () => {
+    if (isSubmitting) return;
+    resetForm();
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!supplierName.trim()) {
+      setError("Please enter the supplier.");
+      return;
+    }
+    const lines = Object.values(selectedLines);
+    if (lines.length === 0) {
+      setError("Select at least one item to order.");
+      return;
+    }
+    const invalid = lines.find(
+      (line) => !Number.isInteger(Number(line.quantity)) || Number(line.quantity) <= 0,
+    );
+    if (invalid) {
+      setError(`Enter a whole quantity greater than 0 for ${invalid.row.itemName} (${invalid.row.size}).`);
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      await onCreate({
+        supplierName: supplierName.trim(),
+        supplierContact: supplierContact.trim(),
+        expectedDate: expectedDate || null,
+        notes: notes.trim(),
+        lines: lines.map(({ row, quantity, unitCost }) => ({
+          itemId: row.itemId,
+          itemName: row.itemName,
+          educationLevel: row.educationLevel,
+          size: row.size,
+          quantityOrdered: Number(quantity),
+          unitCost: unitCost === "" ? null : Number(unitCost),
+        })),
+      });
+      resetForm();
+      onClose();
+    } catch (err) {
+      setError(err.message || "Failed to create purchase order.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[9999] p-4"
+      onClick={handleClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] flex flex-col relative font-sf-medium"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Close Button */}
+        <button
+          onClick={handleClose}
+          disabled={isSubmitting}
+          className="absolute top-4 right-4 p-1.5 rounded-full bg-red-500 text-white hover:bg-red-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          aria-label="Close modal"
+        >
+          <X size={18} />
+        </button>
+
+        <h2 className="text-2xl font-bold text-[#0C2340] px-6 pt-6 pb-4 pr-14">
+          New Purchase Order
+        </h2>
+
+        <form onSubmit={handleSubmit} className="flex-1 overflow-y-auto px-6 pb-6 space-y-4">
+          {/* Supplier */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div className="space-y-1.5">
+              <label className="text-sm font-medium text-gray-700">Supplier</label>
+              <input
+                type="text"
+                value={supplierName}
+                onChange={(e) => setSupplierName(e.target.value)}
+                className="w-full px-3 py-2.5 rounded-lg border border-gray-300 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-[#E68B00] focus:border-transparent"
+                placeholder="Supplier name"
+                disabled={isSubmitting}
+              />
+            </div>
+            <div className="space-y-1.5">
+              <label className="text-sm font-medium text-gray-700">Contact (optional)</label>
+              <input
+                type="text"
+                value={supplierContact}
+                onChange={(e) => setSupplierContact(e.target.value)}
+                className="w-full px-3 py-2.5 rounded-lg border border-gray-300 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-[#E68B00] focus:border-transparent"
+                placeholder="Phone or email"
+                disabled={isSubmitting}
+              />
+            </div>
+            <div className="space-y-1.5">
+              <label className="text-sm font-medium text-gray-700">Expected delivery (optional)</label>
+              <input
+                type="date"
+                value={expectedDate}
+                onChange={(e) => setExpectedDate(e.target.value)}
+                className="w-full px-3 py-2.5 rounded-lg border border-gray-300 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-[#E68B00] focus:border-transparent"
+                disabled={isSubmitting}
+              />
+            </div>
+            <div className="space-y-1.5">
+              <label className="text-sm font-medium text-gray-700">Notes (optional)</label>
+              <input
+                type="text"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                className="w-full px-3 py-2.5 rounded-lg border border-gray-300 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-[#E68B00] focus:border-transparent"
+                placeholder="e.g. Quotation no."
+                disabled={isSubmitting}
+              />
+            </div>
+          </div>
+
+          {/* Lines from the at-reorder-point list */}
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">
+              Items at reorder point{" "}
+              <span className="text-gray-500 font-normal">({selectedCount} selected)</span>
+            </p>
+            <div className="border border-gray-200 rounded-lg overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-gray-700">
+                  <tr>
+                    <th className="px-3 py-2 w-10" />
+                    <th className="px-3 py-2 text-left font-semibold">Item</th>
+                    <th className="px-3 py-2 text-left font-semibold">Size</th>
+                    <th className="px-3 py-2 text-right font-semibold">Stock / Reorder</th>
+                    <th className="px-3 py-2 text-right font-semibold">Order qty</th>
+                    <th className="px-3 py-2 text-right font-semibold">Unit cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loading ? (
+                    <tr>
+                      <td colSpan={6} className="px-3 py-6 text-center text-gray-500">
+                        Loading items...
+                      </td>
+                    </tr>
+                  ) : rows.length === 0 ? (
+                    <tr>
+                      <td colSpan={6} className="px-3 py-6 text-center text-gray-500">
+                        No items are at reorder point.
+                      </td>
+                    </tr>
+                  ) : (
+                    rows.map((row) => {
+                      const key = lineKey(row);
+                      const selected = selectedLines[key];
+                      return (
+                        <tr key={key} className="border-t border-gray-100">
+                          <td className="px-3 py-2">
+                            <input
+                              type="checkbox"
+                              checked={Boolean(selected)}
+                              onChange={() => toggleLine(row)}
+                              disabled={isSubmitting}
+                              className="w-4 h-4 accent-[#E68B00]"
+                              aria-label={`Order ${row.itemName} ${row.size}`}
+                            />
+                          </td>
+                          <td className="px-3 py-2 text-[#003363]">
+                            <span className="font-medium">{row.itemName}</span>
+                            <span className="block text-xs text-gray-500">{row.educationLevel}</span>
+                          </td>
+                          <td className="px-3 py-2 text-gray-700">{row.size}</td>
+                          <td className="px-3 py-2 text-right text-gray-700">
+                            {row.currentStock} / {row.reorderPoint}
+                          </td>
+                          <td className="px-3 py-2 text-right">
+                            <input
+                              type="number"
+                              min="1"
+                              step="1"
+                              value={selected?.quantity ?? ""}
+                              onChange={(e) => updateLine(key, "quantity", e.target.value)}
+                              disabled={!selected || isSubmitting}
+                              className="w-20 px-2 py-1 border border-gray-300 rounded text-right disabled:bg-gray-50"
+                            />
+                          </td>
+                          <td className="px-3 py-2 text-right">
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              value={selected?.unitCost ?? ""}
+                              onChange={(e) => updateLine(key, "unitCost", e.target.value)}
+                              disabled={!selected || isSubmitting}
+                              placeholder="0.00"
+                              className="w-24 px-2 py-1 border border-gray-300 rounded text-right disabled:bg-gray-50"
+                            />
+                          </td>
+                        </tr>
+                      );
+                    })
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {error && <p className="text-sm text-red-500">{error}</p>}
+
+          {/* Action Buttons */}
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 pt-2">
+            <p className="text-sm text-gray-600">
+              Total cost:{" "}
+              <span className="font-semibold text-[#0C2340]">
+                P{totalCost.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+              </span>
+            </p>
+            <div className="flex gap-3 justify-end">
+              <button
+                type="button"
+                onClick={handleClose}
+                disabled={isSubmitting}
+                className="px-4 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting || selectedCount === 0}
+                className="px-4 py-2 text-sm bg-[#E68B00] text-white rounded-lg hover:bg-[#D67A00] transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSubmitting ? "Creating..." : "Create purchase order"}
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+    </div>,
+    document.body,
+  );
+};
+
+export default CreatePurchaseOrderModal;
@@ -0,0 +1,77 @@
+import React, { useState, useRef, useEffect } from "react";
+import { Download, FileText, FileSpreadsheet } from "lucide-react";
+import { EXPORT_FORMAT } from "../../utils/inventoryExport";
+
+/**
+ * ExportMenu Component
+ *
+ * "Export" button with a small dropdown to download the current view as CSV or Excel.
+ *
+ * Props:
+ * - onExport: Function(format) - called with EXPORT_FORMAT.CSV or EXPORT_FORMAT.XLSX
+ * - disabled: Boolean - no rows to export
+ */
+const ExportMenu = ({ onExport, disabled = false }) => {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [open]);
+
+  const handleSelect = async (format) => {
+    setOpen(false);
+    setExporting(true);
+    try {
+      await onExport(format);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div ref={menuRef} className="relative w-full sm:w-auto flex-shrink-0">
+      <button
+        type="button"
+        onClick={() => setOpen((prev) => !prev)}
+        disabled={disabled || exporting}
+        className="w-full sm:w-auto px-2.5 sm:px-3 md:px-3.5 lg:px-4 py-1 sm:py-1.5 md:py-1.5 lg:py-2 border border-[#0C2340] text-[#0C2340] bg-white font-medium rounded-lg hover:bg-gray-50 transition-colors duration-200 shadow-sm text-xs sm:text-sm md:text-sm lg:text-base whitespace-nowrap flex items-center justify-center gap-1.5 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {exporting ? (
+          <span className="inline-block w-4 h-4 border-2 border-[#0C2340] border-t-transparent rounded-full animate-spin" />
+        ) : (
+          <Download size={16} />
+        )}
+        Export
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-44 bg-white border border-gray-200 rounded-lg shadow-lg z-20 py-1">
+          <button
+            type="button"
+            onClick={() => handleSelect(EXPORT_FORMAT.CSV)}
+            className="w-full px-3 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 flex items-center gap-2"
+          >
+            <FileText size={16} className="text-gray-500" />
+            CSV (.csv)
+          </button>
+          <button
+            type="button"
+            onClick={() => handleSelect(EXPORT_FORMAT.XLSX)}
+            className="w-full px-3 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 flex items-center gap-2"
+          >
+            <FileSpreadsheet size={16} className="text-green-600" />
+            Excel (.xlsx)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -1,5 +1,6 @@
 import React from "react";
 import DateRangePicker from "../common/DateRangePicker";
+import ExportMenu from "./ExportMenu";
 
 /**
  * InventoryControlBar Component
@@ -8,7 +9,9 @@ import DateRangePicker from "../common/DateRangePicker";
  * - Date range picker (for comparing releases across time periods)
  * - Add Inventory button
  * - Set item reorder point button
+ * - Stock take (physical count) and purchase orders buttons
  * - Grade level dropdown
+ * - Export (CSV / Excel) of the filtered report
  */
 const InventoryControlBar = ({
   startDate,
@@ -18,6 +21,10 @@ const InventoryControlBar = ({
   onGradeLevelChange,
   onUpdateQuantityClick,
   onSetReorderPointClick,
+  onStockTakeClick,
+  onPurchaseOrdersClick,
+  onExport,
+  canExport = false,
 }) => {
   return (
     <div className="bg-white border border-gray-200 rounded-lg px-2 sm:px-3 md:px-2.5 lg:px-4 py-1.5 sm:py-2 md:py-2 lg:py-2.5 mb-3 sm:mb-4 md:mb-4 shadow-sm overflow-visible font-sf-medium">
@@ -44,6 +51,26 @@ const InventoryControlBar = ({
               Set item reorder point
             </button>
           )}
+          {/* Stock Take Button */}
+          {onStockTakeClick && (
+            <button
+              onClick={onStockTakeClick}
+              type="button"
+              className="w-full sm:w-auto px-2.5 sm:px-3 md:px-3.5 lg:px-5 py-1 sm:py-1.5 md:py-1.5 lg:py-2 border border-[#E68B00] text-[#E68B00] bg-white font-medium rounded-lg hover:bg-orange-50 transition-colors duration-200 shadow-sm text-xs sm:text-sm md:text-sm lg:text-base whitespace-nowrap flex-shrink-0"
+            >
+              Stock take
+            </button>
+          )}
+          {/* Purchase Orders Button */}
+          {onPurchaseOrdersClick && (
+            <button
+              onClick={onPurchaseOrdersClick}
+              type="button"
+              className="w-full sm:w-auto px-2.5 sm:px-3 md:px-3.5 lg:px-5 py-1 sm:py-1.5 md:py-1.5 lg:py-2 border border-[#E68B00] text-[#E68B00] bg-white font-medium rounded-lg hover:bg-orange-50 transition-colors duration-200 shadow-sm text-xs sm:text-sm md:text-sm lg:text-base whitespace-nowrap flex-shrink-0"
+            >
+              Purchase orders
+            </button>
+          )}
           {/* Add Inventory Button */}
           <button
             onClick={onUpdateQuantityClick}
@@ -51,6 +78,8 @@ const InventoryControlBar = ({
           >
             Add Inventory
           </button>
+          {/* Export Button */}
+          {onExport && <ExportMenu onExport={onExport} disabled={!canExport} />}
           {/* Grade Level Dropdown */}
           <div className="w-full sm:w-auto sm:min-w-[140px] md:min-w-[150px] lg:min-w-[180px] xl:min-w-[200px] flex-shrink-0">
             <select
@@ -24,10 +24,13 @@ const InventoryView = ({
   onGradeLevelChange,
   onUpdateQuantityClick,
   onSetReorderPointClick,
+  onStockTakeClick,
+  onPurchaseOrdersClick,
   inventoryData,
   allInventoryData,
   isDateFilterActive = false,
   loading = false,
+  onExport,
 }) => {
   // Only show skeleton on initial load when there's no data
   const isInitialLoad = loading && inventoryData.length === 0;
@@ -47,6 +50,10 @@ const InventoryView = ({
         onGradeLevelChange={onGradeLevelChange}
         onUpdateQuantityClick={onUpdateQuantityClick}
         onSetReorderPointClick={onSetReorderPointClick}
+        onStockTakeClick={onStockTakeClick}
+        onPurchaseOrdersClick={onPurchaseOrdersClick}
+        onExport={onExport}
+        canExport={allInventoryData.length > 0}
       />
 
       {/* Inventory Table with loading overlay */}
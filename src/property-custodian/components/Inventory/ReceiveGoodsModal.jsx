@@ -0,0 +1,167 @@
+import React, { useState } from "react";
+import { createPortal } from "react-dom";
+import { X } from "lucide-react";
+import { getLineOutstanding } from "../../hooks";
+
+/**
+ * ReceiveGoodsModal Component
+ *
+ * Modal for receiving a delivery against a purchase order. Quantities default to
+ * what is still outstanding per line; the custodian changes them to what actually
+ * arrived (partial deliveries leave the rest outstanding on the PO).
+ *
+ * Props:
+ * - purchaseOrder: object - PO being received (reference, supplier_name, lines[])
+ * - onClose: function - Close the modal
+ * - onReceive: async function(receipts) - receipts: [{ line, quantity }]
+ */
+const ReceiveGoodsModal = ({ purchaseOrder, onClose, onReceive }) => {
+  const openLines = (purchaseOrder?.lines || []).filter((line) => getLineOutstanding(line) > 0);
+  const [quantities, setQuantities] = useState(() =>
+    Object.fromEntries(openLines.map((line) => [line.id, String(getLineOutstanding(line))])),
+  );
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const totalReceiving = openLines.reduce(
+    (sum, line) => sum + (Number(quantities[line.id]) || 0),
+    0,
+  );
+
+  const handleClose = () => {
+    if (!isSubmitting) onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    for (const line of openLines) {
+      const value = quantities[line.id];
+      const quantity = Number(value);
+      if (value === "" || !Number.isInteger(quantity) || quantity < 0) {
+        setError(`Enter a whole quantity for ${line.item_name} (${line.size}).`);
+        return;
+      }
+      if (quantity > getLineOutstanding(line)) {
+        setError(
+          `${line.item_name} (${line.size}): only ${getLineOutstanding(line)} still to be delivered.`,
+        );
+        return;
+      }
+    }
+    if (totalReceiving === 0) {
+      setError("Enter the quantity received for at least one item.");
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      await onReceive(
+        openLines.map((line) => ({ line, quantity: Number(quantities[line.id]) || 0 })),
+      );
+    } catch (err) {
+      setError(err.message || "Failed to receive goods.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[9999] p-4"
+      onClick={handleClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-2xl w-full max-h-[90vh] flex flex-col relative font-sf-medium"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Close Button */}
+        <button
+          onClick={handleClose}
+          disabled={isSubmitting}
+          className="absolute top-4 right-4 p-1.5 rounded-full bg-red-500 text-white hover:bg-red-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          aria-label="Close modal"
+        >
+          <X size={18} />
+        </button>
+
+        <div className="px-6 pt-6 pb-4 pr-14">
+          <h2 className="text-2xl font-bold text-[#0C2340]">Receive Goods</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            {purchaseOrder.reference} · {purchaseOrder.supplier_name}
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex-1 overflow-y-auto px-6 pb-6 space-y-4">
+          <div className="border border-gray-200 rounded-lg overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-gray-700">
+                <tr>
+                  <th className="px-3 py-2 text-left font-semibold">Item</th>
+                  <th className="px-3 py-2 text-left font-semibold">Size</th>
+                  <th className="px-3 py-2 text-right font-semibold">Ordered</th>
+                  <th className="px-3 py-2 text-right font-semibold">Received</th>
+                  <th className="px-3 py-2 text-right font-semibold">Receiving now</th>
+                </tr>
+              </thead>
+              <tbody>
+                {openLines.map((line) => (
+                  <tr key={line.id} className="border-t border-gray-100">
+                    <td className="px-3 py-2 font-medium text-[#003363]">{line.item_name}</td>
+                    <td className="px-3 py-2 text-gray-700">{line.size}</td>
+                    <td className="px-3 py-2 text-right text-gray-700">{line.quantity_ordered}</td>
+                    <td className="px-3 py-2 text-right text-gray-700">{line.quantity_received || 0}</td>
+                    <td className="px-3 py-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        max={getLineOutstanding(line)}
+                        step="1"
+                        value={quantities[line.id] ?? ""}
+                        onChange={(e) =>
+                          setQuantities((prev) => ({ ...prev, [line.id]: e.target.value }))
+                        }
+                        disabled={isSubmitting}
+                        className="w-20 px-2 py-1 border border-gray-300 rounded text-right focus:outline-none focus:ring-2 focus:ring-[#E68B00]"
+                        aria-label={`Quantity received for ${line.item_name} ${line.size}`}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Each line is added to stock as a purchase tagged with {purchaseOrder.reference}. Anything
+            not delivered stays outstanding on the PO.
+          </p>
+
+          {error && <p className="text-sm text-red-500">{error}</p>}
+
+          <div className="flex gap-3 justify-end pt-2">
+            <button
+              type="button"
+              onClick={handleClose}
+              disabled={isSubmitting}
+              className="px-4 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting || totalReceiving === 0}
+              className="px-4 py-2 text-sm bg-[#E68B00] text-white rounded-lg hover:bg-[#D67A00] transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? "Receiving..." : `Receive ${totalReceiving} unit${totalReceiving !== 1 ? "s" : ""}`}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>,
+    document.body,
+  );
+};
+
+export default ReceiveGoodsModal;
@@ -1,12 +1,14 @@
 import React from "react";
 import DateRangePicker from "../common/DateRangePicker";
+import ExportMenu from "./ExportMenu";
 
 /**
  * TransactionsControlBar Component
  * 
  * Control bar for transactions view with:
  * - Date range picker
- * - Transaction type filters (All, Purchases, Returns, Releases, Items)
+ * - Transaction type filters (All, Purchases, Returns, Releases, Items, Stock Take)
+ * - Export (CSV / Excel) of the filtered transactions
  */
 const TransactionsControlBar = ({
   startDate,
@@ -15,6 +17,8 @@ const TransactionsControlBar = ({
   transactionTypeFilter,
   onTransactionTypeFilterChange,
   transactionCounts,
+  onExport,
+  canExport = false,
 }) => {
   return (
     <div className="bg-white border border-gray-200 rounded-lg p-3 sm:p-4 mb-4 sm:mb-6 shadow-sm">
@@ -30,7 +34,7 @@ const TransactionsControlBar = ({
         </div>
 
         {/* Transaction Type Filters - Segmented Control Style */}
-        <div className="flex items-center justify-center sm:justify-start">
+        <div className="flex flex-col sm:flex-row items-center justify-center sm:justify-start gap-2 sm:gap-3">
           <div 
             className="inline-flex items-center border border-gray-300 rounded-lg p-1 gap-1"
             style={{ backgroundColor: 'rgba(215, 215, 215, 0.9)' }}
@@ -85,7 +89,20 @@ const TransactionsControlBar = ({
             >
               Items <span className="font-semibold">{transactionCounts.items}</span>
             </button>
+            <button
+              onClick={() => onTransactionTypeFilterChange("stockTake")}
+              className={`px-3 sm:px-4 py-2 text-xs sm:text-sm font-medium rounded-md transition-colors ${
+                transactionTypeFilter === "stockTake"
+                  ? "bg-white text-gray-800"
+                  : "bg-transparent text-gray-600 hover:bg-white/50"
+              }`}
+            >
+              Stock Take <span className="font-semibold">{transactionCounts.stockTake}</span>
+            </button>
           </div>
+
+          {/* Export Button */}
+          {onExport && <ExportMenu onExport={onExport} disabled={!canExport} />}
         </div>
       </div>
     </div>
@@ -1,4 +1,5 @@
 import React from "react";
+import { formatPickedUpBy } from "../../../utils/pickupProxies";
 
 /**
  * TransactionsTable Component
@@ -88,7 +89,7 @@ const TransactionsTable = ({ transactions, currentPage = 1, pagination, onPageCh
     }
     // Fallback to parsing action string
     const itemMatch = action.match(
-      /(?:ITEM CREATED|PURCHASE RECORDED|RETURN RECORDED|ITEM RELEASED|ITEM DETAILS UPDATED)\s+(.+)$/i,
+      /(?:ITEM CREATED|PURCHASE RECORDED|RETURN RECORDED|ITEM RELEASED|STOCK TAKE ADJUSTMENT|ITEM DETAILS UPDATED)\s+(.+)$/i,
     );
     return itemMatch ? itemMatch[1].trim() : "";
   };
@@ -96,7 +97,7 @@ const TransactionsTable = ({ transactions, currentPage = 1, pagination, onPageCh
   // Helper function to extract action prefix
   const extractActionPrefix = (action) => {
     const prefixMatch = action.match(
-      /^(ITEM CREATED|ORDER CREATED|PURCHASE RECORDED|RETURN RECORDED|ITEM RELEASED|ITEM DETAILS UPDATED)/i,
+      /^(ITEM CREATED|ORDER CREATED|PURCHASE RECORDED|RETURN RECORDED|ITEM RELEASED|STOCK TAKE ADJUSTMENT|ITEM DETAILS UPDATED)/i,
     );
     return prefixMatch ? prefixMatch[1] : action;
   };
@@ -109,6 +110,7 @@ const TransactionsTable = ({ transactions, currentPage = 1, pagination, onPageCh
       Purchases: "text-green-600",
       Returns: "text-red-600",
       Releases: "text-green-600",
+      "Stock Take": "text-purple-600",
     };
     return statusMap[status] || "text-gray-600";
   };
@@ -121,6 +123,7 @@ const TransactionsTable = ({ transactions, currentPage = 1, pagination, onPageCh
       Purchases: "bg-green-500",
       Returns: "bg-red-500",
       Releases: "bg-green-500",
+      "Stock Take": "bg-purple-500",
     };
     return colorMap[status] || "bg-gray-500";
   };
@@ -188,6 +191,13 @@ const TransactionsTable = ({ transactions, currentPage = 1, pagination, onPageCh
           </span>
         );
       }
+      if (meta.purchase_order_reference) {
+        parts.push(
+          <span key="po" className="block mt-1 text-xs text-gray-500">
+            PO: {meta.purchase_order_reference}
+          </span>
+        );
+      }
       return parts.length > 0 ? <div>{parts}</div> : <span>{details}</span>;
     }
 
@@ -215,9 +225,47 @@ const TransactionsTable = ({ transactions, currentPage = 1, pagination, onPageCh
           </span>
         );
       }
+      if (meta.exchange_reference) {
+        parts.push(
+          <span key="exchange" className="block mt-1 text-xs text-gray-500">
+            Exchange: {meta.exchange_reference}
+          </span>
+        );
+      }
+      if (meta.picked_up_by?.type === "proxy") {
+        parts.push(
+          <span key="picked-up-by" className="block mt-1 text-xs text-gray-500">
+            Picked up by: {formatPickedUpBy(meta.picked_up_by)}
+          </span>
+        );
+      }
       return parts.length > 0 ? <div>{parts}</div> : <span>{details}</span>;
     }
 
+    // STOCK TAKE ADJUSTMENT (posted variance from a physical count)
+    if (action.startsWith("STOCK TAKE ADJUSTMENT")) {
+      const variance = Number(meta.variance ?? meta.quantity) || 0;
+      const parts = [
+        <span key="variance">
+          <strong>
+            {variance > 0 ? "+" : ""}
+            {variance} unit{Math.abs(variance) !== 1 ? "s" : ""}
+          </strong>
+          {meta.counted_quantity != null && meta.system_quantity != null && (
+            <> (counted {meta.counted_quantity}, system {meta.system_quantity})</>
+          )}
+        </span>,
+      ];
+      if (meta.stock_take_reference) {
+        parts.push(
+          <span key="reference" className="block mt-1 text-xs text-gray-500">
+            Ref: {meta.stock_take_reference}
+          </span>
+        );
+      }
+      return <div>{parts}</div>;
+    }
+
     // ITEM RELEASED
     if (action.startsWith("ITEM RELEASED")) {
       const quantity = meta.quantity || 0;
@@ -242,6 +290,13 @@ const TransactionsTable = ({ transactions, currentPage = 1, pagination, onPageCh
           </span>
         );
       }
+      if (meta.exchange_reference) {
+        parts.push(
+          <span key="exchange" className="block mt-1 text-xs text-gray-500">
+            Exchange: {meta.exchange_reference}
+          </span>
+        );
+      }
       return parts.length > 0 ? <div>{parts}</div> : <span>{details}</span>;
     }
 
@@ -21,6 +21,8 @@ const TransactionsView = ({
   transactionCurrentPage,
   transactionPagination,
   onTransactionPageChange,
+  onExport,
+  canExport = false,
 }) => {
   return (
     <div className="w-full">
@@ -32,6 +34,8 @@ const TransactionsView = ({
         transactionTypeFilter={transactionTypeFilter}
         onTransactionTypeFilterChange={onTransactionTypeFilterChange}
         transactionCounts={transactionCounts}
+        onExport={onExport}
+        canExport={canExport}
       />
 
       {/* Transactions Table */}
@@ -25,6 +25,10 @@ import QrScanner from "qr-scanner";
  * - onScan: Function called when QR code is scanned (receives scanned data)
  * - processing: Boolean indicating if the scanned data is being processed
  * - scanError: String error message to display (e.g., when order is already claimed)
+ * - continuous: Boolean - keep scanning after each code (batch release line); results are
+ *   shown in sidePanel instead of the single-scan messages
+ * - title: String header title (default: "Scan QR Code")
+ * - sidePanel: ReactNode rendered next to the camera (e.g. the batch release list)
  */
 const QRCodeScannerModal = ({
   isOpen,
@@ -32,6 +36,9 @@ const QRCodeScannerModal = ({
   onScan,
   processing = false,
   scanError = null,
+  continuous = false,
+  title = "Scan QR Code",
+  sidePanel = null,
 }) => {
   const videoRef = useRef(null);
   const [scanner, setScanner] = useState(null);
@@ -95,6 +102,19 @@ const QRCodeScannerModal = ({
             // console.log("📷 QR Scanner detected code!");
             // console.log("📦 Raw QR data:", data);
             // console.log("📏 Data length:", data.length);
+
+            // Release line: hand every code to the parent and keep the camera ready
+            if (continuous) {
+              if (onScan) {
+                try {
+                  await onScan(data);
+                } catch (error) {
+                  console.error("❌ onScan callback error:", error);
+                }
+              }
+              return;
+            }
+
             setScannedData(data);
 
             // Check if it's an order receipt QR code
@@ -184,7 +204,7 @@ const QRCodeScannerModal = ({
       setScanner(null);
       setIsScanning(false);
     };
-  }, [isOpen, onScan]);
+  }, [isOpen, onScan, continuous]);
 
   const handleClose = () => {
     if (scanner) {
@@ -219,7 +239,7 @@ const QRCodeScannerModal = ({
       }}
     >
       <div 
-        className="bg-white rounded-2xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-hidden flex flex-col relative z-[10001]"
+        className={`bg-white rounded-2xl shadow-2xl ${sidePanel ? "max-w-5xl" : "max-w-lg"} w-full max-h-[90vh] overflow-hidden flex flex-col relative z-[10001]`}
         style={{ zIndex: 10001 }}
         onClick={(e) => e.stopPropagation()}
       >
@@ -227,7 +247,7 @@ const QRCodeScannerModal = ({
         <div className="flex items-center justify-between px-4 sm:px-6 py-3 sm:py-4 border-b border-gray-200 bg-gradient-to-r from-[#0C2340] to-[#1e3a8a]">
           <div className="flex items-center gap-2 sm:gap-3">
             <Camera className="text-white" size={20} />
-            <h3 className="text-lg sm:text-xl font-semibold text-white">Scan QR Code</h3>
+            <h3 className="text-lg sm:text-xl font-semibold text-white">{title}</h3>
           </div>
           <button
             onClick={handleClose}
@@ -238,116 +258,125 @@ const QRCodeScannerModal = ({
           </button>
         </div>
 
-        {/* Content */}
-        <div className="flex-1 overflow-y-auto p-4 sm:p-6">
-          {/* Error Message - Red popup for claimed orders or expired QR */}
-          {scanError && (scanError.toLowerCase().includes("already been claimed") || scanError.toLowerCase().includes("expired")) && (
-            <div className="mb-4 p-4 bg-red-50 border-2 border-red-300 rounded-xl">
-              <div className="flex items-start gap-3">
-                <AlertCircle className="w-6 h-6 text-red-600 flex-shrink-0 mt-0.5" />
-                <div className="flex-1">
-                  <p className="text-sm font-semibold text-red-800 mb-1">
-                    {scanError.toLowerCase().includes("expired") ? "QR Code Expired" : "Order Already Claimed"}
-                  </p>
-                  <p className="text-xs text-red-700">
-                    {scanError}
-                  </p>
-                </div>
-              </div>
-            </div>
-          )}
-
-          {/* Video Stream with Overlay */}
-          <div className="mb-4 sm:mb-6 rounded-xl overflow-hidden bg-black relative">
-            {/* Video Element - Always visible when modal is open */}
-            <video
-              ref={videoRef}
-              className="w-full h-[300px] sm:h-[400px] object-cover"
-              playsInline
-              muted
-              autoPlay
-            />
-
-            {/* Scanning Overlay - Only show when actively scanning */}
-            {isScanning && (
-              <div className="absolute inset-0 pointer-events-none z-10">
-                <div className="absolute inset-0 flex items-center justify-center">
-                  <div className="w-56 h-56 sm:w-64 sm:h-64 border-4 border-[#e68b00] rounded-lg relative">
-                    {/* Corner decorations */}
-                    <div className="absolute top-0 left-0 w-6 h-6 sm:w-8 sm:h-8 border-t-4 border-l-4 border-white rounded-tl-lg"></div>
-                    <div className="absolute top-0 right-0 w-6 h-6 sm:w-8 sm:h-8 border-t-4 border-r-4 border-white rounded-tr-lg"></div>
-                    <div className="absolute bottom-0 left-0 w-6 h-6 sm:w-8 sm:h-8 border-b-4 border-l-4 border-white rounded-bl-lg"></div>
-                    <div className="absolute bottom-0 right-0 w-6 h-6 sm:w-8 sm:h-8 border-b-4 border-r-4 border-white rounded-br-lg"></div>
+        {/* Content - camera column, plus the side panel in release line mode */}
+        <div className={`flex-1 overflow-y-auto p-4 sm:p-6 ${sidePanel ? "lg:grid lg:grid-cols-2 lg:gap-6" : ""}`}>
+          <div>
+            {/* Error Message - Red popup for claimed, held or denied orders, or expired QR */}
+            {scanError && (scanError.toLowerCase().includes("already been claimed") || scanError.toLowerCase().includes("expired") || scanError.toLowerCase().includes("department head")) && (
+              <div className="mb-4 p-4 bg-red-50 border-2 border-red-300 rounded-xl">
+                <div className="flex items-start gap-3">
+                  <AlertCircle className="w-6 h-6 text-red-600 flex-shrink-0 mt-0.5" />
+                  <div className="flex-1">
+                    <p className="text-sm font-semibold text-red-800 mb-1">
+                      {scanError.toLowerCase().includes("expired")
+                        ? "QR Code Expired"
+                        : scanError.toLowerCase().includes("waiting for department head")
+                          ? "Order Awaiting Approval"
+                          : scanError.toLowerCase().includes("denied by the department head")
+                            ? "Order Denied"
+                            : "Order Already Claimed"}
+                    </p>
+                    <p className="text-xs text-red-700">
+                      {scanError}
+                    </p>
                   </div>
                 </div>
               </div>
             )}
 
-            {/* Loading State - Show on top of video */}
-            {!isScanning && !error && (
-              <div className="absolute inset-0 w-full h-[300px] sm:h-[400px] bg-gray-900/80 flex items-center justify-center z-20">
-                <div className="text-center">
-                  <Loader2 className="w-10 h-10 sm:w-12 sm:h-12 text-[#e68b00] animate-spin mx-auto mb-3" />
-                  <p className="text-white text-sm font-medium">
-                    Initializing camera...
-                  </p>
-                  <p className="text-gray-400 text-xs mt-1">Please wait</p>
+            {/* Video Stream with Overlay */}
+            <div className="mb-4 sm:mb-6 rounded-xl overflow-hidden bg-black relative">
+              {/* Video Element - Always visible when modal is open */}
+              <video
+                ref={videoRef}
+                className="w-full h-[300px] sm:h-[400px] object-cover"
+                playsInline
+                muted
+                autoPlay
+              />
+
+              {/* Scanning Overlay - Only show when actively scanning */}
+              {isScanning && (
+                <div className="absolute inset-0 pointer-events-none z-10">
+                  <div className="absolute inset-0 flex items-center justify-center">
+                    <div className="w-56 h-56 sm:w-64 sm:h-64 border-4 border-[#e68b00] rounded-lg relative">
+                      {/* Corner decorations */}
+                      <div className="absolute top-0 left-0 w-6 h-6 sm:w-8 sm:h-8 border-t-4 border-l-4 border-white rounded-tl-lg"></div>
+                      <div className="absolute top-0 right-0 w-6 h-6 sm:w-8 sm:h-8 border-t-4 border-r-4 border-white rounded-tr-lg"></div>
+                      <div className="absolute bottom-0 left-0 w-6 h-6 sm:w-8 sm:h-8 border-b-4 border-l-4 border-white rounded-bl-lg"></div>
+                      <div className="absolute bottom-0 right-0 w-6 h-6 sm:w-8 sm:h-8 border-b-4 border-r-4 border-white rounded-br-lg"></div>
+                    </div>
+                  </div>
                 </div>
-              </div>
-            )}
+              )}
+
+              {/* Loading State - Show on top of video */}
+              {!isScanning && !error && (
+                <div className="absolute inset-0 w-full h-[300px] sm:h-[400px] bg-gray-900/80 flex items-center justify-center z-20">
+                  <div className="text-center">
+                    <Loader2 className="w-10 h-10 sm:w-12 sm:h-12 text-[#e68b00] animate-spin mx-auto mb-3" />
+                    <p className="text-white text-sm font-medium">
+                      Initializing camera...
+                    </p>
+                    <p className="text-gray-400 text-xs mt-1">Please wait</p>
+                  </div>
+                </div>
+              )}
+
+              {/* Error State - Show on top of video */}
+              {error && (
+                <div className="absolute inset-0 w-full h-[300px] sm:h-[400px] bg-gray-900/80 flex items-center justify-center z-20">
+                  <div className="text-center px-4 sm:px-6">
+                    <AlertCircle className="w-10 h-10 sm:w-12 sm:h-12 text-red-500 mx-auto mb-3" />
+                    <p className="text-white text-sm font-medium mb-2">
+                      Camera Error
+                    </p>
+                    <p className="text-gray-400 text-xs">{error}</p>
+                  </div>
+                </div>
+              )}
+            </div>
 
-            {/* Error State - Show on top of video */}
-            {error && (
-              <div className="absolute inset-0 w-full h-[300px] sm:h-[400px] bg-gray-900/80 flex items-center justify-center z-20">
-                <div className="text-center px-4 sm:px-6">
-                  <AlertCircle className="w-10 h-10 sm:w-12 sm:h-12 text-red-500 mx-auto mb-3" />
-                  <p className="text-white text-sm font-medium mb-2">
-                    Camera Error
-                  </p>
-                  <p className="text-gray-400 text-xs">{error}</p>
+            {/* Success Message with Order Details */}
+            {scannedData && !orderDetails && (
+              <div className="mb-4 p-4 bg-green-50 border-2 border-green-200 rounded-xl">
+                <div className="flex items-start gap-3">
+                  <CheckCircle className="w-6 h-6 text-green-600 flex-shrink-0 mt-0.5" />
+                  <div className="flex-1">
+                    <p className="text-sm font-semibold text-green-800 mb-1">
+                      QR Code Scanned Successfully!
+                    </p>
+                    <p className="text-xs text-green-700 break-all font-mono bg-green-100 p-2 rounded">
+                      {scannedData}
+                    </p>
+                  </div>
                 </div>
               </div>
             )}
-          </div>
 
-          {/* Success Message with Order Details */}
-          {scannedData && !orderDetails && (
-            <div className="mb-4 p-4 bg-green-50 border-2 border-green-200 rounded-xl">
-              <div className="flex items-start gap-3">
-                <CheckCircle className="w-6 h-6 text-green-600 flex-shrink-0 mt-0.5" />
-                <div className="flex-1">
-                  <p className="text-sm font-semibold text-green-800 mb-1">
-                    QR Code Scanned Successfully!
+
+            {/* Status Indicator */}
+            <div className="mt-4 text-center">
+              {isScanning && !scannedData && !processing && (
+                <div className="flex items-center justify-center gap-2">
+                  <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+                  <p className="text-sm text-gray-600 font-medium">
+                    Camera is active - Ready to scan
                   </p>
-                  <p className="text-xs text-green-700 break-all font-mono bg-green-100 p-2 rounded">
-                    {scannedData}
+                </div>
+              )}
+              {processing && (
+                <div className="flex items-center justify-center gap-2">
+                  <Loader2 className="w-5 h-5 text-[#e68b00] animate-spin" />
+                  <p className="text-sm text-gray-600 font-medium">
+                    Processing order...
                   </p>
                 </div>
-              </div>
+              )}
             </div>
-          )}
-
-
-          {/* Status Indicator */}
-          <div className="mt-4 text-center">
-            {isScanning && !scannedData && !processing && (
-              <div className="flex items-center justify-center gap-2">
-                <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
-                <p className="text-sm text-gray-600 font-medium">
-                  Camera is active - Ready to scan
-                </p>
-              </div>
-            )}
-            {processing && (
-              <div className="flex items-center justify-center gap-2">
-                <Loader2 className="w-5 h-5 text-[#e68b00] animate-spin" />
-                <p className="text-sm text-gray-600 font-medium">
-                  Processing order...
-                </p>
-              </div>
-            )}
           </div>
 
+          {sidePanel && <div className="mt-4 lg:mt-0 min-w-0">{sidePanel}</div>}
         </div>
 
         {/* Footer */}
@@ -0,0 +1,145 @@
+import { format } from "date-fns";
+import { X, CheckCircle, AlertCircle, Loader2, Copy, Clock } from "lucide-react";
+import { BATCH_ENTRY_STATUS } from "../../hooks/orders/useBatchClaim";
+import { formatPickedUpBy } from "../../../utils/pickupProxies";
+
+const STATUS_STYLES = {
+  [BATCH_ENTRY_STATUS.CHECKING]: { label: "Checking…", className: "text-gray-500", icon: Loader2, spin: true },
+  [BATCH_ENTRY_STATUS.READY]: { label: "Ready", className: "text-green-700", icon: CheckCircle },
+  [BATCH_ENTRY_STATUS.DUPLICATE]: { label: "Duplicate", className: "text-amber-600", icon: Copy },
+  [BATCH_ENTRY_STATUS.EXPIRED]: { label: "Expired", className: "text-red-600", icon: Clock },
+  [BATCH_ENTRY_STATUS.CLAIMED]: { label: "Already claimed", className: "text-red-600", icon: AlertCircle },
+  [BATCH_ENTRY_STATUS.AWAITING_APPROVAL]: { label: "Awaiting approval", className: "text-amber-600", icon: Clock },
+  [BATCH_ENTRY_STATUS.DENIED]: { label: "Denied", className: "text-red-600", icon: AlertCircle },
+  [BATCH_ENTRY_STATUS.INVALID]: { label: "Invalid", className: "text-red-600", icon: AlertCircle },
+  [BATCH_ENTRY_STATUS.RELEASING]: { label: "Releasing…", className: "text-[#0C2340]", icon: Loader2, spin: true },
+  [BATCH_ENTRY_STATUS.RELEASED]: { label: "Released", className: "text-[#0C2340]", icon: CheckCircle },
+  [BATCH_ENTRY_STATUS.FAILED]: { label: "Failed", className: "text-red-600", icon: AlertCircle },
+};
+
+/**
+ * BatchClaimPanel Component
+ *
+ * Side list for the release line (batch claim mode): every scanned order with its
+ * status, running totals, and actions to remove entries or release the whole batch.
+ *
+ * Props:
+ * - batch: Object returned by useBatchClaim
+ * - onConfirm: Function - release all ready entries
+ */
+const BatchClaimPanel = ({ batch, onConfirm }) => {
+  const { entries, totals, confirming, removeEntry, clearBatch } = batch;
+
+  return (
+    <div className="flex flex-col h-full border border-gray-200 rounded-xl overflow-hidden">
+      {/* Running Totals */}
+      <div className="grid grid-cols-3 divide-x divide-gray-200 bg-gray-50 border-b border-gray-200 text-center">
+        <div className="py-3">
+          <p className="text-xl font-bold text-[#0C2340]">{totals.readyOrders}</p>
+          <p className="text-xs text-gray-500">Orders ready</p>
+        </div>
+        <div className="py-3">
+          <p className="text-xl font-bold text-[#e68b00]">{totals.readyItems}</p>
+          <p className="text-xs text-gray-500">Items ready</p>
+        </div>
+        <div className="py-3">
+          <p className={`text-xl font-bold ${totals.flagged > 0 ? "text-red-600" : "text-gray-400"}`}>
+            {totals.flagged}
+          </p>
+          <p className="text-xs text-gray-500">Flagged</p>
+        </div>
+      </div>
+      {totals.releasedOrders > 0 && (
+        <p className="px-4 py-2 text-xs text-gray-600 border-b border-gray-200">
+          Released this session: {totals.releasedOrders} order{totals.releasedOrders !== 1 ? "s" : ""},{" "}
+          {totals.releasedItems} item{totals.releasedItems !== 1 ? "s" : ""}
+        </p>
+      )}
+
+      {/* Scanned Orders */}
+      <ul className="flex-1 overflow-y-auto max-h-[320px] lg:max-h-[360px] divide-y divide-gray-100">
+        {entries.length === 0 ? (
+          <li className="px-4 py-8 text-center text-sm text-gray-500">
+            Scan receipts one after another. Each order is added here.
+          </li>
+        ) : (
+          entries.map((entry) => {
+            const style = STATUS_STYLES[entry.status] || STATUS_STYLES[BATCH_ENTRY_STATUS.INVALID];
+            const Icon = style.icon;
+            const canRemove =
+              entry.status !== BATCH_ENTRY_STATUS.RELEASING &&
+              entry.status !== BATCH_ENTRY_STATUS.RELEASED;
+            return (
+              <li key={entry.key} className="px-4 py-2.5 flex items-start gap-3">
+                <Icon
+                  size={18}
+                  className={`flex-shrink-0 mt-0.5 ${style.className} ${style.spin ? "animate-spin" : ""}`}
+                />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {entry.order?.student_name || entry.orderNumber || "Unknown code"}
+                  </p>
+                  {entry.order?._pickedUpBy?.type === "proxy" && (
+                    <p className="text-xs text-amber-700 truncate">
+                      Proxy: {formatPickedUpBy(entry.order._pickedUpBy)} – check ID
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-500">
+                    {entry.orderNumber && <span className="font-mono">{entry.orderNumber}</span>}
+                    {entry.order && ` · ${(entry.order.items || []).length} item line(s)`}
+                    {" · "}
+                    {format(entry.scannedAt, "h:mm:ss a")}
+                  </p>
+                  <p className={`text-xs font-medium ${style.className}`}>
+                    {style.label}
+                    {entry.message && <span className="font-normal"> – {entry.message}</span>}
+                  </p>
+                </div>
+                {canRemove && (
+                  <button
+                    onClick={() => removeEntry(entry.key)}
+                    disabled={confirming}
+                    className="p-1 text-gray-400 hover:text-red-600 rounded transition-colors disabled:opacity-50"
+                    aria-label="Remove from batch"
+                  >
+                    <X size={16} />
+                  </button>
+                )}
+              </li>
+            );
+          })
+        )}
+      </ul>
+
+      {/* Actions */}
+      <div className="border-t border-gray-200 px-4 py-3 bg-gray-50 flex gap-3 justify-end">
+        <button
+          onClick={clearBatch}
+          disabled={confirming || entries.length === 0}
+          className="px-4 py-2 border border-gray-300 rounded-lg bg-white text-gray-700 hover:bg-gray-50 transition-colors font-medium text-sm disabled:opacity-50"
+        >
+          Clear
+        </button>
+        <button
+          onClick={onConfirm}
+          disabled={confirming || totals.readyOrders === 0}
+          className="px-4 py-2 bg-[#e68b00] text-white rounded-lg hover:bg-[#d97706] transition-colors font-medium text-sm flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {confirming ? (
+            <>
+              <span className="inline-block w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" />
+              Releasing...
+            </>
+          ) : (
+            <>
+              <CheckCircle size={18} />
+              Release {totals.readyOrders} order{totals.readyOrders !== 1 ? "s" : ""}
+            </>
+          )}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BatchClaimPanel;
@@ -12,10 +12,12 @@ import QRCode from "react-qr-code";
  * unreleased/available inventory automatically reflects the change (old size returned, new size reserved).
  */
 import { itemsAPI, orderAPI } from "../../../services/api";
-import { getRemainingValidityDays } from "../../../utils/qrCodeGenerator";
+import { getRemainingValidityDays, parseOrderReceiptQRData } from "../../../utils/qrCodeGenerator";
+import { useSchoolCalendar } from "../../../hooks/useSchoolCalendar";
 
 const EditOrderModal = ({ isOpen, onClose, order, onOrderUpdated, onOpenQRScanner }) => {
   const [isEditing, setIsEditing] = useState(false);
+  useSchoolCalendar();
   
   // Parse items if they're stored as JSON string
   const parseItems = (items) => {
@@ -88,15 +90,10 @@ const EditOrderModal = ({ isOpen, onClose, order, onOrderUpdated, onOpenQRScanne
 
   if (!isOpen || !order) return null;
 
-  // Parse the stored QR JSON for validity info (only fields needed for the badge)
-  let qrParsed = null;
-  try {
-    if (order.qr_code_data) {
-      qrParsed = JSON.parse(order.qr_code_data);
-    }
-  } catch (_) {
-    qrParsed = null;
-  }
+  // Parse the stored QR data (signed or legacy JSON) for validity info
+  const qrParsed = order.qr_code_data
+    ? parseOrderReceiptQRData(order.qr_code_data)
+    : null;
 
   const remainingDays = qrParsed
     ? getRemainingValidityDays(qrParsed.qrIssuedAt, qrParsed.qrValidDays)
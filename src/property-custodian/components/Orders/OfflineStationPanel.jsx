@@ -0,0 +1,131 @@
+import { useState } from "react";
+import { format } from "date-fns";
+import { Wifi, WifiOff, RefreshCw, UploadCloud, AlertTriangle } from "lucide-react";
+
+/**
+ * OfflineStationPanel Component
+ *
+ * Status strip for the offline release station on the Orders page: connection state,
+ * orders cached for offline scans, releases waiting to sync, and conflicts to review.
+ *
+ * Props:
+ * - station: Object returned by useOfflineReleaseStation
+ */
+const OfflineStationPanel = ({ station }) => {
+  const {
+    isOnline,
+    cachedCount,
+    cachedAt,
+    pendingCount,
+    conflicts,
+    caching,
+    syncing,
+    error,
+    refreshCache,
+    syncQueue,
+    forceRelease,
+    discardRelease,
+  } = station;
+  const [showConflicts, setShowConflicts] = useState(false);
+
+  return (
+    <div
+      className={`mb-4 sm:mb-6 rounded-lg border px-4 py-3 ${
+        isOnline ? "bg-white border-gray-200" : "bg-amber-50 border-amber-300"
+      }`}
+    >
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm">
+          <span
+            className={`flex items-center gap-1.5 font-semibold ${
+              isOnline ? "text-green-700" : "text-amber-700"
+            }`}
+          >
+            {isOnline ? <Wifi size={16} /> : <WifiOff size={16} />}
+            {isOnline ? "Online" : "Offline – releases are saved on this device"}
+          </span>
+          <span className="text-gray-600">
+            {cachedCount} order{cachedCount !== 1 ? "s" : ""} available offline
+            {cachedAt && ` (as of ${format(new Date(cachedAt), "MMM d, h:mm a")})`}
+          </span>
+          {pendingCount > 0 && (
+            <span className="text-[#0C2340] font-medium">
+              {pendingCount} release{pendingCount !== 1 ? "s" : ""} waiting to sync
+            </span>
+          )}
+          {conflicts.length > 0 && (
+            <button
+              onClick={() => setShowConflicts((prev) => !prev)}
+              className="flex items-center gap-1 text-red-600 font-medium hover:underline"
+            >
+              <AlertTriangle size={14} />
+              {conflicts.length} conflict{conflicts.length !== 1 ? "s" : ""} to review
+            </button>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={refreshCache}
+            disabled={!isOnline || caching}
+            className="flex items-center gap-1.5 px-3 py-1.5 border border-gray-300 rounded-lg text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <RefreshCw size={14} className={caching ? "animate-spin" : ""} />
+            Refresh offline cache
+          </button>
+          <button
+            onClick={syncQueue}
+            disabled={!isOnline || syncing || pendingCount === 0}
+            className="flex items-center gap-1.5 px-3 py-1.5 bg-[#0C2340] text-white rounded-lg text-xs font-medium hover:bg-[#0a1d33] disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <UploadCloud size={14} />
+            {syncing ? "Syncing..." : "Sync now"}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+
+      {showConflicts && conflicts.length > 0 && (
+        <ul className="mt-3 divide-y divide-gray-100 border-t border-gray-200">
+          {conflicts.map((entry) => (
+            <li
+              key={entry.orderId}
+              className="py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2"
+            >
+              <div className="text-sm">
+                <p className="font-medium text-gray-900">
+                  {entry.studentName || "—"}{" "}
+                  <span className="font-mono text-gray-500">{entry.orderNumber}</span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  Released offline {format(new Date(entry.releasedAt), "MMM d, h:mm a")} ·{" "}
+                  <span className="text-red-600">{entry.conflictReason}</span>
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => discardRelease(entry.orderId)}
+                  disabled={syncing}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Discard
+                </button>
+                {entry.conflictOverridable && (
+                  <button
+                    onClick={() => forceRelease(entry.orderId)}
+                    disabled={!isOnline || syncing}
+                    className="px-3 py-1.5 bg-[#e68b00] text-white rounded-lg text-xs font-medium hover:bg-[#d97706] disabled:opacity-50"
+                  >
+                    Release anyway
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OfflineStationPanel;
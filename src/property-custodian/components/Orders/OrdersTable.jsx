@@ -25,6 +25,9 @@ import EditOrderModal from "./EditOrderModal";
  * - onPrevPage: Handler for previous page button
  * - onNextPage: Handler for next page button
  * - onGoToPage: Handler for going to specific page
+ * - selectedOrderIds: Set of selected order ids (for printing pick lists / claim slips)
+ * - onToggleSelect: Handler(order) to select/deselect one order; checkboxes are hidden when not provided
+ * - onToggleSelectAll: Handler to select/deselect every order on the current page
  */
 const OrdersTable = ({
   orders,
@@ -35,6 +38,9 @@ const OrdersTable = ({
   onGoToPage,
   onOrderUpdated,
   onOpenQRScanner,
+  selectedOrderIds,
+  onToggleSelect,
+  onToggleSelectAll,
 }) => {
   const [expandedOrders, setExpandedOrders] = useState(new Set()); // Track expanded orders
   const [pageInputValue, setPageInputValue] = useState(currentPage.toString()); // For page number input
@@ -61,6 +67,12 @@ const OrdersTable = ({
   };
 
 
+  const selectable = typeof onToggleSelect === "function";
+  const allOnPageSelected =
+    selectable &&
+    orders?.length > 0 &&
+    orders.every((order) => selectedOrderIds?.has(order.id));
+
   // Toggle expanded state for an order
   const toggleExpandedOrder = (orderId) => {
     const newExpanded = new Set(expandedOrders);
@@ -77,7 +89,18 @@ const OrdersTable = ({
       {/* Table Header Row - Always visible on desktop, hidden on mobile */}
       <div className="hidden lg:block bg-[#0C2340] rounded-xl py-3 sm:py-4 px-4 sm:px-6 shadow-lg">
         <div className="grid grid-cols-6 gap-3 sm:gap-4 lg:gap-6 items-center">
-          <div className="text-xs sm:text-sm font-bold text-white">Transaction no.</div>
+          <div className="text-xs sm:text-sm font-bold text-white flex items-center gap-3">
+            {selectable && (
+              <input
+                type="checkbox"
+                checked={allOnPageSelected}
+                onChange={onToggleSelectAll}
+                className="w-4 h-4 accent-[#e68b00] cursor-pointer"
+                aria-label="Select all orders on this page"
+              />
+            )}
+            Transaction no.
+          </div>
           <div className="text-xs sm:text-sm font-bold text-white">Item Ordered</div>
           <div className="text-xs sm:text-sm font-bold text-white">Size</div>
           <div className="text-xs sm:text-sm font-bold text-white">Name</div>
@@ -137,8 +160,17 @@ const OrdersTable = ({
             {/* Desktop Layout - Grid */}
             <div className="hidden lg:grid lg:grid-cols-6 gap-3 sm:gap-4 lg:gap-6 items-center p-4 sm:p-5 lg:p-6">
               {/* Transaction No */}
-              <div className="text-xs sm:text-sm font-bold text-[#0C2340] truncate">
-                {order.transactionNo}
+              <div className="text-xs sm:text-sm font-bold text-[#0C2340] truncate flex items-center gap-3">
+                {selectable && (
+                  <input
+                    type="checkbox"
+                    checked={selectedOrderIds?.has(order.id) || false}
+                    onChange={() => onToggleSelect(order)}
+                    className="w-4 h-4 accent-[#e68b00] cursor-pointer flex-shrink-0"
+                    aria-label={`Select order ${order.transactionNo}`}
+                  />
+                )}
+                <span className="truncate">{order.transactionNo}</span>
               </div>
 
               {/* Item Ordered */}
@@ -222,6 +254,15 @@ const OrdersTable = ({
             <div className="lg:hidden p-3 sm:p-4 space-y-2.5 sm:space-y-3">
               {/* Transaction No & Actions */}
               <div className="flex items-start justify-between gap-3">
+                {selectable && (
+                  <input
+                    type="checkbox"
+                    checked={selectedOrderIds?.has(order.id) || false}
+                    onChange={() => onToggleSelect(order)}
+                    className="w-4 h-4 mt-1 accent-[#e68b00] cursor-pointer flex-shrink-0"
+                    aria-label={`Select order ${order.transactionNo}`}
+                  />
+                )}
                 <div className="flex-1 min-w-0">
                   <div className="text-xs text-gray-500 font-medium mb-0.5">Transaction No.</div>
                   <div className="text-sm sm:text-base font-bold text-[#0C2340] break-words">
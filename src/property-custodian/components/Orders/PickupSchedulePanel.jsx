@@ -0,0 +1,140 @@
+import { useState } from "react";
+import { format, addDays, subDays, isToday } from "date-fns";
+import { CalendarClock, ChevronDown, ChevronLeft, ChevronRight, Settings2 } from "lucide-react";
+import { usePickupSchedule } from "../../hooks";
+import { formatSlotRange, getSlotRemaining } from "../../../utils/pickupSlots";
+import PickupSlotTemplateModal from "./PickupSlotTemplateModal";
+
+/**
+ * PickupSchedulePanel Component
+ *
+ * Per-slot view of expected pickups on the Orders page. Collapsed it shows the day's
+ * booked total; expanded it lists each slot with its fill level and the orders booked
+ * into it. The daily slots are edited from here.
+ */
+const PickupSchedulePanel = () => {
+  const [date, setDate] = useState(() => new Date());
+  const [expanded, setExpanded] = useState(false);
+  const [openSlotId, setOpenSlotId] = useState(null);
+  const [editingTemplate, setEditingTemplate] = useState(false);
+  const { slots, loading, error, template, saveTemplate } = usePickupSchedule(date);
+
+  const booked = slots.reduce((sum, slot) => sum + (Number(slot.booked_count) || 0), 0);
+  const capacity = slots.reduce((sum, slot) => sum + (Number(slot.capacity) || 0), 0);
+
+  return (
+    <div className="mb-4 sm:mb-6 rounded-lg border border-gray-200 bg-white px-4 py-3">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <button
+          onClick={() => setExpanded((prev) => !prev)}
+          className="flex items-center gap-2 text-sm text-left"
+          aria-expanded={expanded}
+        >
+          <CalendarClock size={18} className="text-[#e68b00]" />
+          <span className="font-semibold text-[#0C2340]">Pickup appointments</span>
+          <span className="text-gray-600">
+            {loading
+              ? "Loading..."
+              : slots.length === 0
+                ? `No slots on ${format(date, "MMM d")}`
+                : `${booked} of ${capacity} booked ${isToday(date) ? "today" : `on ${format(date, "MMM d")}`}`}
+          </span>
+          <ChevronDown
+            size={16}
+            className={`text-gray-500 transition-transform ${expanded ? "rotate-180" : ""}`}
+          />
+        </button>
+
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setDate((prev) => subDays(prev, 1))}
+            className="p-1.5 rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-50"
+            aria-label="Previous day"
+          >
+            <ChevronLeft size={16} />
+          </button>
+          <span className="text-sm font-medium text-[#0C2340] w-28 text-center">
+            {format(date, "EEE, MMM d")}
+          </span>
+          <button
+            onClick={() => setDate((prev) => addDays(prev, 1))}
+            className="p-1.5 rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-50"
+            aria-label="Next day"
+          >
+            <ChevronRight size={16} />
+          </button>
+          <button
+            onClick={() => setEditingTemplate(true)}
+            className="flex items-center gap-1.5 px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <Settings2 size={16} />
+            <span className="hidden sm:inline">Manage slots</span>
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      {expanded && !loading && !error && (
+        <div className="mt-3 space-y-2">
+          {slots.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No pickup slots on this day. It may be a weekend or a non-working day, or no slots are set up yet.
+            </p>
+          ) : (
+            slots.map((slot) => {
+              const bookedCount = Number(slot.booked_count) || 0;
+              const percent = slot.capacity > 0 ? Math.min(100, Math.round((bookedCount / slot.capacity) * 100)) : 0;
+              const isOpen = openSlotId === slot.id;
+              const bookings = slot.bookings || [];
+              return (
+                <div key={slot.id} className="rounded-lg border border-gray-100 bg-gray-50">
+                  <button
+                    onClick={() => setOpenSlotId(isOpen ? null : slot.id)}
+                    disabled={bookedCount === 0}
+                    className="w-full flex items-center gap-3 px-3 py-2 text-sm text-left disabled:cursor-default"
+                    aria-expanded={isOpen}
+                  >
+                    <span className="w-36 font-medium text-[#0C2340]">{formatSlotRange(slot)}</span>
+                    <div className="flex-1 h-2 rounded-full bg-gray-200 overflow-hidden">
+                      <div
+                        className={`h-full ${getSlotRemaining(slot) === 0 ? "bg-red-500" : "bg-[#e68b00]"}`}
+                        style={{ width: `${percent}%` }}
+                      />
+                    </div>
+                    <span className="w-20 text-right text-gray-700">
+                      {bookedCount}/{slot.capacity}
+                    </span>
+                  </button>
+                  {isOpen && bookings.length > 0 && (
+                    <ul className="border-t border-gray-200 px-3 py-2 space-y-1 text-sm">
+                      {bookings.map((booking) => (
+                        <li key={booking.order_id} className="flex justify-between gap-3">
+                          <span className="text-gray-800">
+                            {booking.student_name || "Student"}
+                            <span className="text-gray-500"> · {booking.education_level || "—"}</span>
+                          </span>
+                          <span className="text-[#e68b00] font-medium">#{booking.order_number}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      )}
+
+      {editingTemplate && (
+        <PickupSlotTemplateModal
+          template={template}
+          onClose={() => setEditingTemplate(false)}
+          onSave={saveTemplate}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PickupSchedulePanel;
@@ -0,0 +1,182 @@
+import React, { useState } from "react";
+import { createPortal } from "react-dom";
+import { X, Plus, Trash2 } from "lucide-react";
+import { DEFAULT_SLOT_TEMPLATE, validateSlotTemplate } from "../../../utils/pickupSlots";
+
+/**
+ * PickupSlotTemplateModal Component
+ *
+ * Edit the daily pickup slots (time window + how many students per slot). The same
+ * slots are offered on every school day; holidays and suspensions get none.
+ *
+ * Props:
+ * - template: array|null - Current slots (DEFAULT_SLOT_TEMPLATE when none saved yet)
+ * - onClose: function - Close the modal
+ * - onSave: async function(slots) - Save the template
+ */
+const PickupSlotTemplateModal = ({ template, onClose, onSave }) => {
+  const [slots, setSlots] = useState(() =>
+    (template && template.length > 0 ? template : DEFAULT_SLOT_TEMPLATE).map((slot) => ({
+      ...slot,
+      capacity: String(slot.capacity),
+    })),
+  );
+  const [errors, setErrors] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleClose = () => {
+    if (!isSubmitting) onClose();
+  };
+
+  const updateSlot = (index, field, value) => {
+    setSlots((prev) => prev.map((slot, i) => (i === index ? { ...slot, [field]: value } : slot)));
+  };
+
+  const addSlot = () => {
+    const last = slots[slots.length - 1];
+    setSlots((prev) => [
+      ...prev,
+      { start_time: last?.end_time || "08:00", end_time: "", capacity: last?.capacity || "15" },
+    ]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const problems = validateSlotTemplate(slots);
+    setErrors(problems);
+    if (problems.length > 0) return;
+    try {
+      setIsSubmitting(true);
+      await onSave(slots);
+      onClose();
+    } catch (err) {
+      setErrors([err.message || "Failed to save pickup slots."]);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const totalCapacity = slots.reduce((sum, slot) => sum + (Number(slot.capacity) || 0), 0);
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[9999] p-4"
+      onClick={handleClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-lg w-full max-h-[90vh] flex flex-col relative font-sf-medium"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Close Button */}
+        <button
+          onClick={handleClose}
+          disabled={isSubmitting}
+          className="absolute top-4 right-4 p-1.5 rounded-full bg-red-500 text-white hover:bg-red-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          aria-label="Close modal"
+        >
+          <X size={18} />
+        </button>
+
+        <div className="px-6 pt-6 pb-4 pr-14">
+          <h2 className="text-2xl font-bold text-[#0C2340]">Daily Pickup Slots</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Offered on every school day. Students book one slot per ready order.
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex-1 overflow-y-auto px-6 pb-6 space-y-4">
+          <div className="space-y-2">
+            <div className="grid grid-cols-[1fr_1fr_80px_32px] gap-2 text-xs font-semibold text-gray-600">
+              <span>Start</span>
+              <span>End</span>
+              <span>Capacity</span>
+              <span />
+            </div>
+            {slots.map((slot, index) => (
+              <div key={index} className="grid grid-cols-[1fr_1fr_80px_32px] gap-2 items-center">
+                <input
+                  type="time"
+                  value={slot.start_time}
+                  onChange={(e) => updateSlot(index, "start_time", e.target.value)}
+                  disabled={isSubmitting}
+                  className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#E68B00]"
+                  aria-label={`Slot ${index + 1} start`}
+                />
+                <input
+                  type="time"
+                  value={slot.end_time}
+                  onChange={(e) => updateSlot(index, "end_time", e.target.value)}
+                  disabled={isSubmitting}
+                  className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#E68B00]"
+                  aria-label={`Slot ${index + 1} end`}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={slot.capacity}
+                  onChange={(e) => updateSlot(index, "capacity", e.target.value)}
+                  disabled={isSubmitting}
+                  className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm text-right focus:outline-none focus:ring-2 focus:ring-[#E68B00]"
+                  aria-label={`Slot ${index + 1} capacity`}
+                />
+                <button
+                  type="button"
+                  onClick={() => setSlots((prev) => prev.filter((_, i) => i !== index))}
+                  disabled={isSubmitting}
+                  className="p-1.5 text-gray-400 hover:text-red-600 transition-colors"
+                  aria-label={`Remove slot ${index + 1}`}
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <button
+            type="button"
+            onClick={addSlot}
+            disabled={isSubmitting}
+            className="flex items-center gap-1 text-sm font-medium text-[#E68B00] hover:text-[#D67A00]"
+          >
+            <Plus size={16} />
+            Add slot
+          </button>
+
+          <p className="text-xs text-gray-500">
+            Up to {totalCapacity} pickups per day. Changing the slots does not move bookings students already made.
+          </p>
+
+          {errors.length > 0 && (
+            <ul className="text-sm text-red-500 list-disc pl-5 space-y-0.5">
+              {errors.map((message) => (
+                <li key={message}>{message}</li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex gap-3 justify-end pt-2">
+            <button
+              type="button"
+              onClick={handleClose}
+              disabled={isSubmitting}
+              className="px-4 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-4 py-2 text-sm bg-[#E68B00] text-white rounded-lg hover:bg-[#D67A00] transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSubmitting ? "Saving..." : "Save slots"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>,
+    document.body,
+  );
+};
+
+export default PickupSlotTemplateModal;
@@ -0,0 +1,326 @@
+import { useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { format } from "date-fns";
+import { X, Printer, ClipboardList, Ticket } from "lucide-react";
+import { toast } from "react-hot-toast";
+import OrderReceiptQRCode from "../../../student/components/Orders/OrderReceiptQRCode";
+import { getValidityEndDate } from "../../../utils/qrCodeGenerator";
+import { useSchoolCalendar } from "../../../hooks/useSchoolCalendar";
+import { useClaimSlipSignatures } from "../../hooks";
+import { buildPickList, getOrderItems } from "../../utils/pickList";
+import { PRINT_VIEW } from "../../constants/ordersOptions";
+
+const PAPER = {
+  A4: "a4",
+  THERMAL: "thermal",
+};
+
+/**
+ * Styles shared by the on-screen preview and the print window (Tailwind is not
+ * available in the print window, so the printable markup uses these classes only).
+ */
+const PRINT_STYLES = `
+  .print-sheet { font-family: Arial, sans-serif; color: #111; background: #fff; }
+  .print-sheet h1 { font-size: 16px; margin: 0 0 2px; color: #0C2340; }
+  .print-sheet .meta { font-size: 11px; color: #555; margin: 0 0 10px; }
+  .print-sheet table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  .print-sheet th, .print-sheet td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+  .print-sheet th { background: #eee; }
+  .print-sheet .qty { text-align: right; font-weight: bold; white-space: nowrap; }
+  .print-sheet .check { width: 18px; }
+  .print-sheet .orders { font-family: monospace; font-size: 10px; color: #444; }
+  .print-sheet .item-row td { border-top: 2px solid #0C2340; }
+  .print-sheet tfoot td { font-weight: bold; }
+  .print-sheet .slips { display: grid; grid-template-columns: 1fr 1fr; gap: 8mm; }
+  .print-sheet .slip { border: 1px dashed #666; padding: 10px; break-inside: avoid; page-break-inside: avoid; }
+  .print-sheet .slip-head { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 1px solid #ccc; padding-bottom: 4px; margin-bottom: 6px; }
+  .print-sheet .slip-head strong { font-size: 13px; color: #0C2340; }
+  .print-sheet .slip-head span { font-size: 10px; color: #555; }
+  .print-sheet .slip-body { display: flex; gap: 10px; }
+  .print-sheet .slip-info { flex: 1; min-width: 0; font-size: 11px; }
+  .print-sheet .slip-info p { margin: 0 0 3px; }
+  .print-sheet .slip-info ul { margin: 4px 0 0; padding-left: 14px; }
+  .print-sheet .slip-qr { text-align: center; font-size: 9px; color: #555; }
+  .print-sheet .slip-qr svg { display: block; margin: 0 auto 2px; }
+  .print-sheet .signature { margin-top: 14px; border-top: 1px solid #333; font-size: 10px; color: #555; padding-top: 2px; }
+  .print-sheet .missing { font-size: 10px; color: #b91c1c; width: 110px; }
+  .print-sheet.thermal { width: 72mm; font-size: 11px; }
+  .print-sheet.thermal table { font-size: 10px; }
+  .print-sheet.thermal th, .print-sheet.thermal td { border: none; border-bottom: 1px dotted #999; padding: 2px; }
+  .print-sheet.thermal .slips { display: block; }
+  .print-sheet.thermal .slip { border: none; border-bottom: 1px dashed #000; padding: 0 0 10px; margin-bottom: 10px; }
+  .print-sheet.thermal .slip-body { flex-direction: column; }
+  .print-sheet.thermal .slip-info ul { padding-left: 12px; }
+`;
+
+const PAGE_STYLES = {
+  [PAPER.A4]: "@page { size: A4; margin: 12mm; }",
+  [PAPER.THERMAL]: "@page { size: 80mm auto; margin: 3mm 4mm; } body { margin: 0; }",
+};
+
+const PickListSheet = ({ orders }) => {
+  const pickList = useMemo(() => buildPickList(orders), [orders]);
+  const totalQuantity = pickList.reduce((sum, entry) => sum + entry.quantity, 0);
+
+  return (
+    <>
+      <h1>Pick List</h1>
+      <p className="meta">
+        {orders.length} order{orders.length !== 1 ? "s" : ""} · {totalQuantity} piece
+        {totalQuantity !== 1 ? "s" : ""} · Printed {format(new Date(), "MMM d, yyyy h:mm a")}
+      </p>
+      <table>
+        <thead>
+          <tr>
+            <th className="check"></th>
+            <th>Item / Size</th>
+            <th className="qty">Qty</th>
+            <th>Orders</th>
+          </tr>
+        </thead>
+        <tbody>
+          {pickList.map((entry) => [
+            <tr key={`${entry.name}|${entry.educationLevel}`} className="item-row">
+              <td className="check"></td>
+              <td>
+                <strong>{entry.name}</strong>
+                {entry.educationLevel && ` (${entry.educationLevel})`}
+              </td>
+              <td className="qty">{entry.quantity}</td>
+              <td></td>
+            </tr>,
+            ...entry.sizes.map((size) => (
+              <tr key={`${entry.name}|${entry.educationLevel}|${size.size}`}>
+                <td className="check">☐</td>
+                <td>&nbsp;&nbsp;{size.size}</td>
+                <td className="qty">{size.quantity}</td>
+                <td className="orders">{size.orderNumbers.join(", ")}</td>
+              </tr>
+            )),
+          ])}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td></td>
+            <td>Total</td>
+            <td className="qty">{totalQuantity}</td>
+            <td></td>
+          </tr>
+        </tfoot>
+      </table>
+    </>
+  );
+};
+
+const ClaimSlipsSheet = ({ orders, signatures, qrSize }) => (
+  <div className="slips">
+    {orders.map((order) => {
+      const signature = signatures[order.id];
+      const validUntil = signature ? getValidityEndDate(signature.qr_issued_at) : null;
+      const orderedAt = order.order_date || order.created_at;
+      return (
+        <div key={order.id} className="slip">
+          <div className="slip-head">
+            <strong>La Verdad OrderHub · Claim Slip</strong>
+            <span>{order.order_number}</span>
+          </div>
+          <div className="slip-body">
+            <div className="slip-info">
+              <p>
+                <strong>{order.student_name || "Student"}</strong>
+              </p>
+              {order.education_level && <p>{order.education_level}</p>}
+              {orderedAt && <p>Ordered {format(new Date(orderedAt), "MMM d, yyyy")}</p>}
+              <ul>
+                {getOrderItems(order).map((item, index) => (
+                  <li key={index}>
+                    {item.quantity || 1}× {item.name}
+                    {item.size && item.size !== "N/A" && ` (${item.size})`}
+                  </li>
+                ))}
+              </ul>
+              <div className="signature">Received by (signature over printed name)</div>
+            </div>
+            <div className="slip-qr">
+              {signature ? (
+                <>
+                  <OrderReceiptQRCode
+                    orderData={{
+                      orderNumber: order.order_number,
+                      qrSignature: signature.qr_signature,
+                      qrSignedAt: signature.qr_issued_at,
+                    }}
+                    size={qrSize}
+                    qrOnly
+                  />
+                  {validUntil && `Valid until ${format(validUntil, "MMM d, yyyy")}`}
+                </>
+              ) : (
+                <p className="missing">QR unavailable. Ask the student to show the QR from their order page.</p>
+              )}
+            </div>
+          </div>
+        </div>
+      );
+    })}
+  </div>
+);
+
+/**
+ * PrintOrdersModal Component
+ *
+ * Print preview for the orders selected on the Orders page:
+ * - Pick list: items grouped by item and size with quantities and order numbers
+ * - Claim slips: one slip per student with the signed order receipt QR
+ * Both can be laid out for A4 paper or an 80mm thermal receipt printer.
+ *
+ * Props:
+ * - isOpen: Boolean
+ * - onClose: Function
+ * - orders: Array of raw orders (from the API) to print
+ * - initialView: PRINT_VIEW.PICK_LIST | PRINT_VIEW.CLAIM_SLIPS
+ */
+const PrintOrdersModal = ({ isOpen, onClose, orders, initialView = PRINT_VIEW.PICK_LIST }) => {
+  const [view, setView] = useState(initialView);
+  const [paper, setPaper] = useState(PAPER.A4);
+  const sheetRef = useRef(null);
+  useSchoolCalendar();
+
+  const { signatures, loading: signaturesLoading, failedOrderNumbers } = useClaimSlipSignatures(
+    orders,
+    isOpen && view === PRINT_VIEW.CLAIM_SLIPS,
+  );
+
+  if (!isOpen) return null;
+
+  const isClaimSlips = view === PRINT_VIEW.CLAIM_SLIPS;
+  const title = isClaimSlips ? "Claim Slips" : "Pick List";
+
+  const handlePrint = () => {
+    const printWindow = window.open("", "_blank");
+    if (!printWindow) {
+      toast.error("Allow pop-ups for this site to print.");
+      return;
+    }
+    printWindow.document.write(`
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <title>${title} - ${format(new Date(), "yyyy-MM-dd")}</title>
+          <style>${PAGE_STYLES[paper]}${PRINT_STYLES}</style>
+        </head>
+        <body>${sheetRef.current.outerHTML}</body>
+      </html>
+    `);
+    printWindow.document.close();
+    setTimeout(() => {
+      printWindow.print();
+    }, 250);
+  };
+
+  const tabClass = (active) =>
+    `flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+      active ? "bg-[#e68b00] text-white" : "text-white hover:bg-white/10"
+    }`;
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-[10000] p-4"
+      style={{ zIndex: 10000 }}
+    >
+      <div className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <h3 className="text-xl font-bold tracking-tight">
+            <span className="text-[#0C2340]">Print</span>{" "}
+            <span className="text-[#e68b00]">{orders.length} order{orders.length !== 1 ? "s" : ""}</span>
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-1.5 hover:bg-gray-100 rounded-lg transition-colors"
+            aria-label="Close"
+          >
+            <X size={20} className="text-gray-600" />
+          </button>
+        </div>
+
+        {/* Options */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 px-6 py-3 border-b border-gray-200 bg-gray-50">
+          <div className="inline-flex items-center bg-[#0C2340] rounded-lg p-1 w-fit">
+            <button onClick={() => setView(PRINT_VIEW.PICK_LIST)} className={tabClass(!isClaimSlips)}>
+              <ClipboardList size={16} />
+              Pick list
+            </button>
+            <button onClick={() => setView(PRINT_VIEW.CLAIM_SLIPS)} className={tabClass(isClaimSlips)}>
+              <Ticket size={16} />
+              Claim slips
+            </button>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Paper
+            <select
+              value={paper}
+              onChange={(e) => setPaper(e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-[#e68b00]"
+            >
+              <option value={PAPER.A4}>A4</option>
+              <option value={PAPER.THERMAL}>Thermal receipt (80mm)</option>
+            </select>
+          </label>
+        </div>
+
+        {isClaimSlips && failedOrderNumbers.length > 0 && (
+          <div className="mx-6 mt-3 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+            Could not get a signed QR for {failedOrderNumbers.join(", ")}. Those slips are printed without a QR.
+          </div>
+        )}
+
+        {/* Preview */}
+        <div className="flex-1 overflow-auto bg-gray-100 p-4">
+          {isClaimSlips && signaturesLoading ? (
+            <div className="flex items-center justify-center gap-2 py-16 text-sm text-gray-600">
+              <span className="inline-block w-5 h-5 border-2 border-[#e68b00] border-t-transparent rounded-full animate-spin" />
+              Preparing QR codes…
+            </div>
+          ) : (
+            <div className={`mx-auto bg-white shadow p-4 ${paper === PAPER.THERMAL ? "w-fit" : "max-w-[210mm]"}`}>
+              <style>{PRINT_STYLES}</style>
+              <div ref={sheetRef} className={`print-sheet ${paper}`}>
+                {isClaimSlips ? (
+                  <ClaimSlipsSheet
+                    orders={orders}
+                    signatures={signatures}
+                    qrSize={paper === PAPER.THERMAL ? 150 : 110}
+                  />
+                ) : (
+                  <PickListSheet orders={orders} />
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="border-t border-gray-200 px-6 py-4 flex gap-3 justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors font-medium text-sm"
+          >
+            Close
+          </button>
+          <button
+            onClick={handlePrint}
+            disabled={orders.length === 0 || (isClaimSlips && signaturesLoading)}
+            className="px-4 py-2 bg-[#e68b00] text-white rounded-lg hover:bg-[#d97706] transition-colors font-medium text-sm flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Printer size={18} />
+            Print {title.toLowerCase()}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+};
+
+export default PrintOrdersModal;
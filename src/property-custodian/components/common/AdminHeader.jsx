@@ -4,6 +4,7 @@ import { useAuth } from "../../../context/AuthContext";
 import { useSocket } from "../../../context/SocketContext";
 import { toast } from "react-hot-toast";
 import NotificationDropdown from "./NotificationDropdown";
+import AcademicYearSelector from "../../../components/common/AcademicYearSelector";
 import { orderAPI } from "../../../services/api";
 
 /**
@@ -12,6 +13,7 @@ import { orderAPI } from "../../../services/api";
  * Displays the top header of the admin dashboard with:
  * - Menu toggle button for sidebar
  * - Department name
+ * - School year selector (scopes every page)
  * - Notification bell (with dropdown)
  * - User profile section (responsive)
  *
@@ -251,6 +253,8 @@ const AdminHeader = ({ onMenuToggle, sidebarOpen = true }) => {
 
       {/* Right side - Notifications and user profile */}
       <div className="flex items-center gap-1.5 sm:gap-2 md:gap-3 lg:gap-6 flex-shrink-0">
+        <AcademicYearSelector />
+
         {/* Notification bell */}
         <div className="relative" ref={notificationRef}>
           <button
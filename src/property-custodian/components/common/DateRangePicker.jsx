@@ -6,16 +6,16 @@ import {
   subDays,
   startOfMonth,
   endOfMonth,
-  startOfYear,
 } from "date-fns";
 import { Calendar, ChevronDown } from "lucide-react";
+import { useAcademicYear } from "../../../context/AcademicYearContext";
 import "react-datepicker/dist/react-datepicker.css";
 
 /**
  * DateRangePicker Component
  *
  * A date range picker with two sections:
- * - Left: Preset dropdown (Last 7 days, Last 30 days, etc.)
+ * - Left: Preset dropdown (Last 7 days, Last 30 days, this school year, etc.)
  * - Right: Calendar date range selector with formatted display
  */
 const DateRangePicker = ({
@@ -24,6 +24,9 @@ const DateRangePicker = ({
   onDateRangeChange,
   className = "",
 }) => {
+  // "This school year" = the year picked in the header, from its first day to today
+  const { dateRange: schoolYearRange } = useAcademicYear();
+
   // Initialize preset based on current dates
   const getInitialPreset = () => {
     if (!startDate || !endDate) {
@@ -68,10 +71,10 @@ const DateRangePicker = ({
       return "This month";
     }
     if (
-      normalizedStart.getTime() === startOfYear(normalizedToday).getTime() &&
-      normalizedEnd.getTime() === normalizedToday.getTime()
+      normalizedStart.getTime() === normalizeDate(schoolYearRange.startDate).getTime() &&
+      normalizedEnd.getTime() === normalizeDate(schoolYearRange.endDate).getTime()
     ) {
-      return "This year";
+      return "This school year";
     }
 
     return "Custom range";
@@ -94,7 +97,7 @@ const DateRangePicker = ({
     "Last 7 days",
     "Last 30 days",
     "This month",
-    "This year",
+    "This school year",
     "Custom range",
   ];
 
@@ -221,9 +224,9 @@ const DateRangePicker = ({
         newEndDate = endOfMonth(lastMonth);
         break;
       }
-      case "This year":
-        newStartDate = startOfYear(today);
-        newEndDate = today;
+      case "This school year":
+        newStartDate = schoolYearRange.startDate;
+        newEndDate = schoolYearRange.endDate;
         break;
       case "Custom range":
         // Don't change dates, just allow calendar selection
@@ -286,10 +289,10 @@ const DateRangePicker = ({
     ) {
       newPreset = "This month";
     } else if (
-      normalizedStart.getTime() === startOfYear(normalizedToday).getTime() &&
-      normalizedEnd.getTime() === normalizedToday.getTime()
+      normalizedStart.getTime() === normalizeDate(schoolYearRange.startDate).getTime() &&
+      normalizedEnd.getTime() === normalizeDate(schoolYearRange.endDate).getTime()
     ) {
-      newPreset = "This year";
+      newPreset = "This school year";
     }
 
     if (newPreset !== preset) {
@@ -10,6 +10,8 @@ import {
   Warehouse,
   GraduationCap,
   FileCheck,
+  ClipboardCheck,
+  RefreshCw,
 } from "lucide-react";
 import { useAuth } from "../../../context/AuthContext";
 
@@ -25,7 +27,7 @@ import { useAuth } from "../../../context/AuthContext";
 const Sidebar = ({ isOpen = true, onNavigate }) => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { logout } = useAuth();
+  const { logout, userRole } = useAuth();
   const [showLogoutConfirm, setShowLogoutConfirm] = useState(false);
 
   // Auto-close sidebar on mobile/tablet when route changes
@@ -46,6 +48,11 @@ const Sidebar = ({ isOpen = true, onNavigate }) => {
     { to: "/property-custodian/orders", label: "Orders", icon: ShoppingCart },
     { to: "/property-custodian/students", label: "List of Students", icon: GraduationCap },
     { to: "/property-custodian/eligibility", label: "Eligibility Management", icon: FileCheck },
+    { to: "/property-custodian/exchanges", label: "Size Exchanges", icon: RefreshCw },
+    // Out-of-policy orders wait here for a department head decision
+    ...(userRole === "department_head"
+      ? [{ to: "/property-custodian/approvals", label: "Order Approvals", icon: ClipboardCheck }]
+      : []),
     { to: "/property-custodian/settings", label: "Settings", icon: Settings },
   ];
 
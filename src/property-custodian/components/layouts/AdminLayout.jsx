@@ -1,6 +1,8 @@
 import React from "react";
 import Sidebar from "../common/Sidebar";
 import AdminHeader from "../common/AdminHeader";
+import AcademicYearScope from "../../../components/common/AcademicYearScope";
+import { AcademicYearProvider } from "../../../context/AcademicYearContext";
 import { useAdminSidebar } from "../../hooks";
 
 /**
@@ -9,7 +11,7 @@ import { useAdminSidebar } from "../../hooks";
  * A reusable layout wrapper for admin pages that includes:
  * - Sidebar navigation
  * - Admin header
- * - Main content area with proper spacing
+ * - Main content area with proper spacing, scoped to the school year picked in the header
  *
  * Props:
  * - children: React node - The page content to render
@@ -21,22 +23,27 @@ const AdminLayout = ({ children, noPadding = false }) => {
   const { sidebarOpen, toggleSidebar, closeSidebar } = useAdminSidebar();
 
   return (
-    <div className="min-h-screen bg-gray-50">
-      {/* Fixed Sidebar — mobile route change uses closeSidebar, not toggle */}
-      <Sidebar isOpen={sidebarOpen} onNavigate={closeSidebar} />
+    <AcademicYearProvider>
+      <div className="min-h-screen bg-gray-50">
+        {/* Fixed Sidebar — mobile route change uses closeSidebar, not toggle */}
+        <Sidebar isOpen={sidebarOpen} onNavigate={closeSidebar} />
 
-      {/* Fixed Header */}
-      <AdminHeader onMenuToggle={toggleSidebar} sidebarOpen={sidebarOpen} />
+        {/* Fixed Header */}
+        <AdminHeader onMenuToggle={toggleSidebar} sidebarOpen={sidebarOpen} />
 
-      {/* Main Content Area - Scrollable */}
-      <main
-        className={`fixed top-16 bottom-0 right-0 bg-gray-50 overflow-y-auto transition-all duration-300 ${
-          sidebarOpen ? "left-64" : "left-20"
-        }`}
-      >
-        <div className={noPadding ? "" : "p-3 sm:p-4 md:p-6 lg:p-8"}>{children}</div>
-      </main>
-    </div>
+        {/* Main Content Area - Scrollable */}
+        <main
+          className={`fixed top-16 bottom-0 right-0 bg-gray-50 overflow-y-auto transition-all duration-300 ${
+            sidebarOpen ? "left-64" : "left-20"
+          }`}
+        >
+          {/* Remounts the page when the school year in the header changes */}
+          <AcademicYearScope>
+            <div className={noPadding ? "" : "p-3 sm:p-4 md:p-6 lg:p-8"}>{children}</div>
+          </AcademicYearScope>
+        </main>
+      </div>
+    </AcademicYearProvider>
   );
 };
 
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useMemo } from "react";
+import { useNavigate } from "react-router-dom";
 import { ChevronLeft, ChevronRight } from "lucide-react";
 import AtReorderPointTable from "./AtReorderPointTable";
 import EducationLevelFilter from "./EducationLevelFilter";
@@ -24,6 +25,7 @@ const normalizeSizeForMatch = (s) =>
     .trim();
 
 const AtReorderPointSection = ({ totalAtReorderPoint, inventoryRows = [] }) => {
+  const navigate = useNavigate();
   const [selectedEducationLevel, setSelectedEducationLevel] = useState("all");
   const [currentPage, setCurrentPage] = useState(1);
   const itemsPerPage = 4; // Maximum 4 items per page
@@ -112,7 +114,13 @@ const AtReorderPointSection = ({ totalAtReorderPoint, inventoryRows = [] }) => {
       {/* Header */}
       <div className="px-4 sm:px-6 py-4 border-b border-gray-200 bg-white">
         <div className="flex flex-col gap-4">
-          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-end gap-4">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <button
+              onClick={() => navigate("/property-custodian/inventory/purchase-orders?create=1")}
+              className="w-full sm:w-auto px-4 py-2 bg-[#E68B00] text-white text-sm font-medium rounded-lg hover:bg-[#D67A00] transition-colors shadow-sm"
+            >
+              Create purchase order
+            </button>
             <div className="flex items-center gap-3">
               <label className="text-sm font-medium text-gray-700 whitespace-nowrap">
                 Education Level:
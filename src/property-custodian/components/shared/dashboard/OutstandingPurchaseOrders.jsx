@@ -0,0 +1,101 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import { format } from "date-fns";
+import { ChevronRight } from "lucide-react";
+import { usePurchaseOrders, getPurchaseOrderProgress } from "../../../hooks";
+
+/**
+ * OutstandingPurchaseOrders Component
+ *
+ * Dashboard card listing supplier purchase orders that are not fully delivered:
+ * - Left side: PO reference and supplier
+ * - Right side: received vs. ordered units (overdue expected dates in red)
+ * - "Show more" navigates to the Purchase Orders page
+ */
+const OutstandingPurchaseOrders = () => {
+  const navigate = useNavigate();
+  const { purchaseOrders, loading } = usePurchaseOrders("outstanding");
+  const visibleOrders = purchaseOrders.slice(0, 5);
+  const today = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg shadow-sm">
+      {/* Header */}
+      <div className="px-4 sm:px-6 py-4 border-b border-gray-200 flex items-center justify-between gap-3">
+        <h2 className="text-lg font-semibold text-[#0C2340]">
+          Outstanding <span className="text-[#e68b00]">Purchase Orders</span>
+          {!loading && purchaseOrders.length > 0 && (
+            <span className="ml-2 text-sm font-medium text-gray-500">({purchaseOrders.length})</span>
+          )}
+        </h2>
+        <button
+          onClick={() => navigate("/property-custodian/inventory/purchase-orders?create=1")}
+          className="text-sm text-[#e68b00] hover:text-[#d97706] font-medium transition-colors whitespace-nowrap"
+        >
+          + New PO
+        </button>
+      </div>
+
+      {/* Content */}
+      <div className="p-4 sm:p-6">
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="text-gray-500 text-sm">Loading purchase orders...</div>
+          </div>
+        ) : visibleOrders.length > 0 ? (
+          <>
+            <div className="space-y-4">
+              {visibleOrders.map((purchaseOrder) => {
+                const progress = getPurchaseOrderProgress(purchaseOrder);
+                const expected = purchaseOrder.expected_date
+                  ? String(purchaseOrder.expected_date).slice(0, 10)
+                  : null;
+                const overdue = expected && expected < today;
+                return (
+                  <div
+                    key={purchaseOrder.id}
+                    className="flex items-start justify-between gap-4 pb-4 border-b border-gray-100 last:border-b-0 last:pb-0"
+                  >
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">
+                        {purchaseOrder.reference}
+                      </p>
+                      <p className="text-xs text-gray-500 truncate">{purchaseOrder.supplier_name}</p>
+                    </div>
+                    <div className="text-right">
+                      <p className="text-sm text-gray-600">
+                        {progress.received} / {progress.ordered} received
+                      </p>
+                      {expected && (
+                        <p className={`text-xs ${overdue ? "text-red-600 font-medium" : "text-gray-500"}`}>
+                          {overdue ? "Overdue since" : "Expected"} {format(new Date(expected), "MMM d")}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            {/* Footer Link */}
+            <div className="mt-4 pt-4 border-t border-gray-200 flex justify-end">
+              <button
+                onClick={() => navigate("/property-custodian/inventory/purchase-orders")}
+                className="text-sm text-[#e68b00] hover:text-[#d97706] font-medium flex items-center gap-1 transition-colors"
+              >
+                <span>Show more</span>
+                <ChevronRight size={16} />
+              </button>
+            </div>
+          </>
+        ) : (
+          <div className="flex items-center justify-center py-8">
+            <div className="text-gray-500 text-sm">No outstanding purchase orders</div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OutstandingPurchaseOrders;
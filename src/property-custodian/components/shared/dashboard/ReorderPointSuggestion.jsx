@@ -0,0 +1,85 @@
+import React from "react";
+import { TrendingUp } from "lucide-react";
+import { useDemandForecast } from "../../../hooks";
+
+const CONFIDENCE_LABELS = {
+  high: "High confidence",
+  medium: "Medium confidence",
+  low: "Low confidence",
+};
+
+/**
+ * ReorderPointSuggestion Component
+ *
+ * Suggested reorder point and order quantity shown next to the manual reorder
+ * point field, with a short explanation of how the numbers were calculated.
+ *
+ * Props:
+ * - itemId: string - Item ID (optional; the item name is used when missing)
+ * - itemName: string - Item name; nothing is shown until an item is chosen
+ * - size: string - Size / variant
+ * - educationLevel: string - Education level of the item
+ * - currentStock: number - Current ending inventory
+ * - onApply: function(reorderPoint) - Use the suggested reorder point
+ */
+const ReorderPointSuggestion = ({
+  itemId,
+  itemName,
+  size,
+  educationLevel,
+  currentStock = 0,
+  onApply,
+}) => {
+  const { forecast, loading, error } = useDemandForecast(
+    itemName && size ? { itemId, itemName, size, educationLevel, currentStock } : null,
+  );
+
+  if (!itemName || !size) return null;
+
+  return (
+    <div className="rounded-lg border border-blue-200 bg-blue-50 px-3 py-2.5 text-sm">
+      <div className="flex items-center gap-1.5 font-medium text-[#0C2340]">
+        <TrendingUp size={16} className="text-blue-600" />
+        Suggested from past demand
+      </div>
+
+      {loading ? (
+        <p className="mt-1 text-xs text-gray-600">Analyzing release history...</p>
+      ) : error ? (
+        <p className="mt-1 text-xs text-red-600">{error}</p>
+      ) : !forecast ? (
+        <p className="mt-1 text-xs text-gray-600">
+          No releases recorded for this item and size yet, so there is nothing to base a suggestion on.
+        </p>
+      ) : (
+        <>
+          <div className="mt-2 flex flex-wrap items-center gap-x-4 gap-y-1">
+            <span>
+              Reorder point: <strong>{forecast.reorderPoint}</strong>
+            </span>
+            <span>
+              Order quantity: <strong>{forecast.orderQuantity}</strong>
+            </span>
+            <span className="text-xs text-gray-500">{CONFIDENCE_LABELS[forecast.confidence]}</span>
+            {onApply && (
+              <button
+                type="button"
+                onClick={() => onApply(forecast.reorderPoint)}
+                className="ml-auto text-xs font-medium text-blue-700 hover:text-blue-900 underline"
+              >
+                Use suggestion
+              </button>
+            )}
+          </div>
+          <ul className="mt-1.5 list-disc pl-4 text-xs text-gray-600 space-y-0.5">
+            {forecast.explanation.map((line) => (
+              <li key={line}>{line}</li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReorderPointSuggestion;
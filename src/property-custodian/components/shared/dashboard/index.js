@@ -6,9 +6,11 @@ export { default as OverviewCards } from "./OverviewCards";
 export { default as RecentAudits } from "./RecentAudits";
 export { default as RecentOrdersTable } from "./RecentOrdersTable";
 export { default as RecentOrders } from "./RecentOrders";
+export { default as OutstandingPurchaseOrders } from "./OutstandingPurchaseOrders";
 export { default as InventoryDetailSection } from "./InventoryDetailSection";
 export { default as AtReorderPointSection } from "./AtReorderPointSection";
 export { default as AtReorderPointTable } from "./AtReorderPointTable";
+export { default as ReorderPointSuggestion } from "./ReorderPointSuggestion";
 export { default as OutOfStockSection } from "./OutOfStockSection";
 export { default as InventoryDetailTable } from "./InventoryDetailTable";
 export { default as EducationLevelFilter } from "./EducationLevelFilter";
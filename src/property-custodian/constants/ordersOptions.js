@@ -5,6 +5,7 @@
  * - Education Level options (Preschool, Elementary School, etc.) for easy filtering
  * - Class and Year options (cascading based on Education Level)
  * - Order status options
+ * - Print views for selected orders
  */
 
 // Education Level Options: label = display in dropdown, value = sent to API (matches DB education_level)
@@ -74,6 +75,12 @@ export const ORDER_STATUS = [
   "Cancelled",
 ];
 
+// Print views for selected orders (pick list for the stockroom, claim slips for students)
+export const PRINT_VIEW = {
+  PICK_LIST: "pickList",
+  CLAIM_SLIPS: "claimSlips",
+};
+
 /**
  * Get filtered Class and Year options based on selected Education Level
  * @param {string} educationLevel - Selected education level (value sent to API)
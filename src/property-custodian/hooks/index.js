@@ -7,6 +7,7 @@
  * Organized by feature domain:
  * - common: Shared hooks used across multiple features
  * - items: Items management hooks
+ * - inventory: Stock-take (physical count), purchase-order and demand-forecast hooks
  * - orders: Order management hooks
  * - settings: Settings and profile hooks
  *
@@ -37,12 +38,27 @@ export { useItemDetailsModal } from "./items/useItemDetailsModal";
 export { useQRScanner } from "./items/useQRScanner";
 export { useItems } from "./items/useItems";
 
+// Inventory Hooks
+export { useStockTake, getLineVariance } from "./inventory/useStockTake";
+export {
+  usePurchaseOrders,
+  getLineOutstanding,
+  getPurchaseOrderProgress,
+} from "./inventory/usePurchaseOrders";
+export { useDemandForecast } from "./inventory/useDemandForecast";
+
 // Orders Hooks
 export { default as useOrdersStats } from "./orders/useOrdersStats";
 export { default as useOrdersFilters } from "./orders/useOrdersFilters";
 export { useOrders } from "./orders/useOrders";
 export { useOrderQRScanner } from "./orders/useOrderQRScanner";
+export { useOfflineReleaseStation } from "./orders/useOfflineReleaseStation";
+export { useBatchClaim } from "./orders/useBatchClaim";
 export { useSocketOrderUpdates } from "./orders/useSocketOrderUpdates";
+export { useApprovalQueue } from "./orders/useApprovalQueue";
+export { useExchangeQueue } from "./orders/useExchangeQueue";
+export { useClaimSlipSignatures } from "./orders/useClaimSlipSignatures";
+export { usePickupSchedule } from "./orders/usePickupSchedule";
 
 // Settings Hooks
 export { useAdminProfile } from "./settings/useAdminProfile";
@@ -0,0 +1,70 @@
+import { useState, useEffect, useMemo } from "react";
+import transactionService from "../../../services/transaction.service";
+import {
+  HISTORY_MONTHS,
+  extractReleaseEvents,
+  filterEventsForItem,
+  forecastReorderPoint,
+} from "../../utils/demandForecast";
+
+/**
+ * useDemandForecast Hook
+ *
+ * Suggested reorder point and order quantity for one item and size, learned from
+ * past releases (claimed orders and item releases) by education level and season.
+ * Release history is loaded once per mount; changing the item only recomputes.
+ *
+ * @param {Object|null} target - { itemId, itemName, size, educationLevel, currentStock }; null = idle
+ * @returns {Object} { forecast, loading, error } forecast is null when there is no history
+ */
+export const useDemandForecast = (target) => {
+  const [events, setEvents] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const enabled = Boolean(target?.itemName);
+
+  useEffect(() => {
+    if (!enabled || events) return;
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const endDate = new Date();
+        const startDate = new Date(endDate.getFullYear(), endDate.getMonth() - HISTORY_MONTHS, 1);
+        // Seasonal history spans school years, so the header year must not cut it down
+        const response = await transactionService.getTransactions({
+          startDate,
+          endDate,
+          limit: 10000,
+          allYears: true,
+        });
+        if (!cancelled) {
+          setEvents(extractReleaseEvents(response?.success ? response.data : []));
+        }
+      } catch (err) {
+        console.error("Error fetching release history:", err);
+        if (!cancelled) setError(err.message || "Failed to load release history");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, events]);
+
+  const { itemId, itemName, size, educationLevel, currentStock } = target || {};
+  const forecast = useMemo(() => {
+    if (!events || !itemName) return null;
+    const itemEvents = filterEventsForItem(events, { itemId, itemName, size, educationLevel });
+    return forecastReorderPoint(itemEvents, { currentStock });
+  }, [events, itemId, itemName, size, educationLevel, currentStock]);
+
+  return { forecast, loading, error };
+};
+
+export default useDemandForecast;
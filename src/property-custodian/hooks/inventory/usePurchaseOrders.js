@@ -0,0 +1,142 @@
+import { useState, useEffect, useCallback } from "react";
+import purchaseOrderService from "../../../services/purchaseOrder.service";
+import inventoryService from "../../../services/inventory.service";
+
+/**
+ * Quantity still to be delivered on a PO line
+ * @param {Object} line - PO line (quantity_ordered, quantity_received)
+ * @returns {number}
+ */
+export const getLineOutstanding = (line) =>
+  Math.max(0, (Number(line.quantity_ordered) || 0) - (Number(line.quantity_received) || 0));
+
+/**
+ * Delivery progress of a purchase order
+ * @param {Object} purchaseOrder - PO with lines[]
+ * @returns {{ ordered: number, received: number, outstanding: number }}
+ */
+export const getPurchaseOrderProgress = (purchaseOrder) =>
+  (purchaseOrder?.lines || []).reduce(
+    (totals, line) => ({
+      ordered: totals.ordered + (Number(line.quantity_ordered) || 0),
+      received: totals.received + (Number(line.quantity_received) || 0),
+      outstanding: totals.outstanding + getLineOutstanding(line),
+    }),
+    { ordered: 0, received: 0, outstanding: 0 },
+  );
+
+/**
+ * usePurchaseOrders Hook
+ *
+ * Supplier purchase orders for the Purchase Orders page and dashboard:
+ * - Lists POs by status (outstanding = ordered or partially received)
+ * - Creates POs from items at reorder point
+ * - Receives goods against a PO: each line is restocked through inventoryService.addStock
+ *   with the PO reference, so the purchase transaction and the PO line stay in step
+ *
+ * @param {string} status - "outstanding" | "received" | "cancelled" | "all"
+ * @returns {Object} { purchaseOrders, loading, error, createPurchaseOrder, receiveGoods, cancelPurchaseOrder, refetch }
+ */
+export const usePurchaseOrders = (status = "outstanding") => {
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchPurchaseOrders = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await purchaseOrderService.getPurchaseOrders({ status });
+      setPurchaseOrders(Array.isArray(response?.data) ? response.data : []);
+    } catch (err) {
+      console.error("Error fetching purchase orders:", err);
+      setError(err.message || "Failed to load purchase orders");
+      setPurchaseOrders([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchPurchaseOrders();
+  }, [fetchPurchaseOrders]);
+
+  /**
+   * Create a purchase order
+   * @param {Object} purchaseOrder - See purchaseOrderService.createPurchaseOrder
+   * @returns {Promise<Object>} Created PO
+   */
+  const createPurchaseOrder = useCallback(
+    async (purchaseOrder) => {
+      const response = await purchaseOrderService.createPurchaseOrder(purchaseOrder);
+      if (!response?.success) {
+        throw new Error(response?.message || "Failed to create purchase order");
+      }
+      await fetchPurchaseOrders();
+      return response.data;
+    },
+    [fetchPurchaseOrders],
+  );
+
+  /**
+   * Receive a delivery against a PO. Lines are posted one at a time so a failure
+   * part-way leaves the earlier lines received (and reported) rather than lost.
+   * @param {Object} purchaseOrder - PO being received
+   * @param {Array<{ line: Object, quantity: number }>} receipts - Quantities delivered per line
+   * @returns {Promise<{ received: number, failed: Array<{ line: Object, message: string }> }>}
+   */
+  const receiveGoods = useCallback(
+    async (purchaseOrder, receipts) => {
+      let received = 0;
+      const failed = [];
+
+      for (const { line, quantity } of receipts) {
+        if (!quantity || quantity <= 0) continue;
+        try {
+          const result = await inventoryService.addStock(
+            line.item_id,
+            quantity,
+            line.size && line.size !== "N/A" ? line.size : null,
+            line.unit_cost != null ? Number(line.unit_cost) : null,
+            { id: purchaseOrder.id, reference: purchaseOrder.reference, lineId: line.id },
+          );
+          if (!result?.success) {
+            throw new Error(result?.message || "Failed to add stock");
+          }
+          received += quantity;
+        } catch (err) {
+          failed.push({ line, message: err.message || "Failed to add stock" });
+        }
+      }
+
+      await fetchPurchaseOrders();
+      return { received, failed };
+    },
+    [fetchPurchaseOrders],
+  );
+
+  /**
+   * Cancel a purchase order
+   * @param {string} purchaseOrderId - PO ID
+   * @param {string} reason - Why it was cancelled
+   */
+  const cancelPurchaseOrder = useCallback(
+    async (purchaseOrderId, reason) => {
+      await purchaseOrderService.cancelPurchaseOrder(purchaseOrderId, reason);
+      await fetchPurchaseOrders();
+    },
+    [fetchPurchaseOrders],
+  );
+
+  return {
+    purchaseOrders,
+    loading,
+    error,
+    createPurchaseOrder,
+    receiveGoods,
+    cancelPurchaseOrder,
+    refetch: fetchPurchaseOrders,
+  };
+};
+
+export default usePurchaseOrders;
@@ -0,0 +1,293 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import stockTakeService from "../../../services/stockTake.service";
+
+/** Counts are saved in one request after typing/scanning stops for this long */
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Variance of a counted line (counted − system); null while the line is not counted
+ * @param {Object} line - Stock-take line
+ * @returns {number|null}
+ */
+export const getLineVariance = (line) =>
+  line.counted_quantity == null
+    ? null
+    : Number(line.counted_quantity) - (Number(line.system_quantity) || 0);
+
+const normalizeCode = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+/**
+ * Lines a scanned or typed code refers to: item id / barcode, "name size", or the item name
+ * (which matches every size of that item).
+ * @param {Array} lines - Stock-take lines
+ * @param {string} code - Scanned code
+ * @returns {Array} Matching lines
+ */
+export const findLinesForCode = (lines, code) => {
+  const needle = normalizeCode(code);
+  if (!needle) return [];
+
+  const exact = lines.filter((line) =>
+    [line.barcode, line.sku, line.item_id].some((value) => normalizeCode(value) === needle),
+  );
+  if (exact.length > 0) return exact;
+
+  const withSize = lines.filter((line) =>
+    [`${line.item_name} ${line.size}`, `${line.item_name} - ${line.size}`, `${line.item_name} (${line.size})`].some(
+      (value) => normalizeCode(value) === needle,
+    ),
+  );
+  if (withSize.length > 0) return withSize;
+
+  return lines.filter((line) => normalizeCode(line.item_name) === needle);
+};
+
+/**
+ * useStockTake Hook
+ *
+ * Physical count (stock-take) session for the Stock Take page:
+ * - Loads the open session, or starts a new one (system stock is snapshotted by the backend)
+ * - Keeps counted quantities locally and saves them in the background
+ * - Counts one piece per scan when the code points to a single item and size
+ * - Summarises variances for review and posts the approved ones as one batch
+ *
+ * @returns {Object} { session, lines, recentSessions, summary, loading, error, saving, posting, startSession, setCount, incrementCount, scanCode, flushCounts, postSession, cancelSession, refetch }
+ */
+export const useStockTake = () => {
+  const [session, setSession] = useState(null);
+  const [recentSessions, setRecentSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [posting, setPosting] = useState(false);
+  const pendingCountsRef = useRef(new Map());
+  const saveTimerRef = useRef(null);
+  const sessionIdRef = useRef(null);
+
+  const fetchSession = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [active, recent] = await Promise.all([
+        stockTakeService.getActiveSession(),
+        stockTakeService.getRecentSessions(),
+      ]);
+      setSession(active?.data || null);
+      setRecentSessions(recent?.data || []);
+    } catch (err) {
+      console.error("Error fetching stock take:", err);
+      setError(err.message || "Failed to load stock take");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSession();
+  }, [fetchSession]);
+
+  useEffect(() => {
+    sessionIdRef.current = session?.id || null;
+  }, [session?.id]);
+
+  /**
+   * Save every pending count now (also called before posting and when leaving the page)
+   */
+  const flushCounts = useCallback(async () => {
+    clearTimeout(saveTimerRef.current);
+    const sessionId = sessionIdRef.current;
+    if (!sessionId || pendingCountsRef.current.size === 0) return;
+
+    const counts = Array.from(pendingCountsRef.current, ([lineId, countedQuantity]) => ({
+      lineId,
+      countedQuantity,
+    }));
+    pendingCountsRef.current = new Map();
+    try {
+      setSaving(true);
+      await stockTakeService.saveCounts(sessionId, counts);
+    } catch (err) {
+      // Put the counts back so the next save retries them
+      counts.forEach(({ lineId, countedQuantity }) => {
+        if (!pendingCountsRef.current.has(lineId)) {
+          pendingCountsRef.current.set(lineId, countedQuantity);
+        }
+      });
+      setError(err.message || "Failed to save counts");
+      throw err;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  useEffect(
+    () => () => {
+      flushCounts().catch(() => {});
+    },
+    [flushCounts],
+  );
+
+  const scheduleSave = useCallback(() => {
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(() => {
+      flushCounts().catch(() => {});
+    }, SAVE_DELAY_MS);
+  }, [flushCounts]);
+
+  /**
+   * Start a new session
+   * @param {Object} options - { educationLevel, notes }
+   */
+  const startSession = useCallback(async (options) => {
+    const response = await stockTakeService.startSession(options);
+    if (!response?.success) {
+      throw new Error(response?.message || "Failed to start stock take");
+    }
+    setSession(response.data);
+    setError(null);
+    return response.data;
+  }, []);
+
+  /**
+   * Set the physical count of a line (null clears it)
+   * @param {string} lineId - Line ID
+   * @param {number|null} quantity - Counted quantity
+   */
+  const setCount = useCallback(
+    (lineId, quantity) => {
+      const value =
+        quantity === null || quantity === "" ? null : Math.max(0, Math.floor(Number(quantity)) || 0);
+      setSession((prev) =>
+        prev
+          ? {
+              ...prev,
+              lines: prev.lines.map((line) =>
+                line.id === lineId ? { ...line, counted_quantity: value } : line,
+              ),
+            }
+          : prev,
+      );
+      pendingCountsRef.current.set(lineId, value);
+      scheduleSave();
+    },
+    [scheduleSave],
+  );
+
+  /**
+   * Add one to a line's count (one scan = one piece)
+   * @param {string} lineId - Line ID
+   */
+  const incrementCount = useCallback(
+    (lineId) => {
+      setSession((prev) => {
+        if (!prev) return prev;
+        return {
+          ...prev,
+          lines: prev.lines.map((line) => {
+            if (line.id !== lineId) return line;
+            const value = (Number(line.counted_quantity) || 0) + 1;
+            pendingCountsRef.current.set(lineId, value);
+            return { ...line, counted_quantity: value };
+          }),
+        };
+      });
+      scheduleSave();
+    },
+    [scheduleSave],
+  );
+
+  const linesRef = useRef([]);
+  useEffect(() => {
+    linesRef.current = session?.lines || [];
+  }, [session]);
+
+  /**
+   * Count a scanned code. Stable across renders so the camera is not restarted.
+   * @param {string} code - Scanned or typed code
+   * @returns {{ counted: Object|null, matches: Array }} counted is the line that got +1;
+   *   when several sizes match nothing is counted and the caller should ask for the size
+   */
+  const scanCode = useCallback(
+    (code) => {
+      const matches = findLinesForCode(linesRef.current, code);
+      if (matches.length === 1) {
+        incrementCount(matches[0].id);
+        return { counted: matches[0], matches };
+      }
+      return { counted: null, matches };
+    },
+    [incrementCount],
+  );
+
+  /**
+   * Post the approved variances
+   * @param {Array<string>} approvedLineIds - Lines to adjust
+   * @returns {Promise<Object>} { reference, posted, totalVariance }
+   */
+  const postSession = useCallback(
+    async (approvedLineIds) => {
+      try {
+        setPosting(true);
+        await flushCounts();
+        const response = await stockTakeService.postSession(sessionIdRef.current, approvedLineIds);
+        if (!response?.success) {
+          throw new Error(response?.message || "Failed to post stock take");
+        }
+        await fetchSession();
+        return response.data;
+      } finally {
+        setPosting(false);
+      }
+    },
+    [flushCounts, fetchSession],
+  );
+
+  const cancelSession = useCallback(async () => {
+    clearTimeout(saveTimerRef.current);
+    pendingCountsRef.current = new Map();
+    await stockTakeService.cancelSession(sessionIdRef.current);
+    await fetchSession();
+  }, [fetchSession]);
+
+  const lines = useMemo(() => session?.lines || [], [session]);
+
+  const summary = useMemo(() => {
+    const counted = lines.filter((line) => line.counted_quantity != null);
+    const variances = counted.filter((line) => getLineVariance(line) !== 0);
+    return {
+      totalLines: lines.length,
+      countedLines: counted.length,
+      varianceLines: variances.length,
+      netVariance: variances.reduce((sum, line) => sum + getLineVariance(line), 0),
+      varianceValue: variances.reduce(
+        (sum, line) => sum + getLineVariance(line) * (Number(line.unit_price) || 0),
+        0,
+      ),
+    };
+  }, [lines]);
+
+  return {
+    session,
+    lines,
+    recentSessions,
+    summary,
+    loading,
+    error,
+    saving,
+    posting,
+    startSession,
+    setCount,
+    incrementCount,
+    scanCode,
+    flushCounts,
+    postSession,
+    cancelSession,
+    refetch: fetchSession,
+  };
+};
+
+export default useStockTake;
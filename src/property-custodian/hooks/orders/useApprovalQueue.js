@@ -0,0 +1,96 @@
+import { useState, useEffect, useCallback } from "react";
+import { orderAPI } from "../../../services/api";
+import { useSocket } from "../../../context/SocketContext";
+import { ORDER_AWAITING_APPROVAL_STATUS } from "../../../utils/orderLimitPolicy";
+
+/**
+ * useApprovalQueue Hook
+ *
+ * Department head queue of out-of-policy orders (status awaiting_approval):
+ * - Fetches waiting orders through orderAPI.getOrders
+ * - Approves or denies an order with a comment
+ * - Refetches when orders are created or updated over the socket
+ *
+ * @returns {Object} { orders, loading, error, deciding, decide, refetch }
+ */
+export const useApprovalQueue = () => {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [deciding, setDeciding] = useState(null); // order id being decided
+  const { on, off } = useSocket();
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await orderAPI.getOrders(
+        { status: ORDER_AWAITING_APPROVAL_STATUS },
+        1,
+        500,
+      );
+      if (response.data?.success) {
+        // Oldest first: first come, first decided
+        const queue = [...(response.data.data || [])].sort(
+          (a, b) => new Date(a.created_at) - new Date(b.created_at),
+        );
+        setOrders(queue);
+      } else {
+        throw new Error(response.data?.message || "Failed to fetch approval queue");
+      }
+    } catch (err) {
+      console.error("Error fetching approval queue:", err);
+      setError(err.response?.data?.message || err.message || "Failed to fetch approval queue");
+      setOrders([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  useEffect(() => {
+    on("order:created", fetchQueue);
+    on("order:updated", fetchQueue);
+    return () => {
+      off("order:created", fetchQueue);
+      off("order:updated", fetchQueue);
+    };
+  }, [on, off, fetchQueue]);
+
+  /**
+   * Approve or deny an order
+   * @param {string} orderId - Order UUID
+   * @param {"approved"|"denied"} decision
+   * @param {string} comment - Shown to the student in MyOrders
+   */
+  const decide = useCallback(async (orderId, decision, comment) => {
+    try {
+      setDeciding(orderId);
+      const response = await orderAPI.decideApproval(orderId, decision, comment);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || "Failed to save decision");
+      }
+      setOrders((prev) => prev.filter((order) => order.id !== orderId));
+      return response.data.data;
+    } catch (err) {
+      console.error("Error saving approval decision:", err);
+      throw new Error(err.response?.data?.message || err.message || "Failed to save decision");
+    } finally {
+      setDeciding(null);
+    }
+  }, []);
+
+  return {
+    orders,
+    loading,
+    error,
+    deciding,
+    decide,
+    refetch: fetchQueue,
+  };
+};
+
+export default useApprovalQueue;
@@ -0,0 +1,257 @@
+import { useState, useCallback, useRef, useMemo } from "react";
+import { lookupScannedOrder, releaseOrder, deductClaimedStock } from "./useOrderQRScanner";
+import { parseOrderReceiptQRData } from "../../../utils/qrCodeGenerator";
+import { buildPickedUpBy } from "../../../utils/pickupProxies";
+import { orderAPI } from "../../../services/api";
+import { isNetworkError } from "../../utils/offlineReleaseStore";
+
+/** The same code stays in front of the camera for a moment; ignore repeats within this window */
+const REPEAT_SCAN_WINDOW_MS = 3000;
+
+/** Entry states in the release line */
+export const BATCH_ENTRY_STATUS = {
+  CHECKING: "checking",
+  READY: "ready",
+  DUPLICATE: "duplicate",
+  EXPIRED: "expired",
+  CLAIMED: "claimed",
+  AWAITING_APPROVAL: "awaiting_approval",
+  DENIED: "denied",
+  INVALID: "invalid",
+  RELEASING: "releasing",
+  RELEASED: "released",
+  FAILED: "failed",
+};
+
+const countItems = (order) =>
+  (Array.isArray(order?.items) ? order.items : []).reduce(
+    (sum, item) => sum + (Number(item.quantity) || 1),
+    0,
+  );
+
+/**
+ * useBatchClaim Hook
+ *
+ * Continuous "release line" for enrollment week: the camera stays open and every scan
+ * is checked and added to a side list instead of opening a confirmation modal.
+ * - Flags duplicates, expired codes, already-claimed, held or denied orders and invalid codes
+ * - Keeps running totals of orders and items ready to release
+ * - On confirm, marks the whole batch claimed at once, then deducts stock order by order
+ *   (offline releases go to the offline queue)
+ *
+ * @returns {Object} { entries, totals, confirming, handleScan, removeEntry, clearBatch, confirmBatch }
+ */
+export const useBatchClaim = () => {
+  const [entries, setEntries] = useState([]);
+  const [confirming, setConfirming] = useState(false);
+  const entriesRef = useRef([]);
+  const lastScanRef = useRef({ data: null, at: 0 });
+  const nextKeyRef = useRef(1);
+
+  const applyEntries = useCallback((updater) => {
+    entriesRef.current = updater(entriesRef.current);
+    setEntries(entriesRef.current);
+  }, []);
+
+  const updateEntry = useCallback(
+    (key, changes) => {
+      applyEntries((prev) => prev.map((e) => (e.key === key ? { ...e, ...changes } : e)));
+    },
+    [applyEntries],
+  );
+
+  /**
+   * Add a scanned code to the release line. Stable across renders so the scanner
+   * does not restart the camera.
+   * @param {string} scannedData - Raw QR code data
+   */
+  const handleScan = useCallback(
+    async (scannedData) => {
+      const now = Date.now();
+      if (
+        lastScanRef.current.data === scannedData &&
+        now - lastScanRef.current.at < REPEAT_SCAN_WINDOW_MS
+      ) {
+        lastScanRef.current.at = now;
+        return;
+      }
+      lastScanRef.current = { data: scannedData, at: now };
+
+      const key = nextKeyRef.current++;
+      const orderNumber = parseOrderReceiptQRData(scannedData)?.orderNumber || null;
+      const alreadyInLine = orderNumber
+        ? entriesRef.current.some(
+            (e) =>
+              e.orderNumber === orderNumber &&
+              e.status !== BATCH_ENTRY_STATUS.DUPLICATE &&
+              e.status !== BATCH_ENTRY_STATUS.INVALID,
+          )
+        : false;
+
+      applyEntries((prev) => [
+        {
+          key,
+          orderNumber,
+          order: null,
+          scannedAt: new Date(now),
+          status: alreadyInLine ? BATCH_ENTRY_STATUS.DUPLICATE : BATCH_ENTRY_STATUS.CHECKING,
+          message: alreadyInLine ? "Already scanned in this batch" : null,
+        },
+        ...prev,
+      ]);
+      if (alreadyInLine) return;
+
+      try {
+        const order = await lookupScannedOrder(scannedData);
+        updateEntry(key, {
+          order,
+          orderNumber: order.order_number || orderNumber,
+          status: BATCH_ENTRY_STATUS.READY,
+          message: order._offline ? "From offline cache" : null,
+        });
+      } catch (err) {
+        // scanError reasons match the entry statuses; anything else is an invalid code
+        const status = [
+          BATCH_ENTRY_STATUS.EXPIRED,
+          BATCH_ENTRY_STATUS.CLAIMED,
+          BATCH_ENTRY_STATUS.AWAITING_APPROVAL,
+          BATCH_ENTRY_STATUS.DENIED,
+        ].includes(err.reason)
+          ? err.reason
+          : BATCH_ENTRY_STATUS.INVALID;
+        updateEntry(key, { status, message: err.message });
+      }
+    },
+    [applyEntries, updateEntry],
+  );
+
+  /** @param {number} key - Entry key */
+  const removeEntry = useCallback(
+    (key) => {
+      applyEntries((prev) => prev.filter((e) => e.key !== key));
+    },
+    [applyEntries],
+  );
+
+  const clearBatch = useCallback(() => {
+    applyEntries(() => []);
+    lastScanRef.current = { data: null, at: 0 };
+  }, [applyEntries]);
+
+  /**
+   * Release every ready entry (one bulk status update, then stock per order); without a
+   * connection they go to the offline queue
+   * @returns {Promise<{ released: number, queued: number, failed: number }>}
+   */
+  const confirmBatch = useCallback(async () => {
+    const ready = entriesRef.current.filter((e) => e.status === BATCH_ENTRY_STATUS.READY);
+    const summary = { released: 0, queued: 0, failed: 0 };
+    if (ready.length === 0) return summary;
+
+    const fail = (entry, message) => {
+      summary.failed++;
+      updateEntry(entry.key, { status: BATCH_ENTRY_STATUS.FAILED, message });
+    };
+    const queueOffline = async (entry) => {
+      try {
+        await releaseOrder({ ...entry.order, _offline: true });
+        summary.queued++;
+        updateEntry(entry.key, {
+          status: BATCH_ENTRY_STATUS.RELEASED,
+          message: "Saved offline; will sync",
+        });
+      } catch (err) {
+        console.error(`Error queueing ${entry.orderNumber}:`, err);
+        fail(entry, err.message || "Failed to save the release offline");
+      }
+    };
+
+    setConfirming(true);
+    try {
+      ready.forEach((entry) => updateEntry(entry.key, { status: BATCH_ENTRY_STATUS.RELEASING }));
+      const online = ready.filter((entry) => !entry.order._offline);
+      for (const entry of ready.filter((e) => e.order._offline)) {
+        await queueOffline(entry);
+      }
+      if (online.length === 0) return summary;
+
+      let response;
+      try {
+        response = await orderAPI.bulkClaimOrders(
+          online.map((entry) => ({
+            order_id: entry.order.id,
+            picked_up_by: entry.order._pickedUpBy || buildPickedUpBy(entry.order),
+          })),
+        );
+      } catch (err) {
+        if (isNetworkError(err)) {
+          for (const entry of online) await queueOffline(entry);
+          return summary;
+        }
+        console.error("Error releasing batch:", err);
+        const message = err.response?.data?.message || err.message || "Failed to release orders";
+        online.forEach((entry) => fail(entry, message));
+        return summary;
+      }
+
+      const results = new Map(
+        (response.data?.data?.results || []).map((result) => [String(result.order_id), result]),
+      );
+      for (const entry of online) {
+        const result = results.get(String(entry.order.id));
+        if (!result?.success) {
+          fail(entry, result?.message || "Failed to release order");
+          continue;
+        }
+        summary.released++;
+        const stock = await deductClaimedStock(
+          entry.order,
+          entry.order._pickedUpBy || buildPickedUpBy(entry.order),
+        );
+        const stockFailed = stock.some((update) => !update.success);
+        updateEntry(entry.key, {
+          status: BATCH_ENTRY_STATUS.RELEASED,
+          message: stockFailed ? "Released; stock for some items was not deducted" : null,
+        });
+      }
+    } finally {
+      setConfirming(false);
+    }
+    return summary;
+  }, [updateEntry]);
+
+  const totals = useMemo(() => {
+    const ready = entries.filter((e) => e.status === BATCH_ENTRY_STATUS.READY);
+    const released = entries.filter((e) => e.status === BATCH_ENTRY_STATUS.RELEASED);
+    return {
+      scanned: entries.length,
+      readyOrders: ready.length,
+      readyItems: ready.reduce((sum, e) => sum + countItems(e.order), 0),
+      releasedOrders: released.length,
+      releasedItems: released.reduce((sum, e) => sum + countItems(e.order), 0),
+      flagged: entries.filter((e) =>
+        [
+          BATCH_ENTRY_STATUS.DUPLICATE,
+          BATCH_ENTRY_STATUS.EXPIRED,
+          BATCH_ENTRY_STATUS.CLAIMED,
+          BATCH_ENTRY_STATUS.AWAITING_APPROVAL,
+          BATCH_ENTRY_STATUS.DENIED,
+          BATCH_ENTRY_STATUS.INVALID,
+          BATCH_ENTRY_STATUS.FAILED,
+        ].includes(e.status),
+      ).length,
+    };
+  }, [entries]);
+
+  return {
+    entries,
+    totals,
+    confirming,
+    handleScan,
+    removeEntry,
+    clearBatch,
+    confirmBatch,
+  };
+};
+
+export default useBatchClaim;
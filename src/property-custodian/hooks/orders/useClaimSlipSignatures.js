@@ -0,0 +1,71 @@
+import { useState, useEffect } from "react";
+import { orderAPI } from "../../../services/api";
+
+/**
+ * useClaimSlipSignatures Hook
+ *
+ * Printed claim slips carry the same signed receipt QR as the student's order page.
+ * Orders that were never opened by the student have no signature yet; those are
+ * signed together by the backend before the slips are printed.
+ *
+ * @param {Array} orders - Raw orders from the API
+ * @param {boolean} enabled - Only fetch while the claim slip view is open
+ * @returns {Object} { signatures: { [orderId]: { qr_signature, qr_issued_at } }, loading, failedOrderNumbers }
+ */
+export const useClaimSlipSignatures = (orders, enabled) => {
+  const [signatures, setSignatures] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [failedOrderNumbers, setFailedOrderNumbers] = useState([]);
+
+  useEffect(() => {
+    if (!enabled || !orders || orders.length === 0) return;
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      const next = {};
+      const failed = [];
+
+      const unsigned = [];
+      orders.forEach((order) => {
+        if (order.qr_signature && order.qr_issued_at) {
+          next[order.id] = {
+            qr_signature: order.qr_signature,
+            qr_issued_at: order.qr_issued_at,
+          };
+        } else {
+          unsigned.push(order);
+        }
+      });
+
+      if (unsigned.length > 0) {
+        try {
+          const response = await orderAPI.getReceiptSignatures(unsigned.map((order) => order.id));
+          (response.data?.data?.signatures || []).forEach((signature) => {
+            if (signature.qr_signature) next[signature.order_id] = signature;
+          });
+        } catch (err) {
+          console.error("Failed to get receipt signatures for claim slips:", err);
+        }
+        unsigned.forEach((order) => {
+          if (!next[order.id]) failed.push(order.order_number);
+        });
+      }
+
+      if (!cancelled) {
+        setSignatures(next);
+        setFailedOrderNumbers(failed);
+        setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [orders, enabled]);
+
+  return { signatures, loading, failedOrderNumbers };
+};
+
+export default useClaimSlipSignatures;
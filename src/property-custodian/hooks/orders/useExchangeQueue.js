@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback } from "react";
+import { exchangeAPI } from "../../../services/api";
+import { useSocket } from "../../../context/SocketContext";
+import { EXCHANGE_STATUS } from "../../../utils/sizeExchange";
+
+/**
+ * useExchangeQueue Hook
+ *
+ * Property custodian queue of student size exchange requests:
+ * - Fetches requests by status through exchangeAPI.getRequests
+ * - Approves (posts the linked return + release) or rejects (frees the reserved size)
+ * - Refetches when requests are created or updated over the socket
+ *
+ * @param {string} status - Exchange status to list (default pending)
+ * @returns {Object} { requests, loading, error, deciding, decide, refetch }
+ */
+export const useExchangeQueue = (status = EXCHANGE_STATUS.PENDING) => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [deciding, setDeciding] = useState(null); // request id being decided
+  const { on, off } = useSocket();
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await exchangeAPI.getRequests({ status, limit: 500 });
+      if (response.data?.success) {
+        // Pending: oldest first, so reservations are not held longer than needed
+        const sorted = [...(response.data.data || [])].sort((a, b) =>
+          status === EXCHANGE_STATUS.PENDING
+            ? new Date(a.created_at) - new Date(b.created_at)
+            : new Date(b.created_at) - new Date(a.created_at),
+        );
+        setRequests(sorted);
+      } else {
+        throw new Error(response.data?.message || "Failed to fetch exchange requests");
+      }
+    } catch (err) {
+      console.error("Error fetching exchange requests:", err);
+      setError(err.response?.data?.message || err.message || "Failed to fetch exchange requests");
+      setRequests([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  useEffect(() => {
+    on("exchange:created", fetchQueue);
+    on("exchange:updated", fetchQueue);
+    return () => {
+      off("exchange:created", fetchQueue);
+      off("exchange:updated", fetchQueue);
+    };
+  }, [on, off, fetchQueue]);
+
+  /**
+   * Approve or reject an exchange request
+   * @param {string} requestId - Exchange request id
+   * @param {"approved"|"rejected"} decision
+   * @param {string} note - Shown to the student in the order details
+   */
+  const decide = useCallback(async (requestId, decision, note) => {
+    try {
+      setDeciding(requestId);
+      const response = await exchangeAPI.decide(requestId, decision, note);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || "Failed to save decision");
+      }
+      setRequests((prev) => prev.filter((request) => request.id !== requestId));
+      return response.data.data;
+    } catch (err) {
+      console.error("Error saving exchange decision:", err);
+      throw new Error(err.response?.data?.message || err.message || "Failed to save decision");
+    } finally {
+      setDeciding(null);
+    }
+  }, []);
+
+  return {
+    requests,
+    loading,
+    error,
+    deciding,
+    decide,
+    refetch: fetchQueue,
+  };
+};
+
+export default useExchangeQueue;
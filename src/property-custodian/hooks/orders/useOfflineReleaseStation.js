@@ -0,0 +1,263 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { orderAPI } from "../../../services/api";
+import { getRemainingValidityDays } from "../../../utils/qrCodeGenerator";
+import { loadSchoolCalendar } from "../../../utils/schoolCalendar";
+import { claimOrder } from "./useOrderQRScanner";
+import {
+  OFFLINE_QUEUE_EVENT,
+  RELEASE_STATE,
+  cacheOrders,
+  countCachedOrders,
+  getCachedAt,
+  getQueuedReleases,
+  updateQueuedRelease,
+  removeQueuedRelease,
+  isNetworkError,
+} from "../../utils/offlineReleaseStore";
+import { APPROVAL_STATUS } from "../../../utils/orderLimitPolicy";
+
+/** Statuses that can still be released at the counter */
+const RELEASABLE_STATUSES = ["pending", "processing", "ready", "payment_pending"];
+
+/**
+ * Why a queued release can no longer be applied as-is, or null when it is safe to sync.
+ * Only an edit made after the order was cached can be overridden ("Release anyway");
+ * a missing, released, cancelled, held or denied order always stays blocked.
+ * @param {Object} entry - Queue entry
+ * @param {Object} serverOrder - Current order from GET /orders/:id
+ * @returns {{ reason: string, overridable: boolean }|null}
+ */
+const getConflict = (entry, serverOrder) => {
+  const blocked = (reason) => ({ reason, overridable: false });
+  if (!serverOrder) return blocked("Order no longer exists on the server.");
+  const status = (serverOrder.status || "").toLowerCase();
+  if (status === "claimed" || status === "completed") {
+    return blocked(`Already released on the server${
+      serverOrder.claimed_date
+        ? ` on ${new Date(serverOrder.claimed_date).toLocaleString()}`
+        : ""
+    }.`);
+  }
+  if (!RELEASABLE_STATUSES.includes(status)) {
+    return blocked(`Order is now "${serverOrder.status}" on the server.`);
+  }
+  if (serverOrder.approval_status === APPROVAL_STATUS.DENIED) {
+    return blocked("Order was denied by the department head.");
+  }
+  if (serverOrder.approval_status === APPROVAL_STATUS.AWAITING) {
+    return blocked("Order is waiting for department head approval.");
+  }
+  if (
+    entry.baseUpdatedAt &&
+    serverOrder.updated_at &&
+    new Date(serverOrder.updated_at).getTime() > new Date(entry.baseUpdatedAt).getTime()
+  ) {
+    return {
+      reason: "Order was changed on the server after it was cached (e.g. items or sizes edited).",
+      overridable: true,
+    };
+  }
+  return null;
+};
+
+/**
+ * useOfflineReleaseStation Hook
+ *
+ * Keeps the custodian counter working when the Wi‑Fi drops:
+ * - Caches releasable orders (unclaimed, QR still valid) in IndexedDB while online
+ * - Tracks releases queued offline by useOrderQRScanner
+ * - Syncs the queue to PATCH /orders/:id/status when the connection returns,
+ *   holding back releases for orders changed on the server in the meantime (conflicts)
+ *
+ * @returns {Object} { isOnline, cachedCount, cachedAt, queue, pendingCount, conflicts, caching, syncing, error, refreshCache, syncQueue, forceRelease, discardRelease }
+ */
+export const useOfflineReleaseStation = () => {
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [cachedCount, setCachedCount] = useState(0);
+  const [cachedAt, setCachedAt] = useState(getCachedAt);
+  const [queue, setQueue] = useState([]);
+  const [caching, setCaching] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState(null);
+  const syncingRef = useRef(false);
+
+  const loadQueue = useCallback(async () => {
+    try {
+      const [entries, count] = await Promise.all([getQueuedReleases(), countCachedOrders()]);
+      setQueue(entries);
+      setCachedCount(count);
+    } catch (err) {
+      console.error("Error reading offline release queue:", err);
+      setError(err.message || "Failed to read offline release queue");
+    }
+  }, []);
+
+  /**
+   * Cache today's releasable orders for offline scans
+   */
+  const refreshCache = useCallback(async () => {
+    try {
+      setCaching(true);
+      setError(null);
+      const response = await orderAPI.getOrders({ order_type: "regular" }, 1, 1000);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || "Failed to fetch orders");
+      }
+      // Same validity window as the scanner: from the receipt signing date, holidays excluded
+      await loadSchoolCalendar();
+      const releasable = (response.data.data || []).filter((order) => {
+        if (!RELEASABLE_STATUSES.includes((order.status || "").toLowerCase())) return false;
+        if (order.approval_status === APPROVAL_STATUS.DENIED) return false;
+        const remaining = getRemainingValidityDays(order.qr_issued_at || order.created_at);
+        return remaining == null || remaining >= 0;
+      });
+      const count = await cacheOrders(releasable);
+      setCachedCount(count);
+      setCachedAt(getCachedAt());
+    } catch (err) {
+      if (isNetworkError(err)) return;
+      console.error("Error caching orders for offline use:", err);
+      setError(err.message || "Failed to cache orders for offline use");
+    } finally {
+      setCaching(false);
+    }
+  }, []);
+
+  /**
+   * Sync one queued release; conflicts stay in the queue unless force is set
+   * @param {Object} entry - Queue entry
+   * @param {boolean} force - Release even if the order was edited on the server after it was cached
+   */
+  const syncEntry = useCallback(async (entry, force = false) => {
+    const response = await orderAPI.getOrderById(entry.orderId);
+    const serverOrder = response.data?.data;
+    const conflict = getConflict(entry, serverOrder);
+
+    if (conflict && (!force || !conflict.overridable)) {
+      await updateQueuedRelease(entry.orderId, {
+        state: RELEASE_STATE.CONFLICT,
+        conflictReason: conflict.reason,
+        conflictOverridable: conflict.overridable,
+      });
+      return false;
+    }
+
+    // Keep who picked the order up at the counter (student or proxy)
+    await claimOrder({ ...serverOrder, _pickedUpBy: entry.order?._pickedUpBy });
+    await removeQueuedRelease(entry.orderId);
+    return true;
+  }, []);
+
+  /**
+   * Sync all pending releases to the server
+   */
+  const syncQueue = useCallback(async () => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
+    setSyncing(true);
+    setError(null);
+    try {
+      const entries = await getQueuedReleases();
+      for (const entry of entries) {
+        if (entry.state !== RELEASE_STATE.PENDING) continue;
+        try {
+          await syncEntry(entry);
+        } catch (err) {
+          if (isNetworkError(err)) break; // Still offline; keep the rest for later
+          console.error(`Error syncing release of ${entry.orderNumber}:`, err);
+          await updateQueuedRelease(entry.orderId, {
+            state: RELEASE_STATE.CONFLICT,
+            conflictReason: err.response?.data?.message || err.message || "Failed to sync release",
+            // Retrying re-checks the order, so it stays blocked if it can no longer be released
+            conflictOverridable: true,
+          });
+        }
+      }
+    } catch (err) {
+      console.error("Error syncing offline releases:", err);
+      setError(err.message || "Failed to sync offline releases");
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      loadQueue();
+    }
+  }, [syncEntry, loadQueue]);
+
+  /**
+   * Release a conflicting entry anyway (after the custodian has checked the order)
+   * @param {string} orderId
+   */
+  const forceRelease = useCallback(
+    async (orderId) => {
+      const entry = queue.find((e) => e.orderId === orderId);
+      if (!entry) return false;
+      try {
+        setSyncing(true);
+        setError(null);
+        return await syncEntry(entry, true);
+      } catch (err) {
+        console.error(`Error releasing ${entry.orderNumber}:`, err);
+        setError(err.response?.data?.message || err.message || "Failed to release order");
+        return false;
+      } finally {
+        setSyncing(false);
+      }
+    },
+    [queue, syncEntry],
+  );
+
+  /**
+   * Drop a queued release (e.g. the item was not actually handed over)
+   * @param {string} orderId
+   */
+  const discardRelease = useCallback(async (orderId) => {
+    await removeQueuedRelease(orderId);
+  }, []);
+
+  // Online/offline tracking; sync and refresh the cache as soon as the connection returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncQueue().then(refreshCache);
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [syncQueue, refreshCache]);
+
+  useEffect(() => {
+    window.addEventListener(OFFLINE_QUEUE_EVENT, loadQueue);
+    return () => window.removeEventListener(OFFLINE_QUEUE_EVENT, loadQueue);
+  }, [loadQueue]);
+
+  // On mount: read the queue, push anything left from a previous session, refresh the cache
+  useEffect(() => {
+    loadQueue();
+    if (navigator.onLine) {
+      syncQueue().then(refreshCache);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return {
+    isOnline,
+    cachedCount,
+    cachedAt,
+    queue,
+    pendingCount: queue.filter((e) => e.state === RELEASE_STATE.PENDING).length,
+    conflicts: queue.filter((e) => e.state === RELEASE_STATE.CONFLICT),
+    caching,
+    syncing,
+    error,
+    refreshCache,
+    syncQueue,
+    forceRelease,
+    discardRelease,
+  };
+};
+
+export default useOfflineReleaseStation;
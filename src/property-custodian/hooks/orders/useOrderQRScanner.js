@@ -1,14 +1,299 @@
 import { useState, useCallback } from "react";
-import { parseOrderReceiptQRData, getRemainingValidityDays } from "../../../utils/qrCodeGenerator";
+import {
+  parseOrderReceiptQRData,
+  verifyOrderReceiptQRData,
+  getRemainingValidityDays,
+} from "../../../utils/qrCodeGenerator";
+import { loadSchoolCalendar } from "../../../utils/schoolCalendar";
+import {
+  buildPickedUpBy,
+  formatPickedUpBy,
+} from "../../../utils/pickupProxies";
 import api from "../../../services/api";
+import {
+  getCachedOrder,
+  enqueueRelease,
+  isNetworkError,
+} from "../../utils/offlineReleaseStore";
+import {
+  ORDER_AWAITING_APPROVAL_STATUS,
+  APPROVAL_STATUS,
+} from "../../../utils/orderLimitPolicy";
+
+/**
+ * Reduce inventory for a claimed order: one PATCH /items/:id/adjust per order line.
+ * The status update does not touch stock, so every release path calls this once the
+ * order is marked claimed (single scan, offline sync and the batch release line).
+ * @param {Object} order - Claimed order (order_number, items, education_level)
+ * @param {Object} pickedUpBy - From buildPickedUpBy; recorded on the adjustment
+ * @returns {Promise<Array<{ item: string, quantity: number, success: boolean, error?: string }>>}
+ */
+export const deductClaimedStock = async (order, pickedUpBy) => {
+  const orderNumber = order.order_number;
+  const proxyNote =
+    pickedUpBy.type === "proxy" ? ` (picked up by ${formatPickedUpBy(pickedUpBy)})` : "";
+
+  const inventoryUpdates = [];
+  const items = order.items || [];
+
+  for (const item of items) {
+    try {
+      const inventoryResponse = await api.get(`/items`, {
+        params: {
+          search: item.name,
+          education_level: order.education_level,
+        },
+      });
+
+      if (
+        !inventoryResponse.data.success ||
+        !inventoryResponse.data.data ||
+        inventoryResponse.data.data.length === 0
+      ) {
+        console.error(`Inventory item not found: ${item.name}`);
+        continue;
+      }
+
+      const inventoryItem = inventoryResponse.data.data[0];
+      const adjustment = -item.quantity;
+      const adjustPayload = {
+        adjustment,
+        reason: `Order ${orderNumber} claimed - ${item.quantity}x ${item.name}${proxyNote}`,
+        picked_up_by: pickedUpBy,
+      };
+      if (item.size) adjustPayload.size = item.size;
+
+      const adjustResponse = await api.patch(
+        `/items/${inventoryItem.id}/adjust`,
+        adjustPayload
+      );
+
+      if (adjustResponse.data.success) {
+        inventoryUpdates.push({
+          item: item.name,
+          quantity: item.quantity,
+          success: true,
+        });
+      }
+    } catch (itemError) {
+      console.error(`Error processing item ${item.name}:`, itemError);
+      inventoryUpdates.push({
+        item: item.name,
+        quantity: item.quantity,
+        success: false,
+        error: itemError.message,
+      });
+    }
+  }
+
+  return inventoryUpdates;
+};
+
+/**
+ * Claim order: update status to "claimed" and reduce inventory.
+ * Also used by the offline release station to sync queued releases.
+ * Who picked the order up (the student or an authorized proxy) is sent as picked_up_by so the
+ * release transaction records it.
+ * @param {Object} order - Full order from API (must have id, order_number, student_name, items, education_level);
+ *   _pickedUpBy from lookupScannedOrder, defaults to the student
+ * @returns {Promise<Object>} Success message object
+ */
+export const claimOrder = async (order) => {
+  const orderNumber = order.order_number;
+  const pickedUpBy = order._pickedUpBy || buildPickedUpBy(order);
+
+  const statusResponse = await api.patch(`/orders/${order.id}/status`, {
+    status: "claimed",
+    picked_up_by: pickedUpBy,
+  });
+
+  if (!statusResponse.data.success) {
+    throw new Error(
+      statusResponse.data.message || "Failed to update order status"
+    );
+  }
+
+  const inventoryUpdates = await deductClaimedStock(order, pickedUpBy);
+
+  return {
+    orderNumber,
+    studentName: order.student_name,
+    pickedUpBy,
+    items: inventoryUpdates,
+    message: `Order ${orderNumber} successfully claimed!`,
+  };
+};
+
+/**
+ * Error for a genuine receipt that cannot be released; reason is "expired", "claimed",
+ * "awaiting_approval" or "denied"
+ */
+const scanError = (reason, message) => Object.assign(new Error(message), { reason });
+
+/**
+ * Verify a scanned receipt or proxy pickup pass and fetch its order (from the offline cache
+ * when the server cannot be reached). Does NOT claim.
+ * @param {string} scannedData - Raw QR code data
+ * @returns {Promise<Object>} Order ready to release (_offline: true when taken from the cache;
+ *   _pickedUpBy: the student, or the proxy whose pass was scanned)
+ * @throws {Error} reason "expired" | "claimed" | "awaiting_approval" | "denied" for receipts that cannot be released; no reason for invalid codes
+ */
+export const lookupScannedOrder = async (scannedData) => {
+  const orderData = parseOrderReceiptQRData(scannedData);
+  if (!orderData) {
+    throw new Error(
+      "Invalid QR code format. Please scan a valid order receipt or pickup pass."
+    );
+  }
+
+  // Only backend-signed receipts can release an order; edited or reprinted JSON is rejected
+  if (!orderData.signed) {
+    throw new Error(
+      "This QR code is not signed. Please ask the student to open their order again to get a new QR code."
+    );
+  }
+  const verified = await verifyOrderReceiptQRData(orderData);
+  if (!verified) {
+    throw new Error(
+      "This QR code failed verification. It may have been altered or forged, so the order cannot be released."
+    );
+  }
+
+  // If QR has issue date, reject when expired (legacy QRs without qrIssuedAt are allowed)
+  if (orderData.qrIssuedAt != null) {
+    // Holidays/suspensions extend the window, so make sure the calendar is loaded
+    await loadSchoolCalendar();
+    const remaining = getRemainingValidityDays(orderData.qrIssuedAt);
+    if (remaining < 0) {
+      throw scanError(
+        "expired",
+        "This QR code has expired. Please ask the student to open their order again to get a new QR code."
+      );
+    }
+  }
+
+  const orderNumber = orderData.orderNumber;
+  let orderResponse = null;
+  try {
+    orderResponse = await api.get(`/orders/number/${orderNumber}`);
+  } catch (fetchErr) {
+    if (!isNetworkError(fetchErr)) throw fetchErr;
+  }
+
+  let order;
+  if (orderResponse) {
+    if (!orderResponse.data.success || !orderResponse.data.data) {
+      throw new Error("Order not found in database.");
+    }
+    order = orderResponse.data.data;
+  } else {
+    // Offline: fall back to the orders cached at this counter
+    const cachedOrder = await getCachedOrder(orderNumber);
+    if (!cachedOrder) {
+      throw new Error(
+        `You are offline and order ${orderNumber} is not in the offline cache. Please try again once the connection returns.`
+      );
+    }
+    order = { ...cachedOrder, _offline: true };
+  }
+  const validationItems = order.items || [];
+
+  // Proxy pass: the proxy must still be authorized on the order
+  let proxy = null;
+  if (orderData.type === "proxy_pass") {
+    proxy = (order.pickup_proxies || []).find(
+      (entry) => String(entry.id) === String(orderData.proxyId)
+    );
+    if (!proxy) {
+      throw new Error(
+        order._offline
+          ? "This pickup pass is not in the offline cache. Please try again once the connection returns."
+          : "This pickup pass is not registered on the order."
+      );
+    }
+    if (proxy.revoked_at) {
+      throw new Error(
+        `This pickup pass for ${proxy.name} was revoked by the student and cannot be used.`
+      );
+    }
+  }
+  order = { ...order, _pickedUpBy: buildPickedUpBy(order, proxy) };
+
+  if (!validationItems || validationItems.length === 0) {
+    throw new Error(
+      "This order does not contain any items. Please contact support."
+    );
+  }
+
+  if (order.status === "claimed") {
+    throw scanError(
+      "claimed",
+      `Order ${orderNumber} has already been claimed on ${
+        order.claimed_date
+          ? new Date(order.claimed_date).toLocaleDateString()
+          : "a previous date"
+      }.`
+    );
+  }
+
+  // Out-of-policy orders are released only after a department head approves them
+  if (order.approval_status === APPROVAL_STATUS.DENIED) {
+    throw scanError(
+      "denied",
+      `Order ${orderNumber} was denied by the department head and cannot be released.`
+    );
+  }
+  if (
+    order.status === ORDER_AWAITING_APPROVAL_STATUS ||
+    order.approval_status === APPROVAL_STATUS.AWAITING
+  ) {
+    throw scanError(
+      "awaiting_approval",
+      `Order ${orderNumber} is waiting for department head approval and cannot be released yet.`
+    );
+  }
+
+  return order;
+};
+
+/**
+ * Release an order; when the server cannot be reached the release goes to the offline queue.
+ * @param {Object} order - Order from lookupScannedOrder
+ * @returns {Promise<Object>} Success message object (queued: true when saved offline)
+ */
+export const releaseOrder = async (order) => {
+  try {
+    if (order._offline) {
+      throw Object.assign(new Error("Offline"), { code: "ERR_NETWORK" });
+    }
+    return await claimOrder(order);
+  } catch (claimErr) {
+    if (!isNetworkError(claimErr)) throw claimErr;
+    // No connection: queue the release and sync it when the connection returns
+    const { _offline, ...cachedOrder } = order;
+    await enqueueRelease(cachedOrder);
+    return {
+      orderNumber: cachedOrder.order_number,
+      studentName: cachedOrder.student_name,
+      pickedUpBy: cachedOrder._pickedUpBy,
+      items: [],
+      queued: true,
+      message: `Order ${cachedOrder.order_number} released offline. It will sync when the connection returns.`,
+    };
+  }
+};
 
 /**
  * useOrderQRScanner Hook
  *
  * Manages QR scanner for order receipts with two-step flow:
- * 1. Scan QR code → fetch and validate order → show order in popup (do NOT release yet)
+ * 1. Scan QR code (student receipt or proxy pickup pass) → verify signature → fetch and validate order
+ *    → show order in popup with who is picking up (do NOT release yet)
  * 2. User confirms → update order status to "claimed" and reduce inventory
  *
+ * When the server cannot be reached, scans are looked up in the offline cache and releases
+ * go to the offline queue (see offlineReleaseStore / useOfflineReleaseStation).
+ *
  * @returns {Object} Scanner state and functions
  */
 export const useOrderQRScanner = () => {
@@ -47,84 +332,6 @@ export const useOrderQRScanner = () => {
     setSuccess(null);
   }, []);
 
-  /**
-   * Claim order: update status to "claimed" and reduce inventory.
-   * @param {Object} order - Full order from API (must have id, order_number, student_name, items, education_level)
-   * @returns {Promise<Object>} Success message object
-   */
-  const claimOrder = useCallback(async (order) => {
-    const orderNumber = order.order_number;
-
-    const statusResponse = await api.patch(`/orders/${order.id}/status`, {
-      status: "claimed",
-    });
-
-    if (!statusResponse.data.success) {
-      throw new Error(
-        statusResponse.data.message || "Failed to update order status"
-      );
-    }
-
-    const inventoryUpdates = [];
-    const items = order.items || [];
-
-    for (const item of items) {
-      try {
-        const inventoryResponse = await api.get(`/items`, {
-          params: {
-            search: item.name,
-            education_level: order.education_level,
-          },
-        });
-
-        if (
-          !inventoryResponse.data.success ||
-          !inventoryResponse.data.data ||
-          inventoryResponse.data.data.length === 0
-        ) {
-          console.error(`Inventory item not found: ${item.name}`);
-          continue;
-        }
-
-        const inventoryItem = inventoryResponse.data.data[0];
-        const adjustment = -item.quantity;
-        const adjustPayload = {
-          adjustment,
-          reason: `Order ${orderNumber} claimed - ${item.quantity}x ${item.name}`,
-        };
-        if (item.size) adjustPayload.size = item.size;
-
-        const adjustResponse = await api.patch(
-          `/items/${inventoryItem.id}/adjust`,
-          adjustPayload
-        );
-
-        if (adjustResponse.data.success) {
-          inventoryUpdates.push({
-            item: item.name,
-            quantity: item.quantity,
-            success: true,
-          });
-        }
-      } catch (itemError) {
-        console.error(`Error processing item ${item.name}:`, itemError);
-        inventoryUpdates.push({
-          item: item.name,
-          quantity: item.quantity,
-          success: false,
-          error: itemError.message,
-        });
-      }
-    }
-
-    return {
-      orderNumber,
-      studentName: order.student_name,
-      items: inventoryUpdates,
-      message: `Order ${orderNumber} successfully claimed!`,
-    };
-  }, []);
-
   /**
    * Fetch and validate order from scanned QR data. Does NOT claim; sets scannedOrder for confirmation modal.
    * @param {string} scannedData - Raw QR code data
@@ -137,51 +344,7 @@ export const useOrderQRScanner = () => {
       setScannedOrder(null);
 
       try {
-        const orderData = parseOrderReceiptQRData(scannedData);
-        if (!orderData) {
-          throw new Error(
-            "Invalid QR code format. Please scan a valid order receipt."
-          );
-        }
-
-        // If QR has issue date, reject when expired (legacy QRs without qrIssuedAt are allowed)
-        if (orderData.qrIssuedAt != null) {
-          const remaining = getRemainingValidityDays(orderData.qrIssuedAt);
-          if (remaining < 0) {
-            const msg =
-              "This QR code has expired. Please ask the student to open their order again to get a new QR code.";
-            setError(msg);
-            setProcessing(false);
-            throw new Error(msg);
-          }
-        }
-
-        const orderNumber = orderData.orderNumber;
-        const orderResponse = await api.get(`/orders/number/${orderNumber}`);
-
-        if (!orderResponse.data.success || !orderResponse.data.data) {
-          throw new Error("Order not found in database.");
-        }
-
-        const order = orderResponse.data.data;
-        const validationItems = order.items || [];
-
-        if (!validationItems || validationItems.length === 0) {
-          throw new Error(
-            "This order does not contain any items. Please contact support."
-          );
-        }
-
-        if (order.status === "claimed") {
-          throw new Error(
-            `Order ${orderNumber} has already been claimed on ${
-              order.claimed_date
-                ? new Date(order.claimed_date).toLocaleDateString()
-                : "a previous date"
-            }.`
-          );
-        }
-
+        const order = await lookupScannedOrder(scannedData);
         setScannedOrder(order);
         setProcessing(false);
         return { success: true, order };
@@ -203,7 +366,7 @@ export const useOrderQRScanner = () => {
     setProcessing(true);
     setError(null);
     try {
-      const successMessage = await claimOrder(scannedOrder);
+      const successMessage = await releaseOrder(scannedOrder);
       setSuccess({
         ...successMessage,
         releasedAt: new Date(),
@@ -215,7 +378,7 @@ export const useOrderQRScanner = () => {
     } finally {
       setProcessing(false);
     }
-  }, [scannedOrder, claimOrder]);
+  }, [scannedOrder]);
 
   return {
     qrScannerOpen,
@@ -0,0 +1,104 @@
+import { useState, useEffect, useCallback } from "react";
+import { format } from "date-fns";
+import { pickupSlotAPI } from "../../../services/pickupSlot.service";
+import { useSocket } from "../../../context/SocketContext";
+
+/**
+ * usePickupSchedule Hook
+ *
+ * Claim appointments for the Orders page:
+ * - Slots for one day with the orders booked into each (expected pickups)
+ * - The daily slot template the custodian edits
+ * - Refetches when a student books or cancels over the socket ("pickup-slot:updated")
+ *
+ * @param {Date} date - Day to show
+ * @returns {Object} { slots, loading, error, template, saveTemplate, refetch }
+ */
+export const usePickupSchedule = (date) => {
+  const [slots, setSlots] = useState([]);
+  const [template, setTemplate] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { on, off } = useSocket();
+
+  const dateKey = format(date, "yyyy-MM-dd");
+
+  const fetchSchedule = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await pickupSlotAPI.getSlots({ from: dateKey, to: dateKey, includeBookings: true });
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || "Failed to fetch pickup schedule");
+      }
+      setSlots(response.data.data || []);
+    } catch (err) {
+      console.error("Error fetching pickup schedule:", err);
+      setError(err.response?.data?.message || err.message || "Failed to fetch pickup schedule");
+      setSlots([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [dateKey]);
+
+  const fetchTemplate = useCallback(async () => {
+    try {
+      const response = await pickupSlotAPI.getTemplate();
+      if (response.data?.success) setTemplate(response.data.data?.slots || []);
+    } catch (err) {
+      console.error("Error fetching pickup slot template:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, [fetchSchedule]);
+
+  useEffect(() => {
+    fetchTemplate();
+  }, [fetchTemplate]);
+
+  useEffect(() => {
+    on("pickup-slot:updated", fetchSchedule);
+    return () => {
+      off("pickup-slot:updated", fetchSchedule);
+    };
+  }, [on, off, fetchSchedule]);
+
+  /**
+   * Save the daily slot template and reload the day
+   * @param {Array<{start_time: string, end_time: string, capacity: number}>} nextTemplate
+   */
+  const saveTemplate = useCallback(
+    async (nextTemplate) => {
+      try {
+        const slotsToSave = nextTemplate.map((slot) => ({
+          start_time: slot.start_time,
+          end_time: slot.end_time,
+          capacity: Number(slot.capacity),
+        }));
+        const response = await pickupSlotAPI.saveTemplate(slotsToSave);
+        if (!response.data?.success) {
+          throw new Error(response.data?.message || "Failed to save pickup slots");
+        }
+        setTemplate(slotsToSave);
+        await fetchSchedule();
+      } catch (err) {
+        console.error("Error saving pickup slot template:", err);
+        throw new Error(err.response?.data?.message || err.message || "Failed to save pickup slots");
+      }
+    },
+    [fetchSchedule],
+  );
+
+  return {
+    slots,
+    loading,
+    error,
+    template,
+    saveTemplate,
+    refetch: fetchSchedule,
+  };
+};
+
+export default usePickupSchedule;
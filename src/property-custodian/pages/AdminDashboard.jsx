@@ -2,21 +2,21 @@ import { useState } from "react";
 import {
   InventoryHealth,
   OrderTracking,
+  OutstandingPurchaseOrders,
   RecentAudits,
   RecentOrders,
 } from "../components/shared";
 import DateRangePicker from "../components/common/DateRangePicker";
 import { useAdminDashboardData } from "../hooks";
 import { DashboardSkeleton } from "../components/Skeleton";
-import { startOfYear, startOfDay, endOfDay } from "date-fns";
+import { startOfDay, endOfDay } from "date-fns";
+import { useAcademicYear } from "../../context/AcademicYearContext";
 
 const AdminDashboard = () => {
-  // Date range state - default to this year
-  const today = new Date();
-  const defaultStartDate = startOfDay(startOfYear(today));
-  const defaultEndDate = endOfDay(today);
-  const [startDate, setStartDate] = useState(defaultStartDate);
-  const [endDate, setEndDate] = useState(defaultEndDate);
+  // Date range state - default to the school year picked in the header
+  const { dateRange } = useAcademicYear();
+  const [startDate, setStartDate] = useState(dateRange.startDate);
+  const [endDate, setEndDate] = useState(dateRange.endDate);
 
   const {
     inventoryHealth,
@@ -80,6 +80,11 @@ const AdminDashboard = () => {
             </div>
           </div>
 
+          {/* Outstanding Purchase Orders */}
+          <div className="mb-8">
+            <OutstandingPurchaseOrders />
+          </div>
+
           {/* Recent Audits */}
           <div>
             <RecentAudits transactions={recentAudits} />
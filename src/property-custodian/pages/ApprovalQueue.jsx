@@ -0,0 +1,206 @@
+import React, { useState } from "react";
+import { ClipboardCheck, CheckCircle, XCircle, AlertTriangle } from "lucide-react";
+import { toast } from "react-hot-toast";
+import { useApprovalQueue } from "../hooks/orders/useApprovalQueue";
+import { APPROVAL_STATUS } from "../../utils/orderLimitPolicy";
+
+const parseItems = (order) => {
+  if (Array.isArray(order.items)) return order.items;
+  try {
+    const parsed = JSON.parse(order.items || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * ApprovalQueue Page
+ *
+ * Department head queue of orders that went over the per-item or total item limits.
+ * Each order can be approved (released through the normal claim flow) or denied,
+ * with a comment that the student sees in the MyOrders timeline.
+ */
+const ApprovalQueue = () => {
+  const { orders, loading, error, deciding, decide } = useApprovalQueue();
+  const [decisionTarget, setDecisionTarget] = useState(null); // { order, decision }
+  const [comment, setComment] = useState("");
+
+  const openDecision = (order, decision) => {
+    setDecisionTarget({ order, decision });
+    setComment("");
+  };
+
+  const closeDecision = () => {
+    setDecisionTarget(null);
+    setComment("");
+  };
+
+  const handleConfirm = async () => {
+    if (!decisionTarget) return;
+    const { order, decision } = decisionTarget;
+    if (decision === APPROVAL_STATUS.DENIED && !comment.trim()) {
+      toast.error("Please add a comment explaining why the order is denied");
+      return;
+    }
+    try {
+      await decide(order.id, decision, comment.trim());
+      toast.success(
+        decision === APPROVAL_STATUS.APPROVED
+          ? `Order #${order.order_number} approved`
+          : `Order #${order.order_number} denied`,
+      );
+      closeDecision();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center gap-3">
+        <ClipboardCheck className="w-7 h-7 text-[#0C2340]" />
+        <div>
+          <h1 className="text-2xl font-bold text-[#0C2340]">Order Approvals</h1>
+          <p className="text-sm text-gray-500">
+            Student orders over their order limits, oldest first
+          </p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="py-12 text-center text-gray-500">Loading…</div>
+      ) : orders.length === 0 ? (
+        <div className="py-12 text-center text-gray-500 bg-white border border-gray-200 rounded-lg">
+          No orders are waiting for approval.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {orders.map((order) => (
+            <div
+              key={order.id}
+              className="bg-white border border-gray-200 rounded-lg shadow-sm p-4 sm:p-5"
+            >
+              <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                <div>
+                  <p className="text-sm text-[#e68b00] font-semibold">
+                    #{order.order_number}
+                  </p>
+                  <h2 className="text-base font-bold text-[#0C2340]">
+                    {order.student_name || "Student"}
+                  </h2>
+                  <p className="text-sm text-gray-500">
+                    {order.education_level || "—"} ·{" "}
+                    {order.created_at
+                      ? new Date(order.created_at).toLocaleString()
+                      : "—"}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => openDecision(order, APPROVAL_STATUS.DENIED)}
+                    disabled={deciding === order.id}
+                    className="flex items-center gap-1.5 px-4 py-2 border-2 border-red-500 text-red-600 rounded-lg text-sm font-semibold hover:bg-red-50 disabled:opacity-50"
+                  >
+                    <XCircle className="w-4 h-4" />
+                    Deny
+                  </button>
+                  <button
+                    onClick={() => openDecision(order, APPROVAL_STATUS.APPROVED)}
+                    disabled={deciding === order.id}
+                    className="flex items-center gap-1.5 px-4 py-2 bg-[#0C2340] text-white rounded-lg text-sm font-semibold hover:bg-[#0a1d33] disabled:opacity-50"
+                  >
+                    <CheckCircle className="w-4 h-4" />
+                    Approve
+                  </button>
+                </div>
+              </div>
+
+              <ul className="mt-3 text-sm text-gray-700 space-y-1">
+                {parseItems(order).map((item, index) => (
+                  <li key={`${item.name}-${item.size}-${index}`}>
+                    {item.quantity || 1} × {item.name}
+                    {item.size && item.size !== "N/A" ? ` (${item.size})` : ""}
+                  </li>
+                ))}
+              </ul>
+
+              {Array.isArray(order.approval_reasons) && order.approval_reasons.length > 0 && (
+                <div className="mt-3 flex items-start gap-2 rounded-lg bg-amber-50 border border-amber-200 px-3 py-2 text-sm text-amber-800">
+                  <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  <ul className="space-y-0.5">
+                    {order.approval_reasons.map((reason) => (
+                      <li key={reason}>{reason}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {decisionTarget && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center">
+          <div
+            className="absolute inset-0 bg-black bg-opacity-50 backdrop-blur-sm"
+            onClick={closeDecision}
+          ></div>
+          <div className="relative bg-white rounded-2xl shadow-2xl max-w-md w-full mx-4 p-8">
+            <h3 className="text-lg font-bold text-[#0C2340] mb-1">
+              {decisionTarget.decision === APPROVAL_STATUS.APPROVED
+                ? "Approve order"
+                : "Deny order"}{" "}
+              #{decisionTarget.order.order_number}
+            </h3>
+            <p className="text-sm text-gray-500 mb-4">
+              The student will see this comment in My Orders.
+            </p>
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              rows={4}
+              placeholder={
+                decisionTarget.decision === APPROVAL_STATUS.APPROVED
+                  ? "Comment (optional)"
+                  : "Reason for denying (required)"
+              }
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#0C2340]"
+            />
+            <div className="flex gap-4 mt-6">
+              <button
+                onClick={closeDecision}
+                className="flex-1 px-6 py-3 border-2 border-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-50 transition-all duration-200"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirm}
+                disabled={deciding === decisionTarget.order.id}
+                className={`flex-1 px-6 py-3 text-white font-semibold rounded-lg transition-all duration-200 shadow-md hover:shadow-lg disabled:opacity-50 ${
+                  decisionTarget.decision === APPROVAL_STATUS.APPROVED
+                    ? "bg-[#e68b00] hover:bg-[#d97a1f]"
+                    : "bg-red-600 hover:bg-red-700"
+                }`}
+              >
+                {deciding === decisionTarget.order.id
+                  ? "Saving…"
+                  : decisionTarget.decision === APPROVAL_STATUS.APPROVED
+                    ? "Approve"
+                    : "Deny"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApprovalQueue;
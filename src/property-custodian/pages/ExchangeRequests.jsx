@@ -0,0 +1,221 @@
+import React, { useState } from "react";
+import { createPortal } from "react-dom";
+import { RefreshCw, CheckCircle, XCircle } from "lucide-react";
+import { toast } from "react-hot-toast";
+import { useExchangeQueue } from "../hooks";
+import { EXCHANGE_STATUS } from "../../utils/sizeExchange";
+
+const STATUS_TABS = [
+  { key: EXCHANGE_STATUS.PENDING, label: "Pending" },
+  { key: EXCHANGE_STATUS.APPROVED, label: "Approved" },
+  { key: EXCHANGE_STATUS.REJECTED, label: "Rejected" },
+  { key: EXCHANGE_STATUS.CANCELLED, label: "Cancelled" },
+];
+
+/**
+ * ExchangeRequests Page
+ *
+ * Queue of student requests to swap a claimed item for another size. The new size is
+ * already reserved when a request arrives. Approving takes the old item back and
+ * releases the new one (a linked return and release in the transaction log);
+ * rejecting frees the reservation.
+ */
+const ExchangeRequests = () => {
+  const [activeTab, setActiveTab] = useState(EXCHANGE_STATUS.PENDING);
+  const { requests, loading, error, deciding, decide } = useExchangeQueue(activeTab);
+  const [decisionTarget, setDecisionTarget] = useState(null); // { request, decision }
+  const [note, setNote] = useState("");
+
+  const openDecision = (request, decision) => {
+    setDecisionTarget({ request, decision });
+    setNote("");
+  };
+
+  const closeDecision = () => {
+    setDecisionTarget(null);
+    setNote("");
+  };
+
+  const handleConfirm = async () => {
+    if (!decisionTarget) return;
+    const { request, decision } = decisionTarget;
+    if (decision === EXCHANGE_STATUS.REJECTED && !note.trim()) {
+      toast.error("Please add a note explaining why the exchange is rejected");
+      return;
+    }
+    try {
+      await decide(request.id, decision, note.trim());
+      toast.success(
+        decision === EXCHANGE_STATUS.APPROVED
+          ? `Exchange ${request.reference || ""} approved; return and release recorded`
+          : `Exchange ${request.reference || ""} rejected; size ${request.to_size} released back to stock`,
+      );
+      closeDecision();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const isApproving = decisionTarget?.decision === EXCHANGE_STATUS.APPROVED;
+
+  return (
+    <div className="p-3 sm:p-4 md:p-5 lg:p-6 xl:p-8 font-sf-medium space-y-4 sm:space-y-6">
+      {/* Page Header */}
+      <div>
+        <h1 className="text-2xl md:text-3xl xl:text-4xl font-sf-semibold font-semibold tracking-tight">
+          <span className="text-[#0C2340]">Size </span>
+          <span className="text-[#E68B00]">Exchanges</span>
+        </h1>
+        <p className="text-sm text-gray-500 mt-1">
+          Students asking to swap a claimed item for another size, oldest first
+        </p>
+      </div>
+
+      {/* Status Tabs */}
+      <div className="flex items-center bg-[#0C2340] rounded-lg p-1 w-fit">
+        {STATUS_TABS.map((tab) => (
+          <button
+            key={tab.key}
+            onClick={() => setActiveTab(tab.key)}
+            className={`px-3 sm:px-4 py-1.5 text-sm font-medium rounded-md transition-colors ${
+              activeTab === tab.key ? "bg-[#E68B00] text-white" : "text-white hover:bg-gray-700"
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-16">
+          <div className="w-8 h-8 border-4 border-[#E68B00] border-t-transparent rounded-full animate-spin" />
+        </div>
+      ) : requests.length === 0 ? (
+        <div className="bg-white border border-gray-200 rounded-xl p-10 text-center text-sm text-gray-500">
+          <RefreshCw className="mx-auto mb-2 text-gray-400" size={28} />
+          No {STATUS_TABS.find((t) => t.key === activeTab)?.label.toLowerCase()} exchange requests.
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {requests.map((request) => (
+            <div
+              key={request.id}
+              className="bg-white border border-gray-200 rounded-xl shadow-sm p-4 sm:p-5"
+            >
+              <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                <div>
+                  <p className="text-sm text-[#e68b00] font-semibold">
+                    {request.reference || "Exchange"} · Order #{request.order_number}
+                  </p>
+                  <h2 className="text-base font-bold text-[#0C2340]">
+                    {request.student_name || "Student"}
+                  </h2>
+                  <p className="text-sm text-gray-500">
+                    {request.education_level || "—"} ·{" "}
+                    {request.created_at ? new Date(request.created_at).toLocaleString() : "—"}
+                  </p>
+                </div>
+                {request.status === EXCHANGE_STATUS.PENDING && (
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => openDecision(request, EXCHANGE_STATUS.REJECTED)}
+                      disabled={deciding === request.id}
+                      className="flex items-center gap-1.5 px-4 py-2 border-2 border-red-500 text-red-600 rounded-lg text-sm font-semibold hover:bg-red-50 disabled:opacity-50"
+                    >
+                      <XCircle className="w-4 h-4" />
+                      Reject
+                    </button>
+                    <button
+                      onClick={() => openDecision(request, EXCHANGE_STATUS.APPROVED)}
+                      disabled={deciding === request.id}
+                      className="flex items-center gap-1.5 px-4 py-2 bg-[#0C2340] text-white rounded-lg text-sm font-semibold hover:bg-[#0a1d33] disabled:opacity-50"
+                    >
+                      <CheckCircle className="w-4 h-4" />
+                      Approve
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              <p className="mt-3 text-sm text-gray-800">
+                {request.quantity || 1} × {request.item_name}:{" "}
+                <span className="font-semibold">{request.from_size}</span> →{" "}
+                <span className="font-semibold text-[#E68B00]">{request.to_size}</span>
+                {request.status === EXCHANGE_STATUS.PENDING && (
+                  <span className="ml-2 text-xs text-gray-500">({request.to_size} reserved)</span>
+                )}
+              </p>
+              {request.reason && (
+                <p className="mt-1 text-sm text-gray-600">
+                  <span className="font-medium">Reason:</span> {request.reason}
+                </p>
+              )}
+              {request.decision_note && (
+                <p className="mt-1 text-sm text-gray-600">
+                  <span className="font-medium">Note:</span> {request.decision_note}
+                  {request.decided_by_name ? ` (${request.decided_by_name})` : ""}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {decisionTarget &&
+        createPortal(
+          <div className="fixed inset-0 z-[10000] flex items-center justify-center">
+            <div
+              className="absolute inset-0 bg-black bg-opacity-50 backdrop-blur-sm"
+              onClick={closeDecision}
+            ></div>
+            <div className="relative bg-white rounded-2xl shadow-2xl max-w-md w-full mx-4 p-8">
+              <h3 className="text-lg font-bold text-[#0C2340] mb-1">
+                {isApproving ? "Approve exchange" : "Reject exchange"}{" "}
+                {decisionTarget.request.reference || ""}
+              </h3>
+              <p className="text-sm text-gray-500 mb-4">
+                {isApproving
+                  ? `Records the returned ${decisionTarget.request.from_size} and the released ${decisionTarget.request.to_size}. Only approve once the student has handed back the item.`
+                  : `Size ${decisionTarget.request.to_size} goes back to stock. The student will see your note.`}
+              </p>
+              <textarea
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                rows={3}
+                placeholder={isApproving ? "Note (optional)" : "Reason for rejecting (required)"}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#0C2340]"
+              />
+              <div className="flex gap-4 mt-6">
+                <button
+                  onClick={closeDecision}
+                  className="flex-1 px-6 py-3 border-2 border-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-50 transition-all duration-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleConfirm}
+                  disabled={deciding === decisionTarget.request.id}
+                  className={`flex-1 px-6 py-3 text-white font-semibold rounded-lg transition-all duration-200 shadow-md hover:shadow-lg disabled:opacity-50 ${
+                    isApproving ? "bg-[#e68b00] hover:bg-[#d97a1f]" : "bg-red-600 hover:bg-red-700"
+                  }`}
+                >
+                  {deciding === decisionTarget.request.id
+                    ? "Saving…"
+                    : isApproving
+                      ? "Approve"
+                      : "Reject"}
+                </button>
+              </div>
+            </div>
+          </div>,
+          document.body,
+        )}
+    </div>
+  );
+};
+
+export default ExchangeRequests;
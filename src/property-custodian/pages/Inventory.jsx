@@ -5,19 +5,24 @@ import React, {
   useMemo,
   useRef,
 } from "react";
-import { useSearchParams } from "react-router-dom";
-import { startOfYear } from "date-fns";
-import { InventoryHealth } from "../components/shared";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import toast from "react-hot-toast";
+import { InventoryHealth, ReorderPointSuggestion } from "../components/shared";
 import InventoryView from "../components/Inventory/InventoryView";
 import SearchableSelect from "../components/common/SearchableSelect";
 import TransactionsView from "../components/Inventory/TransactionsView";
 import UpdateQuantityModal from "../components/Inventory/UpdateQuantityModal";
 import { useOrders, PC_INVENTORY_HEALTH_REFRESH } from "../hooks";
 import { useSocket } from "../../context/SocketContext";
+import { useAcademicYear } from "../../context/AcademicYearContext";
 import inventoryService from "../../services/inventory.service";
 import transactionService from "../../services/transaction.service";
 import { userAPI } from "../../services/user.service";
 import { getInventoryDisplayUnitPrice } from "../utils/inventoryDisplayUnitPrice";
+import {
+  exportInventoryReport,
+  exportTransactions,
+} from "../utils/inventoryExport";
 
 /**
  * Inventory Page Component
@@ -33,6 +38,7 @@ import { getInventoryDisplayUnitPrice } from "../utils/inventoryDisplayUnitPrice
  */
 const Inventory = () => {
   const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
 
   const [currentPage, setCurrentPage] = useState(1);
   const [pageInputValue, setPageInputValue] = useState(""); // For page number input
@@ -48,17 +54,11 @@ const Inventory = () => {
   const [transactionCurrentPage, setTransactionCurrentPage] = useState(1);
   const transactionItemsPerPage = 8;
   // Date range state for transactions view only
-  // Default to this year
-  const today = new Date();
-  // Set startDate to beginning of this year
-  const defaultStartDate = startOfYear(today);
-  defaultStartDate.setHours(0, 0, 0, 0);
-  // Set endDate to end of today
-  const defaultEndDate = new Date(today);
-  defaultEndDate.setHours(23, 59, 59, 999);
-  const [startDate, setStartDate] = useState(defaultStartDate);
-  const [endDate, setEndDate] = useState(defaultEndDate);
-  // Inventory page always works within a selected date window (default: this year),
+  // Default to the school year picked in the header (start of the year to today)
+  const { dateRange } = useAcademicYear();
+  const [startDate, setStartDate] = useState(dateRange.startDate);
+  const [endDate, setEndDate] = useState(dateRange.endDate);
+  // Inventory page always works within a selected date window (default: the school year),
   // so date-aware cost formulas should be active whenever both bounds exist.
   const isInventoryDateFilterApplied = Boolean(startDate && endDate);
 
@@ -1317,7 +1317,7 @@ const Inventory = () => {
   const extractItemNameFromAction = (action) => {
     // Extract item name from action: "ITEM CREATED SHS Men's Polo"
     const itemMatch = action.match(
-      /(?:ITEM CREATED|PURCHASE RECORDED|RETURN RECORDED|ITEM RELEASED|ITEM DETAILS UPDATED)\s+(.+)$/i,
+      /(?:ITEM CREATED|PURCHASE RECORDED|RETURN RECORDED|ITEM RELEASED|STOCK TAKE ADJUSTMENT|ITEM DETAILS UPDATED)\s+(.+)$/i,
     );
     return itemMatch ? itemMatch[1].trim() : "";
   };
@@ -1541,6 +1541,8 @@ const Inventory = () => {
                   displayType = "Returns";
                 } else if (tx.action.startsWith("ITEM RELEASED")) {
                   displayType = "Releases";
+                } else if (tx.action.startsWith("STOCK TAKE ADJUSTMENT")) {
+                  displayType = "Stock Take";
                 }
               } else if (
                 tx.type === "Order" &&
@@ -1685,6 +1687,7 @@ const Inventory = () => {
         returns: "Returns",
         releases: "Releases",
         items: "Items",
+        stockTake: "Stock Take",
       };
       const filterType =
         typeMap[transactionTypeFilter] || transactionTypeFilter;
@@ -1744,10 +1747,41 @@ const Inventory = () => {
       releases: transactionsInSearchScope.filter((t) => t.type === "Releases")
         .length,
       items: transactionsInSearchScope.filter((t) => t.type === "Items").length,
+      stockTake: transactionsInSearchScope.filter((t) => t.type === "Stock Take")
+        .length,
     }),
     [transactionsInSearchScope],
   );
 
+  // Export the whole filtered report / transaction list (all pages), not just the visible page
+  const handleExportInventory = async (fileFormat) => {
+    try {
+      const fileName = await exportInventoryReport(
+        inventoryData,
+        { startDate, endDate, gradeLevel, searchQuery },
+        fileFormat,
+      );
+      toast.success(`Exported ${fileName}`);
+    } catch (error) {
+      console.error("[Inventory] ❌ Failed to export inventory report:", error);
+      toast.error("Failed to export the inventory report");
+    }
+  };
+
+  const handleExportTransactions = async (fileFormat) => {
+    try {
+      const fileName = await exportTransactions(
+        filteredTransactions,
+        { startDate, endDate, searchQuery, transactionTypeFilter },
+        fileFormat,
+      );
+      toast.success(`Exported ${fileName}`);
+    } catch (error) {
+      console.error("[Inventory] ❌ Failed to export transactions:", error);
+      toast.error("Failed to export transactions");
+    }
+  };
+
   const handlePreviousPage = () => {
     if (currentPage > 1) {
       setCurrentPage(currentPage - 1);
@@ -1947,10 +1981,13 @@ const Inventory = () => {
             onGradeLevelChange={setGradeLevel}
             onUpdateQuantityClick={() => setIsUpdateQuantityModalOpen(true)}
             onSetReorderPointClick={() => setIsSetReorderPointModalOpen(true)}
+            onStockTakeClick={() => navigate("/property-custodian/inventory/stock-take")}
+            onPurchaseOrdersClick={() => navigate("/property-custodian/inventory/purchase-orders")}
             inventoryData={paginatedInventoryData}
             allInventoryData={inventoryData}
             isDateFilterActive={isInventoryDateFilterApplied}
             loading={loading}
+            onExport={handleExportInventory}
           />
         )}
 
@@ -1986,6 +2023,8 @@ const Inventory = () => {
                   totalPages: transactionTotalPages,
                 }}
                 onTransactionPageChange={setTransactionCurrentPage}
+                onExport={handleExportTransactions}
+                canExport={filteredTransactions.length > 0}
               />
             );
           })()}
@@ -2246,6 +2285,28 @@ const Inventory = () => {
                     required
                   />
                 </div>
+                {setReorderPointForm.variant &&
+                  (() => {
+                    const row = getSelectedReorderPointRow(
+                      setReorderPointForm.itemName,
+                      setReorderPointForm.variant,
+                    );
+                    return (
+                      <ReorderPointSuggestion
+                        itemId={row?.item_id || row?.id}
+                        itemName={setReorderPointForm.itemName}
+                        size={setReorderPointForm.variant}
+                        educationLevel={row?.educationLevel}
+                        currentStock={row?.endingInventory}
+                        onApply={(reorderPoint) =>
+                          setSetReorderPointForm((prev) => ({
+                            ...prev,
+                            reorderPoint: String(reorderPoint),
+                          }))
+                        }
+                      />
+                    );
+                  })()}
               </div>
               <div className="flex justify-end gap-2 sm:gap-3 mt-6 pt-4 border-t border-gray-200">
                 <button
@@ -1,18 +1,27 @@
-import { QrCode, Search, X, CheckCircle } from "lucide-react";
-import { format, startOfYear, startOfDay, endOfDay } from "date-fns";
+import { QrCode, Search, X, CheckCircle, ScanLine, ClipboardList, Ticket } from "lucide-react";
+import { toast } from "react-hot-toast";
+import { format } from "date-fns";
 import { createPortal } from "react-dom";
 import DateRangePicker from "../components/common/DateRangePicker";
 import OrdersStatsCards from "../components/Orders/OrdersStatsCards";
 import OrdersTable from "../components/Orders/OrdersTable";
 import QRCodeScannerModal from "../components/Items/QRCodeScannerModal";
+import OfflineStationPanel from "../components/Orders/OfflineStationPanel";
+import BatchClaimPanel from "../components/Orders/BatchClaimPanel";
+import PrintOrdersModal from "../components/Orders/PrintOrdersModal";
+import PickupSchedulePanel from "../components/Orders/PickupSchedulePanel";
 import {
+  useBatchClaim,
+  useOfflineReleaseStation,
   useOrderQRScanner,
   useOrders,
   useSocketOrderUpdates,
   useSearchDebounce,
 } from "../hooks";
 import useOrdersFilters from "../hooks/orders/useOrdersFilters";
-import { EDUCATION_LEVELS, ORDER_STATUS } from "../constants/ordersOptions";
+import { EDUCATION_LEVELS, ORDER_STATUS, PRINT_VIEW } from "../constants/ordersOptions";
+import { formatPickedUpBy } from "../../utils/pickupProxies";
+import { useAcademicYear } from "../../context/AcademicYearContext";
 import { useState, useMemo, useEffect, useCallback } from "react";
 
 /**
@@ -38,6 +47,10 @@ import { useState, useMemo, useEffect, useCallback } from "react";
  * - Status filtering
  * - Pagination with Previous/Next buttons
  * - QR code scanning for quick lookup
+ * - Offline release station: cached orders and queued releases when the Wi‑Fi drops
+ * - Release line (batch claim mode): continuous scanning with a side list, released in one go
+ * - Printable pick lists and claim slips (A4 or thermal) for the selected orders
+ * - Pickup appointments: expected pickups per time slot, and the daily slot setup
  */
 const Orders = () => {
   // Orders filters management
@@ -69,18 +82,31 @@ const Orders = () => {
     clearSuccess,
   } = useOrderQRScanner();
 
+  // Offline release station: cache, queue and sync status for the counter
+  const offlineStation = useOfflineReleaseStation();
+
+  // Release line: camera stays open, scans are queued and released as a batch
+  const [releaseLineOpen, setReleaseLineOpen] = useState(false);
+  const batchClaim = useBatchClaim();
+
   // Active status tab (Pre-orders, Orders, Claimed)
   const [activeStatusTab, setActiveStatusTab] = useState("Orders");
 
-  // Reset pagination when switching tabs
+  // Orders selected for printing (kept across pages), keyed by order id
+  const [selectedOrders, setSelectedOrders] = useState(() => new Map());
+  const [printView, setPrintView] = useState(null);
+  const canSelectOrders = activeStatusTab === "Orders";
+
+  // Reset pagination and print selection when switching tabs
   useEffect(() => {
     setCurrentPage(1);
+    setSelectedOrders(new Map());
   }, [activeStatusTab]);
 
-  // Date range state - default to this year
-  const _today = new Date();
-  const [startDate, setStartDate] = useState(startOfDay(startOfYear(_today)));
-  const [endDate, setEndDate] = useState(endOfDay(_today));
+  // Date range state - default to the school year picked in the header
+  const { dateRange } = useAcademicYear();
+  const [startDate, setStartDate] = useState(dateRange.startDate);
+  const [endDate, setEndDate] = useState(dateRange.endDate);
 
   // Pagination state
   const [currentPage, setCurrentPage] = useState(1);
@@ -389,6 +415,51 @@ const Orders = () => {
     }
   }, [qrError, closeQRScanner]);
 
+  const selectedOrderIds = useMemo(
+    () => new Set(selectedOrders.keys()),
+    [selectedOrders]
+  );
+  const ordersToPrint = useMemo(
+    () => Array.from(selectedOrders.values()),
+    [selectedOrders]
+  );
+
+  const toggleOrderSelection = (order) => {
+    setSelectedOrders((prev) => {
+      const next = new Map(prev);
+      if (next.has(order.id)) next.delete(order.id);
+      else next.set(order.id, order.originalOrder || order);
+      return next;
+    });
+  };
+
+  const toggleSelectAllOnPage = () => {
+    setSelectedOrders((prev) => {
+      const next = new Map(prev);
+      const allSelected = paginatedOrders.every((order) => next.has(order.id));
+      paginatedOrders.forEach((order) => {
+        if (allSelected) next.delete(order.id);
+        else next.set(order.id, order.originalOrder || order);
+      });
+      return next;
+    });
+  };
+
+  const handleConfirmBatch = async () => {
+    const { released, queued, failed } = await batchClaim.confirmBatch();
+    if (released + queued > 0) {
+      toast.success(
+        `${released + queued} order${released + queued !== 1 ? "s" : ""} released${
+          queued > 0 ? ` (${queued} saved offline)` : ""
+        }`
+      );
+      refetchOrders();
+    }
+    if (failed > 0) {
+      toast.error(`${failed} order${failed !== 1 ? "s" : ""} could not be released`);
+    }
+  };
+
   return (
     <>
     <div className="pt-0 px-3 sm:px-4 md:px-6 lg:px-8 pb-3 sm:pb-4 md:pb-6 lg:pb-8 font-sf-medium">
@@ -413,6 +484,15 @@ const Orders = () => {
                 <span className="xl:hidden">Scan</span>
               </button>
 
+              {/* Release Line (batch claim) Button */}
+              <button
+                onClick={() => setReleaseLineOpen(true)}
+                className="flex items-center justify-center gap-2 px-4 xl:px-5 py-2 xl:py-2.5 border-2 border-[#e68b00] text-[#e68b00] rounded-lg hover:bg-orange-50 transition-colors font-medium shadow-sm text-sm xl:text-base"
+              >
+                <ScanLine size={18} className="xl:w-5 xl:h-5" />
+                <span>Release Line</span>
+              </button>
+
               {/* Search Bar */}
               <div className="relative">
                 <Search
@@ -452,6 +532,16 @@ const Orders = () => {
                 <span className="sm:hidden">Scan</span>
               </button>
 
+              {/* Release Line (batch claim) Button */}
+              <button
+                onClick={() => setReleaseLineOpen(true)}
+                className="flex items-center justify-center gap-1.5 px-3 md:px-4 py-2 border-2 border-[#e68b00] text-[#e68b00] rounded-lg hover:bg-orange-50 transition-colors font-medium shadow-sm text-xs md:text-sm flex-shrink-0"
+                aria-label="Release Line"
+              >
+                <ScanLine size={16} />
+                <span className="hidden sm:inline">Batch</span>
+              </button>
+
               {/* Search Bar */}
               <div className="relative flex-1 min-w-0">
                 <Search
@@ -470,6 +560,12 @@ const Orders = () => {
           </div>
         </div>
 
+        {/* Offline Release Station Status */}
+        <OfflineStationPanel station={offlineStation} />
+
+        {/* Claim appointments: booked pickups per slot */}
+        <PickupSchedulePanel />
+
         {/* Navigation Tabs */}
         <div className="mb-3 sm:mb-4 md:mb-6 flex items-center gap-2 sm:gap-3 md:gap-4 lg:gap-6 xl:gap-8 border-b border-gray-200 overflow-x-auto scrollbar-hide -mx-3 sm:-mx-4 md:-mx-6 lg:-mx-8 px-3 sm:px-4 md:px-6 lg:px-8 pt-2 sm:pt-3">
           <button
@@ -707,6 +803,46 @@ const Orders = () => {
                 </div>
               </div>
             ) : (
+              <>
+              {/* Print Selection Bar - pick list / claim slips for the selected orders */}
+              {canSelectOrders && (
+                <div className="mb-3 sm:mb-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 bg-white border border-gray-200 rounded-xl px-3 sm:px-4 py-2.5 shadow-sm">
+                  <p className="text-xs sm:text-sm text-gray-600">
+                    {selectedOrders.size > 0 ? (
+                      <>
+                        <span className="font-semibold text-[#0C2340]">{selectedOrders.size}</span>{" "}
+                        order{selectedOrders.size !== 1 ? "s" : ""} selected
+                        <button
+                          onClick={() => setSelectedOrders(new Map())}
+                          className="ml-2 text-[#e68b00] hover:underline"
+                        >
+                          Clear
+                        </button>
+                      </>
+                    ) : (
+                      "Select orders to print a pick list or claim slips"
+                    )}
+                  </p>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setPrintView(PRINT_VIEW.PICK_LIST)}
+                      disabled={selectedOrders.size === 0}
+                      className="flex-1 sm:flex-none flex items-center justify-center gap-1.5 px-3 py-1.5 border border-[#0C2340] text-[#0C2340] rounded-lg hover:bg-gray-50 transition-colors font-medium text-xs sm:text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <ClipboardList size={16} />
+                      Pick list
+                    </button>
+                    <button
+                      onClick={() => setPrintView(PRINT_VIEW.CLAIM_SLIPS)}
+                      disabled={selectedOrders.size === 0}
+                      className="flex-1 sm:flex-none flex items-center justify-center gap-1.5 px-3 py-1.5 border border-[#0C2340] text-[#0C2340] rounded-lg hover:bg-gray-50 transition-colors font-medium text-xs sm:text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <Ticket size={16} />
+                      Claim slips
+                    </button>
+                  </div>
+                </div>
+              )}
               <OrdersTable
                 orders={paginatedOrders}
                 currentPage={currentPage}
@@ -716,7 +852,11 @@ const Orders = () => {
                 onGoToPage={goToPage}
                 onOrderUpdated={refetchOrders}
                 onOpenQRScanner={openQRScanner}
+                selectedOrderIds={selectedOrderIds}
+                onToggleSelect={canSelectOrders ? toggleOrderSelection : undefined}
+                onToggleSelectAll={toggleSelectAllOnPage}
               />
+              </>
             )}
           </>
         )}
@@ -739,6 +879,28 @@ const Orders = () => {
         scanError={qrError}
       />
 
+      {/* Release Line Modal - continuous scanning with the batch list beside the camera */}
+      <QRCodeScannerModal
+        isOpen={releaseLineOpen}
+        onClose={() => setReleaseLineOpen(false)}
+        onScan={batchClaim.handleScan}
+        continuous
+        title="Release Line"
+        sidePanel={
+          <BatchClaimPanel batch={batchClaim} onConfirm={handleConfirmBatch} />
+        }
+      />
+
+      {/* Print Modal - pick list and claim slips for the selected orders */}
+      {printView && (
+        <PrintOrdersModal
+          isOpen
+          onClose={() => setPrintView(null)}
+          orders={ordersToPrint}
+          initialView={printView}
+        />
+      )}
+
       {/* Order Details Modal - shows after QR scan with design: Name, Education Level, Transaction No, Order Date, Item Ordered, Size */}
       {scannedOrder && createPortal(
         <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-[10000] p-4" style={{ zIndex: 10000 }}>
@@ -762,6 +924,17 @@ const Orders = () => {
                     {scannedOrder.student_name ?? scannedOrder.studentName ?? "—"}
                   </span>
                 </div>
+                {scannedOrder._pickedUpBy?.type === "proxy" && (
+                  <div className="flex gap-4 items-baseline">
+                    <span className="text-sm font-semibold text-gray-600 w-[140px] shrink-0">Picked up by:</span>
+                    <span className="text-left">
+                      <span className="block text-gray-900">{formatPickedUpBy(scannedOrder._pickedUpBy)}</span>
+                      <span className="block text-xs text-amber-700">
+                        Authorized proxy. Check a valid ID with this name before releasing.
+                      </span>
+                    </span>
+                  </div>
+                )}
                 <div className="flex gap-4 items-baseline">
                   <span className="text-sm font-semibold text-gray-600 w-[140px] shrink-0">Education Level:</span>
                   <span className="text-gray-900 text-left">
@@ -880,8 +1053,15 @@ const Orders = () => {
                   : format(new Date(), "MMMM d, yyyy")}
                 .
               </p>
+              {qrSuccess.pickedUpBy?.type === "proxy" && (
+                <p className="text-gray-700 text-sm mb-2">
+                  Picked up by {formatPickedUpBy(qrSuccess.pickedUpBy)}.
+                </p>
+              )}
               <p className="text-gray-600 text-sm">
-                Inventory and order records have been updated automatically.
+                {qrSuccess.queued
+                  ? "Saved offline on this device. Order and inventory records will update when the connection returns."
+                  : "Inventory and order records have been updated automatically."}
               </p>
             </div>
           </div>
@@ -0,0 +1,345 @@
+import { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { createPortal } from "react-dom";
+import { format } from "date-fns";
+import { ArrowLeft, ChevronDown, ChevronUp, Plus, Truck } from "lucide-react";
+import { toast } from "react-hot-toast";
+import CreatePurchaseOrderModal from "../components/Inventory/CreatePurchaseOrderModal";
+import ReceiveGoodsModal from "../components/Inventory/ReceiveGoodsModal";
+import {
+  usePurchaseOrders,
+  getLineOutstanding,
+  getPurchaseOrderProgress,
+} from "../hooks";
+
+const STATUS_TABS = [
+  { key: "outstanding", label: "Outstanding" },
+  { key: "received", label: "Received" },
+  { key: "cancelled", label: "Cancelled" },
+  { key: "all", label: "All" },
+];
+
+const STATUS_BADGES = {
+  ordered: { label: "Ordered", className: "bg-blue-100 text-blue-700" },
+  partially_received: { label: "Partially received", className: "bg-amber-100 text-amber-700" },
+  received: { label: "Received", className: "bg-green-100 text-green-700" },
+  cancelled: { label: "Cancelled", className: "bg-gray-100 text-gray-600" },
+};
+
+const formatDate = (value, pattern = "MMM d, yyyy") =>
+  value ? format(new Date(value), pattern) : "—";
+
+/**
+ * PurchaseOrders Page
+ *
+ * Supplier purchase orders for the property custodian:
+ * - Create a PO from the items at reorder point
+ * - Track ordered vs. delivered quantities per item and size
+ * - Receive full or partial deliveries; stock is added with the PO reference
+ *
+ * ?create=1 opens the New Purchase Order modal (used by the dashboard).
+ */
+const PurchaseOrders = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState("outstanding");
+  const [expandedId, setExpandedId] = useState(null);
+  const [receivingOrder, setReceivingOrder] = useState(null);
+  const [cancellingOrder, setCancellingOrder] = useState(null);
+  const [cancelReason, setCancelReason] = useState("");
+
+  const isCreateOpen = searchParams.get("create") === "1";
+  const setCreateOpen = (open) => {
+    const next = new URLSearchParams(searchParams);
+    if (open) next.set("create", "1");
+    else next.delete("create");
+    setSearchParams(next, { replace: true });
+  };
+
+  const {
+    purchaseOrders,
+    loading,
+    error,
+    createPurchaseOrder,
+    receiveGoods,
+    cancelPurchaseOrder,
+  } = usePurchaseOrders(activeTab);
+
+  const handleCreate = async (purchaseOrder) => {
+    const created = await createPurchaseOrder(purchaseOrder);
+    toast.success(`Purchase order ${created?.reference || ""} created`);
+  };
+
+  const handleReceive = async (receipts) => {
+    const { received, failed } = await receiveGoods(receivingOrder, receipts);
+    if (failed.length > 0) {
+      toast.error(
+        `${failed.length} line(s) could not be received: ${failed
+          .map(({ line, message }) => `${line.item_name} (${line.size}) - ${message}`)
+          .join("; ")}`,
+        { duration: 8000 },
+      );
+    }
+    if (received > 0) {
+      toast.success(`${received} unit${received !== 1 ? "s" : ""} received on ${receivingOrder.reference}`);
+    }
+    setReceivingOrder(null);
+  };
+
+  const handleCancel = async () => {
+    try {
+      await cancelPurchaseOrder(cancellingOrder.id, cancelReason.trim());
+      toast.success(`${cancellingOrder.reference} cancelled`);
+      setCancellingOrder(null);
+      setCancelReason("");
+    } catch (err) {
+      toast.error(err.message || "Failed to cancel purchase order");
+    }
+  };
+
+  return (
+    <div className="p-3 sm:p-4 md:p-5 lg:p-6 xl:p-8 font-sf-medium space-y-4 sm:space-y-6">
+      {/* Page Header */}
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3">
+        <div>
+          <Link
+            to="/property-custodian/inventory"
+            className="inline-flex items-center gap-1 text-sm text-gray-500 hover:text-[#E68B00] mb-1"
+          >
+            <ArrowLeft size={16} />
+            Inventory
+          </Link>
+          <h1 className="text-2xl md:text-3xl xl:text-4xl font-sf-semibold font-semibold tracking-tight">
+            <span className="text-[#0C2340]">Purchase </span>
+            <span className="text-[#E68B00]">Orders</span>
+          </h1>
+        </div>
+        <button
+          onClick={() => setCreateOpen(true)}
+          className="flex items-center justify-center gap-1.5 px-4 py-2 bg-[#E68B00] text-white font-medium rounded-lg hover:bg-[#D67A00] transition-colors shadow-sm text-sm"
+        >
+          <Plus size={16} />
+          New purchase order
+        </button>
+      </div>
+
+      {/* Status Tabs */}
+      <div className="flex items-center bg-[#0C2340] rounded-lg p-1 w-fit">
+        {STATUS_TABS.map((tab) => (
+          <button
+            key={tab.key}
+            onClick={() => {
+              setActiveTab(tab.key);
+              setExpandedId(null);
+            }}
+            className={`px-3 sm:px-4 py-1.5 text-sm font-medium rounded-md transition-colors ${
+              activeTab === tab.key ? "bg-[#E68B00] text-white" : "text-white hover:bg-gray-700"
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-16">
+          <div className="w-8 h-8 border-4 border-[#E68B00] border-t-transparent rounded-full animate-spin" />
+        </div>
+      ) : purchaseOrders.length === 0 ? (
+        <div className="bg-white border border-gray-200 rounded-xl p-10 text-center text-sm text-gray-500">
+          <Truck className="mx-auto mb-2 text-gray-400" size={28} />
+          No {activeTab === "all" ? "" : STATUS_TABS.find((t) => t.key === activeTab)?.label.toLowerCase()} purchase
+          orders.
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {purchaseOrders.map((purchaseOrder) => {
+            const progress = getPurchaseOrderProgress(purchaseOrder);
+            const percent = progress.ordered > 0 ? Math.round((progress.received / progress.ordered) * 100) : 0;
+            const badge = STATUS_BADGES[purchaseOrder.status] || STATUS_BADGES.ordered;
+            const isOpen = ["ordered", "partially_received"].includes(purchaseOrder.status);
+            const isExpanded = expandedId === purchaseOrder.id;
+
+            return (
+              <div key={purchaseOrder.id} className="bg-white border border-gray-200 rounded-xl shadow-sm">
+                <div className="p-4 flex flex-col lg:flex-row lg:items-center gap-3">
+                  <button
+                    onClick={() => setExpandedId(isExpanded ? null : purchaseOrder.id)}
+                    className="flex-1 min-w-0 text-left"
+                    aria-expanded={isExpanded}
+                  >
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className="font-semibold text-[#0C2340]">{purchaseOrder.reference}</span>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${badge.className}`}>
+                        {badge.label}
+                      </span>
+                      {isExpanded ? (
+                        <ChevronUp size={16} className="text-gray-400" />
+                      ) : (
+                        <ChevronDown size={16} className="text-gray-400" />
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-600 truncate">
+                      {purchaseOrder.supplier_name}
+                      {purchaseOrder.supplier_contact && ` · ${purchaseOrder.supplier_contact}`}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Ordered {formatDate(purchaseOrder.created_at)}
+                      {purchaseOrder.expected_date && ` · Expected ${formatDate(purchaseOrder.expected_date)}`}
+                    </p>
+                  </button>
+
+                  <div className="lg:w-56">
+                    <div className="flex justify-between text-xs text-gray-600 mb-1">
+                      <span>
+                        {progress.received} / {progress.ordered} received
+                      </span>
+                      <span>{percent}%</span>
+                    </div>
+                    <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                      <div className="h-full bg-[#E68B00]" style={{ width: `${percent}%` }} />
+                    </div>
+                  </div>
+
+                  {isOpen && (
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => setCancellingOrder(purchaseOrder)}
+                        className="px-3 py-1.5 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors text-sm font-medium"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={() => setReceivingOrder(purchaseOrder)}
+                        className="px-3 py-1.5 bg-[#E68B00] text-white rounded-lg hover:bg-[#D67A00] transition-colors text-sm font-medium"
+                      >
+                        Receive goods
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {isExpanded && (
+                  <div className="border-t border-gray-200 p-4 space-y-4">
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead className="text-gray-600">
+                          <tr>
+                            <th className="py-1.5 pr-3 text-left font-semibold">Item</th>
+                            <th className="py-1.5 pr-3 text-left font-semibold">Size</th>
+                            <th className="py-1.5 pr-3 text-right font-semibold">Ordered</th>
+                            <th className="py-1.5 pr-3 text-right font-semibold">Received</th>
+                            <th className="py-1.5 pr-3 text-right font-semibold">Outstanding</th>
+                            <th className="py-1.5 text-right font-semibold">Unit cost</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {(purchaseOrder.lines || []).map((line) => (
+                            <tr key={line.id} className="border-t border-gray-100">
+                              <td className="py-1.5 pr-3 text-[#003363]">
+                                {line.item_name}
+                                {line.education_level && (
+                                  <span className="block text-xs text-gray-500">{line.education_level}</span>
+                                )}
+                              </td>
+                              <td className="py-1.5 pr-3">{line.size}</td>
+                              <td className="py-1.5 pr-3 text-right">{line.quantity_ordered}</td>
+                              <td className="py-1.5 pr-3 text-right">{line.quantity_received || 0}</td>
+                              <td className="py-1.5 pr-3 text-right font-semibold">{getLineOutstanding(line)}</td>
+                              <td className="py-1.5 text-right">
+                                {line.unit_cost != null ? `P${Number(line.unit_cost).toFixed(2)}` : "—"}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+
+                    {purchaseOrder.notes && <p className="text-sm text-gray-600">Notes: {purchaseOrder.notes}</p>}
+
+                    <div>
+                      <p className="text-sm font-semibold text-[#0C2340] mb-1">Deliveries</p>
+                      {(purchaseOrder.receipts || []).length === 0 ? (
+                        <p className="text-sm text-gray-500">Nothing received yet.</p>
+                      ) : (
+                        <ul className="text-sm text-gray-700 space-y-1">
+                          {purchaseOrder.receipts.map((receipt) => (
+                            <li key={receipt.id}>
+                              {formatDate(receipt.received_at, "MMM d, yyyy h:mm a")} — {receipt.quantity} ×{" "}
+                              {receipt.item_name} ({receipt.size})
+                              {receipt.received_by_name && (
+                                <span className="text-gray-500"> by {receipt.received_by_name}</span>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {isCreateOpen && (
+        <CreatePurchaseOrderModal isOpen onClose={() => setCreateOpen(false)} onCreate={handleCreate} />
+      )}
+
+      {receivingOrder && (
+        <ReceiveGoodsModal
+          purchaseOrder={receivingOrder}
+          onClose={() => setReceivingOrder(null)}
+          onReceive={handleReceive}
+        />
+      )}
+
+      {/* Cancel PO */}
+      {cancellingOrder &&
+        createPortal(
+          <div
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-[10000] p-4"
+            style={{ zIndex: 10000 }}
+          >
+            <div className="bg-white rounded-2xl shadow-2xl max-w-md w-full p-6 space-y-4">
+              <h3 className="text-lg font-semibold text-[#0C2340]">Cancel {cancellingOrder.reference}?</h3>
+              <p className="text-sm text-gray-600">
+                Outstanding quantities will no longer be expected. Goods already received stay in stock.
+              </p>
+              <textarea
+                value={cancelReason}
+                onChange={(e) => setCancelReason(e.target.value)}
+                rows={2}
+                placeholder="Reason (optional)"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#E68B00]"
+              />
+              <div className="flex justify-end gap-3">
+                <button
+                  onClick={() => {
+                    setCancellingOrder(null);
+                    setCancelReason("");
+                  }}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors font-medium text-sm"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleCancel}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors font-medium text-sm"
+                >
+                  Cancel purchase order
+                </button>
+              </div>
+            </div>
+          </div>,
+          document.body,
+        )}
+    </div>
+  );
+};
+
+export default PurchaseOrders;
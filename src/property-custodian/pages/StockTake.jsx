@@ -0,0 +1,628 @@
+import { useState, useMemo, useRef, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { createPortal } from "react-dom";
+import { format } from "date-fns";
+import { ArrowLeft, ClipboardList, QrCode, Search, CheckCircle, AlertTriangle } from "lucide-react";
+import { toast } from "react-hot-toast";
+import QRCodeScannerModal from "../components/Items/QRCodeScannerModal";
+import { useStockTake, getLineVariance } from "../hooks";
+import { EDUCATION_LEVELS } from "../constants/ordersOptions";
+
+/** The camera reads the same code many times a second; one piece per code per this window */
+const REPEAT_SCAN_WINDOW_MS = 1500;
+
+const formatVariance = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+const formatPeso = (value) =>
+  `P ${(Number(value) || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const varianceClass = (value) =>
+  value == null || value === 0
+    ? "text-gray-500"
+    : value > 0
+      ? "text-green-700"
+      : "text-red-600";
+
+/**
+ * StockTake Page
+ *
+ * Physical count (stock-take) workflow for the property custodian:
+ * - Start a count for all items or one education level (system stock is snapshotted)
+ * - Enter counts per item and size, or scan item codes (one scan = one piece)
+ * - Review variances against system stock and choose which ones to post
+ * - Approved variances post as one batch of adjustments with the stock-take reference,
+ *   visible in the Inventory → Transaction tab
+ */
+const StockTake = () => {
+  const {
+    session,
+    lines,
+    recentSessions,
+    summary,
+    loading,
+    error,
+    saving,
+    posting,
+    startSession,
+    setCount,
+    scanCode,
+    postSession,
+    cancelSession,
+  } = useStockTake();
+
+  const [educationLevel, setEducationLevel] = useState(EDUCATION_LEVELS[0].value);
+  const [notes, setNotes] = useState("");
+  const [starting, setStarting] = useState(false);
+  const [activeTab, setActiveTab] = useState("count");
+  const [search, setSearch] = useState("");
+  const [uncountedOnly, setUncountedOnly] = useState(false);
+  const [scanInput, setScanInput] = useState("");
+  const [scannerOpen, setScannerOpen] = useState(false);
+  const [recentScans, setRecentScans] = useState([]);
+  const [excludedLineIds, setExcludedLineIds] = useState(() => new Set());
+  const [confirmAction, setConfirmAction] = useState(null); // "post" | "cancel"
+  const lastScanRef = useRef({ code: null, at: 0 });
+
+  const handleStart = async () => {
+    try {
+      setStarting(true);
+      const created = await startSession({
+        educationLevel: educationLevel === EDUCATION_LEVELS[0].value ? null : educationLevel,
+        notes: notes.trim(),
+      });
+      toast.success(`Stock take ${created.reference} started`);
+      setNotes("");
+      setActiveTab("count");
+      setExcludedLineIds(new Set());
+    } catch (err) {
+      toast.error(err.message || "Failed to start stock take");
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  /**
+   * Count a code from the scan field or the camera
+   * @param {string} code - Scanned or typed code
+   * @param {boolean} fromCamera - Camera scans are de-duplicated for a moment
+   */
+  const countCode = useCallback(
+    (code, fromCamera = false) => {
+      const now = Date.now();
+      if (
+        fromCamera &&
+        lastScanRef.current.code === code &&
+        now - lastScanRef.current.at < REPEAT_SCAN_WINDOW_MS
+      ) {
+        return;
+      }
+      lastScanRef.current = { code, at: now };
+
+      const { counted, matches } = scanCode(code);
+      const entry = { key: now, code, counted, matchCount: matches.length };
+      setRecentScans((prev) => [entry, ...prev].slice(0, 20));
+
+      if (!counted) {
+        if (matches.length > 1) {
+          // Item name without size: show its sizes so the count can be entered by hand
+          setSearch(matches[0].item_name);
+          toast(`"${code}" has ${matches.length} sizes. Enter the count for the right size.`);
+        } else {
+          toast.error(`No item in this stock take matches "${code}"`);
+        }
+      }
+    },
+    [scanCode],
+  );
+
+  const handleCameraScan = useCallback((code) => countCode(code, true), [countCode]);
+
+  const handleScanSubmit = (e) => {
+    e.preventDefault();
+    const code = scanInput.trim();
+    if (!code) return;
+    countCode(code);
+    setScanInput("");
+  };
+
+  const visibleLines = useMemo(() => {
+    const needle = search.trim().toLowerCase();
+    return lines.filter((line) => {
+      if (uncountedOnly && line.counted_quantity != null) return false;
+      if (!needle) return true;
+      return [line.item_name, line.size, line.education_level]
+        .filter(Boolean)
+        .join(" ")
+        .toLowerCase()
+        .includes(needle);
+    });
+  }, [lines, search, uncountedOnly]);
+
+  const varianceLines = useMemo(
+    () =>
+      lines.filter(
+        (line) => line.counted_quantity != null && getLineVariance(line) !== 0,
+      ),
+    [lines],
+  );
+  const approvedLines = varianceLines.filter((line) => !excludedLineIds.has(line.id));
+  const approvedNetVariance = approvedLines.reduce((sum, line) => sum + getLineVariance(line), 0);
+  const approvedValue = approvedLines.reduce(
+    (sum, line) => sum + getLineVariance(line) * (Number(line.unit_price) || 0),
+    0,
+  );
+
+  const toggleApproved = (lineId) => {
+    setExcludedLineIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(lineId)) next.delete(lineId);
+      else next.add(lineId);
+      return next;
+    });
+  };
+
+  const handleConfirm = async () => {
+    const action = confirmAction;
+    setConfirmAction(null);
+    try {
+      if (action === "post") {
+        const reference = session.reference;
+        const result = await postSession(approvedLines.map((line) => line.id));
+        toast.success(
+          `${result?.posted ?? approvedLines.length} adjustment${
+            (result?.posted ?? approvedLines.length) !== 1 ? "s" : ""
+          } posted under ${result?.reference || reference}`,
+        );
+      } else if (action === "cancel") {
+        await cancelSession();
+        toast.success("Stock take cancelled. No adjustments were posted.");
+      }
+      setExcludedLineIds(new Set());
+      setRecentScans([]);
+    } catch (err) {
+      toast.error(err.message || "Something went wrong. Please try again.");
+    }
+  };
+
+  return (
+    <div className="p-3 sm:p-4 md:p-5 lg:p-6 xl:p-8 font-sf-medium space-y-4 sm:space-y-6">
+      {/* Page Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <Link
+            to="/property-custodian/inventory"
+            className="inline-flex items-center gap-1 text-sm text-gray-500 hover:text-[#E68B00] mb-1"
+          >
+            <ArrowLeft size={16} />
+            Inventory
+          </Link>
+          <h1 className="text-2xl md:text-3xl xl:text-4xl font-sf-semibold font-semibold tracking-tight">
+            <span className="text-[#0C2340]">Stock </span>
+            <span className="text-[#E68B00]">Take</span>
+          </h1>
+        </div>
+        {session && (
+          <div className="text-sm text-gray-600 sm:text-right">
+            <p>
+              <span className="font-semibold text-[#0C2340]">{session.reference}</span>
+              {" · "}
+              {session.education_level || "All Education Levels"}
+            </p>
+            <p className="text-xs">
+              Started {session.created_at ? format(new Date(session.created_at), "MMM d, yyyy h:mm a") : ""}
+              {session.created_by_name && ` by ${session.created_by_name}`}
+              {" · "}
+              {saving ? "Saving…" : "All counts saved"}
+            </p>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-16">
+          <div className="w-8 h-8 border-4 border-[#E68B00] border-t-transparent rounded-full animate-spin" />
+        </div>
+      ) : !session ? (
+        /* Start a Count */
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+          <div className="bg-white border border-gray-200 rounded-xl p-4 sm:p-6 shadow-sm space-y-4">
+            <div className="flex items-center gap-2">
+              <ClipboardList className="text-[#E68B00]" size={22} />
+              <h2 className="text-lg font-semibold text-[#0C2340]">Start a physical count</h2>
+            </div>
+            <p className="text-sm text-gray-600">
+              The current system stock of every item and size is recorded when the count starts.
+              Releases and purchases during the count still update system stock, so count while the
+              stockroom is quiet.
+            </p>
+            <label className="block text-sm font-medium text-gray-700">
+              Education level
+              <select
+                value={educationLevel}
+                onChange={(e) => setEducationLevel(e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm focus:outline-none focus:ring-2 focus:ring-[#E68B00]"
+              >
+                {EDUCATION_LEVELS.map((level) => (
+                  <option key={level.value} value={level.value}>
+                    {level.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+              Notes (optional)
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                rows={2}
+                placeholder="e.g. Year-end count, main stockroom"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#E68B00]"
+              />
+            </label>
+            <button
+              onClick={handleStart}
+              disabled={starting}
+              className="w-full sm:w-auto px-5 py-2 bg-[#E68B00] text-white font-medium rounded-lg hover:bg-[#D67A00] transition-colors shadow-sm disabled:opacity-50"
+            >
+              {starting ? "Starting…" : "Start stock take"}
+            </button>
+          </div>
+
+          <div className="bg-white border border-gray-200 rounded-xl p-4 sm:p-6 shadow-sm">
+            <h2 className="text-lg font-semibold text-[#0C2340] mb-3">Recent stock takes</h2>
+            {recentSessions.length === 0 ? (
+              <p className="text-sm text-gray-500">No stock takes yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {recentSessions.map((recent) => (
+                  <li key={recent.id} className="py-2.5 flex items-center justify-between gap-3 text-sm">
+                    <div className="min-w-0">
+                      <p className="font-semibold text-[#0C2340]">{recent.reference}</p>
+                      <p className="text-xs text-gray-500 truncate">
+                        {recent.education_level || "All Education Levels"}
+                        {recent.posted_at && ` · Posted ${format(new Date(recent.posted_at), "MMM d, yyyy")}`}
+                      </p>
+                    </div>
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${
+                        recent.status === "posted"
+                          ? "bg-green-100 text-green-700"
+                          : "bg-gray-100 text-gray-600"
+                      }`}
+                    >
+                      {recent.status}
+                      {recent.status === "posted" && recent.adjustment_count != null &&
+                        ` · ${recent.adjustment_count}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      ) : (
+        <>
+          {/* Progress */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {[
+              { label: "Counted", value: `${summary.countedLines} / ${summary.totalLines}` },
+              { label: "Lines with variance", value: summary.varianceLines },
+              { label: "Net variance (pcs)", value: formatVariance(summary.netVariance) },
+              { label: "Variance value", value: formatPeso(summary.varianceValue) },
+            ].map((card) => (
+              <div key={card.label} className="bg-white border border-gray-200 rounded-xl p-3 sm:p-4 shadow-sm">
+                <p className="text-xs text-gray-500">{card.label}</p>
+                <p className="text-lg sm:text-xl font-semibold text-[#0C2340]">{card.value}</p>
+              </div>
+            ))}
+          </div>
+
+          {/* Tabs */}
+          <div className="flex items-center bg-[#0C2340] rounded-lg p-1 w-fit">
+            {[
+              { key: "count", label: "Count" },
+              { key: "review", label: `Review (${summary.varianceLines})` },
+            ].map((tab) => (
+              <button
+                key={tab.key}
+                onClick={() => setActiveTab(tab.key)}
+                className={`px-4 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                  activeTab === tab.key ? "bg-[#E68B00] text-white" : "text-white hover:bg-gray-700"
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+
+          {activeTab === "count" ? (
+            <div className="bg-white border border-gray-200 rounded-xl shadow-sm">
+              {/* Count Controls */}
+              <div className="flex flex-col lg:flex-row lg:items-center gap-2 sm:gap-3 p-3 sm:p-4 border-b border-gray-200">
+                <form onSubmit={handleScanSubmit} className="flex gap-2 flex-1">
+                  <input
+                    type="text"
+                    value={scanInput}
+                    onChange={(e) => setScanInput(e.target.value)}
+                    placeholder="Scan or type an item code, then Enter"
+                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#E68B00]"
+                    aria-label="Scan item code"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setScannerOpen(true)}
+                    className="flex items-center gap-1.5 px-3 py-2 bg-[#E68B00] text-white rounded-lg hover:bg-[#D67A00] transition-colors text-sm font-medium"
+                  >
+                    <QrCode size={16} />
+                    Camera
+                  </button>
+                </form>
+                <div className="relative lg:w-64">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={16} />
+                  <input
+                    type="text"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder="Filter items"
+                    className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#E68B00]"
+                  />
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+                  <input
+                    type="checkbox"
+                    checked={uncountedOnly}
+                    onChange={(e) => setUncountedOnly(e.target.checked)}
+                    className="w-4 h-4 accent-[#E68B00]"
+                  />
+                  Uncounted only
+                </label>
+              </div>
+
+              {/* Count Table */}
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-[#003363] text-white">
+                    <tr>
+                      <th className="px-3 py-2.5 text-left font-semibold">Item</th>
+                      <th className="px-3 py-2.5 text-left font-semibold">Size</th>
+                      <th className="px-3 py-2.5 text-left font-semibold hidden md:table-cell">Education level</th>
+                      <th className="px-3 py-2.5 text-right font-semibold">System</th>
+                      <th className="px-3 py-2.5 text-right font-semibold">Counted</th>
+                      <th className="px-3 py-2.5 text-right font-semibold">Variance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleLines.length === 0 ? (
+                      <tr>
+                        <td colSpan={6} className="px-3 py-8 text-center text-gray-500">
+                          No items match.
+                        </td>
+                      </tr>
+                    ) : (
+                      visibleLines.map((line, index) => {
+                        const variance = getLineVariance(line);
+                        return (
+                          <tr key={line.id} className={index % 2 === 0 ? "bg-[#FFF8F0]" : "bg-white"}>
+                            <td className="px-3 py-2 font-medium text-[#003363]">{line.item_name}</td>
+                            <td className="px-3 py-2 text-gray-700">{line.size || "N/A"}</td>
+                            <td className="px-3 py-2 text-gray-600 hidden md:table-cell">{line.education_level}</td>
+                            <td className="px-3 py-2 text-right text-gray-700">{line.system_quantity}</td>
+                            <td className="px-3 py-2 text-right">
+                              <input
+                                type="number"
+                                min="0"
+                                inputMode="numeric"
+                                value={line.counted_quantity ?? ""}
+                                onChange={(e) => setCount(line.id, e.target.value)}
+                                className="w-20 px-2 py-1 border border-gray-300 rounded text-right focus:outline-none focus:ring-2 focus:ring-[#E68B00]"
+                                aria-label={`Counted quantity for ${line.item_name} ${line.size || ""}`}
+                              />
+                            </td>
+                            <td className={`px-3 py-2 text-right font-semibold ${varianceClass(variance)}`}>
+                              {variance == null ? "–" : formatVariance(variance)}
+                            </td>
+                          </tr>
+                        );
+                      })
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ) : (
+            <div className="bg-white border border-gray-200 rounded-xl shadow-sm">
+              {summary.countedLines < summary.totalLines && (
+                <div className="m-3 sm:m-4 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800 flex items-start gap-2">
+                  <AlertTriangle size={18} className="flex-shrink-0 mt-0.5" />
+                  {summary.totalLines - summary.countedLines} line(s) have not been counted. They keep their
+                  system stock and are not adjusted.
+                </div>
+              )}
+
+              {varianceLines.length === 0 ? (
+                <div className="p-8 text-center text-sm text-gray-500">
+                  <CheckCircle className="mx-auto mb-2 text-green-600" size={28} />
+                  No variances. Counted stock matches the system.
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead className="bg-[#003363] text-white">
+                      <tr>
+                        <th className="px-3 py-2.5 text-left font-semibold w-10">Post</th>
+                        <th className="px-3 py-2.5 text-left font-semibold">Item</th>
+                        <th className="px-3 py-2.5 text-left font-semibold">Size</th>
+                        <th className="px-3 py-2.5 text-right font-semibold">System</th>
+                        <th className="px-3 py-2.5 text-right font-semibold">Counted</th>
+                        <th className="px-3 py-2.5 text-right font-semibold">Variance</th>
+                        <th className="px-3 py-2.5 text-right font-semibold">Value</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {varianceLines.map((line, index) => {
+                        const variance = getLineVariance(line);
+                        const approved = !excludedLineIds.has(line.id);
+                        return (
+                          <tr
+                            key={line.id}
+                            className={`${index % 2 === 0 ? "bg-[#FFF8F0]" : "bg-white"} ${approved ? "" : "opacity-50"}`}
+                          >
+                            <td className="px-3 py-2">
+                              <input
+                                type="checkbox"
+                                checked={approved}
+                                onChange={() => toggleApproved(line.id)}
+                                className="w-4 h-4 accent-[#E68B00]"
+                                aria-label={`Post variance for ${line.item_name} ${line.size || ""}`}
+                              />
+                            </td>
+                            <td className="px-3 py-2 font-medium text-[#003363]">{line.item_name}</td>
+                            <td className="px-3 py-2 text-gray-700">{line.size || "N/A"}</td>
+                            <td className="px-3 py-2 text-right">{line.system_quantity}</td>
+                            <td className="px-3 py-2 text-right">{line.counted_quantity}</td>
+                            <td className={`px-3 py-2 text-right font-semibold ${varianceClass(variance)}`}>
+                              {formatVariance(variance)}
+                            </td>
+                            <td className={`px-3 py-2 text-right ${varianceClass(variance)}`}>
+                              {formatPeso(variance * (Number(line.unit_price) || 0))}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                    <tfoot className="bg-gray-50 border-t-2 border-[#003363] font-semibold">
+                      <tr>
+                        <td colSpan={5} className="px-3 py-3 text-right text-[#003363]">
+                          {approvedLines.length} adjustment{approvedLines.length !== 1 ? "s" : ""} to post
+                        </td>
+                        <td className={`px-3 py-3 text-right ${varianceClass(approvedNetVariance)}`}>
+                          {formatVariance(approvedNetVariance)}
+                        </td>
+                        <td className={`px-3 py-3 text-right ${varianceClass(approvedValue)}`}>
+                          {formatPeso(approvedValue)}
+                        </td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Session Actions */}
+          <div className="flex flex-col-reverse sm:flex-row sm:justify-end gap-3">
+            <button
+              onClick={() => setConfirmAction("cancel")}
+              disabled={posting}
+              className="px-4 py-2 border border-gray-300 rounded-lg bg-white text-gray-700 hover:bg-gray-50 transition-colors font-medium text-sm disabled:opacity-50"
+            >
+              Cancel stock take
+            </button>
+            <button
+              onClick={() => setConfirmAction("post")}
+              disabled={posting || summary.countedLines === 0}
+              className="px-4 py-2 bg-[#E68B00] text-white rounded-lg hover:bg-[#D67A00] transition-colors font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {posting
+                ? "Posting…"
+                : approvedLines.length > 0
+                  ? `Post ${approvedLines.length} adjustment${approvedLines.length !== 1 ? "s" : ""}`
+                  : "Close stock take"}
+            </button>
+          </div>
+        </>
+      )}
+
+      {/* Camera Scanner - continuous, one piece per scan */}
+      <QRCodeScannerModal
+        isOpen={scannerOpen}
+        onClose={() => setScannerOpen(false)}
+        onScan={handleCameraScan}
+        continuous
+        title="Scan Items"
+        sidePanel={
+          <div className="flex flex-col h-full border border-gray-200 rounded-xl overflow-hidden">
+            <p className="px-4 py-3 bg-gray-50 border-b border-gray-200 text-sm font-semibold text-[#0C2340]">
+              Counted {summary.countedLines} / {summary.totalLines} lines
+            </p>
+            <ul className="flex-1 overflow-y-auto max-h-[320px] lg:max-h-[360px] divide-y divide-gray-100">
+              {recentScans.length === 0 ? (
+                <li className="px-4 py-8 text-center text-sm text-gray-500">
+                  Scan each piece. Every scan adds one to its item and size.
+                </li>
+              ) : (
+                recentScans.map((scan) => (
+                  <li key={scan.key} className="px-4 py-2.5 text-sm">
+                    {scan.counted ? (
+                      <p className="text-[#0C2340]">
+                        <span className="font-medium">{scan.counted.item_name}</span>
+                        {scan.counted.size && ` (${scan.counted.size})`}
+                        <span className="text-green-700 font-semibold"> +1</span>
+                      </p>
+                    ) : (
+                      <p className="text-red-600">
+                        {scan.matchCount > 1 ? "Pick a size for" : "Unknown code"}{" "}
+                        <span className="font-mono">{scan.code}</span>
+                      </p>
+                    )}
+                    <p className="text-xs text-gray-500">{format(scan.key, "h:mm:ss a")}</p>
+                  </li>
+                ))
+              )}
+            </ul>
+          </div>
+        }
+      />
+
+      {/* Confirm Post / Cancel */}
+      {confirmAction &&
+        createPortal(
+          <div
+            className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-[10000] p-4"
+            style={{ zIndex: 10000 }}
+          >
+            <div className="bg-white rounded-2xl shadow-2xl max-w-md w-full p-6 space-y-4">
+              <h3 className="text-lg font-semibold text-[#0C2340]">
+                {confirmAction === "post" ? `Post ${session?.reference}?` : `Cancel ${session?.reference}?`}
+              </h3>
+              <p className="text-sm text-gray-600">
+                {confirmAction === "post"
+                  ? approvedLines.length > 0
+                    ? `${approvedLines.length} adjustment transaction(s) totalling ${formatVariance(
+                        approvedNetVariance,
+                      )} pcs (${formatPeso(approvedValue)}) will be posted with reference ${session?.reference}. This cannot be undone.`
+                    : "No variances are selected, so the stock take will be closed without adjustments."
+                  : "All counts in this stock take will be discarded. No adjustments will be posted."}
+              </p>
+              <div className="flex justify-end gap-3">
+                <button
+                  onClick={() => setConfirmAction(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors font-medium text-sm"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={handleConfirm}
+                  className={`px-4 py-2 text-white rounded-lg transition-colors font-medium text-sm ${
+                    confirmAction === "post" ? "bg-[#E68B00] hover:bg-[#D67A00]" : "bg-red-600 hover:bg-red-700"
+                  }`}
+                >
+                  {confirmAction === "post" ? "Post" : "Cancel stock take"}
+                </button>
+              </div>
+            </div>
+          </div>,
+          document.body,
+        )}
+    </div>
+  );
+};
+
+export default StockTake;
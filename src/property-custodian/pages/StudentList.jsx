@@ -5,6 +5,8 @@ import EditTableModal from "../../system-admin/components/StudentManagement/Edit
 import EditStudentOrderLimitsModal from "../../system-admin/components/StudentManagement/EditStudentOrderLimitsModal";
 import DeleteStudentModal from "../../system-admin/components/StudentManagement/DeleteStudentModal";
 import AddStudentModal from "../../system-admin/components/StudentManagement/AddStudentModal";
+import PromotionWizardModal from "../../system-admin/components/StudentManagement/PromotionWizardModal";
+import StudentImportModal from "../../system-admin/components/StudentManagement/StudentImportModal";
 import UserModal from "../../system-admin/components/UserManagement/UserModal";
 import { useUsers } from "../../system-admin/hooks/useUsers";
 import { useSocketStudentUpdates } from "../../system-admin/hooks/useSocketStudentUpdates";
@@ -44,6 +46,8 @@ const StudentList = () => {
   const [isOrderLimitsModalOpen, setIsOrderLimitsModalOpen] = useState(false);
   const [isUserModalOpen, setIsUserModalOpen] = useState(false);
   const [isAddStudentModalOpen, setIsAddStudentModalOpen] = useState(false);
+  const [isPromotionWizardOpen, setIsPromotionWizardOpen] = useState(false);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
   const [editingStudent, setEditingStudent] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [editingPage, setEditingPage] = useState(false);
@@ -703,6 +707,8 @@ const StudentList = () => {
         onGradeLevelChange={setGradeLevel}
         onEditTable={() => setIsEditTableModalOpen(true)}
         onAddUser={() => setIsAddStudentModalOpen(true)}
+        onPromote={() => setIsPromotionWizardOpen(true)}
+        onImport={() => setIsImportModalOpen(true)}
         selectedCount={selectedStudents.length}
       />
 
@@ -843,6 +849,20 @@ const StudentList = () => {
         onSave={handleSaveStudent}
       />
 
+      {/* Grade-Level Promotion Wizard */}
+      <PromotionWizardModal
+        isOpen={isPromotionWizardOpen}
+        onClose={() => setIsPromotionWizardOpen(false)}
+        onComplete={refreshStudentList}
+      />
+
+      {/* Bulk Student Import */}
+      <StudentImportModal
+        isOpen={isImportModalOpen}
+        onClose={() => setIsImportModalOpen(false)}
+        onComplete={refreshStudentList}
+      />
+
       {/* Add Student Modal */}
       <AddStudentModal
         isOpen={isAddStudentModalOpen}
@@ -0,0 +1,225 @@
+/**
+ * Demand forecasting for reorder points.
+ *
+ * Demand is the quantity released to students (claimed orders / item releases) per
+ * item and size. The forecast uses the same calendar months in earlier years, so
+ * enrollment spikes (May–August, when uniforms for the new school year are claimed)
+ * are expected again instead of being averaged away.
+ */
+
+/** Days between placing a PO and the goods arriving */
+export const LEAD_TIME_DAYS = 14;
+
+/** Days of demand one order should cover after it arrives */
+export const COVERAGE_DAYS = 60;
+
+/** How much history the forecast looks at */
+export const HISTORY_MONTHS = 24;
+
+/** Enrollment season (0-based months): May to August */
+export const ENROLLMENT_MONTHS = [4, 5, 6, 7];
+
+/** z-score for a 95% chance of not running out during the lead time */
+const SERVICE_LEVEL_Z = 1.65;
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeText = (value) =>
+  String(value ?? "")
+    .toLowerCase()
+    .replace(/\s*\([^)]*\)/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Release events from transactions: ITEM RELEASED rows, plus ORDER CLAIMED rows whose
+ * items were not also logged as ITEM RELEASED (older claims only logged the order).
+ * @param {Array} transactions - Raw transactions from transactionService
+ * @returns {Array<{ date: Date, itemId: string|null, itemName: string, size: string, educationLevel: string, quantity: number }>}
+ */
+export const extractReleaseEvents = (transactions) => {
+  const events = [];
+  const releasedOrders = new Set();
+
+  (transactions || []).forEach((tx) => {
+    const action = (tx.action || "").trim();
+    const meta = tx.metadata || {};
+    if (!/^ITEM RELEASED/i.test(action)) return;
+    if (meta.order_number) releasedOrders.add(meta.order_number);
+    events.push({
+      date: new Date(tx.created_at),
+      itemId: meta.item_id || null,
+      itemName: meta.item_name || action.replace(/^ITEM RELEASED\s*/i, ""),
+      size: meta.size || meta.variant || "N/A",
+      educationLevel: meta.education_level || "",
+      quantity: Number(meta.quantity) || 1,
+    });
+  });
+
+  (transactions || []).forEach((tx) => {
+    const meta = tx.metadata || {};
+    if (!/^ORDER CLAIMED/i.test((tx.action || "").trim())) return;
+    if (meta.order_number && releasedOrders.has(meta.order_number)) return;
+    const items = Array.isArray(meta.items) ? meta.items : [];
+    items.forEach((item) => {
+      events.push({
+        date: new Date(tx.created_at),
+        itemId: item.item_id || item.id || null,
+        itemName: item.name || item.item_name || "",
+        size: item.size || "N/A",
+        educationLevel: item.education_level || meta.education_level || "",
+        quantity: Number(item.quantity) || 1,
+      });
+    });
+  });
+
+  return events.filter((event) => !Number.isNaN(event.date.getTime()));
+};
+
+/**
+ * Events for one item and size (and education level, when the event records one)
+ * @param {Array} events - From extractReleaseEvents
+ * @param {Object} target - { itemId, itemName, size, educationLevel }
+ * @returns {Array}
+ */
+export const filterEventsForItem = (events, { itemId, itemName, size, educationLevel }) => {
+  const name = normalizeText(itemName);
+  const wantedSize = normalizeText(size || "N/A");
+  const level = normalizeText(educationLevel);
+
+  return events.filter((event) => {
+    const sameItem =
+      (itemId && event.itemId && String(event.itemId) === String(itemId)) ||
+      normalizeText(event.itemName) === name;
+    if (!sameItem) return false;
+    if (normalizeText(event.size) !== wantedSize) return false;
+    return !level || !event.educationLevel || normalizeText(event.educationLevel) === level;
+  });
+};
+
+/**
+ * Expected demand per day for a calendar month, from the same month in earlier years.
+ * Months without any history fall back to the overall daily average.
+ */
+const buildDailyRate = (events, now) => {
+  const historyStart = new Date(now.getFullYear(), now.getMonth() - HISTORY_MONTHS, 1);
+  const monthTotals = new Map(); // "year-month" -> quantity
+  let total = 0;
+  let firstDate = now;
+
+  events.forEach((event) => {
+    if (event.date < historyStart || event.date > now) return;
+    const key = `${event.date.getFullYear()}-${event.date.getMonth()}`;
+    monthTotals.set(key, (monthTotals.get(key) || 0) + event.quantity);
+    total += event.quantity;
+    if (event.date < firstDate) firstDate = event.date;
+  });
+
+  // Every full month from the first release up to last month, including months with no releases
+  const observedMonths = [];
+  const cursor = new Date(firstDate.getFullYear(), firstDate.getMonth(), 1);
+  while (cursor.getFullYear() < now.getFullYear() || cursor.getMonth() < now.getMonth()) {
+    const year = cursor.getFullYear();
+    const month = cursor.getMonth();
+    observedMonths.push({ year, month, quantity: monthTotals.get(`${year}-${month}`) || 0 });
+    cursor.setMonth(month + 1);
+  }
+
+  const observedDays = Math.max(30, Math.round((now - firstDate) / DAY_MS));
+  const averageDaily = total / observedDays;
+
+  const byCalendarMonth = Array.from({ length: 12 }, () => []);
+  observedMonths.forEach(({ year, month, quantity }) => {
+    byCalendarMonth[month].push(quantity / daysInMonth(year, month));
+  });
+  const seasonalDaily = byCalendarMonth.map((rates) =>
+    rates.length > 0 ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length : null,
+  );
+
+  return {
+    total,
+    observedMonths,
+    averageDaily,
+    rateFor: (month) => seasonalDaily[month] ?? averageDaily,
+    hasSeasonalHistory: (month) => seasonalDaily[month] != null,
+  };
+};
+
+/** Sum the daily rate over the days of a window */
+const demandOverWindow = (rate, start, days) => {
+  let demand = 0;
+  const months = new Set();
+  for (let i = 0; i < days; i += 1) {
+    const day = new Date(start.getTime() + i * DAY_MS);
+    demand += rate.rateFor(day.getMonth());
+    months.add(day.getMonth());
+  }
+  return { demand, months: [...months] };
+};
+
+/**
+ * Suggested reorder point and order quantity for one item and size.
+ *
+ * - Reorder point = demand expected during the supplier lead time + safety stock
+ * - Safety stock = 1.65 × variation around the seasonal pattern, scaled to the lead time
+ *   (at least a quarter of the lead-time demand)
+ * - Order quantity = enough to cover COVERAGE_DAYS after delivery and get back above
+ *   the reorder point
+ *
+ * @param {Array} events - Release events for this item and size (filterEventsForItem)
+ * @param {Object} options - { currentStock, now }
+ * @returns {{ reorderPoint: number, orderQuantity: number, confidence: "low"|"medium"|"high", explanation: string[] } | null}
+ *   null when there are no releases to learn from
+ */
+export const forecastReorderPoint = (events, { currentStock = 0, now = new Date() } = {}) => {
+  const rate = buildDailyRate(events, now);
+  if (rate.total === 0) return null;
+
+  const leadTime = demandOverWindow(rate, now, LEAD_TIME_DAYS);
+  const deliveryDate = new Date(now.getTime() + LEAD_TIME_DAYS * DAY_MS);
+  const coverage = demandOverWindow(rate, deliveryDate, COVERAGE_DAYS);
+
+  // Variation the seasonal pattern does not explain (this year's June vs. last year's June)
+  const residuals = rate.observedMonths.map(
+    ({ year, month, quantity }) => quantity - rate.rateFor(month) * daysInMonth(year, month),
+  );
+  const stdDev =
+    residuals.length > 1
+      ? Math.sqrt(residuals.reduce((sum, r) => sum + r ** 2, 0) / (residuals.length - 1))
+      : 0;
+  // A month seen only once has no variation to measure; keep at least a quarter of lead-time demand
+  const safetyStock = Math.ceil(
+    Math.max(SERVICE_LEVEL_Z * stdDev * Math.sqrt(LEAD_TIME_DAYS / 30), leadTime.demand * 0.25),
+  );
+
+  const reorderPoint = Math.ceil(leadTime.demand) + safetyStock;
+  const orderQuantity = Math.max(
+    0,
+    Math.ceil(reorderPoint + coverage.demand - (Number(currentStock) || 0)),
+  );
+
+  const seasonalMonths = [...new Set([...leadTime.months, ...coverage.months])].filter(
+    (month) => ENROLLMENT_MONTHS.includes(month) && rate.hasSeasonalHistory(month),
+  );
+  const confidence =
+    rate.observedMonths.length >= 12 ? "high" : rate.observedMonths.length >= 4 ? "medium" : "low";
+
+  const explanation = [
+    `${rate.total} pcs released over the last ${Math.max(1, rate.observedMonths.length)} month(s).`,
+    `About ${Math.ceil(leadTime.demand)} pcs expected in the ${LEAD_TIME_DAYS}-day supplier lead time, plus ${safetyStock} pcs safety stock for demand swings.`,
+    `Order ${orderQuantity} pcs to cover ${COVERAGE_DAYS} days after delivery (about ${Math.ceil(coverage.demand)} pcs) with ${Number(currentStock) || 0} in stock.`,
+  ];
+  if (seasonalMonths.length > 0) {
+    explanation.push(
+      `Includes enrollment-season demand from past ${seasonalMonths.map((m) => MONTH_NAMES[m]).join("/")}.`,
+    );
+  }
+  if (confidence === "low") {
+    explanation.push("Less than 4 months of history, so treat this as a rough guide.");
+  }
+
+  return { reorderPoint, orderQuantity, confidence, explanation };
+};
@@ -0,0 +1,213 @@
+import { format } from "date-fns";
+import writeExcelFile from "write-excel-file/browser";
+import { getInventoryDisplayUnitPrice } from "./inventoryDisplayUnitPrice";
+import { escapeCsvCell } from "../../utils/csvCell";
+
+/** Supported export file types */
+export const EXPORT_FORMAT = {
+  CSV: "csv",
+  XLSX: "xlsx",
+};
+
+const MONEY_FORMAT = "#,##0.00";
+
+const EDUCATION_LEVEL_LABELS = {
+  all: "All Education Levels",
+  kinder: "Kindergarten",
+  elementary: "Elementary",
+  junior: "Junior High School",
+  senior: "Senior High School",
+  college: "College",
+};
+
+const toNumber = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * Total Amount as shown in the inventory table: the backend WAC valuation when present,
+ * otherwise Ending Inventory × Unit Price.
+ */
+const getTotalAmount = (row) => {
+  const totalAmount = Number(row.totalAmount);
+  if (row.totalAmount != null && Number.isFinite(totalAmount) && totalAmount >= 0) {
+    return totalAmount;
+  }
+  return toNumber(row.endingInventory) * toNumber(getInventoryDisplayUnitPrice(row));
+};
+
+/** Total Inventory Cost as shown in the inventory table: Ending Inventory × Unit Price */
+const getTotalInventoryCost = (row) =>
+  toNumber(row.endingInventory) * toNumber(getInventoryDisplayUnitPrice(row));
+
+/**
+ * Column definitions. `total: true` columns are summed into the totals row;
+ * `money: true` columns are written with two decimals.
+ */
+const INVENTORY_COLUMNS = [
+  { header: "No.", value: (row) => toNumber(row.no), width: 6 },
+  { header: "Item", value: (row) => row.item || "", width: 32 },
+  { header: "Size", value: (row) => row.size || "", width: 12 },
+  { header: "Education Level", value: (row) => row.educationLevel || "", width: 20 },
+  { header: "Beginning Inventory", value: (row) => toNumber(row.beginningInventory), total: true, width: 12 },
+  { header: "Unreleased", value: (row) => toNumber(row.unreleased), total: true, width: 12 },
+  { header: "Purchases", value: (row) => toNumber(row.purchases), total: true, width: 12 },
+  { header: "Released", value: (row) => toNumber(row.released), total: true, width: 12 },
+  { header: "Returns", value: (row) => toNumber(row.returns), total: true, width: 12 },
+  { header: "Available", value: (row) => toNumber(row.available), total: true, width: 12 },
+  { header: "Ending Inventory", value: (row) => toNumber(row.endingInventory), total: true, width: 12 },
+  { header: "Unit Price", value: (row) => toNumber(getInventoryDisplayUnitPrice(row)), money: true, width: 12 },
+  { header: "Total Amount", value: getTotalAmount, money: true, total: true, width: 16 },
+  { header: "Total Inventory Cost", value: getTotalInventoryCost, money: true, total: true, width: 16 },
+  { header: "Status", value: (row) => row.status || "", width: 14 },
+];
+
+const getTransactionUnitPrice = (tx) =>
+  toNumber(tx.metadata?.unit_price ?? tx.metadata?.price);
+
+const TRANSACTION_COLUMNS = [
+  { header: "Date & Time", value: (tx) => tx.dateTime || "", width: 26 },
+  { header: "Type", value: (tx) => tx.type || "", width: 12 },
+  { header: "Action", value: (tx) => tx.action || "", width: 36 },
+  { header: "Item", value: (tx) => tx.itemName || "", width: 28 },
+  { header: "Size", value: (tx) => tx.metadata?.size || "", width: 12 },
+  { header: "Details", value: (tx) => tx.details || "", width: 48 },
+  { header: "User", value: (tx) => tx.user_name || "System", width: 24 },
+  { header: "Role", value: (tx) => tx.user_role || "", width: 18 },
+  { header: "Quantity", value: (tx) => toNumber(tx.metadata?.quantity), total: true, width: 10 },
+  { header: "Unit Price", value: getTransactionUnitPrice, money: true, width: 12 },
+  {
+    header: "Amount",
+    value: (tx) => toNumber(tx.metadata?.quantity) * getTransactionUnitPrice(tx),
+    money: true,
+    total: true,
+    width: 14,
+  },
+];
+
+/**
+ * Build header, body and totals rows as plain values.
+ * The totals row carries its label in the first column.
+ */
+const buildTable = (columns, rows, totalsLabel) => {
+  const body = rows.map((row) => columns.map((col) => col.value(row)));
+  const totals = columns.map((col, index) => {
+    if (col.total) return body.reduce((sum, cells) => sum + toNumber(cells[index]), 0);
+    return index === 0 ? totalsLabel : "";
+  });
+  return { header: columns.map((col) => col.header), body, totals };
+};
+
+const toCsvCell = (value, column) =>
+  column.money && typeof value === "number" ? value.toFixed(2) : value;
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const writeCsv = (columns, table, fileName) => {
+  const lines = [table.header, ...table.body, table.totals].map((cells) =>
+    cells.map((value, i) => escapeCsvCell(toCsvCell(value, columns[i]))).join(","),
+  );
+  // BOM so Excel opens the file as UTF-8 (ñ in names, ₱ in details)
+  const blob = new Blob(["\uFEFF" + lines.join("\r\n")], {
+    type: "text/csv;charset=utf-8",
+  });
+  downloadBlob(blob, fileName);
+};
+
+const toXlsxCell = (value, column, bold = false) => {
+  const cell =
+    typeof value === "number"
+      ? { value, type: Number, ...(column.money ? { format: MONEY_FORMAT } : {}) }
+      : { value: value === "" ? null : value, type: String };
+  return bold ? { ...cell, fontWeight: "bold" } : cell;
+};
+
+const writeXlsx = async (columns, table, fileName, sheet) => {
+  const data = [
+    table.header.map((value) => ({ value, fontWeight: "bold" })),
+    ...table.body.map((cells) => cells.map((value, i) => toXlsxCell(value, columns[i]))),
+    table.totals.map((value, i) => toXlsxCell(value, columns[i], true)),
+  ];
+  await writeExcelFile(data, {
+    columns: columns.map((col) => ({ width: col.width })),
+    sheet,
+    stickyRowsCount: 1,
+  }).toFile(fileName);
+};
+
+/**
+ * File name with the active filters, e.g. inventory-report_college_2025-01-01_to_2025-06-30.xlsx
+ */
+const buildFileName = (prefix, { startDate, endDate, gradeLevel, searchQuery }, fileFormat) => {
+  const parts = [prefix];
+  if (gradeLevel && gradeLevel !== "all") parts.push(gradeLevel);
+  if (startDate) parts.push(format(startDate, "yyyy-MM-dd"));
+  if (endDate) parts.push(`to_${format(endDate, "yyyy-MM-dd")}`);
+  const search = (searchQuery || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  if (search) parts.push(search.slice(0, 30));
+  if (!startDate && !endDate) parts.push(format(new Date(), "yyyy-MM-dd"));
+  return `${parts.join("_")}.${fileFormat}`;
+};
+
+const writeTable = async (columns, table, fileName, sheet, fileFormat) => {
+  if (fileFormat === EXPORT_FORMAT.XLSX) {
+    await writeXlsx(columns, table, fileName, sheet);
+  } else {
+    writeCsv(columns, table, fileName);
+  }
+};
+
+/**
+ * Export the inventory report rows currently loaded on the Inventory page
+ * (already filtered by date range, education level and search on the server).
+ *
+ * @param {Array} rows - Transformed inventory report rows (all pages)
+ * @param {Object} filters - { startDate, endDate, gradeLevel, searchQuery }
+ * @param {string} fileFormat - EXPORT_FORMAT.CSV | EXPORT_FORMAT.XLSX
+ * @returns {Promise<string>} Downloaded file name
+ */
+export const exportInventoryReport = async (rows, filters, fileFormat) => {
+  const levelLabel = EDUCATION_LEVEL_LABELS[filters.gradeLevel] || filters.gradeLevel || "";
+  const table = buildTable(
+    INVENTORY_COLUMNS,
+    rows,
+    `Total (${rows.length} item${rows.length !== 1 ? "s" : ""}, ${levelLabel})`,
+  );
+  const fileName = buildFileName("inventory-report", filters, fileFormat);
+  await writeTable(INVENTORY_COLUMNS, table, fileName, "Inventory Report", fileFormat);
+  return fileName;
+};
+
+/**
+ * Export the transactions currently listed on the Transactions tab
+ * (date range from the server, search and type filter applied on the page).
+ *
+ * @param {Array} transactions - Filtered transactions (all pages)
+ * @param {Object} filters - { startDate, endDate, searchQuery, transactionTypeFilter }
+ * @param {string} fileFormat - EXPORT_FORMAT.CSV | EXPORT_FORMAT.XLSX
+ * @returns {Promise<string>} Downloaded file name
+ */
+export const exportTransactions = async (transactions, filters, fileFormat) => {
+  const table = buildTable(
+    TRANSACTION_COLUMNS,
+    transactions,
+    `Total (${transactions.length} transaction${transactions.length !== 1 ? "s" : ""})`,
+  );
+  const prefix =
+    filters.transactionTypeFilter && filters.transactionTypeFilter !== "all"
+      ? `transactions-${filters.transactionTypeFilter}`
+      : "transactions";
+  const fileName = buildFileName(prefix, { ...filters, gradeLevel: null }, fileFormat);
+  await writeTable(TRANSACTION_COLUMNS, table, fileName, "Transactions", fileFormat);
+  return fileName;
+};
@@ -0,0 +1,159 @@
+/**
+ * Offline release store (IndexedDB) for the custodian claim counter.
+ *
+ * - "orders": releasable orders cached while online, keyed by order_number, so scans can be
+ *   looked up when the Wi‑Fi drops.
+ * - "releases": releases made while offline, synced later to PATCH /orders/:id/status.
+ *   Entry state is "pending" (waiting to sync) or "conflict" (order changed on the server).
+ *
+ * Every change to the release queue fires OFFLINE_QUEUE_EVENT on window so the station
+ * panel and the scanner stay in step.
+ */
+
+const DB_NAME = "claim-station";
+const DB_VERSION = 1;
+const ORDERS_STORE = "orders";
+const RELEASES_STORE = "releases";
+
+export const OFFLINE_QUEUE_EVENT = "offline-release-queue:changed";
+
+export const RELEASE_STATE = {
+  PENDING: "pending",
+  CONFLICT: "conflict",
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("Offline mode is not supported in this browser."));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ORDERS_STORE)) {
+          db.createObjectStore(ORDERS_STORE, { keyPath: "order_number" });
+        }
+        if (!db.objectStoreNames.contains(RELEASES_STORE)) {
+          db.createObjectStore(RELEASES_STORE, { keyPath: "orderId" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/** Run fn(store) in a transaction and resolve with the value of the last request */
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const notifyQueueChanged = () => {
+  window.dispatchEvent(new CustomEvent(OFFLINE_QUEUE_EVENT));
+};
+
+/**
+ * Replace the cached orders with a fresh list
+ * @param {Array<Object>} orders - Orders from GET /orders
+ * @returns {Promise<number>} Number of cached orders
+ */
+export const cacheOrders = async (orders) => {
+  const cachedAt = new Date().toISOString();
+  await withStore(ORDERS_STORE, "readwrite", (store) => {
+    store.clear();
+    orders.forEach((order) => {
+      if (order.order_number) store.put({ ...order, _cachedAt: cachedAt });
+    });
+    return null;
+  });
+  localStorage.setItem("claimStationCachedAt", cachedAt);
+  return orders.length;
+};
+
+/**
+ * @param {string} orderNumber
+ * @returns {Promise<Object|undefined>} Cached order
+ */
+export const getCachedOrder = (orderNumber) =>
+  withStore(ORDERS_STORE, "readonly", (store) => store.get(orderNumber));
+
+/** @returns {Promise<number>} Number of cached orders */
+export const countCachedOrders = () =>
+  withStore(ORDERS_STORE, "readonly", (store) => store.count());
+
+/** @returns {string|null} ISO time of the last successful cache refresh */
+export const getCachedAt = () => localStorage.getItem("claimStationCachedAt");
+
+/**
+ * Queue an offline release and mark the cached order as released so it cannot be
+ * released twice at this counter.
+ * @param {Object} order - Cached order being released
+ * @returns {Promise<Object>} Queue entry
+ */
+export const enqueueRelease = async (order) => {
+  const entry = {
+    orderId: order.id,
+    orderNumber: order.order_number,
+    studentName: order.student_name,
+    order,
+    // What the server said when cached; compared on sync to detect conflicts
+    baseStatus: order.status,
+    baseUpdatedAt: order.updated_at || null,
+    releasedAt: new Date().toISOString(),
+    state: RELEASE_STATE.PENDING,
+    conflictReason: null,
+    conflictOverridable: false,
+  };
+  await withStore(RELEASES_STORE, "readwrite", (store) => store.put(entry));
+  await withStore(ORDERS_STORE, "readwrite", (store) =>
+    store.put({ ...order, status: "claimed", claimed_date: entry.releasedAt }),
+  );
+  notifyQueueChanged();
+  return entry;
+};
+
+/** @returns {Promise<Array<Object>>} Queued releases, oldest first */
+export const getQueuedReleases = async () => {
+  const entries = (await withStore(RELEASES_STORE, "readonly", (store) => store.getAll())) || [];
+  return entries.sort((a, b) => a.releasedAt.localeCompare(b.releasedAt));
+};
+
+/**
+ * @param {string} orderId
+ * @param {Object} changes - Fields to merge into the entry
+ */
+export const updateQueuedRelease = async (orderId, changes) => {
+  const entry = await withStore(RELEASES_STORE, "readonly", (store) => store.get(orderId));
+  if (!entry) return;
+  await withStore(RELEASES_STORE, "readwrite", (store) => store.put({ ...entry, ...changes }));
+  notifyQueueChanged();
+};
+
+/** @param {string} orderId */
+export const removeQueuedRelease = async (orderId) => {
+  await withStore(RELEASES_STORE, "readwrite", (store) => store.delete(orderId));
+  notifyQueueChanged();
+};
+
+/**
+ * Whether an axios error means the server could not be reached (as opposed to an error response)
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export const isNetworkError = (err) =>
+  !navigator.onLine || (Boolean(err?.request) && !err?.response) || err?.code === "ERR_NETWORK";
@@ -0,0 +1,79 @@
+import { SIZE_MEASUREMENTS, getSizeMeasurements } from "../../utils/sizeMeasurements";
+
+const SIZE_RANK = Object.values(SIZE_MEASUREMENTS);
+
+/** XS → 2XL in shelf order; sizes outside the chart go last, alphabetically */
+const compareSizes = (a, b) => {
+  const rankA = SIZE_RANK.indexOf(getSizeMeasurements(a));
+  const rankB = SIZE_RANK.indexOf(getSizeMeasurements(b));
+  if (rankA !== rankB) {
+    if (rankA === -1) return 1;
+    if (rankB === -1) return -1;
+    return rankA - rankB;
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+/**
+ * Order items as an array (some API rows still return them as a JSON string)
+ * @param {Object} order - Raw order
+ * @returns {Array}
+ */
+export const getOrderItems = (order) => {
+  const items = order?.items;
+  if (typeof items === "string") {
+    try {
+      return JSON.parse(items);
+    } catch {
+      return [];
+    }
+  }
+  return Array.isArray(items) ? items : [];
+};
+
+/**
+ * Group the items of the selected orders into a warehouse pick list.
+ *
+ * @param {Array} orders - Raw orders from the API (order_number, student_name, items[])
+ * @returns {Array<{ name: string, educationLevel: string, sizes: Array<{ size: string, quantity: number, orderNumbers: string[] }>, quantity: number }>}
+ *   One entry per item (sorted by name), each with its sizes in shelf order
+ */
+export const buildPickList = (orders) => {
+  const itemMap = new Map();
+
+  (orders || []).forEach((order) => {
+    getOrderItems(order).forEach((item) => {
+      const name = (item.name || "Unknown Item").trim();
+      const educationLevel = item.education_level || order.education_level || "";
+      const size = (item.size || "N/A").trim();
+      const quantity = Number(item.quantity) || 1;
+
+      const itemKey = `${name.toLowerCase()}|${educationLevel.toLowerCase()}`;
+      if (!itemMap.has(itemKey)) {
+        itemMap.set(itemKey, { name, educationLevel, sizes: new Map(), quantity: 0 });
+      }
+      const entry = itemMap.get(itemKey);
+      entry.quantity += quantity;
+
+      const sizeKey = size.toLowerCase();
+      if (!entry.sizes.has(sizeKey)) {
+        entry.sizes.set(sizeKey, { size, quantity: 0, orderNumbers: [] });
+      }
+      const sizeEntry = entry.sizes.get(sizeKey);
+      sizeEntry.quantity += quantity;
+      if (order.order_number && !sizeEntry.orderNumbers.includes(order.order_number)) {
+        sizeEntry.orderNumbers.push(order.order_number);
+      }
+    });
+  });
+
+  return Array.from(itemMap.values())
+    .map((entry) => ({
+      ...entry,
+      sizes: Array.from(entry.sizes.values()).sort((a, b) => compareSizes(a.size, b.size)),
+    }))
+    .sort(
+      (a, b) =>
+        a.name.localeCompare(b.name) || a.educationLevel.localeCompare(b.educationLevel),
+    );
+};
@@ -3,6 +3,8 @@ import { Routes, Route, Navigate } from "react-router-dom";
 import ProtectedRoute from "../components/auth/ProtectedRoute";
 import AdminOutletLayout from "../property-custodian/components/layouts/AdminOutletLayout";
 import SystemAdminOutletLayout from "../system-admin/components/layouts/SystemAdminOutletLayout";
+import FinanceOutletLayout from "../finance/components/layouts/FinanceOutletLayout";
+import GuardianOutletLayout from "../guardian/components/layouts/GuardianOutletLayout";
 import MaintenanceBlock from "../components/auth/MaintenanceBlock";
 import StudentOnboardingGuard from "../components/auth/StudentOnboardingGuard";
 import LandingPage from "../pages/LandingPage";
@@ -13,10 +15,14 @@ import AuthCallback from "../pages/AuthCallback";
 import AdminDashboard from "../property-custodian/pages/AdminDashboard";
 import Items from "../property-custodian/pages/Items";
 import Inventory from "../property-custodian/pages/Inventory";
+import StockTake from "../property-custodian/pages/StockTake";
+import PurchaseOrders from "../property-custodian/pages/PurchaseOrders";
 import Orders from "../property-custodian/pages/Orders";
 import Settings from "../property-custodian/pages/Settings";
 import StudentList from "../property-custodian/pages/StudentList";
 import EligibilityManagement from "../property-custodian/pages/EligibilityManagement";
+import ApprovalQueue from "../property-custodian/pages/ApprovalQueue";
+import ExchangeRequests from "../property-custodian/pages/ExchangeRequests";
 
 // System Admin Pages
 import SystemAdminDashboard from "../system-admin/pages/SystemAdminDashboard";
@@ -24,6 +30,12 @@ import ItemApproval from "../system-admin/pages/ItemApproval";
 import SystemSettings from "../system-admin/pages/SystemSettings";
 import ArchiveUsers from "../system-admin/pages/ArchiveUsers";
 import RecentAudits from "../system-admin/pages/RecentAudits";
+import ContactInbox from "../system-admin/pages/ContactInbox";
+
+// Finance Pages
+import FinanceDashboard from "../finance/pages/FinanceDashboard";
+import UnitPriceSummary from "../finance/pages/UnitPriceSummary";
+import Reconciliation from "../finance/pages/Reconciliation";
 
 // Student Pages - lazy-loaded for smaller initial bundle
 const StudentDashboard = lazy(() => import("../student/pages/StudentDashboard"));
@@ -35,6 +47,9 @@ const StudentProfile = lazy(() => import("../student/pages/StudentProfile"));
 const StudentSettings = lazy(() => import("../student/pages/StudentSettings"));
 const OrderSuccessPage = lazy(() => import("../student/pages/OrderSuccessPage"));
 
+// Guardian Pages - lazy-loaded (shares the student order components)
+const GuardianDashboard = lazy(() => import("../guardian/pages/GuardianDashboard"));
+
 /**
  * Application Routes
  *
@@ -55,6 +70,10 @@ const PROPERTY_CUSTODIAN_ROLES = [
   "department_head",
 ];
 
+const FINANCE_ROLES = ["finance_staff"];
+
+const GUARDIAN_ROLES = ["guardian"];
+
 const AppRoutes = () => {
   return (
     <Suspense fallback={<RouteFallback />}>
@@ -84,6 +103,16 @@ const AppRoutes = () => {
           handle={{ noPadding: true }}
           element={<Inventory />}
         />
+        <Route
+          path="inventory/stock-take"
+          handle={{ noPadding: true }}
+          element={<StockTake />}
+        />
+        <Route
+          path="inventory/purchase-orders"
+          handle={{ noPadding: true }}
+          element={<PurchaseOrders />}
+        />
         <Route
           path="orders"
           handle={{ noPadding: true }}
@@ -92,6 +121,19 @@ const AppRoutes = () => {
         <Route path="settings" element={<Settings />} />
         <Route path="students" element={<StudentList />} />
         <Route path="eligibility" element={<EligibilityManagement />} />
+        <Route
+          path="exchanges"
+          handle={{ noPadding: true }}
+          element={<ExchangeRequests />}
+        />
+        <Route
+          path="approvals"
+          element={
+            <ProtectedRoute requiredRoles={["department_head"]}>
+              <ApprovalQueue />
+            </ProtectedRoute>
+          }
+        />
       </Route>
 
       {/* Legacy /admin → /property-custodian (same auth) */}
@@ -150,6 +192,33 @@ const AppRoutes = () => {
         <Route path="item-approval" element={<ItemApproval />} />
         <Route path="recent-audits" element={<RecentAudits />} />
         <Route path="settings" element={<SystemSettings />} />
+        <Route path="inbox" element={<ContactInbox />} />
+      </Route>
+
+      {/* Finance staff: one persistent layout + nested routes */}
+      <Route
+        path="/finance"
+        element={
+          <ProtectedRoute requiredRoles={FINANCE_ROLES}>
+            <FinanceOutletLayout />
+          </ProtectedRoute>
+        }
+      >
+        <Route index element={<FinanceDashboard />} />
+        <Route path="unit-prices" element={<UnitPriceSummary />} />
+        <Route path="reconciliation" element={<Reconciliation />} />
+      </Route>
+
+      {/* Guardians: one dashboard for every linked student */}
+      <Route
+        path="/guardian"
+        element={
+          <ProtectedRoute requiredRoles={GUARDIAN_ROLES}>
+            <GuardianOutletLayout />
+          </ProtectedRoute>
+        }
+      >
+        <Route index element={<GuardianDashboard />} />
       </Route>
 
       {/* Student Routes - Protected to student role and blocked during maintenance */}
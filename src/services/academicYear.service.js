@@ -0,0 +1,38 @@
+import api from "./api";
+
+/**
+ * Academic Year Service
+ *
+ * Handles API calls for school years. Orders, inventory, student order limits and
+ * reports are scoped to a year; the year-end rollover closes the current year.
+ */
+
+export const academicYearAPI = {
+  /**
+   * Get all school years, newest first
+   * @returns {Promise} API response with [{ id, label, start_date, end_date, status, is_current }]
+   */
+  getAcademicYears: async () => {
+    return api.get("/academic-years");
+  },
+
+  /**
+   * What a rollover of the year would do (stock carried forward, counters reset)
+   * @param {string} id - School year ID
+   * @returns {Promise} API response with { items, stock_units, students_with_orders, open_orders }
+   */
+  getRolloverPreview: async (id) => {
+    return api.get(`/system-admin/academic-years/${id}/rollover-preview`);
+  },
+
+  /**
+   * Year-end rollover: close the year, make the next year current, carry ending stock
+   * forward as its beginning inventory and reset per-student order counters
+   * @param {string} id - School year being closed
+   * @param {Object} nextYear - { label, start_date, end_date } of the year that starts
+   * @returns {Promise} API response with { closed, current }
+   */
+  rolloverAcademicYear: async (id, nextYear) => {
+    return api.post(`/system-admin/academic-years/${id}/rollover`, { next_year: nextYear });
+  },
+};
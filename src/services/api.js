@@ -1,5 +1,6 @@
 import axios from "axios";
 import { apiRateLimiter, authRateLimiter, writeRateLimiter } from "../utils/rateLimiter";
+import { getAcademicYearHeaders } from "../utils/academicYear";
 
 // Export API base URL for use in services that don't use axios
 // Dev: fallback to local backend if VITE_API_URL not set. Prod: warn if missing (set in deployment e.g. Vercel).
@@ -36,6 +37,9 @@ api.interceptors.request.use(
       config.headers.Authorization = `Bearer ${token}`;
     }
 
+    // Scope the request to the school year picked in the admin header (if any)
+    Object.assign(config.headers, getAcademicYearHeaders());
+
     // Check if we're still rate limited from backend
     if (isRateLimited && rateLimitResetTime) {
       const now = new Date();
@@ -164,18 +168,30 @@ export const contactAPI = {
   submitContact: async (contactData) => {
     return api.post("/contact", contactData);
   },
-  getContacts: async () => {
-    return api.get("/contact");
+  // params: { status, assignedTo, search }
+  getContacts: async (params = {}) => {
+    return api.get("/contact", { params });
   },
   getContactById: async (id) => {
     return api.get(`/contact/${id}`);
   },
+  // data: any of { status, assigned_to, is_read }
   updateContact: async (id, data) => {
     return api.put(`/contact/${id}`, data);
   },
   deleteContact: async (id) => {
     return api.delete(`/contact/${id}`);
   },
+  getUnreadCount: async () => {
+    return api.get("/contact/unread-count");
+  },
+  addContactNote: async (id, note) => {
+    return api.post(`/contact/${id}/notes`, { note });
+  },
+  // Emails the reply to the sender and records it on the message
+  replyToContact: async (id, { subject, message }) => {
+    return api.post(`/contact/${id}/reply`, { subject, message });
+  },
 };
 
 // Cart related API calls
@@ -238,6 +254,40 @@ export const orderAPI = {
   convertPreOrderToRegular: async (orderId) => {
     return api.post(`/orders/${orderId}/convert-pre-order`);
   },
+  // Mark several orders claimed in one request (batch claim). Each release is
+  // { order_id, picked_up_by }, as sent to PATCH /orders/:id/status; the answer is
+  // { results: [{ order_id, success, message }] }. Like PATCH /status it does not touch
+  // stock: the caller deducts it per released order (deductClaimedStock)
+  bulkClaimOrders: async (releases) => {
+    return api.post("/orders/bulk-claim", { releases });
+  },
+  // Department head decision on an out-of-policy order (decision: "approved" | "denied")
+  decideApproval: async (orderId, decision, comment = "") => {
+    return api.patch(`/orders/${orderId}/approval`, { decision, comment });
+  },
+  // Student's pre-order lines with first-come queue position and open restocks per item/size
+  getPreOrderWaitlist: async () => {
+    return api.get("/orders/pre-orders/waitlist");
+  },
+  // Backend-signed receipt for orders created before signing ({ qr_signature, qr_issued_at })
+  getReceiptSignature: async (orderId) => {
+    return api.post(`/orders/${orderId}/receipt-signature`);
+  },
+  // Signed receipts for many orders at once (claim slips), in one request:
+  // { signatures: [{ order_id, qr_signature, qr_issued_at }] }
+  getReceiptSignatures: async (orderIds) => {
+    return api.post("/orders/receipt-signatures", { order_ids: orderIds });
+  },
+  // Authorized pickup proxies; each comes back with its own signed pass (qr_signature, qr_issued_at)
+  getPickupProxies: async (orderId) => {
+    return api.get(`/orders/${orderId}/pickup-proxies`);
+  },
+  addPickupProxy: async (orderId, proxyData) => {
+    return api.post(`/orders/${orderId}/pickup-proxies`, proxyData);
+  },
+  revokePickupProxy: async (orderId, proxyId) => {
+    return api.delete(`/orders/${orderId}/pickup-proxies/${proxyId}`);
+  },
 };
 
 // Items related API calls
@@ -262,4 +312,39 @@ export const itemsAPI = {
   },
 };
 
+// Web Push subscriptions (one per device/browser)
+export const pushAPI = {
+  getPublicKey: async () => {
+    return api.get("/notifications/push/public-key");
+  },
+  subscribe: async (subscription, events) => {
+    return api.post("/notifications/push/subscriptions", { subscription, events });
+  },
+  unsubscribe: async (endpoint) => {
+    return api.delete("/notifications/push/subscriptions", { data: { endpoint } });
+  },
+};
+
+// Size exchange requests for claimed items
+export const exchangeAPI = {
+  // Student request; the backend checks stock for the new size and reserves it
+  createRequest: async (exchangeData) => {
+    return api.post("/exchanges", exchangeData);
+  },
+  getMyRequests: async () => {
+    return api.get("/exchanges/mine");
+  },
+  cancelRequest: async (id) => {
+    return api.post(`/exchanges/${id}/cancel`);
+  },
+  // Custodian queue (status: "pending" | "approved" | "rejected" | "cancelled")
+  getRequests: async (params = {}) => {
+    return api.get("/exchanges", { params });
+  },
+  // Approval posts a linked RETURN RECORDED / ITEM RELEASED pair; rejection frees the reservation
+  decide: async (id, decision, note = "") => {
+    return api.patch(`/exchanges/${id}/decision`, { decision, note });
+  },
+};
+
 export default api;
@@ -0,0 +1,75 @@
+import api from "./api";
+
+/**
+ * Guardian Service
+ *
+ * Handles API calls for guardian accounts linked to one or more students.
+ * A student creates a short-lived link code in Settings; the guardian enters it to link.
+ * Carts use cartAPI with the linked student's user ID. The backend checks the link on
+ * every call and applies the student's eligibility and max-quantity limits.
+ */
+
+export const guardianAPI = {
+  /**
+   * Get the students linked to the signed-in guardian
+   * @returns {Promise} API response with [{ id, name, email, student_number, education_level,
+   *   course_year_level, student_type, linked_at }]
+   */
+  getStudents: async () => {
+    return api.get("/guardian/students");
+  },
+
+  /**
+   * Link a student with the code they created
+   * @param {string} linkCode - Code from the student's Settings page
+   * @returns {Promise} API response with the linked student
+   */
+  linkStudent: async (linkCode) => {
+    return api.post("/guardian/students", { linkCode });
+  },
+
+  /**
+   * Unlink a student
+   * @param {string} studentId - Student user ID
+   * @returns {Promise} API response
+   */
+  unlinkStudent: async (studentId) => {
+    return api.delete(`/guardian/students/${studentId}`);
+  },
+
+  /**
+   * Get a linked student's order limits (same shape as GET /auth/max-quantities)
+   * @param {string} studentId - Student user ID
+   * @returns {Promise} API response
+   */
+  getStudentLimits: async (studentId) => {
+    return api.get(`/guardian/students/${studentId}/max-quantities`);
+  },
+
+  /**
+   * Get a linked student's orders (all statuses, newest first)
+   * @param {string} studentId - Student user ID
+   * @returns {Promise} API response
+   */
+  getStudentOrders: async (studentId) => {
+    return api.get(`/guardian/students/${studentId}/orders`);
+  },
+
+  /**
+   * Place the order for everything in a linked student's cart. Like student checkout, items
+   * out of stock go to a pre-order; the backend re-checks eligibility and limits.
+   * @param {string} studentId - Student user ID
+   * @returns {Promise} API response with the created orders
+   */
+  checkoutCart: async (studentId) => {
+    return api.post(`/guardian/students/${studentId}/checkout`);
+  },
+
+  /**
+   * Create a link code for the signed-in student (replaces any earlier code)
+   * @returns {Promise} API response with { code, expires_at }
+   */
+  createLinkCode: async () => {
+    return api.post("/guardian/link-codes");
+  },
+};
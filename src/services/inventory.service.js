@@ -1,3 +1,5 @@
+import { getAcademicYearHeaders } from "../utils/academicYear";
+
 const API_BASE_URL =
   import.meta.env.VITE_API_URL || "http://localhost:5000/api";
 
@@ -8,7 +10,7 @@ const API_BASE_URL =
 class InventoryService {
   /**
    * Get authorization header (matches other services)
-   * @returns {object} Headers with Authorization token (if available)
+   * @returns {object} Headers with Authorization token (if available) and the selected school year
    */
   getAuthHeaders() {
     const token = localStorage.getItem("authToken");
@@ -16,7 +18,7 @@ class InventoryService {
     if (token) {
       headers.Authorization = `Bearer ${token}`;
     }
-    return headers;
+    return { ...headers, ...getAcademicYearHeaders() };
   }
 
   /**
@@ -90,9 +92,12 @@ class InventoryService {
    * @param {number} quantity - Quantity to add
    * @param {string|null} size - Optional size/variant
    * @param {number|null} unitPrice - Optional unit price
+   * @param {Object|null} purchaseOrder - Optional PO being received against
+   *   ({ id, reference, lineId }); the backend adds the quantity to that PO line's
+   *   received total and tags the transaction with metadata.purchase_order_reference
    * @returns {Promise} Updated item data
    */
-  async addStock(itemId, quantity, size = null, unitPrice = null) {
+  async addStock(itemId, quantity, size = null, unitPrice = null, purchaseOrder = null) {
     try {
       const response = await fetch(
         `${API_BASE_URL}/items/${itemId}/add-stock`,
@@ -103,7 +108,18 @@ class InventoryService {
             ...this.getAuthHeaders(),
           },
           credentials: "include",
-          body: JSON.stringify({ quantity, size, unitPrice }),
+          body: JSON.stringify({
+            quantity,
+            size,
+            unitPrice,
+            ...(purchaseOrder
+              ? {
+                  purchaseOrderId: purchaseOrder.id,
+                  purchaseOrderReference: purchaseOrder.reference,
+                  purchaseOrderLineId: purchaseOrder.lineId,
+                }
+              : {}),
+          }),
         },
       );
 
@@ -0,0 +1,44 @@
+import api from "./api";
+
+/**
+ * Landing Content Service
+ *
+ * Handles API calls for the landing page content (carousel, featured uniforms,
+ * announcements and section text). Admins edit a draft and publish it; the public
+ * landing page only ever reads the published version.
+ */
+
+export const landingContentAPI = {
+  /**
+   * Get the published landing page content (public endpoint)
+   * @returns {Promise} API response with the content object, or null when nothing is published
+   */
+  getPublishedContent: async () => {
+    return api.get("/landing-content");
+  },
+
+  /**
+   * Get the draft and published content for editing
+   * @returns {Promise} API response with { draft, published, draft_updated_at, published_at, published_by }
+   */
+  getLandingContent: async () => {
+    return api.get("/system-admin/landing-content");
+  },
+
+  /**
+   * Save the draft (not visible on the landing page until published)
+   * @param {Object} content - Full landing content
+   * @returns {Promise} API response
+   */
+  saveDraft: async (content) => {
+    return api.put("/system-admin/landing-content/draft", { content });
+  },
+
+  /**
+   * Publish the saved draft to the landing page
+   * @returns {Promise} API response
+   */
+  publishDraft: async () => {
+    return api.post("/system-admin/landing-content/publish");
+  },
+};
@@ -0,0 +1,30 @@
+import api from "../api";
+
+/**
+ * API notification provider.
+ *
+ * Asks the backend to send a test message. The backend looks up the signed-in user's
+ * stored email / phone number and writes the message itself; the browser only names
+ * the channel. Used in production.
+ */
+const apiProvider = {
+  name: "api",
+
+  /**
+   * Send a test message to the signed-in user's saved contact
+   * @param {string} channel - "email" | "sms"
+   * @returns {Promise<{ id: string, provider: string }>}
+   */
+  async sendTest(channel) {
+    try {
+      const response = await api.post("/notifications/test", { channel });
+      return { id: response.data?.data?.id, provider: this.name };
+    } catch (error) {
+      throw new Error(
+        error.response?.data?.message || `Failed to send ${channel} test notification`,
+      );
+    }
+  },
+};
+
+export default apiProvider;
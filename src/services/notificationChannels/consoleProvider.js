@@ -0,0 +1,56 @@
+import { formatChannelMessage } from "../../utils/notificationPreferences";
+
+/**
+ * Console notification provider (development stand-in).
+ *
+ * Nothing leaves the browser: each test email/SMS is logged to the console and appended
+ * to a capped outbox in localStorage ("notification_outbox") so it can be inspected later.
+ */
+
+const OUTBOX_KEY = "notification_outbox";
+const OUTBOX_LIMIT = 50;
+
+// Same wording the backend uses for its test message
+const TEST_NOTIFICATION = {
+  title: "Test notification",
+  message: "This is a test. Order and restock updates will reach you here.",
+};
+
+const readOutbox = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_KEY) || "[]");
+  } catch {
+    return [];
+  }
+};
+
+const consoleProvider = {
+  name: "console",
+
+  /**
+   * "Send" a test message
+   * @param {string} channel - "email" | "sms"
+   * @returns {Promise<{ id: string, provider: string }>}
+   */
+  async sendTest(channel) {
+    const entry = {
+      id: `dev-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      sentAt: new Date().toISOString(),
+      channel,
+      event: "test",
+      ...formatChannelMessage(channel, TEST_NOTIFICATION),
+    };
+    console.info(`[notification:${channel}] test to the saved contact`, entry);
+    if (typeof window !== "undefined") {
+      localStorage.setItem(OUTBOX_KEY, JSON.stringify([entry, ...readOutbox()].slice(0, OUTBOX_LIMIT)));
+    }
+    return { id: entry.id, provider: this.name };
+  },
+
+  /** Messages "sent" so far, newest first */
+  getOutbox() {
+    return typeof window !== "undefined" ? readOutbox() : [];
+  },
+};
+
+export default consoleProvider;
@@ -0,0 +1,36 @@
+import apiProvider from "./apiProvider";
+import consoleProvider from "./consoleProvider";
+
+/**
+ * Notification Channels
+ *
+ * Test emails/SMS go through a provider with one method, sendTest(channel). The browser
+ * never picks the recipient or the text: the backend sends to the signed-in user's saved
+ * contact. Providers:
+ * - "api": the backend sends through its gateways
+ * - "console": development stand-in that logs to the console and a local outbox
+ *
+ * Pick one with VITE_NOTIFICATION_PROVIDER; development defaults to "console".
+ * To add a provider, implement sendTest() and register it in PROVIDERS.
+ */
+
+const PROVIDERS = {
+  [apiProvider.name]: apiProvider,
+  [consoleProvider.name]: consoleProvider,
+};
+
+/**
+ * Provider by name (unknown names fall back to the environment default)
+ * @param {string} [name]
+ * @returns {{ name: string, sendTest: Function }}
+ */
+export const getNotificationProvider = (
+  name = import.meta.env.VITE_NOTIFICATION_PROVIDER,
+) => PROVIDERS[name] || (import.meta.env.DEV ? consoleProvider : apiProvider);
+
+/**
+ * Send a test notification on one channel to the signed-in user's saved contact
+ * @param {string} channel - "email" | "sms"
+ * @returns {Promise<{ id: string, provider: string }>}
+ */
+export const sendTestNotification = (channel) => getNotificationProvider().sendTest(channel);
@@ -0,0 +1,61 @@
+import api from "./api";
+
+/**
+ * Pickup Slot Service
+ *
+ * Handles API calls for claim appointments. The property custodian sets the daily
+ * pickup slots (time window + capacity) once; the backend applies them to every
+ * school day and counts bookings per slot. Students book one slot per ready order.
+ */
+
+export const pickupSlotAPI = {
+  /**
+   * Get the daily slot template
+   * @returns {Promise} API response with { slots: [{ start_time, end_time, capacity }] }
+   */
+  getTemplate: async () => {
+    return api.get("/pickup-slots/template");
+  },
+
+  /**
+   * Replace the daily slot template (existing bookings keep their slot)
+   * @param {Array<{start_time: string, end_time: string, capacity: number}>} slots - "HH:mm" times
+   * @returns {Promise} API response
+   */
+  saveTemplate: async (slots) => {
+    return api.put("/pickup-slots/template", { slots });
+  },
+
+  /**
+   * Get slots for a date range with booked counts
+   * @param {Object} params
+   * @param {string} params.from - YYYY-MM-DD
+   * @param {string} params.to - YYYY-MM-DD
+   * @param {boolean} [params.includeBookings] - Include the booked orders per slot (custodian)
+   * @returns {Promise} API response with [{ id, date, start_time, end_time, capacity, booked_count, bookings? }]
+   */
+  getSlots: async ({ from, to, includeBookings = false }) => {
+    return api.get("/pickup-slots", {
+      params: { from, to, ...(includeBookings ? { includeBookings: true } : {}) },
+    });
+  },
+
+  /**
+   * Book (or move) an order's pickup slot; fails when the slot is full
+   * @param {string} orderId - Order UUID
+   * @param {string} slotId - Slot ID
+   * @returns {Promise} API response with the booked slot
+   */
+  bookSlot: async (orderId, slotId) => {
+    return api.post(`/orders/${orderId}/pickup-slot`, { slotId });
+  },
+
+  /**
+   * Cancel an order's pickup booking
+   * @param {string} orderId - Order UUID
+   * @returns {Promise} API response
+   */
+  cancelBooking: async (orderId) => {
+    return api.delete(`/orders/${orderId}/pickup-slot`);
+  },
+};
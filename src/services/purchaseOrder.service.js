@@ -0,0 +1,123 @@
+import { getAcademicYearHeaders } from "../utils/academicYear";
+
+const API_BASE_URL =
+  import.meta.env.VITE_API_URL || "http://localhost:5000/api";
+
+/**
+ * Purchase Order Service
+ * Handles API calls for supplier purchase orders (POs).
+ *
+ * A PO records what was ordered from a supplier per item and size. Goods are
+ * received against it through inventoryService.addStock (with the PO reference),
+ * which updates each line's received quantity, so partial deliveries are tracked
+ * until every line is complete.
+ */
+class PurchaseOrderService {
+  /**
+   * Get authorization header (matches other services)
+   * @returns {object} Headers with Authorization token (if available) and the selected school year
+   */
+  getAuthHeaders() {
+    const token = localStorage.getItem("authToken");
+    const headers = {};
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    return { ...headers, ...getAcademicYearHeaders() };
+  }
+
+  /**
+   * Send a request to the purchase-order API
+   * @param {string} path - Path under /purchase-orders
+   * @param {string} method - HTTP method
+   * @param {Object|null} body - JSON body
+   * @param {string} fallbackMessage - Error message when the server sends none
+   * @returns {Promise} Parsed JSON response
+   */
+  async request(path, method, body, fallbackMessage) {
+    const response = await fetch(`${API_BASE_URL}/purchase-orders${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...this.getAuthHeaders(),
+      },
+      credentials: "include",
+      cache: "no-store",
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || fallbackMessage);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Get purchase orders
+   * @param {Object} filters - { status: "outstanding" | "received" | "cancelled" | "all", limit }
+   * @returns {Promise} { success, data: purchaseOrder[] } each with lines[] and receipts[]
+   */
+  async getPurchaseOrders(filters = {}) {
+    try {
+      const params = new URLSearchParams();
+      if (filters.status && filters.status !== "all") {
+        params.append("status", filters.status);
+      }
+      if (filters.limit) params.append("limit", filters.limit);
+      const query = params.toString();
+      return await this.request(
+        query ? `?${query}` : "",
+        "GET",
+        null,
+        "Failed to load purchase orders",
+      );
+    } catch (error) {
+      console.error("Get purchase orders error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a purchase order
+   * @param {Object} purchaseOrder - { supplierName, supplierContact, expectedDate, notes,
+   *   lines: [{ itemId, itemName, educationLevel, size, quantityOrdered, unitCost }] }
+   * @returns {Promise} { success, data: purchaseOrder } with reference (e.g. PO-2025-0012)
+   */
+  async createPurchaseOrder(purchaseOrder) {
+    try {
+      return await this.request(
+        "",
+        "POST",
+        purchaseOrder,
+        "Failed to create purchase order",
+      );
+    } catch (error) {
+      console.error("Create purchase order error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a purchase order. Goods already received stay in stock.
+   * @param {string} purchaseOrderId - PO ID
+   * @param {string} reason - Why the PO is cancelled
+   * @returns {Promise} { success }
+   */
+  async cancelPurchaseOrder(purchaseOrderId, reason = "") {
+    try {
+      return await this.request(
+        `/${purchaseOrderId}/cancel`,
+        "POST",
+        { reason },
+        "Failed to cancel purchase order",
+      );
+    } catch (error) {
+      console.error("Cancel purchase order error:", error);
+      throw error;
+    }
+  }
+}
+
+export default new PurchaseOrderService();
@@ -0,0 +1,39 @@
+import api from "./api";
+
+/**
+ * School Calendar Service
+ *
+ * Handles API calls for the school's non-working dates (holidays and class suspensions).
+ * These dates do not count toward the QR claim window or the backend auto-void.
+ */
+
+export const schoolCalendarAPI = {
+  /**
+   * Get all non-working dates
+   * @returns {Promise} API response with [{ id, date, label, type }]
+   */
+  getNonWorkingDates: async () => {
+    return api.get("/system-admin/school-calendar");
+  },
+
+  /**
+   * Add a non-working date
+   * @param {Object} entry - Calendar entry
+   * @param {string} entry.date - Date in YYYY-MM-DD format
+   * @param {string} entry.label - Name shown to admins (e.g. "Independence Day")
+   * @param {string} entry.type - "holiday" or "suspension"
+   * @returns {Promise} API response
+   */
+  addNonWorkingDate: async (entry) => {
+    return api.post("/system-admin/school-calendar", entry);
+  },
+
+  /**
+   * Remove a non-working date
+   * @param {string} id - Calendar entry ID
+   * @returns {Promise} API response
+   */
+  removeNonWorkingDate: async (id) => {
+    return api.delete(`/system-admin/school-calendar/${id}`);
+  },
+};
@@ -0,0 +1,163 @@
+import { getAcademicYearHeaders } from "../utils/academicYear";
+
+const API_BASE_URL =
+  import.meta.env.VITE_API_URL || "http://localhost:5000/api";
+
+/**
+ * Stock Take Service
+ * Handles API calls for physical count (stock-take) sessions.
+ *
+ * A session snapshots system stock per item and size when it is started. Counted
+ * quantities are saved as the custodian goes; posting turns the approved variances
+ * into one batch of adjustment transactions tagged with the session reference.
+ */
+class StockTakeService {
+  /**
+   * Get authorization header (matches other services)
+   * @returns {object} Headers with Authorization token (if available) and the selected school year
+   */
+  getAuthHeaders() {
+    const token = localStorage.getItem("authToken");
+    const headers = {};
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    return { ...headers, ...getAcademicYearHeaders() };
+  }
+
+  /**
+   * Send a request to the stock-take API
+   * @param {string} path - Path under /stock-takes
+   * @param {string} method - HTTP method
+   * @param {Object|null} body - JSON body
+   * @param {string} fallbackMessage - Error message when the server sends none
+   * @returns {Promise} Parsed JSON response
+   */
+  async request(path, method, body, fallbackMessage) {
+    const response = await fetch(`${API_BASE_URL}/stock-takes${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...this.getAuthHeaders(),
+      },
+      credentials: "include",
+      cache: "no-store",
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || fallbackMessage);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Get the open (in-progress) stock-take session, if any
+   * @returns {Promise} { success, data: session | null }
+   */
+  async getActiveSession() {
+    try {
+      return await this.request("/active", "GET", null, "Failed to load stock take");
+    } catch (error) {
+      console.error("Get active stock take error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get recent stock-take sessions (posted and cancelled)
+   * @param {number} limit - Number of sessions
+   * @returns {Promise} { success, data: session[] }
+   */
+  async getRecentSessions(limit = 5) {
+    try {
+      return await this.request(`?limit=${limit}`, "GET", null, "Failed to load stock takes");
+    } catch (error) {
+      console.error("Get stock takes error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a stock-take session; the backend snapshots system stock per item and size
+   * @param {Object} options - { educationLevel (null for all), notes }
+   * @returns {Promise} { success, data: session } with reference (e.g. ST-2025-0003) and lines
+   */
+  async startSession({ educationLevel = null, notes = "" } = {}) {
+    try {
+      return await this.request(
+        "",
+        "POST",
+        { educationLevel, notes },
+        "Failed to start stock take",
+      );
+    } catch (error) {
+      console.error("Start stock take error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save counted quantities
+   * @param {string} sessionId - Session ID
+   * @param {Array<{ lineId: string, countedQuantity: number|null }>} counts - Changed lines
+   * @returns {Promise} { success }
+   */
+  async saveCounts(sessionId, counts) {
+    try {
+      return await this.request(
+        `/${sessionId}/counts`,
+        "PATCH",
+        { counts },
+        "Failed to save counts",
+      );
+    } catch (error) {
+      console.error("Save stock take counts error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Post the approved variances as one batch of adjustment transactions
+   * (action "STOCK TAKE ADJUSTMENT", metadata.stock_take_reference = session reference)
+   * @param {string} sessionId - Session ID
+   * @param {Array<string>} approvedLineIds - Lines whose variance should be posted
+   * @returns {Promise} { success, data: { reference, posted, totalVariance } }
+   */
+  async postSession(sessionId, approvedLineIds) {
+    try {
+      return await this.request(
+        `/${sessionId}/post`,
+        "POST",
+        { approvedLineIds },
+        "Failed to post stock take",
+      );
+    } catch (error) {
+      console.error("Post stock take error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an open session without posting anything
+   * @param {string} sessionId - Session ID
+   * @returns {Promise} { success }
+   */
+  async cancelSession(sessionId) {
+    try {
+      return await this.request(
+        `/${sessionId}/cancel`,
+        "POST",
+        null,
+        "Failed to cancel stock take",
+      );
+    } catch (error) {
+      console.error("Cancel stock take error:", error);
+      throw error;
+    }
+  }
+}
+
+export default new StockTakeService();
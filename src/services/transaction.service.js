@@ -1,4 +1,5 @@
 import { API_BASE_URL } from "./api";
+import { getAcademicYearHeaders } from "../utils/academicYear";
 
 /**
  * Transaction Service
@@ -8,9 +9,10 @@ import { API_BASE_URL } from "./api";
 class TransactionService {
   /**
    * Get authorization header
-   * @returns {object} Headers with Authorization token
+   * @param {object} [yearOptions] - Passed to getAcademicYearHeaders (allYears)
+   * @returns {object} Headers with Authorization token and the selected school year
    */
-  getAuthHeaders() {
+  getAuthHeaders(yearOptions) {
     const token = localStorage.getItem("authToken");
     const headers = {
       "Content-Type": "application/json",
@@ -18,7 +20,7 @@ class TransactionService {
     if (token) {
       headers.Authorization = `Bearer ${token}`;
     }
-    return headers;
+    return { ...headers, ...getAcademicYearHeaders(yearOptions) };
   }
 
   /**
@@ -32,6 +34,7 @@ class TransactionService {
    * @param {Date} filters.endDate - End date for date range
    * @param {number} filters.limit - Maximum number of results
    * @param {number} filters.offset - Offset for pagination
+   * @param {boolean} filters.allYears - Ignore the selected school year; startDate/endDate alone limit the range
    * @returns {Promise} Transactions list
    */
   async getTransactions(filters = {}) {
@@ -61,7 +64,7 @@ class TransactionService {
       const url = `${API_BASE_URL}/transactions${queryParams.toString() ? `?${queryParams.toString()}` : ""}`;
       // console.log("[TransactionService] 📡 Making API call to:", url);
 
-      const headers = this.getAuthHeaders();
+      const headers = this.getAuthHeaders({ allYears: filters.allYears });
       // console.log("[TransactionService] 🔐 Auth headers:", {
       //   hasAuth: !!headers.Authorization,
       //   authPrefix: headers.Authorization?.substring(0, 20) + "...",
@@ -104,6 +104,36 @@ const userAPI = {
       updateData,
     });
   },
+
+  /**
+   * Promote students to the next grade level for a new school year.
+   * The backend deactivates graduates and records the change in the audit log.
+   * @param {string} academicYear - School year the promotion is for (e.g. "2027-2028")
+   * @param {Array<Object>} changes - [{ student_id, outcome, from_level, to_level, education_level }]
+   * @returns {Promise} API response with { promoted, repeated, graduated }
+   */
+  promoteStudents: (academicYear, changes) => {
+    return api.post("/system-admin/students/promote", {
+      academic_year: academicYear,
+      changes,
+    });
+  },
+
+  /**
+   * Bulk-create students from an import file, in one batch.
+   * With dryRun nothing is saved; the response lists rows that would fail
+   * (e.g. student number or email already registered).
+   * @param {Array<Object>} students - [{ row, ...student fields as for createUser }]
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false]
+   * @returns {Promise} API response with { created, errors: [{ row, errors: string[] }] }
+   */
+  importStudents: (students, { dryRun = false } = {}) => {
+    return api.post("/system-admin/students/import", {
+      students,
+      dry_run: dryRun,
+    });
+  },
 };
 
 export { userAPI };
@@ -11,18 +11,45 @@ import { useNavigate, useLocation } from "react-router-dom";
 import { useOrder } from "../../../context/OrderContext";
 import { useAuth } from "../../../context/AuthContext";
 import { useSocket } from "../../../context/SocketContext";
+import { useLanguage } from "../../../context/LanguageContext";
 import QRCode from "react-qr-code";
-import { generateOrderReceiptQRData, getRemainingValidityDays, QR_VALID_DAYS } from "../../../utils/qrCodeGenerator";
+import {
+  generateOrderReceiptQRData,
+  parseOrderReceiptQRData,
+  getRemainingValidityDays,
+  getValidityEndDate,
+  QR_VALID_DAYS,
+} from "../../../utils/qrCodeGenerator";
+import { useSchoolCalendar } from "../../../hooks/useSchoolCalendar";
 import { useSocketOrderUpdates } from "../../hooks/orders/useSocketOrderUpdates";
+import { usePreOrderWaitlist } from "../../hooks/orders/usePreOrderWaitlist";
 import { orderAPI, itemsAPI, authAPI, API_BASE_URL } from "../../../services/api";
 import { useCart } from "../../../context/CartContext";
 import { resolveItemKeyForMaxQuantity, getDefaultMaxForItem } from "../../../utils/maxQuantityKeys";
 import { getDisplayPriceForFreeItem } from "../../../utils/freeItemDisplayPrice";
+import {
+  ORDER_AWAITING_APPROVAL_STATUS,
+  APPROVAL_STATUS,
+  hasApprovalHistory,
+} from "../../../utils/orderLimitPolicy";
 import ProductCard from "../Products/ProductCard";
 import OrderDetailsModal from "./OrderDetailsModal";
+import OrderApprovalTimeline from "./OrderApprovalTimeline";
+import PreOrderQueuePosition from "./PreOrderQueuePosition";
+import PickupSlotPicker from "./PickupSlotPicker";
+import PickupProxySection from "./PickupProxySection";
+import { formatSlotDate, formatSlotRange } from "../../../utils/pickupSlots";
 import { useItems } from "../../../property-custodian/hooks/items/useItems";
 import { categoryFromItemType } from "../../constants/studentProducts";
 
+/** Out-of-policy order still waiting for the department head */
+const isAwaitingApproval = (order) =>
+  order?.status === ORDER_AWAITING_APPROVAL_STATUS;
+
+/** Out-of-policy order the department head denied (kept in Orders so the decision is visible) */
+const isApprovalDenied = (order) =>
+  (order?.approvalStatus || order?._original?.approval_status) === APPROVAL_STATUS.DENIED;
+
 /**
  * Helper function to download SVG as PNG
  */
@@ -87,6 +114,9 @@ const QRCodeModal = ({ order, onClose, profileData }) => {
   const [qrError, setQrError] = React.useState(null);
   const [qrValidDays, setQrValidDays] = React.useState(QR_VALID_DAYS);
   const { on, off, isConnected } = useSocket();
+  const { t, formatDate } = useLanguage();
+  // Holidays/suspensions from the school calendar do not count toward validity
+  useSchoolCalendar();
 
   // Validity period in weekdays (Mon–Fri) from config or default
   React.useEffect(() => {
@@ -99,6 +129,35 @@ const QRCodeModal = ({ order, onClose, profileData }) => {
       .catch(() => {});
     return () => { cancelled = true; };
   }, []);
+
+  // Backend signature for the receipt; older orders without one get it signed on open
+  const [receiptSignature, setReceiptSignature] = React.useState(() => {
+    const raw = order?._original || order;
+    return raw?.qr_signature
+      ? { qr_signature: raw.qr_signature, qr_issued_at: raw.qr_issued_at }
+      : null;
+  });
+  React.useEffect(() => {
+    const orderId = order?._original?.id || order?.id;
+    if (receiptSignature || !orderId) return;
+    let cancelled = false;
+    orderAPI
+      .getReceiptSignature(orderId)
+      .then((response) => {
+        if (cancelled) return;
+        if (response.data?.success && response.data.data?.qr_signature) {
+          setReceiptSignature(response.data.data);
+        } else {
+          console.error("Receipt signature missing from response:", response.data?.message);
+          setQrError("Could not load a verified QR code. Please try again later.");
+        }
+      })
+      .catch((err) => {
+        console.error("Failed to get receipt signature:", err);
+        if (!cancelled) setQrError("Could not load a verified QR code. Please try again later.");
+      });
+    return () => { cancelled = true; };
+  }, [order, receiptSignature]);
   const qrContainerRef = React.useRef(null);
   const pollingIntervalRef = React.useRef(null);
   const hasClosedRef = React.useRef(false);
@@ -408,6 +467,8 @@ const QRCodeModal = ({ order, onClose, profileData }) => {
     status: order.status || "pending",
     qrIssuedAt: issuedAt,
     qrValidDays,
+    qrSignature: receiptSignature?.qr_signature,
+    qrSignedAt: receiptSignature?.qr_issued_at,
   };
 
   let qrData;
@@ -429,14 +490,12 @@ const QRCodeModal = ({ order, onClose, profileData }) => {
   // Remaining validity in weekdays (Mon–Fri)
   let remainingDays = null;
   if (!qrError && qrData) {
-    try {
-      const parsed = JSON.parse(qrData);
-      if (parsed?.qrIssuedAt != null) {
-        const validDays =
-          typeof parsed.qrValidDays === "number" ? parsed.qrValidDays : qrValidDays;
-        remainingDays = getRemainingValidityDays(parsed.qrIssuedAt, validDays);
-      }
-    } catch (_) {}
+    const parsed = parseOrderReceiptQRData(qrData);
+    if (parsed?.qrIssuedAt != null) {
+      const validDays =
+        typeof parsed.qrValidDays === "number" ? parsed.qrValidDays : qrValidDays;
+      remainingDays = getRemainingValidityDays(parsed.qrIssuedAt, validDays);
+    }
   }
 
   // Hide validity info once the order has been claimed/completed
@@ -491,7 +550,7 @@ const QRCodeModal = ({ order, onClose, profileData }) => {
             <span className="text-xs sm:text-sm font-semibold">
               <span className="text-[#F28C28]">({courseYearLevel}</span>
               <span className="text-gray-400"> | </span>
-              <span className="text-[#F28C28]">Student)</span>
+              <span className="text-[#F28C28]">{t("qr.student")})</span>
             </span>
           </h3>
         </div>
@@ -507,7 +566,7 @@ const QRCodeModal = ({ order, onClose, profileData }) => {
               <div className="text-center p-4 w-[180px] h-[180px] sm:w-[220px] sm:h-[220px] md:w-[256px] md:h-[256px] flex items-center justify-center">
                 <div>
                   <p className="text-red-500 font-semibold mb-2 text-sm sm:text-base">
-                    QR Code Error
+                    {t("qr.error")}
                   </p>
                   <p className="text-xs sm:text-sm text-gray-600">{qrError}</p>
                 </div>
@@ -516,13 +575,17 @@ const QRCodeModal = ({ order, onClose, profileData }) => {
               <div className="text-center p-4 w-[180px] h-[180px] sm:w-[220px] sm:h-[220px] md:w-[256px] md:h-[256px] flex items-center justify-center">
                 <div>
                   <p className="text-red-500 font-semibold mb-2 text-sm sm:text-base">
-                    QR Code Expired
+                    {t("qr.expiredTitle")}
                   </p>
                   <p className="text-xs sm:text-sm text-gray-600">
-                    Please place a new order to get a new QR code.
+                    {t("qr.expiredBody")}
                   </p>
                 </div>
               </div>
+            ) : !receiptSignature ? (
+              <div className="text-center p-4 w-[180px] h-[180px] sm:w-[220px] sm:h-[220px] md:w-[256px] md:h-[256px] flex items-center justify-center">
+                <p className="text-xs sm:text-sm text-gray-600">{t("qr.preparing")}</p>
+              </div>
             ) : (
               <QRCode
                 value={qrData}
@@ -547,7 +610,7 @@ const QRCodeModal = ({ order, onClose, profileData }) => {
             onClick={() => window.print()}
             className="flex-1 py-2 px-3 sm:px-4 text-xs sm:text-sm bg-white border-2 border-[#003363] text-[#003363] rounded-full font-semibold hover:bg-gray-50 transition-colors"
           >
-            Print QR
+            {t("qr.print")}
           </button>
           <button
             onClick={() => {
@@ -627,7 +690,7 @@ const QRCodeModal = ({ order, onClose, profileData }) => {
             }}
             className="flex-1 py-2 px-3 sm:px-4 text-xs sm:text-sm bg-white border-2 border-[#003363] text-[#003363] rounded-full font-semibold hover:bg-gray-50 transition-colors"
           >
-            Download QR
+            {t("qr.download")}
           </button>
         </div>
 
@@ -639,57 +702,44 @@ const QRCodeModal = ({ order, onClose, profileData }) => {
                 className="text-base sm:text-lg font-semibold italic"
                 style={{ color: "rgba(241, 0, 0, 0.6)" }}
               >
-                Expires in ({remainingDays}) days
+                {t("qr.expiresIn", { count: remainingDays })}
               </span>
             ) : (
               <span className="text-base sm:text-lg font-semibold text-red-600">
-                Expired
+                {t("qr.expired")}
               </span>
             )}
           </div>
         )}
 
+        {/* Authorized pickup proxies (parents/guardians with their own pass) */}
+        {!isOrderClaimed && receiptSignature && !(remainingDays != null && remainingDays < 0) && (
+          <PickupProxySection order={order} onDownloadPass={downloadSVGAsPNG} />
+        )}
+
         {/* Disclaimer */}
         <div className="bg-red-50 border-l-4 border-red-500 p-3 sm:p-4 rounded">
           <p className="text-red-600 font-bold text-xs sm:text-sm mb-2">
-            Disclaimer:
+            {t("qr.disclaimer")}
           </p>
           <p
             className="text-[10px] sm:text-xs leading-relaxed"
             style={{ color: "rgba(241, 0, 0, 0.6)" }}
           >
-            This QR code is valid only until{" "}
+            {t("qr.validUntil")}{" "}
             <span className="font-semibold" style={{ color: "rgba(241, 0, 0, 0.6)" }}>
-              {(() => {
-                try {
-                  const issued = new Date(issuedAt);
-                  let weekdaysLeft = qrValidDays;
-                  const d = new Date(issued);
-                  while (weekdaysLeft > 0) {
-                    d.setDate(d.getDate() + 1);
-                    const day = d.getDay();
-                    if (day >= 1 && day <= 5) weekdaysLeft--;
-                  }
-                  return d.toLocaleDateString("en-US", {
-                    month: "long",
-                    day: "numeric",
-                    year: "numeric",
-                  });
-                } catch (_) {
-                  return "N/A";
-                }
-              })()}
+              {formatDate(getValidityEndDate(issuedAt, qrValidDays)) || "N/A"}
             </span>{" "}
-            for claiming{" "}
+            {t("qr.forClaiming")}{" "}
             <span className="font-semibold" style={{ color: "#007AFF" }}>
-              Order #{minimalQRData.orderNumber} — {itemNames} ({courseYearLevel})
+              {t("qr.orderLabel", { orderNumber: minimalQRData.orderNumber })} — {itemNames} ({courseYearLevel})
             </span>
-            , <span className="font-semibold" style={{ color: "#007AFF" }}>issued to student</span>{" "}
+            , <span className="font-semibold" style={{ color: "#007AFF" }}>{t("qr.issuedTo")}</span>{" "}
             <span className="font-semibold" style={{ color: "#007AFF" }}>
               {minimalQRData.studentId}
             </span>
             .{" "}
-            Any attempt to use this code for other orders, items, or by other individuals will be considered invalid.
+            {t("qr.invalidUse")} {t("qr.proxiesNote")}
           </p>
         </div>
       </div>
@@ -723,6 +773,9 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
 
   const { orders, loading, error, fetchOrders } = useOrder();
   const { user } = useAuth();
+  const { t, formatCurrency } = useLanguage();
+  // Re-render the "expires in N days" badges once holidays/suspensions are loaded
+  useSchoolCalendar();
 
   // State for fetching all products (same as AllProducts) - declare early to avoid hoisting issues
   const [userEducationLevel, setUserEducationLevel] = useState(null);
@@ -766,6 +819,9 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
   const [convertingOrders, setConvertingOrders] = useState({}); // { orderId: boolean }
   const [cancellingOrders, setCancellingOrders] = useState({}); // { orderId: boolean }
   const [orderToCancel, setOrderToCancel] = useState(null); // order for cancel confirmation
+  const [pickupSlotOrder, setPickupSlotOrder] = useState(null); // order whose pickup time is being booked
+  // Queue position per pre-order item and size; refreshed live on items:restocked
+  const { getEntry: getWaitlistEntry } = usePreOrderWaitlist(activeCategory === "preOrders");
   const [maxQuantities, setMaxQuantities] = useState({});
   const [alreadyOrdered, setAlreadyOrdered] = useState({});
   const [claimedItems, setClaimedItems] = useState({});
@@ -914,7 +970,9 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
           (order.status === "pending" ||
             order.status === "processing" ||
             order.status === "ready" ||
-            order.status === "payment_pending")
+            order.status === "payment_pending" ||
+            isAwaitingApproval(order) ||
+            isApprovalDenied(order))
       ).length,
       claimed: safeOrders.filter(
         (order) =>
@@ -1201,7 +1259,9 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
             (order.status === "pending" ||
               order.status === "processing" ||
               order.status === "ready" ||
-              order.status === "payment_pending")
+              order.status === "payment_pending" ||
+              isAwaitingApproval(order) ||
+              isApprovalDenied(order))
         );
         break;
       case "claimed":
@@ -1288,16 +1348,16 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
 
   // Get dynamic title based on active category (Order History when variant=history)
   const getCategoryTitle = () => {
-    if (isHistoryView) return { first: "Order", second: "History" };
+    if (isHistoryView) return t("orders.categoryTitle.history");
     switch (activeCategory) {
       case "preOrders":
-        return { first: "Pre", second: "Orders" };
+        return t("orders.categoryTitle.preOrders");
       case "orders":
-        return { first: "Order", second: "Items" };
+        return t("orders.categoryTitle.orders");
       case "claimed":
-        return { first: "Claimed", second: "Orders" };
+        return t("orders.categoryTitle.claimed");
       default:
-        return { first: "Order", second: "Items" };
+        return t("orders.categoryTitle.orders");
     }
   };
 
@@ -1306,24 +1366,21 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
     switch (activeCategory) {
       case "preOrders":
         return {
-          title: "Pre-Orders",
-          message:
-            "Your pre-order is now on process. Check your notification for more updates.",
+          title: t("orders.tooltip.preOrdersTitle"),
+          message: t("orders.tooltip.preOrdersMessage"),
           background: "#9FCDFF",
         };
       case "orders":
         return {
-          title: "Orders",
-          message:
-            "Your orders are now ready for claiming. Please have your QR code prepared for verification during the claiming process.",
+          title: t("orders.tooltip.ordersTitle"),
+          message: t("orders.tooltip.ordersMessage"),
           background: "#F3BC62",
         };
       case "claimed":
       default:
         return {
-          title: "Claimed Orders",
-          message:
-            "Your orders are now complete. Digital receipts are now available in your order history.",
+          title: t("orders.tooltip.claimedTitle"),
+          message: t("orders.tooltip.claimedMessage"),
           background: "#9AE799",
         };
     }
@@ -1751,7 +1808,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
   if (error) {
     return (
       <div className="text-center text-red-500 py-16">
-        <p className="text-lg font-semibold">Error loading orders</p>
+        <p className="text-lg font-semibold">{t("orders.errorLoading")}</p>
         <p className="text-sm mt-2">{error}</p>
       </div>
     );
@@ -1761,8 +1818,8 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
   if (!safeOrders || !Array.isArray(safeOrders)) {
     return (
       <div className="text-center text-gray-500 py-16">
-        <p className="text-lg font-semibold">No orders data available</p>
-        <p className="text-sm mt-2">Please try refreshing the page</p>
+        <p className="text-lg font-semibold">{t("orders.noData")}</p>
+        <p className="text-sm mt-2">{t("orders.tryRefreshing")}</p>
       </div>
     );
   }
@@ -1773,8 +1830,8 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
       <div className="space-y-6 sm:space-y-8 md:space-y-10 lg:space-y-12">
         {/* Title */}
         <h2 className="text-xl sm:text-2xl md:text-3xl lg:text-4xl font-bold">
-          <span className="text-[#003363]">My </span>
-          <span className="text-[#F28C28]">Orders</span>
+          <span className="text-[#003363]">{t("orders.titleFirst")} </span>
+          <span className="text-[#F28C28]">{t("orders.titleSecond")}</span>
         </h2>
 
         {/* Category Buttons */}
@@ -1782,21 +1839,21 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
           <CategoryButton
             category="preOrders"
             icon={FileText}
-            label="Pre-Orders"
+            label={t("orders.preOrders")}
             count={counts.preOrders}
             onClick={() => handleCategoryClick("preOrders")}
           />
           <CategoryButton
             category="orders"
             icon={ShoppingCart}
-            label="Orders"
+            label={t("orders.orders")}
             count={counts.orders}
             onClick={() => handleCategoryClick("orders")}
           />
           <CategoryButton
             category="claimed"
             icon={CheckCircle}
-            label="Claimed"
+            label={t("orders.claimed")}
             count={counts.claimed}
             onClick={() => handleCategoryClick("claimed")}
           />
@@ -1807,14 +1864,14 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
           <div className="bg-gray-50 rounded-lg sm:rounded-xl md:rounded-2xl p-3 sm:p-4 md:p-6 lg:p-8">
             <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 sm:gap-3 md:gap-4 mb-3 sm:mb-4 md:mb-5 lg:mb-6">
               <h3 className="text-lg sm:text-xl md:text-2xl font-bold">
-                <span className="text-gray-700">Suggested </span>
-                <span className="text-[#F28C28]">For You</span>
+                <span className="text-gray-700">{t("orders.suggestedFirst")} </span>
+                <span className="text-[#F28C28]">{t("orders.suggestedSecond")}</span>
               </h3>
               <button
                 onClick={() => navigate("/all-products")}
                 className="flex items-center gap-1.5 sm:gap-2 text-[#F28C28] hover:text-[#d97a1f] font-semibold transition-colors text-xs sm:text-sm md:text-base self-start sm:self-auto"
               >
-                <span className="whitespace-nowrap">Explore More Products</span>
+                <span className="whitespace-nowrap">{t("orders.exploreMore")}</span>
                 <ChevronRight className="w-3.5 h-3.5 sm:w-4 sm:h-4 md:w-5 md:h-5 flex-shrink-0" />
               </button>
             </div>
@@ -1846,7 +1903,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
             <button
               onClick={handleBackToOverview}
               className="p-2 sm:p-2.5 md:p-3 hover:bg-gray-100 rounded-full transition-colors flex-shrink-0"
-              aria-label="Go back"
+              aria-label={t("common.goBack")}
             >
               <span className="text-xl sm:text-2xl md:text-2xl text-[#003363]">←</span>
             </button>
@@ -1859,7 +1916,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                     : "text-gray-600 hover:text-[#003363]"
                 }`}
               >
-                Pre-Orders
+                {t("orders.preOrders")}
               </button>
               <button
                 onClick={() => setActiveCategory("orders")}
@@ -1869,7 +1926,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                     : "text-gray-600 hover:text-[#003363]"
                 }`}
               >
-                Orders
+                {t("orders.orders")}
               </button>
               <button
                 onClick={() => setActiveCategory("claimed")}
@@ -1879,7 +1936,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                     : "text-gray-600 hover:text-[#003363]"
                 }`}
               >
-                Claimed
+                {t("orders.claimed")}
               </button>
             </div>
           </div>
@@ -1895,7 +1952,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
             <button
               type="button"
               className="p-0 text-[#003363] hover:opacity-80 transition-opacity"
-              aria-label={`${categoryTooltip.title} information`}
+              aria-label={t("orders.tooltip.info", { title: categoryTooltip.title })}
             >
               <Info className="w-4 h-4 sm:w-5 sm:h-5" />
             </button>
@@ -1917,7 +1974,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
         {listForPagination.length === 0 ? (
           <div className="bg-white rounded-lg border-2 border-gray-200 p-8 sm:p-10 md:p-12 text-center">
             <p className="text-sm sm:text-base text-gray-500">
-              {isHistoryView ? "No orders found in order history" : "No orders found in this category"}
+              {isHistoryView ? t("orders.emptyHistory") : t("orders.emptyCategory")}
             </p>
           </div>
         ) : isHistoryView ? (
@@ -1953,7 +2010,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                         />
                       ) : (
                         <div className="w-full h-full flex items-center justify-center text-gray-400 text-sm">
-                          No Image
+                          {t("common.noImage")}
                         </div>
                       )}
                     </div>
@@ -1970,20 +2027,20 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                           onClick={() => handleViewDetails(order, item)}
                           className="flex-1 min-w-0 py-1.5 sm:py-1.5 px-2 border-2 border-[#003363] text-[#003363] rounded-lg font-semibold text-[10px] sm:text-xs text-center hover:bg-[#003363] hover:text-white transition-colors"
                         >
-                          View Details
+                          {t("orders.viewDetails")}
                         </button>
                         <button
                           type="button"
                           onClick={() => canOrderAgain && navigate("/all-products")}
                           disabled={!canOrderAgain}
-                          title={canOrderAgain ? "Order this item again" : (isClaimed ? "This item has been claimed and cannot be ordered again" : "You have reached your max item per order")}
+                          title={canOrderAgain ? t("orders.orderAgainTitle") : (isClaimed ? t("orders.orderAgainClaimed") : t("orders.orderAgainMaxed"))}
                           className={`flex-1 min-w-0 py-1.5 sm:py-1.5 px-2 border-2 rounded-lg font-semibold text-[10px] sm:text-xs text-center transition-colors ${
                             canOrderAgain
                               ? "border-[#F28C28] text-[#F28C28] hover:bg-[#F28C28] hover:text-white cursor-pointer"
                               : "border-gray-300 text-gray-400 cursor-not-allowed opacity-70"
                           }`}
                         >
-                          Order Again
+                          {t("orders.orderAgain")}
                         </button>
                       </div>
                     </div>
@@ -1994,7 +2051,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
             {listForPagination.length > itemsPerPage && (
               <div className="flex flex-col sm:flex-row items-center justify-end gap-3 sm:gap-4 mt-6 sm:mt-8 pt-4 sm:pt-6 border-t border-gray-200">
                 <span className="text-xs sm:text-sm text-gray-600 sm:mr-4">
-                  Page {currentPage} of {totalPages}
+                  {t("common.pageOf", { page: currentPage, total: totalPages })}
                 </span>
                 <div className="flex space-x-2 sm:space-x-3">
                   <button
@@ -2006,7 +2063,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                         : "bg-gray-200 text-gray-700 hover:bg-gray-300"
                     }`}
                   >
-                    Back
+                    {t("common.back")}
                   </button>
                   <button
                     onClick={handleNextPage}
@@ -2017,7 +2074,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                         : "bg-[#003363] text-white hover:bg-[#002347]"
                     }`}
                   >
-                    Next
+                    {t("common.next")}
                   </button>
                 </div>
               </div>
@@ -2056,9 +2113,13 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                   order.orderDate ||
                   rawOrder.orderDate ||
                   null;
-                const orderRemainingDays = orderIssuedAt
-                  ? getRemainingValidityDays(orderIssuedAt, QR_VALID_DAYS)
-                  : null;
+                const awaitingApproval = isAwaitingApproval(order);
+                const approvalDenied = isApprovalDenied(order);
+                // QR validity only starts to matter once the order can be claimed
+                const orderRemainingDays =
+                  orderIssuedAt && !awaitingApproval && !approvalDenied
+                    ? getRemainingValidityDays(orderIssuedAt, QR_VALID_DAYS)
+                    : null;
                 
                 return (
                 <div 
@@ -2075,7 +2136,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                             {/* Quantity - Left Side (No background) */}
                             <div className="flex-shrink-0 w-8 sm:w-10 md:w-12 flex items-start justify-center">
                               <span className="text-[#003363] font-bold text-xs sm:text-sm">
-                                {item.quantity || 1}PC
+                                {t("common.pieces", { count: item.quantity || 1 })}
                               </span>
                             </div>
 
@@ -2095,7 +2156,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                                 />
                               ) : (
                                 <div className="w-full h-full flex items-center justify-center text-gray-400 text-xs">
-                                  No Image
+                                  {t("common.noImage")}
                                 </div>
                               )}
                             </div>
@@ -2116,7 +2177,14 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                               <p className="text-xs sm:text-sm text-[#F28C28] font-semibold">
                                 {getEducationLevel(item, order)}
                               </p>
-
+                              {/* Waitlist position for this item and size */}
+                              {activeCategory === "preOrders" && (
+                                <div className="mt-1 sm:mt-1.5">
+                                  <PreOrderQueuePosition
+                                    entry={getWaitlistEntry(order.id, item.name || order.item, item.size)}
+                                  />
+                                </div>
+                              )}
                             </div>
 
                             {/* Price: same as MyCart – strikethrough product price above Free (logo patch etc. use display price when 0) */}
@@ -2142,10 +2210,10 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                                   <div className="flex flex-col items-end text-base sm:text-lg md:text-xl font-bold text-[#003363]">
                                     {itemTotal > 0 && (
                                       <span className="line-through text-gray-500 font-semibold text-xs sm:text-sm md:text-base">
-                                        ₱{itemTotal.toLocaleString("en-PH", { minimumFractionDigits: 2 })}
+                                        {formatCurrency(itemTotal)}
                                       </span>
                                     )}
-                                    <span className={itemTotal > 0 ? "mt-0.5" : ""}>FREE</span>
+                                    <span className={itemTotal > 0 ? "mt-0.5" : ""}>{t("common.free")}</span>
                                   </div>
                                 );
                               })()}
@@ -2159,12 +2227,12 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                         {/* Quantity - Left Side (No background) */}
                         <div className="flex-shrink-0 w-8 sm:w-10 md:w-12 flex items-start justify-center">
                           <span className="text-[#003363] font-bold text-xs sm:text-sm">
-                            {order.quantity || 1}PC
+                            {t("common.pieces", { count: order.quantity || 1 })}
                           </span>
                         </div>
 
                         <div className="flex-shrink-0 w-16 h-16 sm:w-20 sm:h-20 md:w-24 md:h-24 bg-gray-100 rounded-lg flex items-center justify-center text-gray-400 text-[10px] sm:text-xs">
-                          No Image
+                          {t("common.noImage")}
                         </div>
                         <div className="flex-1 min-w-0">
                           {/* Size */}
@@ -2205,10 +2273,10 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                               <div className="flex flex-col items-end text-base sm:text-lg md:text-xl font-bold text-[#003363]">
                                 {displayTotal > 0 && (
                                   <span className="line-through text-gray-500 font-semibold text-xs sm:text-sm md:text-base">
-                                    ₱{displayTotal.toLocaleString("en-PH", { minimumFractionDigits: 2 })}
+                                    {formatCurrency(displayTotal)}
                                   </span>
                                 )}
-                                <span className={displayTotal > 0 ? "mt-0.5" : ""}>FREE</span>
+                                <span className={displayTotal > 0 ? "mt-0.5" : ""}>{t("common.free")}</span>
                               </div>
                             );
                           })()}
@@ -2232,18 +2300,28 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                         <div>
                           {activeCategory === "preOrders" && (
                             <span className="font-semibold text-xs sm:text-sm" style={{ color: "#007AFF" }}>
-                              Processing
+                              {t("orders.status.processing")}
                             </span>
                           )}
-                          {activeCategory === "orders" && (
+                          {activeCategory === "orders" && awaitingApproval && (
                             <span className="font-semibold text-xs sm:text-sm" style={{ color: "#E68B00" }}>
-                              Available for Claiming
+                              {t("orders.status.awaitingApproval")}
+                            </span>
+                          )}
+                          {activeCategory === "orders" && approvalDenied && (
+                            <span className="font-semibold text-xs sm:text-sm" style={{ color: "#F10000" }}>
+                              {t("orders.status.denied")}
+                            </span>
+                          )}
+                          {activeCategory === "orders" && !awaitingApproval && !approvalDenied && (
+                            <span className="font-semibold text-xs sm:text-sm" style={{ color: "#E68B00" }}>
+                              {t("orders.status.available")}
                             </span>
                           )}
                           {activeCategory !== "preOrders" && activeCategory !== "orders" &&
                             (order.status === "claimed" || order.status === "completed") && (
                               <span className="font-semibold text-xs sm:text-sm" style={{ color: "#03C400" }}>
-                                Completed
+                                {t("orders.status.completed")}
                               </span>
                             )}
                         </div>
@@ -2255,9 +2333,9 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                               onClick={() => setOrderToCancel(order)}
                               disabled={cancellingOrders[order.id || order._original?.id]}
                               className="px-4 sm:px-5 md:px-6 py-1.5 sm:py-2 border-2 border-red-500 text-red-600 rounded-full font-semibold text-xs sm:text-sm transition-colors hover:bg-red-500 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed"
-                              title="Cancel this pre-order so you can place a new one"
+                              title={t("orders.cancelPreOrderTitle")}
                             >
-                              {cancellingOrders[order.id || order._original?.id] ? "Cancelling…" : "Cancel"}
+                              {cancellingOrders[order.id || order._original?.id] ? t("common.cancelling") : t("common.cancel")}
                             </button>
                             <button
                               onClick={() => handleConvertPreOrder(order)}
@@ -2275,41 +2353,43 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                               }`}
                               title={
                                 checkingAvailability[orderId]
-                                  ? "Checking availability..."
+                                  ? t("orders.checkingAvailability")
                                   : orderAvailability[orderId]
-                                  ? "Click to convert pre-order to regular order"
-                                  : "Item not yet available"
+                                  ? t("orders.convertTitle")
+                                  : t("orders.notYetAvailable")
                               }
                             >
                               {convertingOrders[orderId]
-                                ? "Processing..."
+                                ? t("common.processing")
                                 : checkingAvailability[orderId]
-                                ? "Checking..."
+                                ? t("orders.checking")
                                 : orderAvailability[orderId]
-                                ? "Order"
-                                : "Not Available"}
+                                ? t("orders.order")
+                                : t("orders.notAvailable")}
                             </button>
                           </div>
                         ) : (
                           <div className="flex flex-col items-end gap-1.5 sm:gap-2">
                             <div className="flex items-center gap-2 sm:gap-3">
-                              {activeCategory === "orders" && (
+                              {activeCategory === "orders" && !approvalDenied && (
                                 <button
                                   onClick={() => setOrderToCancel(order)}
                                   disabled={cancellingOrders[order.id || order._original?.id]}
                                   className="px-4 sm:px-5 md:px-6 py-1.5 sm:py-2 border-2 border-red-500 text-red-600 rounded-full font-semibold text-xs sm:text-sm transition-colors hover:bg-red-500 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed"
-                                  title="Cancel this order so you can place a new one"
+                                  title={t("orders.cancelOrderTitle")}
                                 >
-                                  {cancellingOrders[order.id || order._original?.id] ? "Cancelling…" : "Cancel"}
+                                  {cancellingOrders[order.id || order._original?.id] ? t("common.cancelling") : t("common.cancel")}
+                                </button>
+                              )}
+                              {!awaitingApproval && !approvalDenied && (
+                                <button
+                                  onClick={() => handleShowQR(order)}
+                                  className="px-4 sm:px-5 md:px-6 py-1.5 sm:py-2 border-2 border-[#003363] text-[#003363] rounded-full font-semibold text-xs sm:text-sm transition-colors hover:bg-[#003363] hover:text-white"
+                                  title={t("orders.showQRTitle")}
+                                >
+                                  {t("orders.showQR")}
                                 </button>
                               )}
-                              <button
-                                onClick={() => handleShowQR(order)}
-                                className="px-4 sm:px-5 md:px-6 py-1.5 sm:py-2 border-2 border-[#003363] text-[#003363] rounded-full font-semibold text-xs sm:text-sm transition-colors hover:bg-[#003363] hover:text-white"
-                                title="Show QR code"
-                              >
-                                Show QR
-                              </button>
                             </div>
                           </div>
                         )}
@@ -2317,41 +2397,75 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                     </div>
 
                     {/* Row 2: italic message – kept on the left side */}
-                    {activeCategory === "orders" && (
+                    {activeCategory === "orders" && awaitingApproval && (
+                      <p className="mt-1.5 sm:mt-2 text-xs sm:text-sm italic" style={{ color: "#E68B00" }}>
+                        {t("orders.awaitingApprovalMessage")}
+                        <br />
+                        {t("orders.awaitingApprovalQR")}
+                      </p>
+                    )}
+                    {activeCategory === "orders" && approvalDenied && (
+                      <p className="mt-1.5 sm:mt-2 text-xs sm:text-sm italic" style={{ color: "#F10000" }}>
+                        {t("orders.deniedMessage")}
+                      </p>
+                    )}
+                    {activeCategory === "orders" && !awaitingApproval && !approvalDenied && (
                       <div className="mt-1.5 sm:mt-2">
                         <p className="text-xs sm:text-sm italic" style={{ color: "#E68B00" }}>
-                          Your order is now available. Please proceed to the designated claiming area
+                          {t("orders.availableMessage")}
                           <br />
-                          and present your QR code to receive your item.
+                          {t("orders.availableMessageQR")}
                         </p>
+                        {/* Claim appointment */}
+                        {(() => {
+                          const pickupSlot = order.pickupSlot || rawOrder.pickup_slot;
+                          return (
+                            <p className="mt-1 text-xs sm:text-sm text-[#003363]">
+                              {pickupSlot ? (
+                                <>
+                                  {t("orders.pickup")} <span className="font-semibold">{formatSlotDate(pickupSlot.date)}, {formatSlotRange(pickupSlot)}</span>{" "}
+                                </>
+                              ) : (
+                                t("orders.skipTheLine")
+                              )}
+                              <button
+                                type="button"
+                                onClick={() => setPickupSlotOrder(order)}
+                                className="font-semibold text-[#F28C28] hover:text-[#d97a1f] underline"
+                              >
+                                {pickupSlot ? t("orders.changePickup") : t("orders.bookPickup")}
+                              </button>
+                            </p>
+                          );
+                        })()}
                         {showUnsuccessfulClaimNotice && (
                           <div className="mt-1.5 sm:mt-2">
                             <p
                               className="text-xs sm:text-sm italic opacity-60"
                               style={{ color: "#F10000" }}
                             >
-                              Notice: This order has already gone through ({unsuccessfulClaimAttempts}) unsuccessful claim attempts.
+                              {t("orders.unsuccessfulClaims", { count: unsuccessfulClaimAttempts })}
                               <br />
-                              Kindly process your order immediately to prevent this product from being voided.
+                              {t("orders.processImmediately")}
                             </p>
                             <div className="flex justify-end mt-1">
                               <p
                                 className="text-xs sm:text-sm italic opacity-60 text-right"
                                 style={{ color: "#F10000" }}
                               >
-                                {remainingAttemptCount} attempt
-                                {remainingAttemptCount === 1 ? "" : "s"} left
+                                {t("orders.attemptsLeft", { count: remainingAttemptCount })}
                               </p>
                             </div>
                           </div>
                         )}
                       </div>
                     )}
+                    {hasApprovalHistory(order) && <OrderApprovalTimeline order={order} />}
                     {activeCategory === "preOrders" && (
                       <p className="text-xs sm:text-sm italic mt-1.5 sm:mt-2" style={{ color: "#007AFF" }}>
-                        Your pre-order is now being processed. Please prepare to present the QR code
+                        {t("orders.preOrderMessage")}
                         <br />
-                        provided to you upon claiming your order.
+                        {t("orders.preOrderMessageQR")}
                       </p>
                     )}
                   </div>
@@ -2366,7 +2480,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                 <div className="flex items-center space-x-3 sm:space-x-4 w-full sm:w-auto justify-between sm:justify-end">
                   {/* Page Info */}
                   <span className="text-xs sm:text-sm text-gray-600">
-                    Page {currentPage} of {totalPages}
+                    {t("common.pageOf", { page: currentPage, total: totalPages })}
                   </span>
 
                   {/* Navigation Buttons */}
@@ -2380,7 +2494,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                           : "bg-gray-200 text-gray-700 hover:bg-gray-300"
                       }`}
                     >
-                      Back
+                      {t("common.back")}
                     </button>
 
                     <button
@@ -2392,7 +2506,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                           : "bg-[#003363] text-white hover:bg-[#002347] shadow-md"
                       }`}
                     >
-                      Next
+                      {t("common.next")}
                     </button>
                   </div>
                 </div>
@@ -2402,6 +2516,16 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
         )}
       </div>
 
+      {/* Claim appointment booking */}
+      {pickupSlotOrder && (
+        <PickupSlotPicker
+          order={pickupSlotOrder}
+          currentSlot={pickupSlotOrder.pickupSlot || pickupSlotOrder._original?.pickup_slot || null}
+          onChanged={() => fetchOrders()}
+          onClose={() => setPickupSlotOrder(null)}
+        />
+      )}
+
       {/* Order Details Modal */}
       {showOrderDetailsModal &&
         selectedOrderForDetails &&
@@ -2445,10 +2569,10 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
           >
             <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6" onClick={(e) => e.stopPropagation()}>
               <h2 id="cancel-order-title" className="text-lg font-semibold text-gray-900 mb-2">
-                Cancel order
+                {t("orders.cancelTitle")}
               </h2>
               <p className="text-gray-600 mb-6">
-                Are you sure you want to cancel this order? You can place a new order after cancelling.
+                {t("orders.cancelConfirm")}
               </p>
               <div className="flex justify-end gap-3">
                 <button
@@ -2456,7 +2580,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                   onClick={() => setOrderToCancel(null)}
                   className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50"
                 >
-                  Keep order
+                  {t("orders.keepOrder")}
                 </button>
                 <button
                   type="button"
@@ -2467,7 +2591,7 @@ const MyOrders = ({ sortOrder = "newest", variant, profileData: profileDataProp
                   }}
                   className="px-4 py-2 bg-red-500 text-white rounded-lg font-medium hover:bg-red-600"
                 >
-                  Yes, cancel order
+                  {t("orders.confirmCancel")}
                 </button>
               </div>
             </div>
@@ -0,0 +1,96 @@
+import React from "react";
+import { Clock, CheckCircle, XCircle, Send } from "lucide-react";
+import { APPROVAL_STATUS } from "../../../utils/orderLimitPolicy";
+
+const formatDateTime = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+};
+
+/**
+ * Order Approval Timeline
+ *
+ * Shows the department head approval steps for an out-of-policy order:
+ * submitted → awaiting approval → approved/denied (with the department head's comment).
+ *
+ * Props:
+ * - order: transformed order from OrderContext (approval fields + _original)
+ */
+const OrderApprovalTimeline = ({ order }) => {
+  if (!order) return null;
+  const raw = order._original || order;
+  const approvalStatus =
+    order.approvalStatus || raw.approval_status || APPROVAL_STATUS.AWAITING;
+  const reasons = order.approvalReasons?.length
+    ? order.approvalReasons
+    : raw.approval_reasons || [];
+  const comment = order.approvalComment || raw.approval_comment;
+  const decidedBy = order.approvalDecidedBy || raw.approval_decided_by_name;
+  const decidedAt = formatDateTime(order.approvalDecidedAt || raw.approval_decided_at);
+  const submittedAt = formatDateTime(raw.created_at || order.orderDate);
+
+  const isApproved = approvalStatus === APPROVAL_STATUS.APPROVED;
+  const isDenied = approvalStatus === APPROVAL_STATUS.DENIED;
+
+  const steps = [
+    {
+      key: "submitted",
+      icon: Send,
+      color: "text-[#003363]",
+      title: "Order submitted",
+      detail: submittedAt,
+    },
+    {
+      key: "awaiting",
+      icon: Clock,
+      color: isApproved || isDenied ? "text-[#003363]" : "text-[#E68B00]",
+      title: "Sent for department head approval",
+      detail: reasons.length > 0 ? `Over limits: ${reasons.join("; ")}` : null,
+    },
+  ];
+
+  if (isApproved || isDenied) {
+    steps.push({
+      key: "decision",
+      icon: isApproved ? CheckCircle : XCircle,
+      color: isApproved ? "text-[#03C400]" : "text-[#F10000]",
+      title: isApproved ? "Approved" : "Denied",
+      detail: [decidedBy ? `by ${decidedBy}` : null, decidedAt].filter(Boolean).join(" · "),
+      comment,
+    });
+  }
+
+  return (
+    <ol className="mt-3 space-y-2 border-l-2 border-gray-200 pl-4" aria-label="Approval timeline">
+      {steps.map((step) => {
+        const Icon = step.icon;
+        return (
+          <li key={step.key} className="relative">
+            <span className="absolute -left-[1.45rem] top-0.5 bg-white">
+              <Icon className={`w-4 h-4 ${step.color}`} />
+            </span>
+            <p className={`text-xs sm:text-sm font-semibold ${step.color}`}>{step.title}</p>
+            {step.detail && (
+              <p className="text-xs text-gray-500">{step.detail}</p>
+            )}
+            {step.comment && (
+              <p className="text-xs sm:text-sm italic text-gray-700 mt-0.5">
+                &ldquo;{step.comment}&rdquo;
+              </p>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default OrderApprovalTimeline;
@@ -1,11 +1,14 @@
 import React from "react";
 import { createPortal } from "react-dom";
+import SizeExchangeSection from "./SizeExchangeSection";
+import { isExchangeableSize } from "../../../utils/sizeExchange";
 
 /**
  * Order Details Modal
  *
  * Shows a single order's details: Name, Student No., Transaction No., Item, Size,
  * Order Amount, Status (Completed in green), Date Claimed, completion message, and Back button.
+ * Completed items with a size can be exchanged for another size from here.
  */
 const OrderDetailsModal = ({ order, item, profileData, onClose }) => {
   if (!order) return null;
@@ -137,6 +140,10 @@ const OrderDetailsModal = ({ order, item, profileData, onClose }) => {
           </div>
         </div>
 
+        {isCompleted && displayItem && isExchangeableSize(size) && (
+          <SizeExchangeSection order={order} item={{ ...displayItem, size }} />
+        )}
+
         <div className="mt-8 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
           {isCompleted && (
             <p className="text-sm italic text-green-600">
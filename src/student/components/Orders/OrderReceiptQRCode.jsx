@@ -12,11 +12,28 @@ import { generateOrderReceiptQRData } from "../../../utils/qrCodeGenerator";
  * - orderData: Object containing order information
  * - showDetails: Boolean to show/hide order details (default: true)
  * - size: QR code size in pixels (default: 256)
+ * - qrOnly: Render just the QR code, without the card and buttons (used by printed claim slips)
  */
-const OrderReceiptQRCode = ({ orderData, showDetails = true, size = 256 }) => {
+const OrderReceiptQRCode = ({
+  orderData,
+  showDetails = true,
+  size = 256,
+  qrOnly = false,
+}) => {
   // Generate QR code data
   const qrData = generateOrderReceiptQRData(orderData);
 
+  if (qrOnly) {
+    return (
+      <QRCode
+        id={`qr-code-${orderData.orderNumber}`}
+        value={qrData}
+        size={size}
+        level="M"
+      />
+    );
+  }
+
   // Download QR code as PNG
   const handleDownload = () => {
     try {
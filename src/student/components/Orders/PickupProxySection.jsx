@@ -0,0 +1,215 @@
+import React, { useRef, useState } from "react";
+import QRCode from "react-qr-code";
+import { UserCheck } from "lucide-react";
+import { toast } from "react-hot-toast";
+import { usePickupProxies } from "../../hooks";
+import { generateProxyPassQRData } from "../../../utils/qrCodeGenerator";
+import {
+  PROXY_RELATIONSHIPS,
+  MAX_PROXIES_PER_ORDER,
+  getActiveProxies,
+} from "../../../utils/pickupProxies";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#F28C28] focus:border-transparent";
+
+/**
+ * Pickup Proxy Section
+ *
+ * Shown in the QR code modal of an order that is not yet claimed. The student (or their
+ * guardian) registers a parent, guardian or relative who may claim the order for them.
+ * Each proxy gets a separate pickup pass; the custodian checks the proxy's ID against
+ * the name on the pass before releasing.
+ *
+ * Props:
+ * - order: order from OrderContext (id, orderNumber)
+ * - onDownloadPass: function(svgElement, filename) - Save a pass as PNG
+ */
+const PickupProxySection = ({ order, onDownloadPass }) => {
+  const orderId = order?._original?.id || order?.id;
+  const orderNumber = order?.orderNumber || order?.order_number;
+  const { proxies, loading, saving, error, addProxy, revokeProxy } = usePickupProxies(orderId);
+  const [showForm, setShowForm] = useState(false);
+  const [name, setName] = useState("");
+  const [relationship, setRelationship] = useState("");
+  const [openPassId, setOpenPassId] = useState(null);
+  const passRef = useRef(null);
+
+  const activeProxies = getActiveProxies({ pickup_proxies: proxies });
+  const canAddMore = activeProxies.length < MAX_PROXIES_PER_ORDER;
+
+  const handleAdd = async () => {
+    try {
+      const proxy = await addProxy({ name, relationship });
+      toast.success(`${proxy.name} can now claim this order with their pickup pass`);
+      setShowForm(false);
+      setName("");
+      setRelationship("");
+      setOpenPassId(proxy.id);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleRevoke = async (proxy) => {
+    if (!window.confirm(`Revoke ${proxy.name}'s pickup pass? It will no longer be accepted.`)) return;
+    try {
+      await revokeProxy(proxy.id);
+      if (openPassId === proxy.id) setOpenPassId(null);
+      toast.success("Pickup pass revoked");
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleDownload = (proxy) => {
+    const svgElement = passRef.current?.querySelector("svg");
+    if (!svgElement) {
+      toast.error("Pickup pass not found. Please try again.");
+      return;
+    }
+    const safeName = proxy.name.replace(/[^a-z0-9]+/gi, "-").toLowerCase();
+    onDownloadPass?.(svgElement, `Pickup-Pass-${orderNumber}-${safeName}.png`);
+  };
+
+  const renderPass = (proxy) => {
+    let passData = null;
+    try {
+      passData = generateProxyPassQRData(orderNumber, proxy);
+    } catch (err) {
+      return <p className="mt-2 text-xs text-red-600">{err.message}</p>;
+    }
+    return (
+      <div className="mt-2 flex flex-col items-center gap-2">
+        <div ref={passRef} className="bg-white p-3 rounded-lg border-4 border-[#F28C28]">
+          <QRCode value={passData} size={160} level="M" />
+        </div>
+        <p className="text-xs text-gray-600 text-center">
+          Pickup pass for <strong>{proxy.name}</strong> ({proxy.relationship}). They must bring a
+          valid ID with this name.
+        </p>
+        <button
+          type="button"
+          onClick={() => handleDownload(proxy)}
+          className="px-3 py-1.5 text-xs bg-white border-2 border-[#003363] text-[#003363] rounded-full font-semibold hover:bg-gray-50 transition-colors"
+        >
+          Download pass
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="mb-4 sm:mb-6 border-t border-gray-200 pt-4">
+      <h3 className="text-sm font-semibold text-[#003363] flex items-center gap-1.5">
+        <UserCheck className="w-4 h-4" />
+        Authorized Pickup
+      </h3>
+      <p className="mt-1 text-xs text-gray-600">
+        Can&apos;t claim this order yourself? Let a parent or guardian pick it up with their own pass.
+      </p>
+
+      {loading ? (
+        <p className="mt-2 text-xs text-gray-500">Loading authorized proxies...</p>
+      ) : error ? (
+        <p className="mt-2 text-xs text-red-600">{error}</p>
+      ) : (
+        <>
+          {activeProxies.length > 0 && (
+            <ul className="mt-3 space-y-2">
+              {activeProxies.map((proxy) => (
+                <li key={proxy.id} className="rounded-lg bg-gray-50 border border-gray-200 p-3 text-sm">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-gray-800">
+                      <strong>{proxy.name}</strong>{" "}
+                      <span className="text-xs text-gray-500">({proxy.relationship})</span>
+                    </span>
+                    <span className="flex items-center gap-3 shrink-0">
+                      <button
+                        type="button"
+                        onClick={() => setOpenPassId(openPassId === proxy.id ? null : proxy.id)}
+                        className="text-xs font-medium text-[#003363] hover:text-[#F28C28] underline"
+                      >
+                        {openPassId === proxy.id ? "Hide pass" : "Show pass"}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleRevoke(proxy)}
+                        disabled={saving}
+                        className="text-xs font-medium text-red-600 hover:text-red-700 underline disabled:opacity-50"
+                      >
+                        Revoke
+                      </button>
+                    </span>
+                  </div>
+                  {openPassId === proxy.id && renderPass(proxy)}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {showForm ? (
+            <div className="mt-3 space-y-3">
+              <label className="block text-xs font-medium text-gray-700">
+                Full name (as shown on their ID)
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  maxLength={100}
+                  className={`mt-1 ${inputClass}`}
+                />
+              </label>
+              <label className="block text-xs font-medium text-gray-700">
+                Relationship to the student
+                <select
+                  value={relationship}
+                  onChange={(e) => setRelationship(e.target.value)}
+                  className={`mt-1 ${inputClass}`}
+                >
+                  <option value="">Select relationship</option>
+                  {PROXY_RELATIONSHIPS.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <div className="flex gap-2 justify-end">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="px-3 py-1.5 text-xs rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={handleAdd}
+                  disabled={saving}
+                  className="px-3 py-1.5 text-xs bg-[#F28C28] text-white rounded-lg hover:bg-[#d97a1f] font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {saving ? "Saving..." : "Authorize & create pass"}
+                </button>
+              </div>
+            </div>
+          ) : canAddMore ? (
+            <button
+              type="button"
+              onClick={() => setShowForm(true)}
+              className="mt-2 text-sm font-medium text-[#F28C28] hover:text-[#d97a1f] underline"
+            >
+              Authorize someone to pick up
+            </button>
+          ) : (
+            <p className="mt-2 text-xs text-gray-500">
+              You can authorize up to {MAX_PROXIES_PER_ORDER} people per order. Revoke one to add another.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PickupProxySection;
@@ -0,0 +1,160 @@
+import React, { useState } from "react";
+import { createPortal } from "react-dom";
+import { toast } from "react-hot-toast";
+import { usePickupSlotBooking } from "../../hooks";
+import {
+  formatSlotDate,
+  formatSlotRange,
+  getSlotRemaining,
+  groupSlotsByDate,
+} from "../../../utils/pickupSlots";
+
+/**
+ * Pickup Slot Picker
+ *
+ * Modal where a student books a time to claim a ready order, so they do not have to
+ * queue at the custodian office. Only days within the QR validity window are offered;
+ * full slots are disabled.
+ *
+ * Props:
+ * - order: order from OrderContext
+ * - currentSlot: booked slot or null ({ id, date, start_time, end_time })
+ * - onChanged: function - Called after booking or cancelling (refetch orders)
+ * - onClose: function - Close the modal
+ */
+const PickupSlotPicker = ({ order, currentSlot, onChanged, onClose }) => {
+  const { slots, loading, error, saving, bookSlot, cancelBooking } = usePickupSlotBooking(order);
+  const [selectedId, setSelectedId] = useState(currentSlot?.id || null);
+  const days = groupSlotsByDate(slots);
+
+  const handleBook = async () => {
+    try {
+      const slot = await bookSlot(selectedId);
+      const booked = slot || slots.find((s) => s.id === selectedId);
+      toast.success(
+        booked ? `Pickup booked for ${formatSlotDate(booked.date)}, ${formatSlotRange(booked)}` : "Pickup booked",
+      );
+      onChanged();
+      onClose();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      await cancelBooking();
+      toast.success("Pickup appointment cancelled");
+      onChanged();
+      onClose();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-[9999] p-2 sm:p-4"
+      onClick={onClose}
+      aria-modal="true"
+      role="dialog"
+      aria-label="Book a pickup time"
+    >
+      <div
+        className="bg-white rounded-xl sm:rounded-2xl shadow-2xl max-w-lg w-full p-4 sm:p-6 relative max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          type="button"
+          onClick={onClose}
+          className="absolute top-2 right-2 sm:top-4 sm:right-4 w-8 h-8 sm:w-10 sm:h-10 rounded-full bg-red-500 hover:bg-red-600 text-white flex items-center justify-center transition-colors z-10"
+          aria-label="Close"
+        >
+          ✕
+        </button>
+
+        <h2 className="text-center text-xl sm:text-2xl font-bold mb-2 pr-8">
+          <span className="text-[#003363]">Book a Pickup </span>
+          <span className="text-[#F28C28]">Time</span>
+        </h2>
+        <p className="text-center text-xs sm:text-sm text-gray-600 mb-4">
+          Order #{order.orderNumber || order.order_number}. Come within your slot and show your QR code.
+        </p>
+
+        {loading ? (
+          <p className="py-8 text-center text-sm text-gray-500">Loading available times...</p>
+        ) : error ? (
+          <p className="py-8 text-center text-sm text-red-600">{error}</p>
+        ) : days.length === 0 ? (
+          <p className="py-8 text-center text-sm text-gray-500">
+            No pickup times are open before your QR code expires. You can still claim during office hours.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {days.map(({ date, slots: daySlots }) => (
+              <div key={date}>
+                <p className="text-sm font-semibold text-[#003363] mb-2">{formatSlotDate(date)}</p>
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                  {daySlots.map((slot) => {
+                    const remaining = getSlotRemaining(slot);
+                    const isCurrent = currentSlot?.id === slot.id;
+                    const isFull = remaining === 0 && !isCurrent;
+                    return (
+                      <button
+                        key={slot.id}
+                        type="button"
+                        onClick={() => setSelectedId(slot.id)}
+                        disabled={isFull}
+                        className={`px-2 py-2 rounded-lg border text-xs sm:text-sm transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                          selectedId === slot.id
+                            ? "bg-[#003363] text-white border-[#003363]"
+                            : "bg-white text-gray-700 border-gray-300 hover:border-[#003363]"
+                        }`}
+                      >
+                        <span className="block font-medium">{formatSlotRange(slot)}</span>
+                        <span className={`block text-[11px] ${selectedId === slot.id ? "text-white/80" : "text-gray-500"}`}>
+                          {isCurrent ? "Your slot" : isFull ? "Full" : `${remaining} left`}
+                        </span>
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-3 justify-end mt-6">
+          {currentSlot && (
+            <button
+              type="button"
+              onClick={handleCancel}
+              disabled={saving}
+              className="mr-auto px-4 py-2 text-sm rounded-lg text-red-600 hover:bg-red-50 transition-colors font-medium disabled:opacity-50"
+            >
+              Cancel appointment
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors font-medium"
+          >
+            Back
+          </button>
+          <button
+            type="button"
+            onClick={handleBook}
+            disabled={!selectedId || selectedId === currentSlot?.id || saving}
+            className="px-4 py-2 text-sm bg-[#F28C28] text-white rounded-lg hover:bg-[#d97a1f] transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? "Saving..." : currentSlot ? "Change time" : "Book this time"}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+};
+
+export default PickupSlotPicker;
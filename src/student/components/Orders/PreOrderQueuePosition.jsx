@@ -0,0 +1,45 @@
+import React from "react";
+import { Users, Truck } from "lucide-react";
+import { estimateArrival } from "../../../utils/preOrderWaitlist";
+
+const formatArrival = (date) =>
+  date.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+
+/**
+ * Pre-Order Queue Position
+ *
+ * Shows where the student stands in the first-come waitlist for one pre-order item
+ * and size, with an expected arrival from open restocks.
+ *
+ * Props:
+ * - entry: waitlist entry from usePreOrderWaitlist ({ position, total_waiting, quantity,
+ *   quantity_ahead, restocks })
+ */
+const PreOrderQueuePosition = ({ entry }) => {
+  if (!entry || !entry.position) return null;
+
+  const arrival = estimateArrival(entry);
+  const totalWaiting = Number(entry.total_waiting) || 0;
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs sm:text-sm">
+      <span className="inline-flex items-center gap-1 font-semibold text-[#003363]">
+        <Users className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+        #{entry.position} in line
+        {totalWaiting > 0 && (
+          <span className="font-normal text-gray-500">of {totalWaiting} waiting</span>
+        )}
+      </span>
+      <span className="inline-flex items-center gap-1 text-gray-600">
+        <Truck className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+        {arrival.covered
+          ? arrival.date
+            ? `Expected around ${formatArrival(arrival.date)}`
+            : "Restock ordered, arrival date not set yet"
+          : "Waiting for a restock to be scheduled"}
+      </span>
+    </div>
+  );
+};
+
+export default PreOrderQueuePosition;
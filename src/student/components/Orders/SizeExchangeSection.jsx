@@ -0,0 +1,190 @@
+import React, { useState } from "react";
+import { RefreshCw } from "lucide-react";
+import { toast } from "react-hot-toast";
+import { useSizeExchange } from "../../hooks";
+import {
+  EXCHANGE_STATUS,
+  EXCHANGE_STATUS_DISPLAY,
+  getSizeStock,
+} from "../../../utils/sizeExchange";
+
+/**
+ * Size Exchange Section
+ *
+ * Shown in the Order Details modal for claimed items with a size. The student picks a
+ * new size (sizes without stock are disabled) and gives a reason; the new size is
+ * reserved until the property custodian approves or rejects the exchange.
+ *
+ * Props:
+ * - order: claimed order
+ * - item: order item being exchanged ({ name, size, quantity, education_level })
+ */
+const SizeExchangeSection = ({ order, item }) => {
+  const { sizes, request, loading, submitting, error, submitRequest, cancelRequest } =
+    useSizeExchange(order, item);
+  const [showForm, setShowForm] = useState(false);
+  const [toSize, setToSize] = useState("");
+  const [reason, setReason] = useState("");
+
+  const otherSizes = sizes.filter((s) => s.size && s.size !== item.size);
+  const hasOpenRequest =
+    request &&
+    (request.status === EXCHANGE_STATUS.PENDING || request.status === EXCHANGE_STATUS.APPROVED);
+  const statusDisplay = request ? EXCHANGE_STATUS_DISPLAY[request.status] : null;
+
+  const handleSubmit = async () => {
+    if (!toSize) {
+      toast.error("Please choose the size you need");
+      return;
+    }
+    if (!reason.trim()) {
+      toast.error("Please tell us why you need a different size");
+      return;
+    }
+    try {
+      await submitRequest(toSize, reason.trim());
+      toast.success(`Size ${toSize} reserved. The property custodian will review your request.`);
+      setShowForm(false);
+      setToSize("");
+      setReason("");
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      await cancelRequest();
+      toast.success("Exchange request cancelled");
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="mt-6 border-t border-gray-200 pt-4">
+      <h3 className="text-sm font-semibold text-[#003363] flex items-center gap-1.5">
+        <RefreshCw className="w-4 h-4" />
+        Size Exchange
+      </h3>
+
+      {loading ? (
+        <p className="mt-2 text-xs text-gray-500">Loading sizes...</p>
+      ) : error ? (
+        <p className="mt-2 text-xs text-red-600">{error}</p>
+      ) : (
+        <>
+          {request && statusDisplay && (
+            <div className="mt-2 rounded-lg bg-gray-50 border border-gray-200 p-3 text-sm">
+              <div className="flex items-center justify-between gap-2">
+                <span className="text-gray-800">
+                  {request.from_size} → <strong>{request.to_size}</strong>
+                </span>
+                <span
+                  className={`px-2 py-0.5 rounded-full text-xs font-semibold ${statusDisplay.className}`}
+                >
+                  {statusDisplay.label}
+                </span>
+              </div>
+              {request.status === EXCHANGE_STATUS.PENDING && (
+                <p className="mt-1 text-xs text-gray-600">
+                  Size {request.to_size} is reserved for you. Bring the {request.from_size} item
+                  when you are told to claim the new one.
+                </p>
+              )}
+              {request.status === EXCHANGE_STATUS.APPROVED && (
+                <p className="mt-1 text-xs text-gray-600">
+                  Exchange done. You returned the {request.from_size} and received the{" "}
+                  {request.to_size}.
+                </p>
+              )}
+              {request.decision_note && (
+                <p className="mt-1 text-xs italic text-gray-700">
+                  Note from the property custodian: {request.decision_note}
+                </p>
+              )}
+              {request.status === EXCHANGE_STATUS.PENDING && (
+                <button
+                  type="button"
+                  onClick={handleCancel}
+                  disabled={submitting}
+                  className="mt-2 text-xs font-medium text-red-600 hover:text-red-700 underline disabled:opacity-50"
+                >
+                  Cancel request
+                </button>
+              )}
+            </div>
+          )}
+
+          {!hasOpenRequest &&
+            (showForm ? (
+              <div className="mt-3 space-y-3">
+                <div>
+                  <p className="text-xs font-medium text-gray-700 mb-1.5">Size you need</p>
+                  {otherSizes.length === 0 ? (
+                    <p className="text-xs text-gray-500">No other sizes are available for this item.</p>
+                  ) : (
+                    <div className="flex flex-wrap gap-2">
+                      {otherSizes.map((sizeData) => {
+                        const inStock = getSizeStock(sizeData) > 0;
+                        return (
+                          <button
+                            key={sizeData.size}
+                            type="button"
+                            onClick={() => setToSize(sizeData.size)}
+                            disabled={!inStock}
+                            title={inStock ? undefined : "Out of stock"}
+                            className={`px-3 py-1.5 rounded-lg border text-xs font-medium transition-colors ${
+                              toSize === sizeData.size
+                                ? "bg-[#003363] text-white border-[#003363]"
+                                : "bg-white text-gray-700 border-gray-300 hover:border-[#003363]"
+                            } disabled:opacity-40 disabled:cursor-not-allowed disabled:line-through`}
+                          >
+                            {sizeData.size}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  rows={2}
+                  placeholder="Why do you need a different size? (e.g. too tight on the chest)"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#F28C28] focus:border-transparent"
+                />
+                <div className="flex gap-2 justify-end">
+                  <button
+                    type="button"
+                    onClick={() => setShowForm(false)}
+                    className="px-3 py-1.5 text-xs rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleSubmit}
+                    disabled={submitting || !toSize}
+                    className="px-3 py-1.5 text-xs bg-[#F28C28] text-white rounded-lg hover:bg-[#d97a1f] font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {submitting ? "Submitting..." : "Reserve & request exchange"}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setShowForm(true)}
+                className="mt-2 text-sm font-medium text-[#F28C28] hover:text-[#d97a1f] underline"
+              >
+                Request a different size
+              </button>
+            ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SizeExchangeSection;
@@ -0,0 +1,204 @@
+import React, { useState } from "react";
+import { createPortal } from "react-dom";
+import { Ruler } from "lucide-react";
+import { recommendSize, toProductPageSize } from "../../../../utils/sizeRecommendation";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#F28C28] focus:border-transparent";
+
+/**
+ * SizeFinderModal Component
+ *
+ * "Find my size" flow on the product page. The student enters chest and shirt
+ * length (in or cm) or, without a tape measure, height and weight. The recommended
+ * size is previewed live; saving stores the measurements on the profile so later
+ * uniform items pre-select the size.
+ *
+ * Props:
+ * - savedMeasurements: object|null - Measurements already on the profile (prefill)
+ * - saving: boolean - Save in progress
+ * - onSave: async function(input) - Save measurements; resolves to the recommendation
+ * - onUseSize: function(size) - Select the recommended size on the page
+ * - onClose: function - Close the modal
+ */
+const SizeFinderModal = ({ savedMeasurements, saving = false, onSave, onUseSize, onClose }) => {
+  const [method, setMethod] = useState(
+    savedMeasurements?.estimated ? "heightWeight" : "measurements",
+  );
+  const [unit, setUnit] = useState("cm");
+  const [chest, setChest] = useState(
+    savedMeasurements?.chestCm && !savedMeasurements.estimated ? String(savedMeasurements.chestCm) : "",
+  );
+  const [length, setLength] = useState(
+    savedMeasurements?.lengthCm && !savedMeasurements.estimated ? String(savedMeasurements.lengthCm) : "",
+  );
+  const [heightCm, setHeightCm] = useState(savedMeasurements?.heightCm ? String(savedMeasurements.heightCm) : "");
+  const [weightKg, setWeightKg] = useState(savedMeasurements?.weightKg ? String(savedMeasurements.weightKg) : "");
+  const [error, setError] = useState("");
+
+  const input =
+    method === "measurements" ? { chest, length, unit } : { heightCm, weightKg };
+  const recommendation = recommendSize(input);
+
+  const handleSave = async () => {
+    setError("");
+    try {
+      const saved = await onSave(input);
+      onUseSize(toProductPageSize(saved.size));
+      onClose();
+    } catch (err) {
+      setError(err.message || "Failed to save your measurements.");
+    }
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-[9999] p-2 sm:p-4"
+      onClick={onClose}
+      aria-modal="true"
+      role="dialog"
+      aria-label="Find my size"
+    >
+      <div
+        className="bg-white rounded-xl sm:rounded-2xl shadow-2xl max-w-md w-full p-4 sm:p-6 relative max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          type="button"
+          onClick={onClose}
+          className="absolute top-2 right-2 sm:top-4 sm:right-4 w-8 h-8 sm:w-10 sm:h-10 rounded-full bg-red-500 hover:bg-red-600 text-white flex items-center justify-center transition-colors z-10"
+          aria-label="Close"
+        >
+          ✕
+        </button>
+
+        <h2 className="text-center text-xl sm:text-2xl font-bold mb-2 pr-8">
+          <span className="text-[#003363]">Find my </span>
+          <span className="text-[#F28C28]">Size</span>
+        </h2>
+        <p className="text-center text-xs sm:text-sm text-gray-600 mb-4">
+          Enter this once. We save it to your profile and pre-select your size on other uniforms.
+        </p>
+
+        {/* Method */}
+        <div className="grid grid-cols-2 gap-1 p-1 bg-gray-100 rounded-lg mb-4">
+          {[
+            { key: "measurements", label: "My measurements" },
+            { key: "heightWeight", label: "Height & weight" },
+          ].map((option) => (
+            <button
+              key={option.key}
+              type="button"
+              onClick={() => setMethod(option.key)}
+              className={`py-1.5 text-xs sm:text-sm font-medium rounded-md transition-colors ${
+                method === option.key ? "bg-white text-[#003363] shadow-sm" : "text-gray-600"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {method === "measurements" ? (
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <p className="text-xs text-gray-600 flex items-center gap-1">
+                <Ruler className="w-4 h-4" />
+                Measure around the fullest part of the chest.
+              </p>
+              <select
+                value={unit}
+                onChange={(e) => setUnit(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded text-xs"
+                aria-label="Unit"
+              >
+                <option value="cm">cm</option>
+                <option value="in">in</option>
+              </select>
+            </div>
+            <label className="block text-sm font-medium text-gray-700">
+              Chest ({unit})
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={chest}
+                onChange={(e) => setChest(e.target.value)}
+                className={`mt-1 ${inputClass}`}
+              />
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+              Shirt length ({unit}, optional)
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={length}
+                onChange={(e) => setLength(e.target.value)}
+                className={`mt-1 ${inputClass}`}
+                placeholder="Base of collar to hem"
+              />
+            </label>
+          </div>
+        ) : (
+          <div className="grid grid-cols-2 gap-3">
+            <label className="block text-sm font-medium text-gray-700">
+              Height (cm)
+              <input
+                type="number"
+                min="0"
+                value={heightCm}
+                onChange={(e) => setHeightCm(e.target.value)}
+                className={`mt-1 ${inputClass}`}
+              />
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+              Weight (kg)
+              <input
+                type="number"
+                min="0"
+                value={weightKg}
+                onChange={(e) => setWeightKg(e.target.value)}
+                className={`mt-1 ${inputClass}`}
+              />
+            </label>
+          </div>
+        )}
+
+        {/* Result */}
+        {recommendation && (
+          <div className="mt-4 bg-blue-50 rounded-lg p-3 border border-blue-200">
+            <p className="text-sm text-[#003363]">
+              Recommended size:{" "}
+              <span className="text-lg font-bold">{toProductPageSize(recommendation.size)}</span>
+            </p>
+            <p className="text-xs text-gray-700 mt-1">{recommendation.reason}</p>
+          </div>
+        )}
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+        <div className="flex gap-3 justify-end mt-5">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors font-medium"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={!recommendation || saving}
+            className="px-4 py-2 text-sm bg-[#F28C28] text-white rounded-lg hover:bg-[#d97a1f] transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? "Saving..." : "Save & use this size"}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+};
+
+export default SizeFinderModal;
@@ -9,6 +9,7 @@ import { getSizeMeasurements } from "../../../../utils/sizeMeasurements";
  * Handles size selection and confirmation
  * Shows availability status for each size
  * When disabled (e.g. student already ordered max), sizes are shown for reference but not selectable
+ * Marks the size recommended from the student's saved measurements and offers "Find my size"
  */
 const SizeSelector = ({
   availableSizes,
@@ -21,6 +22,8 @@ const SizeSelector = ({
   disabled = false,
   disabledReason,
   isPreOrder = false,
+  recommendedSize = null,
+  onFindSize,
 }) => {
 
   // Map size abbreviations to full names (matching ItemDetailsModal format)
@@ -71,14 +74,34 @@ const SizeSelector = ({
       <div className={disabled ? "opacity-60 pointer-events-none select-none" : ""}>
         {/* Size Choices Label */}
         <div>
-          <h3 className="text-sm sm:text-base font-bold text-[#003363] mb-2 sm:mb-3">
-            Size Choices:
-          </h3>
+          <div className="flex items-center justify-between gap-2 mb-2 sm:mb-3">
+            <h3 className="text-sm sm:text-base font-bold text-[#003363]">
+              Size Choices:
+            </h3>
+            {onFindSize && (
+              <button
+                type="button"
+                onClick={onFindSize}
+                className="text-xs sm:text-sm font-medium text-[#F28C28] hover:text-[#CB7B00] underline"
+              >
+                {recommendedSize ? `Your size: ${recommendedSize} · Update` : "Find my size"}
+              </button>
+            )}
+          </div>
+
+          {recommendedSize &&
+            !loadingSizes &&
+            !availableSizesData.some((s) => s.size === recommendedSize) && (
+              <p className="text-xs text-gray-500 mb-2">
+                Your size ({recommendedSize}) is not stocked for this item, so it was not selected.
+              </p>
+            )}
 
           {/* Size Buttons - Always show so layout never flickers; dim slightly when loading */}
           <div className={`flex flex-wrap gap-2 ${loadingSizes ? "opacity-80 pointer-events-none" : ""}`}>
             {availableSizes.map((size) => {
               const isSelected = selectedSize === size;
+              const isRecommended = recommendedSize === size;
               const sizeData = availableSizesData.find((s) => s.size === size);
               // If no data exists for this size, it means stock = 0 (not in inventory)
               const isInStock = sizeData ? sizeData.stock > 0 : false;
@@ -106,6 +129,11 @@ const SizeSelector = ({
                       <div className="absolute top-0 left-0 bottom-0 w-1.5 bg-[#CB7B00]"></div>
                     )}
                   </button>
+                  {isRecommended && (
+                    <span className="absolute -top-2 -right-2 px-1.5 py-0.5 rounded-full bg-[#003363] text-white text-[9px] font-semibold leading-none pointer-events-none">
+                      Your size
+                    </span>
+                  )}
                   {/* Stock status badge - strictly only show for out of stock/pre-order */}
                  
                 </div>
@@ -8,5 +8,6 @@ export { default as ProductDetailsModal } from "./ProductDetailsModal";
 export { default as ProductImageViewer } from "./ProductImageViewer";
 export { default as ProductInfo } from "./ProductInfo";
 export { default as SizeSelector } from "./SizeSelector";
+export { default as SizeFinderModal } from "./SizeFinderModal";
 export { default as ProductCarousel } from "./ProductCarousel";
 
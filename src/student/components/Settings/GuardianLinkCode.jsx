@@ -0,0 +1,78 @@
+import React from "react";
+import { Users, Copy } from "lucide-react";
+import toast from "react-hot-toast";
+import { format } from "date-fns";
+import { useGuardianLinkCode } from "../../hooks";
+
+/**
+ * GuardianLinkCode Component
+ *
+ * Settings section where a student creates a one-time code for a parent or guardian.
+ * The guardian enters it in the guardian portal to manage this student's cart and
+ * orders together with their siblings'.
+ */
+const GuardianLinkCode = () => {
+  const { linkCode, expiresAt, isExpired, creating, createCode } = useGuardianLinkCode();
+
+  const handleCreate = async () => {
+    try {
+      await createCode();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(linkCode);
+      toast.success("Link code copied");
+    } catch {
+      toast.error("Could not copy the code. Please copy it manually.");
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-xl p-6">
+      <h2 className="text-lg font-semibold text-[#E68B00] mb-1 flex items-center gap-2">
+        <Users className="w-5 h-5" />
+        Guardian Access
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Let a parent or guardian order for you and see your orders and QR codes from their own
+        account. Create a code and give it to them; it works once and expires after a short time.
+      </p>
+
+      {linkCode && !isExpired ? (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <span className="px-4 py-2 bg-white border-2 border-dashed border-[#003363] rounded-lg font-mono text-xl font-bold tracking-widest text-[#003363] text-center">
+            {linkCode}
+          </span>
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="flex items-center gap-1.5 text-sm font-medium text-[#003363] hover:text-[#E68B00]"
+            >
+              <Copy className="w-4 h-4" />
+              Copy
+            </button>
+            {expiresAt && (
+              <span className="text-xs text-gray-500">Expires at {format(expiresAt, "h:mm a")}</span>
+            )}
+          </div>
+        </div>
+      ) : (
+        <button
+          type="button"
+          onClick={handleCreate}
+          disabled={creating}
+          className="px-6 py-2.5 bg-[#003363] text-white rounded-full text-sm font-semibold hover:bg-[#002347] transition-colors disabled:opacity-50"
+        >
+          {creating ? "Creating..." : linkCode ? "Create a new code" : "Create link code"}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default GuardianLinkCode;
@@ -0,0 +1,53 @@
+import React from "react";
+import { Globe } from "lucide-react";
+import toast from "react-hot-toast";
+import { useLanguage } from "../../../context/LanguageContext";
+import { translate } from "../../../i18n";
+
+/**
+ * LanguagePreference Component
+ *
+ * Settings section for the language of the student pages. The same choice is
+ * available from the Navbar; it is saved on this device.
+ */
+const LanguagePreference = () => {
+  const { language, languages, setLanguage, t } = useLanguage();
+
+  const handleChange = (code) => {
+    if (code === language) return;
+    setLanguage(code);
+    // Confirm in the newly selected language
+    toast.success(translate(code, "language.changed"));
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-xl p-6">
+      <h2 className="text-lg font-semibold text-[#E68B00] mb-1 flex items-center gap-2">
+        <Globe className="w-5 h-5" />
+        {t("language.settingsTitle")}
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">{t("language.settingsDescription")}</p>
+
+      <div className="flex flex-wrap gap-3" role="radiogroup" aria-label={t("language.label")}>
+        {languages.map((entry) => (
+          <button
+            key={entry.code}
+            type="button"
+            role="radio"
+            aria-checked={language === entry.code}
+            onClick={() => handleChange(entry.code)}
+            className={`px-5 py-2 rounded-full border-2 text-sm font-semibold transition-colors ${
+              language === entry.code
+                ? "bg-[#003363] border-[#003363] text-white"
+                : "bg-white border-gray-300 text-gray-700 hover:border-[#003363]"
+            }`}
+          >
+            {entry.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LanguagePreference;
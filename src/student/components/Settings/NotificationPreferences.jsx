@@ -0,0 +1,196 @@
+import React from "react";
+import { Bell, Mail, MessageSquare } from "lucide-react";
+import toast from "react-hot-toast";
+import { useNotificationPreferences } from "../../hooks";
+import PushNotificationToggle from "./PushNotificationToggle";
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS,
+  usesSms,
+} from "../../../utils/notificationPreferences";
+
+const CHANNEL_COLUMNS = [
+  { key: NOTIFICATION_CHANNELS.EMAIL, label: "Email", icon: <Mail className="w-4 h-4" /> },
+  { key: NOTIFICATION_CHANNELS.SMS, label: "SMS", icon: <MessageSquare className="w-4 h-4" /> },
+];
+
+/**
+ * NotificationPreferences Component
+ *
+ * Settings section where students pick, per event, whether they also get an email
+ * and/or SMS, so "order released" and "restocked" reach them when they are not logged in.
+ * In-app notifications stay on regardless; push for this device is toggled at the top.
+ */
+const NotificationPreferences = () => {
+  const {
+    preferences,
+    email,
+    loading,
+    saving,
+    sending,
+    hasChanges,
+    toggleChannel,
+    setPhoneNumber,
+    save,
+    discard,
+    sendTest,
+  } = useNotificationPreferences();
+
+  const smsOn = usesSms(preferences);
+
+  const handleSave = async () => {
+    try {
+      await save();
+      toast.success("Notification preferences saved");
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleTest = async (channel) => {
+    try {
+      await sendTest(channel);
+      toast.success(
+        channel === NOTIFICATION_CHANNELS.SMS ? "Test SMS sent" : `Test email sent to ${email}`,
+      );
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-xl p-6">
+      <h2 className="text-lg font-semibold text-[#E68B00] mb-1 flex items-center gap-2">
+        <Bell className="w-5 h-5" />
+        Notifications
+      </h2>
+      <p className="text-sm text-gray-600 mb-6">
+        You always get in-app notifications. Choose what else should reach you by email or SMS
+        when you are not logged in.
+      </p>
+
+      <PushNotificationToggle />
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-[#003363]"></div>
+        </div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-700 border-b border-gray-200">
+                  <th className="py-2 pr-4 font-semibold">Event</th>
+                  {CHANNEL_COLUMNS.map(({ key, label, icon }) => (
+                    <th key={key} className="py-2 px-4 font-semibold text-center w-24">
+                      <span className="inline-flex items-center gap-1">
+                        {icon}
+                        {label}
+                      </span>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {NOTIFICATION_EVENTS.map((event) => (
+                  <tr key={event.key} className="border-b border-gray-100 last:border-0">
+                    <td className="py-3 pr-4">
+                      <p className="font-medium text-[#003363]">{event.label}</p>
+                      <p className="text-xs text-gray-500">{event.description}</p>
+                    </td>
+                    {CHANNEL_COLUMNS.map(({ key, label }) => (
+                      <td key={key} className="py-3 px-4 text-center">
+                        <input
+                          type="checkbox"
+                          checked={preferences.events[event.key][key]}
+                          onChange={() => toggleChannel(event.key, key)}
+                          className="w-4 h-4 accent-[#E68B00] cursor-pointer"
+                          aria-label={`${label} for ${event.label}`}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-6">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">Email</label>
+              <div className="flex gap-2">
+                <input
+                  type="email"
+                  value={email}
+                  readOnly
+                  className="flex-1 min-w-0 px-4 py-3 border border-gray-300 rounded-lg bg-gray-100 text-gray-600 cursor-not-allowed"
+                />
+                <button
+                  type="button"
+                  onClick={() => handleTest(NOTIFICATION_CHANNELS.EMAIL)}
+                  disabled={sending !== null || !email}
+                  className="px-4 py-2 border-2 border-[#003363] text-[#003363] rounded-lg text-sm font-medium hover:bg-[#003363] hover:text-white transition-colors disabled:opacity-50"
+                >
+                  {sending === NOTIFICATION_CHANNELS.EMAIL ? "Sending..." : "Send test"}
+                </button>
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">
+                Mobile number {smsOn && <span className="text-red-500">*</span>}
+              </label>
+              <div className="flex gap-2">
+                <input
+                  type="tel"
+                  value={preferences.phoneNumber}
+                  onChange={(e) => setPhoneNumber(e.target.value)}
+                  placeholder="09171234567"
+                  className="flex-1 min-w-0 px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#E68B00] focus:border-transparent"
+                />
+                <button
+                  type="button"
+                  onClick={() => handleTest(NOTIFICATION_CHANNELS.SMS)}
+                  disabled={sending !== null || !preferences.phoneNumber}
+                  className="px-4 py-2 border-2 border-[#003363] text-[#003363] rounded-lg text-sm font-medium hover:bg-[#003363] hover:text-white transition-colors disabled:opacity-50"
+                >
+                  {sending === NOTIFICATION_CHANNELS.SMS ? "Sending..." : "Send test"}
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">Only used for the SMS notifications you turn on.</p>
+            </div>
+          </div>
+
+          <div className="flex flex-col md:flex-row justify-end gap-4 mt-6">
+            <button
+              type="button"
+              onClick={discard}
+              disabled={!hasChanges}
+              className={`px-6 py-3 rounded-lg font-medium transition-colors ${
+                hasChanges
+                  ? "border-2 border-gray-300 text-gray-700 hover:bg-gray-50"
+                  : "border-2 border-gray-200 text-gray-400 cursor-not-allowed"
+              }`}
+            >
+              Discard Changes
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!hasChanges || saving}
+              className={`px-6 py-3 rounded-lg font-medium transition-colors ${
+                hasChanges && !saving
+                  ? "bg-[#E68B00] text-white hover:bg-[#d97d00]"
+                  : "bg-gray-300 text-gray-500 cursor-not-allowed"
+              }`}
+            >
+              {saving ? "Saving..." : "Save Preferences"}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationPreferences;
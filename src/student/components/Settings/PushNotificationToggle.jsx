@@ -0,0 +1,70 @@
+import React from "react";
+import { Smartphone } from "lucide-react";
+import toast from "react-hot-toast";
+import { useWebPush } from "../../hooks";
+
+/**
+ * PushNotificationToggle Component
+ *
+ * Turns push notifications on or off for this device. Once on, restocks, released
+ * orders and QR expiry reminders show up even when the site is closed.
+ */
+const PushNotificationToggle = () => {
+  const { supported, needsInstall, permission, subscribed, busy, enable, disable } = useWebPush();
+
+  const handleToggle = async () => {
+    try {
+      if (subscribed) {
+        await disable();
+        toast.success("Push notifications turned off for this device");
+      } else {
+        await enable();
+        toast.success("Push notifications turned on for this device");
+      }
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  let hint = "Get restock, order ready and QR expiry alerts even when this site is closed.";
+  if (needsInstall) {
+    hint = "On iPhone and iPad, tap Share > Add to Home Screen, then open the app from there to turn this on.";
+  } else if (!supported) {
+    hint = "This browser does not support push notifications.";
+  } else if (permission === "denied") {
+    hint = "Notifications are blocked for this site. Allow them in your browser settings first.";
+  }
+
+  const disabled = busy || needsInstall || !supported || (permission === "denied" && !subscribed);
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 rounded-lg border border-gray-200 bg-white p-4 mb-6">
+      <div className="flex items-start gap-3">
+        <Smartphone className="w-5 h-5 text-[#003363] mt-0.5 shrink-0" />
+        <div>
+          <p className="text-sm font-semibold text-[#003363]">Push notifications on this device</p>
+          <p className="text-xs text-gray-500 mt-0.5">{hint}</p>
+        </div>
+      </div>
+      <button
+        type="button"
+        role="switch"
+        aria-checked={subscribed}
+        aria-label="Push notifications on this device"
+        onClick={handleToggle}
+        disabled={disabled}
+        className={`relative inline-flex h-6 w-11 shrink-0 items-center rounded-full transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+          subscribed ? "bg-[#E68B00]" : "bg-gray-300"
+        }`}
+      >
+        <span
+          className={`inline-block h-5 w-5 transform rounded-full bg-white shadow transition-transform ${
+            subscribed ? "translate-x-5" : "translate-x-0.5"
+          }`}
+        />
+      </button>
+    </div>
+  );
+};
+
+export default PushNotificationToggle;
@@ -0,0 +1,35 @@
+import React from "react";
+import { Globe } from "lucide-react";
+import { useLanguage } from "../../../context/LanguageContext";
+
+/**
+ * LanguageSwitcher Component
+ *
+ * Compact language picker for the student Navbar (desktop bar and mobile menu).
+ *
+ * Props:
+ * - className: string (optional) - Extra classes for the wrapper
+ */
+const LanguageSwitcher = ({ className = "" }) => {
+  const { language, languages, setLanguage, t } = useLanguage();
+
+  return (
+    <label className={`flex items-center gap-1.5 text-gray-700 ${className}`}>
+      <Globe className="w-5 h-5 flex-shrink-0" aria-hidden="true" />
+      <span className="sr-only">{t("language.label")}</span>
+      <select
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        className="bg-transparent text-sm font-medium focus:outline-none cursor-pointer"
+      >
+        {languages.map((entry) => (
+          <option key={entry.code} value={entry.code}>
+            {entry.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -15,8 +15,10 @@ import {
 import { useAuth } from "../../../context/AuthContext";
 import { useCart } from "../../../context/CartContext";
 import { useNotification } from "../../../context/NotificationContext";
+import { useLanguage } from "../../../context/LanguageContext";
 import { useNavigate } from "react-router-dom";
 import { splitDisplayName } from "../../../utils/displayName";
+import LanguageSwitcher from "./LanguageSwitcher";
 
 const Navbar = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
@@ -26,13 +28,14 @@ const Navbar = () => {
   const { user, logout } = useAuth();
   const { getCartCount } = useCart();
   const { notifications, unreadCount, markAsRead, markAllAsRead, deleteNotification } = useNotification();
+  const { t, formatDate } = useLanguage();
   const navigate = useNavigate();
   const dropdownRef = useRef(null);
   const notificationRef = useRef(null);
 
   // Get user display name (formatted: "Leorenzbien Rodriguez" from "leorenzbien.rodriguez" or "Rafael Ramos"), email, and photo
   const rawName = user?.displayName || user?.name || "";
-  const userName = rawName ? splitDisplayName(rawName).displayName : "Student";
+  const userName = rawName ? splitDisplayName(rawName).displayName : t("navbar.student");
   const userEmail = user?.email || "";
   const userPhoto = user?.photoURL || user?.photo_url || null;
 
@@ -109,11 +112,11 @@ const Navbar = () => {
     const diffInHours = Math.floor(diffInMs / 3600000);
     const diffInDays = Math.floor(diffInMs / 86400000);
 
-    if (diffInMins < 1) return "Just now";
-    if (diffInMins < 60) return `${diffInMins}m ago`;
-    if (diffInHours < 24) return `${diffInHours}h ago`;
-    if (diffInDays < 7) return `${diffInDays}d ago`;
-    return date.toLocaleDateString();
+    if (diffInMins < 1) return t("navbar.justNow");
+    if (diffInMins < 60) return t("navbar.minutesAgo", { count: diffInMins });
+    if (diffInHours < 24) return t("navbar.hoursAgo", { count: diffInHours });
+    if (diffInDays < 7) return t("navbar.daysAgo", { count: diffInDays });
+    return formatDate(date, { month: "short", day: "numeric", year: "numeric" });
   };
 
   return (
@@ -135,7 +138,7 @@ const Navbar = () => {
               type="button"
               onClick={() => navigate("/all-products")}
               className="text-left hover:opacity-80 transition-opacity"
-              aria-label="Go to all products"
+              aria-label={t("navbar.goToAllProducts")}
             >
               <h1 className="text-base sm:text-lg md:text-xl font-semibold">
                 <span className="text-[#003363] font-SFPro">La Verdad</span>
@@ -144,14 +147,17 @@ const Navbar = () => {
             </button>
           </div>
 
-          {/* Right Section - Notifications + Cart + User Profile */}
+          {/* Right Section - Language + Notifications + Cart + User Profile */}
           <div className="flex items-center space-x-3 md:space-x-4">
+            {/* Language - Desktop */}
+            <LanguageSwitcher className="hidden md:flex" />
+
             {/* Notification Icon - Desktop */}
             <div className="hidden md:block relative" ref={notificationRef}>
               <button
                 onClick={() => setIsNotificationOpen(!isNotificationOpen)}
                 className="flex items-center justify-center w-10 h-10 bg-gray-100 hover:bg-gray-200 rounded-full transition-all duration-200 relative"
-                aria-label="Notifications"
+                aria-label={t("navbar.notifications")}
               >
                 <Bell className="w-5 h-5 text-gray-700" />
                 {unreadCount > 0 && (
@@ -167,14 +173,14 @@ const Navbar = () => {
                   {/* Header */}
                   <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
                     <h3 className="text-sm font-semibold text-gray-900">
-                      Notifications {unreadCount > 0 && `(${unreadCount})`}
+                      {t("navbar.notifications")} {unreadCount > 0 && `(${unreadCount})`}
                     </h3>
                     {unreadCount > 0 && (
                       <button
                         onClick={handleMarkAllRead}
                         className="text-xs text-blue-600 hover:text-blue-700 font-medium"
                       >
-                        Mark all read
+                        {t("navbar.markAllRead")}
                       </button>
                     )}
                   </div>
@@ -183,7 +189,7 @@ const Navbar = () => {
                   <div className="overflow-y-auto flex-1">
                     {notifications.length === 0 ? (
                       <div className="px-4 py-8 text-center text-gray-500 text-sm">
-                        No notifications yet
+                        {t("navbar.noNotifications")}
                       </div>
                     ) : (
                       notifications.slice(0, 10).map((notification) => (
@@ -213,7 +219,7 @@ const Navbar = () => {
                               <button
                                 onClick={(e) => handleDeleteNotification(e, notification.id)}
                                 className="p-1 hover:bg-gray-200 rounded transition-colors"
-                                aria-label="Delete notification"
+                                aria-label={t("navbar.deleteNotification")}
                               >
                                 <Trash2 className="w-3 h-3 text-gray-400" />
                               </button>
@@ -234,7 +240,7 @@ const Navbar = () => {
                         }}
                         className="text-xs text-blue-600 hover:text-blue-700 font-medium"
                       >
-                        View all notifications
+                        {t("navbar.viewAllNotifications")}
                       </button>
                     </div>
                   )}
@@ -246,7 +252,7 @@ const Navbar = () => {
             <button
               onClick={() => navigate("/student/cart")}
               className="hidden md:flex items-center justify-center w-10 h-10 bg-gray-100 hover:bg-gray-200 rounded-full transition-all duration-200 relative"
-              aria-label="Shopping Cart"
+              aria-label={t("navbar.shoppingCart")}
             >
               <ShoppingCart className="w-5 h-5 text-gray-700" />
               {cartCount > 0 && (
@@ -284,7 +290,7 @@ const Navbar = () => {
                   </span>
                   {isStudent && (
                     <span className="text-xs text-gray-500 bg-blue-50 px-2 py-0.5 rounded-full">
-                      Student
+                      {t("navbar.student")}
                     </span>
                   )}
                 </div>
@@ -315,7 +321,7 @@ const Navbar = () => {
                     className="w-full flex items-center space-x-3 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
                   >
                     <User className="w-4 h-4" />
-                    <span>My Profile</span>
+                    <span>{t("navbar.myProfile")}</span>
                   </button>
 
                   <button
@@ -331,7 +337,7 @@ const Navbar = () => {
                     className="w-full flex items-center space-x-3 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
                   >
                     <ClipboardList className="w-4 h-4" />
-                    <span>My Orders</span>
+                    <span>{t("navbar.myOrders")}</span>
                   </button>
 
                   <button
@@ -342,7 +348,7 @@ const Navbar = () => {
                     className="w-full flex items-center space-x-3 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
                   >
                     <Settings className="w-4 h-4" />
-                    <span>Settings</span>
+                    <span>{t("navbar.settings")}</span>
                   </button>
 
                   <hr className="my-2" />
@@ -352,7 +358,7 @@ const Navbar = () => {
                     className="w-full flex items-center space-x-3 px-4 py-2 text-sm text-red-600 hover:bg-red-50 transition-colors"
                   >
                     <LogOut className="w-4 h-4" />
-                    <span>Logout</span>
+                    <span>{t("navbar.logout")}</span>
                   </button>
                 </div>
               )}
@@ -362,7 +368,7 @@ const Navbar = () => {
             <button
               onClick={() => setIsMenuOpen(!isMenuOpen)}
               className="md:hidden p-2 hover:bg-gray-100 rounded-lg transition-colors"
-              aria-label="Toggle menu"
+              aria-label={t("navbar.toggleMenu")}
             >
               {isMenuOpen ? (
                 <X className="w-6 h-6" />
@@ -400,7 +406,7 @@ const Navbar = () => {
                   </span>
                   {isStudent && (
                     <span className="text-xs text-gray-500 bg-blue-50 px-2 py-0.5 rounded-full w-fit">
-                      Student
+                      {t("navbar.student")}
                     </span>
                   )}
                 </div>
@@ -423,7 +429,7 @@ const Navbar = () => {
                   )}
                 </div>
                 <span className="text-sm font-medium text-gray-700">
-                  Notifications {unreadCount > 0 && `(${unreadCount})`}
+                  {t("navbar.notifications")} {unreadCount > 0 && `(${unreadCount})`}
                 </span>
               </button>
 
@@ -444,7 +450,7 @@ const Navbar = () => {
                   )}
                 </div>
                 <span className="text-sm font-medium text-gray-700">
-                  Shopping Cart {cartCount > 0 && `(${cartCount})`}
+                  {t("navbar.shoppingCart")} {cartCount > 0 && `(${cartCount})`}
                 </span>
               </button>
 
@@ -460,7 +466,7 @@ const Navbar = () => {
               >
                 <User className="w-5 h-5 text-gray-700" />
                 <span className="text-sm font-medium text-gray-700">
-                  My Profile
+                  {t("navbar.myProfile")}
                 </span>
               </button>
 
@@ -479,7 +485,7 @@ const Navbar = () => {
               >
                 <ClipboardList className="w-5 h-5 text-gray-700" />
                 <span className="text-sm font-medium text-gray-700">
-                  My Orders
+                  {t("navbar.myOrders")}
                 </span>
               </button>
 
@@ -493,10 +499,13 @@ const Navbar = () => {
               >
                 <Settings className="w-5 h-5 text-gray-700" />
                 <span className="text-sm font-medium text-gray-700">
-                  Settings
+                  {t("navbar.settings")}
                 </span>
               </button>
 
+              {/* Language - Mobile */}
+              <LanguageSwitcher className="px-4 py-3" />
+
               <hr className="my-2" />
 
               {/* Logout - Mobile */}
@@ -505,7 +514,7 @@ const Navbar = () => {
                 className="flex items-center space-x-3 px-4 py-3 hover:bg-red-50 rounded-lg transition-colors"
               >
                 <LogOut className="w-5 h-5 text-red-600" />
-                <span className="text-sm font-medium text-red-600">Logout</span>
+                <span className="text-sm font-medium text-red-600">{t("navbar.logout")}</span>
               </button>
             </div>
           </div>
@@ -524,7 +533,7 @@ const Navbar = () => {
               onClick={(e) => e.stopPropagation()}
             >
               <p className="text-gray-800 font-medium mb-4">
-                Are you sure you want to log out?
+                {t("navbar.logoutConfirm")}
               </p>
               <div className="flex gap-3 justify-end">
                 <button
@@ -532,14 +541,14 @@ const Navbar = () => {
                   className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
                   onClick={() => setShowLogoutConfirm(false)}
                 >
-                  Cancel
+                  {t("common.cancel")}
                 </button>
                 <button
                   type="button"
                   className="px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700 transition-colors"
                   onClick={handleLogout}
                 >
-                  Log out
+                  {t("navbar.logOut")}
                 </button>
               </div>
             </div>
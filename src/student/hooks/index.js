@@ -25,6 +25,10 @@ export { useProductPagination } from "./products/useProductPagination";
 
 // Order Hooks
 export { useOrderSubmission } from "./orders/useOrderSubmission";
+export { useSizeExchange } from "./orders/useSizeExchange";
+export { usePreOrderWaitlist } from "./orders/usePreOrderWaitlist";
+export { usePickupSlotBooking } from "./orders/usePickupSlotBooking";
+export { usePickupProxies } from "./orders/usePickupProxies";
 
 // Cart Hooks
 export { useCart } from "./cart/useCart";
@@ -33,3 +37,7 @@ export { useCart } from "./cart/useCart";
 export { useStudentProfile } from "./profile/useStudentProfile";
 export { useActivityFeed } from "./profile/useActivityFeed";
 export { useStudentSettings } from "./profile/useStudentSettings";
+export { useSizeProfile } from "./profile/useSizeProfile";
+export { useNotificationPreferences } from "./profile/useNotificationPreferences";
+export { useWebPush } from "./profile/useWebPush";
+export { useGuardianLinkCode } from "./profile/useGuardianLinkCode";
@@ -0,0 +1,117 @@
+import { useState, useEffect, useCallback } from "react";
+import { orderAPI } from "../../../services/api";
+import { validateProxy } from "../../../utils/pickupProxies";
+
+/**
+ * usePickupProxies Hook
+ *
+ * Authorized pickup proxies for one order:
+ * - Loads the proxies registered on the order (revoked ones are kept for history)
+ * - Registers a proxy (name and relationship); the backend signs their pickup pass
+ * - Revokes a proxy so their pass can no longer be scanned
+ *
+ * @param {string} orderId - Order ID
+ * @returns {Object} { proxies, loading, saving, error, addProxy, revokeProxy }
+ */
+export const usePickupProxies = (orderId) => {
+  const [proxies, setProxies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!orderId) return;
+    let cancelled = false;
+
+    const fetchProxies = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await orderAPI.getPickupProxies(orderId);
+        if (!response.data?.success) {
+          throw new Error(response.data?.message || "Failed to load pickup proxies");
+        }
+        if (!cancelled) setProxies(response.data.data || []);
+      } catch (err) {
+        console.error("Error fetching pickup proxies:", err);
+        if (!cancelled) setError(err.response?.data?.message || err.message || "Failed to load pickup proxies");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchProxies();
+    return () => {
+      cancelled = true;
+    };
+  }, [orderId]);
+
+  /**
+   * Register a proxy
+   * @param {Object} proxyData - { name, relationship }
+   * @returns {Promise<Object>} The proxy with its signed pass
+   */
+  const addProxy = useCallback(
+    async (proxyData) => {
+      const { valid, errors } = validateProxy(proxyData);
+      if (!valid) throw new Error(errors[0]);
+
+      try {
+        setSaving(true);
+        const response = await orderAPI.addPickupProxy(orderId, {
+          name: proxyData.name.trim(),
+          relationship: proxyData.relationship,
+        });
+        if (!response.data?.success) {
+          throw new Error(response.data?.message || "Failed to add pickup proxy");
+        }
+        const proxy = response.data.data;
+        setProxies((prev) => [...prev, proxy]);
+        return proxy;
+      } catch (err) {
+        console.error("Error adding pickup proxy:", err);
+        throw new Error(err.response?.data?.message || err.message || "Failed to add pickup proxy");
+      } finally {
+        setSaving(false);
+      }
+    },
+    [orderId],
+  );
+
+  /**
+   * Revoke a proxy's pass
+   * @param {string} proxyId
+   */
+  const revokeProxy = useCallback(
+    async (proxyId) => {
+      try {
+        setSaving(true);
+        const response = await orderAPI.revokePickupProxy(orderId, proxyId);
+        if (!response.data?.success) {
+          throw new Error(response.data?.message || "Failed to revoke pickup proxy");
+        }
+        const revokedAt = response.data.data?.revoked_at || new Date().toISOString();
+        setProxies((prev) =>
+          prev.map((proxy) => (proxy.id === proxyId ? { ...proxy, revoked_at: revokedAt } : proxy)),
+        );
+      } catch (err) {
+        console.error("Error revoking pickup proxy:", err);
+        throw new Error(err.response?.data?.message || err.message || "Failed to revoke pickup proxy");
+      } finally {
+        setSaving(false);
+      }
+    },
+    [orderId],
+  );
+
+  return {
+    proxies,
+    loading,
+    saving,
+    error,
+    addProxy,
+    revokeProxy,
+  };
+};
+
+export default usePickupProxies;
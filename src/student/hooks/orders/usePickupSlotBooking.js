@@ -0,0 +1,109 @@
+import { useState, useEffect, useCallback } from "react";
+import { format } from "date-fns";
+import { pickupSlotAPI } from "../../../services/pickupSlot.service";
+import { getValidityEndDate } from "../../../utils/qrCodeGenerator";
+import { hasSlotStarted } from "../../../utils/pickupSlots";
+
+/**
+ * usePickupSlotBooking Hook
+ *
+ * Pickup slots a student can book for one ready order:
+ * - Loads slots from today until the order's QR validity ends
+ * - Books (or moves) the order into a slot, or cancels the booking
+ *
+ * @param {Object} order - Order from OrderContext (id, orderDate / _original.created_at)
+ * @returns {Object} { slots, loading, error, saving, bookSlot, cancelBooking }
+ */
+export const usePickupSlotBooking = (order) => {
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const orderId = order?.id;
+  const issuedAt = order?._original?.created_at || order?.orderDate;
+
+  useEffect(() => {
+    if (!orderId) return;
+    let cancelled = false;
+
+    const fetchSlots = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const today = new Date();
+        const validUntil = getValidityEndDate(issuedAt) || today;
+        const response = await pickupSlotAPI.getSlots({
+          from: format(today, "yyyy-MM-dd"),
+          to: format(validUntil < today ? today : validUntil, "yyyy-MM-dd"),
+        });
+        if (!response.data?.success) {
+          throw new Error(response.data?.message || "Failed to load pickup slots");
+        }
+        if (!cancelled) {
+          setSlots((response.data.data || []).filter((slot) => !hasSlotStarted(slot)));
+        }
+      } catch (err) {
+        console.error("Error fetching pickup slots:", err);
+        if (!cancelled) setError(err.response?.data?.message || err.message || "Failed to load pickup slots");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchSlots();
+    return () => {
+      cancelled = true;
+    };
+  }, [orderId, issuedAt]);
+
+  /**
+   * Book the order into a slot (replaces an earlier booking)
+   * @param {string} slotId
+   */
+  const bookSlot = useCallback(
+    async (slotId) => {
+      try {
+        setSaving(true);
+        const response = await pickupSlotAPI.bookSlot(orderId, slotId);
+        if (!response.data?.success) {
+          throw new Error(response.data?.message || "Failed to book pickup slot");
+        }
+        return response.data.data;
+      } catch (err) {
+        console.error("Error booking pickup slot:", err);
+        throw new Error(err.response?.data?.message || err.message || "Failed to book pickup slot");
+      } finally {
+        setSaving(false);
+      }
+    },
+    [orderId],
+  );
+
+  /** Cancel the order's booking */
+  const cancelBooking = useCallback(async () => {
+    try {
+      setSaving(true);
+      const response = await pickupSlotAPI.cancelBooking(orderId);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || "Failed to cancel pickup slot");
+      }
+    } catch (err) {
+      console.error("Error cancelling pickup slot:", err);
+      throw new Error(err.response?.data?.message || err.message || "Failed to cancel pickup slot");
+    } finally {
+      setSaving(false);
+    }
+  }, [orderId]);
+
+  return {
+    slots,
+    loading,
+    error,
+    saving,
+    bookSlot,
+    cancelBooking,
+  };
+};
+
+export default usePickupSlotBooking;
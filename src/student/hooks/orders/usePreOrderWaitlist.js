@@ -0,0 +1,69 @@
+import { useState, useEffect, useCallback } from "react";
+import { orderAPI } from "../../../services/api";
+import { useAuth } from "../../../context/AuthContext";
+import { useSocket } from "../../../context/SocketContext";
+import { getWaitlistKey } from "../../../utils/preOrderWaitlist";
+
+/**
+ * usePreOrderWaitlist Hook
+ *
+ * The student's place in line for each pre-order item and size:
+ * - Loads queue positions and open restocks from orderAPI.getPreOrderWaitlist
+ * - Refetches live when stock arrives (items:restocked) or orders change (order:updated),
+ *   since both move the queue
+ *
+ * @param {boolean} enabled - Only load while pre-orders are on screen
+ * @returns {Object} { getEntry(orderId, itemName, size), loading, refetch }
+ */
+export const usePreOrderWaitlist = (enabled = true) => {
+  const { user } = useAuth();
+  const { on, off } = useSocket();
+  const [entries, setEntries] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const fetchWaitlist = useCallback(async () => {
+    if (!user) return;
+    try {
+      setLoading(true);
+      const response = await orderAPI.getPreOrderWaitlist();
+      if (response.data?.success) {
+        const byKey = {};
+        (response.data.data || []).forEach((entry) => {
+          byKey[getWaitlistKey(entry.order_id, entry.item_name, entry.size)] = entry;
+        });
+        setEntries(byKey);
+      }
+    } catch (err) {
+      console.error("Error fetching pre-order waitlist:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (enabled) fetchWaitlist();
+  }, [enabled, fetchWaitlist]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    on("items:restocked", fetchWaitlist);
+    on("order:updated", fetchWaitlist);
+    return () => {
+      off("items:restocked", fetchWaitlist);
+      off("order:updated", fetchWaitlist);
+    };
+  }, [enabled, on, off, fetchWaitlist]);
+
+  const getEntry = useCallback(
+    (orderId, itemName, size) => entries[getWaitlistKey(orderId, itemName, size)] || null,
+    [entries],
+  );
+
+  return {
+    getEntry,
+    loading,
+    refetch: fetchWaitlist,
+  };
+};
+
+export default usePreOrderWaitlist;
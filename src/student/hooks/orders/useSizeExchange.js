@@ -0,0 +1,140 @@
+import { useState, useEffect, useCallback } from "react";
+import { exchangeAPI, itemsAPI } from "../../../services/api";
+import { useSocket } from "../../../context/SocketContext";
+import { EXCHANGE_STATUS } from "../../../utils/sizeExchange";
+
+/**
+ * useSizeExchange Hook
+ *
+ * Size exchange for one claimed order item:
+ * - Loads the item's sizes with stock (itemsAPI.getAvailableSizes)
+ * - Finds the student's latest exchange request for this order item
+ * - Submits a request (the backend reserves the new size) or cancels a pending one
+ * - Refetches when the custodian decides over the socket ("exchange:updated")
+ *
+ * @param {Object|null} order - Claimed order (null to skip loading)
+ * @param {Object|null} item - Order item to exchange
+ * @returns {Object} { sizes, request, loading, submitting, error, submitRequest, cancelRequest, refetch }
+ */
+export const useSizeExchange = (order, item) => {
+  const [sizes, setSizes] = useState([]);
+  const [request, setRequest] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const { on, off } = useSocket();
+
+  const orderId = order?.id || null;
+  const itemName = item?.name || null;
+  const fromSize = item?.size || null;
+  const educationLevel = item?.education_level || order?.education_level || "General";
+
+  const fetchExchange = useCallback(async () => {
+    if (!orderId || !itemName) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const [sizesResponse, requestsResponse] = await Promise.all([
+        itemsAPI.getAvailableSizes(itemName, educationLevel),
+        exchangeAPI.getMyRequests(),
+      ]);
+
+      setSizes(sizesResponse.data?.success ? sizesResponse.data.data || [] : []);
+
+      // Latest request for this order item; older rejected/cancelled ones stay in the list
+      const requests = requestsResponse.data?.success ? requestsResponse.data.data || [] : [];
+      const latest = requests
+        .filter(
+          (r) =>
+            String(r.order_id) === String(orderId) &&
+            r.item_name === itemName &&
+            r.from_size === fromSize,
+        )
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+      setRequest(latest || null);
+    } catch (err) {
+      console.error("Error fetching size exchange:", err);
+      setError(err.response?.data?.message || err.message || "Failed to load exchange details");
+    } finally {
+      setLoading(false);
+    }
+  }, [orderId, itemName, fromSize, educationLevel]);
+
+  useEffect(() => {
+    fetchExchange();
+  }, [fetchExchange]);
+
+  useEffect(() => {
+    if (!orderId) return undefined;
+    on("exchange:updated", fetchExchange);
+    return () => {
+      off("exchange:updated", fetchExchange);
+    };
+  }, [on, off, orderId, fetchExchange]);
+
+  /**
+   * Ask for a different size; the backend rejects the request if that size ran out
+   * @param {string} toSize - Size to exchange to
+   * @param {string} reason - Why the current size does not fit
+   */
+  const submitRequest = useCallback(
+    async (toSize, reason) => {
+      try {
+        setSubmitting(true);
+        const response = await exchangeAPI.createRequest({
+          orderId,
+          orderNumber: order?.order_number,
+          itemId: item?.item_id || item?.id || null,
+          itemName,
+          educationLevel,
+          fromSize,
+          toSize,
+          quantity: Number(item?.quantity) || 1,
+          reason,
+        });
+        if (!response.data?.success) {
+          throw new Error(response.data?.message || "Failed to submit exchange request");
+        }
+        setRequest(response.data.data);
+        return response.data.data;
+      } catch (err) {
+        console.error("Error submitting exchange request:", err);
+        throw new Error(err.response?.data?.message || err.message || "Failed to submit exchange request");
+      } finally {
+        setSubmitting(false);
+      }
+    },
+    [orderId, order?.order_number, item, itemName, educationLevel, fromSize],
+  );
+
+  /** Cancel the pending request and release the reserved size */
+  const cancelRequest = useCallback(async () => {
+    if (!request || request.status !== EXCHANGE_STATUS.PENDING) return;
+    try {
+      setSubmitting(true);
+      const response = await exchangeAPI.cancelRequest(request.id);
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || "Failed to cancel exchange request");
+      }
+      setRequest(response.data.data || { ...request, status: EXCHANGE_STATUS.CANCELLED });
+    } catch (err) {
+      console.error("Error cancelling exchange request:", err);
+      throw new Error(err.response?.data?.message || err.message || "Failed to cancel exchange request");
+    } finally {
+      setSubmitting(false);
+    }
+  }, [request]);
+
+  return {
+    sizes,
+    request,
+    loading,
+    submitting,
+    error,
+    submitRequest,
+    cancelRequest,
+    refetch: fetchExchange,
+  };
+};
+
+export default useSizeExchange;
@@ -0,0 +1,47 @@
+import { useState, useCallback } from "react";
+import { guardianAPI } from "../../../services/guardian.service";
+
+/**
+ * useGuardianLinkCode Hook
+ *
+ * Link code a parent/guardian enters in the guardian portal to see this student's
+ * cart, orders and QR codes:
+ * - Creates a new short-lived code (replacing any earlier unused one)
+ * - Tracks whether the current code has expired
+ *
+ * @returns {Object} { linkCode, expiresAt, isExpired, creating, createCode }
+ */
+export const useGuardianLinkCode = () => {
+  const [linkCode, setLinkCode] = useState(null);
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [creating, setCreating] = useState(false);
+
+  /**
+   * Create a new link code
+   * @returns {Promise<string>} The code
+   */
+  const createCode = useCallback(async () => {
+    try {
+      setCreating(true);
+      const response = await guardianAPI.createLinkCode();
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || "Failed to create link code");
+      }
+      const { code, expires_at } = response.data.data || {};
+      setLinkCode(code);
+      setExpiresAt(expires_at ? new Date(expires_at) : null);
+      return code;
+    } catch (err) {
+      console.error("Error creating guardian link code:", err);
+      throw new Error(err.response?.data?.message || err.message || "Failed to create link code");
+    } finally {
+      setCreating(false);
+    }
+  }, []);
+
+  const isExpired = Boolean(expiresAt && expiresAt.getTime() <= Date.now());
+
+  return { linkCode, expiresAt, isExpired, creating, createCode };
+};
+
+export default useGuardianLinkCode;
@@ -0,0 +1,142 @@
+import { useState, useEffect, useCallback } from "react";
+import { useAuth } from "../../../context/AuthContext";
+import { authAPI } from "../../../services/api";
+import { sendTestNotification } from "../../../services/notificationChannels";
+import {
+  NOTIFICATION_CHANNELS,
+  PHONE_NUMBER_PATTERN,
+  normalizeNotificationPreferences,
+  usesSms,
+} from "../../../utils/notificationPreferences";
+
+/**
+ * useNotificationPreferences Hook
+ *
+ * Email/SMS notification preferences on the student profile:
+ * - Loads notificationPreferences (defaults filled in)
+ * - Toggles a channel for an event and edits the SMS phone number
+ * - Saves back to the profile; asks the backend for a test message to the saved contact
+ *
+ * @returns {Object} { preferences, email, loading, saving, sending, hasChanges,
+ *   toggleChannel, setPhoneNumber, save, discard, sendTest }
+ */
+export const useNotificationPreferences = () => {
+  const { user } = useAuth();
+  const [saved, setSaved] = useState(() => normalizeNotificationPreferences(null));
+  const [preferences, setPreferences] = useState(saved);
+  const [email, setEmail] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [sending, setSending] = useState(null); // channel being tested
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+
+    const fetchPreferences = async () => {
+      try {
+        setLoading(true);
+        const response = await authAPI.getProfile();
+        const userData = response.data || {};
+        if (cancelled) return;
+        const normalized = normalizeNotificationPreferences(
+          userData.notificationPreferences || userData.notification_preferences,
+        );
+        setSaved(normalized);
+        setPreferences(normalized);
+        setEmail(userData.email || user.email || "");
+      } catch (err) {
+        console.error("Error fetching notification preferences:", err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchPreferences();
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const toggleChannel = useCallback((eventKey, channel) => {
+    setPreferences((prev) => ({
+      ...prev,
+      events: {
+        ...prev.events,
+        [eventKey]: { ...prev.events[eventKey], [channel]: !prev.events[eventKey][channel] },
+      },
+    }));
+  }, []);
+
+  const setPhoneNumber = useCallback((phoneNumber) => {
+    setPreferences((prev) => ({ ...prev, phoneNumber }));
+  }, []);
+
+  const validatePhone = (phoneNumber) => {
+    if (!PHONE_NUMBER_PATTERN.test(phoneNumber.replace(/[\s-]/g, ""))) {
+      throw new Error("Enter a mobile number like 09171234567 to receive SMS.");
+    }
+  };
+
+  /** Save preferences to the profile */
+  const save = useCallback(async () => {
+    if (usesSms(preferences)) validatePhone(preferences.phoneNumber);
+    const notificationPreferences = {
+      ...preferences,
+      phoneNumber: preferences.phoneNumber.replace(/[\s-]/g, ""),
+    };
+    try {
+      setSaving(true);
+      await authAPI.updateProfile({ notificationPreferences });
+      setSaved(notificationPreferences);
+      setPreferences(notificationPreferences);
+    } catch (err) {
+      throw new Error(err.response?.data?.message || "Failed to save notification preferences");
+    } finally {
+      setSaving(false);
+    }
+  }, [preferences]);
+
+  const discard = useCallback(() => setPreferences(saved), [saved]);
+
+  /**
+   * Send a test message on a channel. The backend sends it to the email / phone number
+   * saved on the profile, so an edited number has to be saved first.
+   * @param {"email"|"sms"} channel
+   */
+  const sendTest = useCallback(
+    async (channel) => {
+      if (channel === NOTIFICATION_CHANNELS.SMS) {
+        if (!saved.phoneNumber) throw new Error("Save your mobile number before sending a test SMS.");
+        if (preferences.phoneNumber.replace(/[\s-]/g, "") !== saved.phoneNumber) {
+          throw new Error("Save your new mobile number before sending a test SMS.");
+        }
+      } else if (!email) {
+        throw new Error("No email address on your profile.");
+      }
+      try {
+        setSending(channel);
+        return await sendTestNotification(channel);
+      } finally {
+        setSending(null);
+      }
+    },
+    [preferences.phoneNumber, saved.phoneNumber, email],
+  );
+
+  return {
+    preferences,
+    email,
+    loading,
+    saving,
+    sending,
+    hasChanges: JSON.stringify(preferences) !== JSON.stringify(saved),
+    toggleChannel,
+    setPhoneNumber,
+    save,
+    discard,
+    sendTest,
+  };
+};
+
+export default useNotificationPreferences;
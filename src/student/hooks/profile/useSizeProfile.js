@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback } from "react";
+import { useAuth } from "../../../context/AuthContext";
+import { authAPI } from "../../../services/api";
+import { recommendSize } from "../../../utils/sizeRecommendation";
+
+/**
+ * useSizeProfile Hook
+ *
+ * The student's saved body measurements and the size recommended from them:
+ * - Loads sizeMeasurements from the profile
+ * - Saves new measurements (entered once in "Find my size") back to the profile
+ *
+ * Saved shape: { chestCm, lengthCm, heightCm, weightKg, recommendedSize, estimated, updatedAt }
+ *
+ * @returns {Object} { measurements, recommendedSize, loading, saving, saveMeasurements }
+ */
+export const useSizeProfile = () => {
+  const { user } = useAuth();
+  const [measurements, setMeasurements] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!user) {
+      setMeasurements(null);
+      return;
+    }
+    let cancelled = false;
+
+    const fetchMeasurements = async () => {
+      try {
+        setLoading(true);
+        const response = await authAPI.getProfile();
+        const userData = response.data || {};
+        if (!cancelled) {
+          setMeasurements(userData.sizeMeasurements || userData.size_measurements || null);
+        }
+      } catch (err) {
+        console.error("Error fetching size measurements:", err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchMeasurements();
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  /**
+   * Recommend a size from the input and save it to the profile
+   * @param {Object} input - { chest, length, unit } or { heightCm, weightKg } (see recommendSize)
+   * @returns {Promise<Object>} The recommendation
+   */
+  const saveMeasurements = useCallback(async (input) => {
+    const recommendation = recommendSize(input);
+    if (!recommendation) {
+      throw new Error("Please enter your chest measurement, or your height and weight.");
+    }
+
+    const sizeMeasurements = {
+      chestCm: recommendation.chestCm,
+      lengthCm: recommendation.lengthCm,
+      heightCm: Number(input.heightCm) || null,
+      weightKg: Number(input.weightKg) || null,
+      recommendedSize: recommendation.size,
+      estimated: recommendation.estimated,
+      updatedAt: new Date().toISOString(),
+    };
+
+    try {
+      setSaving(true);
+      await authAPI.updateProfile({ sizeMeasurements });
+      setMeasurements(sizeMeasurements);
+      return recommendation;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  return {
+    measurements,
+    recommendedSize: measurements?.recommendedSize || null,
+    loading,
+    saving,
+    saveMeasurements,
+  };
+};
+
+export default useSizeProfile;
@@ -0,0 +1,127 @@
+import { useState, useEffect, useCallback } from "react";
+import { pushAPI } from "../../../services/api";
+import { useAuth } from "../../../context/AuthContext";
+import {
+  PUSH_EVENTS,
+  isPushSupported,
+  isStandalone,
+  registerServiceWorker,
+  getPushSubscription,
+  getPushSubscriptionOwner,
+  setPushSubscriptionOwner,
+  urlBase64ToUint8Array,
+} from "../../../utils/serviceWorker";
+
+const isIOS = () => typeof navigator !== "undefined" && /iPad|iPhone|iPod/.test(navigator.userAgent);
+
+/**
+ * useWebPush Hook
+ *
+ * Opt-in push notifications for this device:
+ * - Reports support, browser permission and whether this device is subscribed for the
+ *   signed-in user (a subscription left by another account on the device does not count)
+ * - enable(): asks permission, subscribes through the service worker (registered at
+ *   startup) and registers the subscription with the backend for PUSH_EVENTS
+ * - disable(): unsubscribes and removes it from the backend
+ *
+ * @returns {Object} { supported, needsInstall, permission, subscribed, busy, enable, disable }
+ */
+export const useWebPush = () => {
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+  const supported = isPushSupported();
+  // iOS only allows push from an app added to the Home Screen
+  const needsInstall = isIOS() && !isStandalone();
+  const [permission, setPermission] = useState(supported ? window.Notification.permission : "denied");
+  const [subscribed, setSubscribed] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!supported || !userId) {
+      setSubscribed(false);
+      return;
+    }
+    let cancelled = false;
+    getPushSubscription()
+      .then((subscription) => {
+        if (!cancelled) {
+          setSubscribed(Boolean(subscription) && getPushSubscriptionOwner(subscription.endpoint) === userId);
+        }
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [supported, userId]);
+
+  const enable = useCallback(async () => {
+    if (!supported) throw new Error("This browser does not support push notifications.");
+    try {
+      setBusy(true);
+      const result = await window.Notification.requestPermission();
+      setPermission(result);
+      if (result !== "granted") {
+        throw new Error("Notifications are blocked. Allow them in your browser settings to turn this on.");
+      }
+
+      const registration = (await navigator.serviceWorker.getRegistration()) || (await registerServiceWorker());
+      if (!registration) throw new Error("Could not start the background service. Please reload and try again.");
+
+      const response = await pushAPI.getPublicKey();
+      const publicKey = response.data?.data?.publicKey || import.meta.env.VITE_VAPID_PUBLIC_KEY;
+      if (!publicKey) throw new Error("Push notifications are not set up on the server yet.");
+
+      // Never reuse a subscription registered for another account on this device
+      let subscription = await registration.pushManager.getSubscription();
+      if (subscription && getPushSubscriptionOwner(subscription.endpoint) !== userId) {
+        await subscription.unsubscribe();
+        subscription = null;
+      }
+      subscription =
+        subscription ||
+        (await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: urlBase64ToUint8Array(publicKey),
+        }));
+      await pushAPI.subscribe(subscription.toJSON(), PUSH_EVENTS);
+      setPushSubscriptionOwner(subscription.endpoint, userId);
+      setSubscribed(true);
+    } catch (err) {
+      console.error("Error enabling push notifications:", err);
+      throw new Error(err.response?.data?.message || err.message || "Failed to turn on push notifications");
+    } finally {
+      setBusy(false);
+    }
+  }, [supported, userId]);
+
+  const disable = useCallback(async () => {
+    if (!supported) return;
+    try {
+      setBusy(true);
+      const subscription = await getPushSubscription();
+      if (subscription) {
+        await pushAPI.unsubscribe(subscription.endpoint);
+        await subscription.unsubscribe();
+        setPushSubscriptionOwner(null);
+      }
+      setSubscribed(false);
+    } catch (err) {
+      console.error("Error disabling push notifications:", err);
+      throw new Error(err.response?.data?.message || err.message || "Failed to turn off push notifications");
+    } finally {
+      setBusy(false);
+    }
+  }, [supported]);
+
+  return {
+    supported,
+    needsInstall,
+    permission,
+    subscribed,
+    busy,
+    enable,
+    disable,
+  };
+};
+
+export default useWebPush;
@@ -11,6 +11,7 @@ import { useSearchDebounce, useProductPagination } from "../hooks";
 import { useAuth } from "../../context/AuthContext";
 import { useCart } from "../../context/CartContext";
 import { useSocket } from "../../context/SocketContext";
+import { useLanguage } from "../../context/LanguageContext";
 import { authAPI } from "../../services/api";
 import { resolveItemKeyForMaxQuantity, getDefaultMaxForItem } from "../../utils/maxQuantityKeys";
 import { categoryFromItemType } from "../constants/studentProducts";
@@ -50,6 +51,7 @@ const AllProducts = () => {
 
   // Get user from auth context and cart for "already in cart" check
   const { user } = useAuth();
+  const { t } = useLanguage();
   const { items: cartItems } = useCart();
   const { on, off, isConnected } = useSocket();
 
@@ -631,7 +633,7 @@ const AllProducts = () => {
     return (
       <div className="min-h-screen bg-gray-50">
         <Navbar />
-        <HeroSection heading="Item Card" align="bottom-center" />
+        <HeroSection heading={t("products.heroHeading")} align="bottom-center" />
         
         {/* Main Content – white card close to hero/building */}
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 relative z-20 pb-12 -mt-28">
@@ -686,7 +688,7 @@ const AllProducts = () => {
         <div className="pt-16 flex items-center justify-center h-96">
           <div className="text-center">
             <div className="text-red-500 text-5xl mb-4">⚠️</div>
-            <p className="text-gray-600 text-lg">Error loading products</p>
+            <p className="text-gray-600 text-lg">{t("products.errorLoading")}</p>
             <p className="text-gray-500 text-sm mt-2">{error}</p>
           </div>
         </div>
@@ -700,7 +702,7 @@ const AllProducts = () => {
       <Navbar />
 
       {/* Hero Section – "Item Card" at middle bottom */}
-      <HeroSection heading="Item Card" align="bottom-center" />
+      <HeroSection heading={t("products.heroHeading")} align="bottom-center" />
 
       {/* Main Content – white card close to hero/building */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 relative z-20 pb-12 -mt-28">
@@ -722,7 +724,7 @@ const AllProducts = () => {
                     }
                   }}
                   className="p-2 hover:bg-gray-100 rounded-lg transition-all duration-300"
-                  aria-label="Toggle sidebar"
+                  aria-label={t("products.toggleSidebar")}
                 >
                   <svg
                     className="w-6 h-6 text-gray-700"
@@ -741,8 +743,8 @@ const AllProducts = () => {
 
                 {/* Page Title */}
                 <h1 className="text-3xl md:text-4xl font-bold">
-                  <span className="text-[#003363]">All </span>
-                  <span className="text-[#F28C28]">Products</span>
+                  <span className="text-[#003363]">{t("products.titleFirst")} </span>
+                  <span className="text-[#F28C28]">{t("products.titleSecond")}</span>
                 </h1>
               </div>
 
@@ -750,7 +752,7 @@ const AllProducts = () => {
               <div className="relative w-full lg:w-96">
                 <input
                   type="text"
-                  placeholder="Search for items"
+                  placeholder={t("products.searchPlaceholder")}
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
                   className="w-full pl-12 pr-12 py-3 border border-gray-300 rounded-full focus:outline-none focus:ring-2 focus:ring-[#003363] focus:border-transparent text-sm"
@@ -780,11 +782,10 @@ const AllProducts = () => {
                 <Info className="w-5 h-5 text-yellow-600 flex-shrink-0" />
                 <div className="flex-1">
                   <p className="text-sm text-yellow-800 font-semibold">
-                    Complete your profile to see relevant products
+                    {t("products.completeProfileTitle")}
                   </p>
                   <p className="text-xs text-yellow-700 mt-0.5">
-                    Set your year level in Settings to filter products for your
-                    education level.
+                    {t("products.completeProfileBody")}
                   </p>
                 </div>
               </div>
@@ -795,7 +796,7 @@ const AllProducts = () => {
                 <Info className="w-5 h-5 text-amber-600 flex-shrink-0" />
                 <div className="flex-1">
                   <p className="text-sm text-amber-800 font-semibold">
-                    Your order limit has not been set. Contact your administrator to set Total Item Limit before ordering.
+                    {t("orderBlock.limitNotSet")}
                   </p>
                 </div>
               </div>
@@ -807,7 +808,7 @@ const AllProducts = () => {
                 <Info className="w-5 h-5 text-red-600 flex-shrink-0" />
                 <div className="flex-1">
                   <p className="text-sm text-red-800 font-semibold">
-                    You cannot place another order because a previous order was voided for not being claimed in time. Please contact the finance department first.
+                    {t("orderBlock.voidedContactFinance")}
                   </p>
                 </div>
               </div>
@@ -819,7 +820,7 @@ const AllProducts = () => {
                 <Info className="w-5 h-5 text-amber-600 flex-shrink-0" />
                 <div className="flex-1">
                   <p className="text-sm text-amber-800 font-semibold">
-                    Total item limit reached. You have used all item slots for this order period. Remove existing orders to place new ones.
+                    {t("orderBlock.slotLimitReached")}
                   </p>
                 </div>
               </div>
@@ -6,10 +6,15 @@ import { useCheckout } from "../../context/CheckoutContext";
 import { useOrder } from "../../context/OrderContext";
 import { useAuth } from "../../context/AuthContext";
 import { useActivity } from "../../context/ActivityContext";
+import { useLanguage } from "../../context/LanguageContext";
 import { itemsAPI, authAPI } from "../../services/api";
 import { groupCartItemsByVariations } from "../../utils/groupCartItems";
 import { generateOrderReceiptQRData } from "../../utils/qrCodeGenerator";
 import { getDisplayPriceForFreeItem } from "../../utils/freeItemDisplayPrice";
+import {
+  getOrderPolicyViolations,
+  ORDER_AWAITING_APPROVAL_STATUS,
+} from "../../utils/orderLimitPolicy";
 import Navbar from "../components/common/Navbar";
 import HeroSection from "../components/common/HeroSection";
 import toast from "react-hot-toast";
@@ -36,9 +41,12 @@ const CheckoutPage = () => {
   const { createOrder } = useOrder();
   const { user } = useAuth();
   const { trackCheckout } = useActivity();
+  const { t, formatCurrency } = useLanguage();
   const [submitting, setSubmitting] = useState(false);
   const [expandedGroups, setExpandedGroups] = useState(new Set());
   const [blockedDueToVoid, setBlockedDueToVoid] = useState(false);
+  // Limits from /auth/max-quantities; orders over them go to department head approval
+  const [orderLimits, setOrderLimits] = useState(null);
 
   useEffect(() => {
     const fetchBlockedStatus = async () => {
@@ -46,8 +54,10 @@ const CheckoutPage = () => {
       try {
         const res = await authAPI.getMaxQuantities();
         setBlockedDueToVoid(res.data?.blockedDueToVoid === true);
+        setOrderLimits(res.data ?? null);
       } catch (err) {
         setBlockedDueToVoid(err?.response?.data?.blockedDueToVoid === true);
+        setOrderLimits(err?.response?.data?.maxQuantities != null ? err.response.data : null);
       }
     };
     fetchBlockedStatus();
@@ -62,7 +72,17 @@ const CheckoutPage = () => {
     return groupCartItemsByVariations(items);
   }, [items]);
 
-  // ORDER LIMIT CALCULATIONS DISABLED - No validation needed
+  // Limits are not enforced here; out-of-policy orders go to department head approval
+  const limitViolations = useMemo(() => {
+    if (!orderLimits) return [];
+    return getOrderPolicyViolations(
+      items.map((item) => ({
+        name: item.inventory?.name || "Unknown Item",
+        quantity: item.quantity || 1,
+      })),
+      orderLimits
+    );
+  }, [items, orderLimits]);
 
   // Toggle group expansion
   const toggleGroup = (groupKey) => {
@@ -80,20 +100,20 @@ const CheckoutPage = () => {
   // Handle checkout submission
   const handleCheckout = async () => {
     if (items.length === 0) {
-      toast.error("Your cart is empty");
+      toast.error(t("checkout.emptyCart"));
       return;
     }
 
     // ORDER LIMIT VALIDATION DISABLED - No limit checks needed
 
     if (!user) {
-      toast.error("Please log in to place an order");
+      toast.error(t("checkout.loginRequired"));
       navigate("/login");
       return;
     }
 
     if (blockedDueToVoid) {
-      toast.error("You cannot place new orders because a previous order was not claimed in time and was voided. Contact your administrator if you need assistance.");
+      toast.error(t("orderBlock.voided"));
       return;
     }
 
@@ -471,6 +491,20 @@ const CheckoutPage = () => {
         });
       }
 
+      // The backend checks the same limits and holds out-of-policy orders for department
+      // head approval; the violations found here are only sent along for its review
+      const policyViolations = orderLimits
+        ? getOrderPolicyViolations(
+            ordersToCreate.flatMap((orderConfig) => orderConfig.orderItems),
+            orderLimits
+          )
+        : [];
+      if (policyViolations.length > 0) {
+        ordersToCreate.forEach((orderConfig) => {
+          orderConfig.data.policy_violations = policyViolations.map((v) => v.message);
+        });
+      }
+
       // Handle direct checkout with orderIntent override
       // If direct checkout and orderIntent is set, respect it for single-item orders
       if (isDirectCheckout && orderIntent && items.length === 1) {
@@ -556,13 +590,18 @@ const CheckoutPage = () => {
       }
 
       // Show appropriate success message
-      if (createdOrders.length === 1) {
-        toast.success("Order submitted successfully!");
+      const heldForApproval = createdOrders.some(
+        ({ order }) => order?.status === ORDER_AWAITING_APPROVAL_STATUS
+      );
+      if (heldForApproval) {
+        toast.success(t("checkout.sentForApproval"), { duration: 6000 });
+      } else if (createdOrders.length === 1) {
+        toast.success(t("checkout.submitted"));
       } else {
         toast.success(
-          `${createdOrders.length} orders created successfully! ${
+          `${t("checkout.submittedMany", { count: createdOrders.length })} ${
             failedOrders.length > 0
-              ? `(${failedOrders.length} failed)`
+              ? t("checkout.failedCount", { count: failedOrders.length })
               : ""
           }`
         );
@@ -570,10 +609,7 @@ const CheckoutPage = () => {
 
       // Show warning if some orders failed
       if (failedOrders.length > 0) {
-        toast.error(
-          `Some orders failed to create. Please check your orders page.`,
-          { duration: 5000 }
-        );
+        toast.error(t("checkout.someFailed"), { duration: 5000 });
       }
 
       // Navigate to Order Success page; pass first order id and type for navigation
@@ -595,7 +631,7 @@ const CheckoutPage = () => {
       const errorMessage =
         error.response?.data?.message ||
         error.message ||
-        "Failed to submit order. Please try again.";
+        t("checkout.failed");
       toast.error(errorMessage);
     } finally {
       setSubmitting(false);
@@ -608,7 +644,7 @@ const CheckoutPage = () => {
       <Navbar />
 
       {/* Hero Section – "Checkout" at bottom center (like All Products) */}
-      <HeroSection heading="Checkout" align="bottom-center" />
+      <HeroSection heading={t("checkout.heroHeading")} align="bottom-center" />
 
       {/* Main Content – close to hero, slightly lower */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 relative z-20 pb-12 -mt-20">
@@ -621,7 +657,7 @@ const CheckoutPage = () => {
               <button
                 type="button"
                 onClick={() => navigate(-1)}
-                aria-label="Go back"
+                aria-label={t("common.goBack")}
                 className="flex items-center justify-center w-12 h-12 rounded-full bg-white border-2 border-[#003363] text-[#003363] shadow-md hover:bg-gray-50 hover:border-[#002347] hover:text-[#002347] transition-colors"
               >
                 <ArrowLeft className="w-5 h-5" />
@@ -646,7 +682,7 @@ const CheckoutPage = () => {
                       {/* Quantity Badge */}
                       <div className="flex-shrink-0">
                         <div className="w-10 h-10 sm:w-12 sm:h-12 bg-white rounded-full flex items-center justify-center border-2 border-[#003363] font-bold text-[#003363] text-xs sm:text-sm">
-                          {group.totalQuantity}PC
+                          {t("common.pieces", { count: group.totalQuantity })}
                         </div>
                       </div>
 
@@ -669,10 +705,8 @@ const CheckoutPage = () => {
                       <div className="flex-grow min-w-0">
                         <p className="text-xs text-gray-500 mb-1">
                           {hasMultipleVariations
-                            ? `${group.variations.length} Size${
-                                group.variations.length > 1 ? "s" : ""
-                              }`
-                            : `${group.variations[0]?.size || "N/A"} Size`}
+                            ? t("checkout.sizeCount", { count: group.variations.length })
+                            : t("checkout.sizeLabel", { size: group.variations[0]?.size || "N/A" })}
                         </p>
                         <h3 className="font-bold text-[#003363] text-sm sm:text-base leading-tight break-words">
                           {group.name}
@@ -686,10 +720,8 @@ const CheckoutPage = () => {
                             className="mt-2 text-xs text-[#F28C28] hover:text-[#d97a1f] font-medium"
                           >
                             {isExpanded
-                              ? "Hide variations"
-                              : `Show ${group.variations.length} size${
-                                  group.variations.length > 1 ? "s" : ""
-                                }`}
+                              ? t("checkout.hideVariations")
+                              : t("checkout.showSizes", { count: group.variations.length })}
                           </button>
                         )}
                       </div>
@@ -708,11 +740,11 @@ const CheckoutPage = () => {
                              <div className="flex flex-col items-end">
                                {groupTotal > 0 && (
                                  <span className="line-through text-gray-500 font-semibold text-xs sm:text-sm mb-0.5 text-right block w-full">
-                                   ₱{groupTotal.toLocaleString("en-PH", { minimumFractionDigits: 2 })}
+                                   {formatCurrency(groupTotal)}
                                  </span>
                                )}
                                <span className={`inline-block px-2.5 py-1 sm:px-4 sm:py-1.5 bg-[#F28C28] text-white font-bold text-base sm:text-lg md:text-xl rounded-full ${groupTotal > 0 ? "mt-0.5" : ""}`}>
-                                 FREE
+                                 {t("common.free")}
                                </span>
                              </div>
                            );
@@ -731,14 +763,14 @@ const CheckoutPage = () => {
                           {/* Quantity Badge */}
                           <div className="flex-shrink-0">
                             <div className="w-8 h-8 sm:w-10 sm:h-10 bg-white rounded-full flex items-center justify-center border-2 border-[#F28C28] font-bold text-[#F28C28] text-xs">
-                              {variation.quantity}PC
+                              {t("common.pieces", { count: variation.quantity })}
                             </div>
                           </div>
 
                           {/* Variation Details */}
                           <div className="flex-grow min-w-0">
                             <p className="text-xs text-gray-600 mb-1">
-                              {variation.size || "N/A"} Size
+                              {t("checkout.sizeLabel", { size: variation.size || "N/A" })}
                             </p>
                             <h4 className="font-semibold text-[#003363] text-xs sm:text-sm break-words">
                               {group.name} {variation.size}
@@ -756,11 +788,11 @@ const CheckoutPage = () => {
                                  <div className="flex flex-col items-end">
                                    {variationTotal > 0 && (
                                      <span className="line-through text-gray-500 font-semibold text-[10px] sm:text-xs mb-0.5 text-right block w-full">
-                                       ₱{variationTotal.toLocaleString("en-PH", { minimumFractionDigits: 2 })}
+                                       {formatCurrency(variationTotal)}
                                      </span>
                                    )}
                                    <span className={`inline-block px-2 py-0.5 sm:px-3 sm:py-1 bg-[#F28C28] text-white font-bold text-sm sm:text-base md:text-lg rounded-full ${variationTotal > 0 ? "mt-0.5" : ""}`}>
-                                     FREE
+                                     {t("common.free")}
                                    </span>
                                  </div>
                                );
@@ -778,8 +810,22 @@ const CheckoutPage = () => {
             <div className="px-4 sm:px-6 lg:px-8 pb-2">
               <div className="rounded-lg bg-red-50 border border-red-200 px-4 py-3 text-sm text-red-800">
                 <p className="font-medium">
-                  You cannot place new orders because a previous order was not claimed in time and was voided. Contact your administrator if you need assistance.
+                  {t("orderBlock.voided")}
+                </p>
+              </div>
+            </div>
+          )}
+          {items.length > 0 && !blockedDueToVoid && limitViolations.length > 0 && (
+            <div className="px-4 sm:px-6 lg:px-8 pb-2">
+              <div className="rounded-lg bg-amber-50 border border-amber-200 px-4 py-3 text-sm text-amber-800">
+                <p className="font-medium">
+                  {t("orderBlock.overLimitApproval")}
                 </p>
+                <ul className="mt-1 list-disc list-inside">
+                  {limitViolations.map((violation) => (
+                    <li key={violation.itemKey || violation.type}>{violation.message}</li>
+                  ))}
+                </ul>
               </div>
             </div>
           )}
@@ -791,16 +837,16 @@ const CheckoutPage = () => {
                 disabled={loading || submitting || blockedDueToVoid}
                 title={
                   blockedDueToVoid 
-                    ? "You cannot place new orders because a previous order was not claimed in time and was voided."
+                    ? t("orderBlock.voidedShort")
                     : undefined
                 }
                 className="w-full py-3 sm:py-4 bg-[#F28C28] text-white font-bold text-base sm:text-lg rounded-full hover:bg-[#d97a1f] transition-all shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 {submitting
-                  ? "Submitting Order..."
+                  ? t("checkout.submitting")
                   : loading
-                  ? "Processing..."
-                  : "Checkout"}
+                  ? t("common.processing")
+                  : t("checkout.checkout")}
               </button>
             </div>
           )}
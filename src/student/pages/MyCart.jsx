@@ -4,6 +4,7 @@ import { useNavigate } from "react-router-dom";
 import { useCart } from "../../context/CartContext";
 import { useCheckout } from "../../context/CheckoutContext";
 import { useAuth } from "../../context/AuthContext";
+import { useLanguage } from "../../context/LanguageContext";
 import { authAPI } from "../../services/api";
 import { resolveItemKeyForMaxQuantity, getDefaultMaxForItem, getDefaultMaxByKey } from "../../utils/maxQuantityKeys";
 import { getDisplayPriceForFreeItem } from "../../utils/freeItemDisplayPrice";
@@ -25,6 +26,7 @@ import toast from "react-hot-toast";
 const MyCart = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
+  const { t } = useLanguage();
   const { items, loading, updateCartItem, removeFromCart } = useCart();
   const { useCartCheckout: switchToCartCheckout } = useCheckout();
   const [editMode, setEditMode] = useState(false);
@@ -291,7 +293,7 @@ const MyCart = () => {
       return;
     }
     if (blockedDueToVoid) {
-      toast.error("You cannot place new orders because a previous order was not claimed in time and was voided. Contact your administrator if you need assistance.");
+      toast.error(t("orderBlock.voided"));
       return;
     }
     if (limitNotSet) {
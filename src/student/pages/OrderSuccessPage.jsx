@@ -1,6 +1,7 @@
 import React, { useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { useLanguage } from '../../context/LanguageContext';
 import Navbar from '../components/common/Navbar';
 import HeroSection from '../components/common/HeroSection';
 import OrderSuccessCard from '../components/order/OrderSuccessCard';
@@ -9,6 +10,7 @@ const OrderSuccessPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const { user } = useAuth();
+  const { t } = useLanguage();
   
   // Get order type from location state to determine which tab to navigate to
   const orderType = location.state?.orderType || "regular";
@@ -33,7 +35,7 @@ const OrderSuccessPage = () => {
       // Fallback to email username
       return user.email.split('@')[0];
     }
-    return 'Student';
+    return t('navbar.student');
   };
 
   const handleBackHome = () => {
@@ -57,12 +59,12 @@ const OrderSuccessPage = () => {
             className="absolute top-6 left-6 px-5 py-2.5 bg-[#0C2340] text-white border-none rounded-lg font-semibold text-sm cursor-pointer transition-all duration-300 shadow-[0_2px_8px_rgba(12,35,64,0.2)] hover:bg-[#003363] hover:-translate-y-0.5 hover:shadow-[0_4px_12px_rgba(12,35,64,0.3)] active:translate-y-0 z-50"
             onClick={handleBackHome}
           >
-            Back to Home
+            {t('orderSuccess.backToHome')}
           </button>
 
           {/* Watermark Text - Behind everything */}
           <div className="absolute bottom-44 left-1/3 -translate-x-1/2 text-[4rem] md:text-[6rem] lg:text-[8rem] font-black text-[rgba(255, 255, 255, 0.15)] whitespace-nowrap z-0 select-none pointer-events-none leading-[0.9]">
-            Order <br /> Successfull
+            {t('orderSuccess.watermarkFirst')} <br /> {t('orderSuccess.watermarkSecond')}
           </div>
 
           {/* Background Image - Full card coverage */}
@@ -7,12 +7,16 @@ import Navbar from "../components/common/Navbar";
 import ProductImageViewer from "../components/Products/ProductDetails/ProductImageViewer";
 import ProductInfo from "../components/Products/ProductDetails/ProductInfo";
 import SizeSelector from "../components/Products/ProductDetails/SizeSelector";
+import SizeFinderModal from "../components/Products/ProductDetails/SizeFinderModal";
 import ProductCarousel from "../components/Products/ProductDetails/ProductCarousel";
 import { useItems } from "../../property-custodian/hooks/items/useItems";
 import { useCart } from "../../context/CartContext";
 import { useCheckout } from "../../context/CheckoutContext";
 import { useAuth } from "../../context/AuthContext";
+import { useLanguage } from "../../context/LanguageContext";
 import { useSocket } from "../../context/SocketContext";
+import { useSizeProfile } from "../hooks/profile/useSizeProfile";
+import { toProductPageSize } from "../../utils/sizeRecommendation";
 import { itemsAPI, authAPI } from "../../services/api";
 import { normalizeItemName, resolveItemKeyForMaxQuantity, getDefaultMaxForItem } from "../../utils/maxQuantityKeys";
 
@@ -30,6 +34,7 @@ const ProductDetailsPage = () => {
   const { addToCart, items: cartItems } = useCart();
   const { setDirectCheckoutItems } = useCheckout();
   const { user } = useAuth();
+  const { t } = useLanguage();
   const { on, off, isConnected } = useSocket();
 
   const [product, setProduct] = useState(null);
@@ -57,6 +62,18 @@ const ProductDetailsPage = () => {
   const [limitsLoaded, setLimitsLoaded] = useState(false);
   const [limitsRefreshTrigger, setLimitsRefreshTrigger] = useState(0);
   const [blockedDueToVoid, setBlockedDueToVoid] = useState(false);
+  const [isSizeFinderOpen, setIsSizeFinderOpen] = useState(false);
+  const {
+    measurements: savedSizeMeasurements,
+    recommendedSize: savedRecommendedSize,
+    saving: savingSizeMeasurements,
+    saveMeasurements,
+  } = useSizeProfile();
+  const recommendedSize = savedRecommendedSize
+    ? toProductPageSize(savedRecommendedSize)
+    : null;
+  // Product the saved size was last pre-selected for (only once per product, so a manual pick sticks)
+  const sizePreselectedForRef = useRef(null);
 
   // Track previous product ID so we only reset size/quantity when navigating to a different product
   const prevProductIdRef = useRef(null);
@@ -477,6 +494,20 @@ const ProductDetailsPage = () => {
   const availableSizes =
     requiresSizeSelection ? [...baseSizes, ...extraSizes] : [];
 
+  // Pre-select the size recommended from the student's saved measurements (not confirmed),
+  // only when this item comes in that size (availableSizes always lists the base sizes,
+  // so check the item's own sizes); otherwise SizeSelector shows it as a hint
+  const recommendedSizeOffered =
+    Boolean(recommendedSize) && apiSizes.includes(recommendedSize);
+  useEffect(() => {
+    if (!requiresSizeSelection || !recommendedSize || !productIdForSizes || loadingSizes) return;
+    if (sizePreselectedForRef.current === productIdForSizes) return;
+    sizePreselectedForRef.current = productIdForSizes;
+    if (recommendedSizeOffered) {
+      setSelectedSize((current) => current || recommendedSize);
+    }
+  }, [productIdForSizes, requiresSizeSelection, recommendedSize, recommendedSizeOffered, loadingSizes]);
+
   const selectedSizeData = availableSizesData.find(
     (s) => s.size === selectedSize
   );
@@ -1209,6 +1240,8 @@ const ProductDetailsPage = () => {
                         disabled={(!isOutOfStock && effectiveMax < 1) || notAllowedForStudentType}
                         disabledReason={null}
                         isPreOrder={!(selectedSizeData && selectedSizeData.stock > 0)}
+                        recommendedSize={recommendedSize}
+                        onFindSize={user ? () => setIsSizeFinderOpen(true) : undefined}
                       />
                     )}
                   </div>
@@ -1229,7 +1262,7 @@ const ProductDetailsPage = () => {
                   {/* Blocked due to auto-void: student cannot place new orders after an unclaimed order was voided. */}
                   {blockedDueToVoid && (
                     <div className="rounded-lg bg-red-50 border border-red-200 px-4 py-3 text-sm text-red-800">
-                      <p className="font-medium">You cannot place new orders because a previous order was not claimed in time and was voided. Contact your administrator if you need assistance.</p>
+                      <p className="font-medium">{t("orderBlock.voided")}</p>
                     </div>
                   )}
                   {/* Maximum reached: student has already reached the maximum allowed quantity (alreadyOrdered + claimedItems >= max). */}
@@ -1331,6 +1364,19 @@ const ProductDetailsPage = () => {
         )}
       </div>
 
+      {/* Find my size */}
+      {isSizeFinderOpen && (
+        <SizeFinderModal
+          savedMeasurements={savedSizeMeasurements}
+          saving={savingSizeMeasurements}
+          onSave={saveMeasurements}
+          onUseSize={(size) => {
+            handleSizeSelect(size);
+            toast.success(`Size ${size} saved to your profile`);
+          }}
+          onClose={() => setIsSizeFinderOpen(false)}
+        />
+      )}
     </div>
   );
 };
@@ -2,6 +2,9 @@ import React, { useRef, useState, useMemo, useEffect, useCallback } from "react"
 import { Camera, ArrowLeft, AlertCircle, User } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import Navbar from "../components/common/Navbar";
+import NotificationPreferences from "../components/Settings/NotificationPreferences";
+import GuardianLinkCode from "../components/Settings/GuardianLinkCode";
+import LanguagePreference from "../components/Settings/LanguagePreference";
 import { useStudentSettings } from "../hooks";
 import { useAuth } from "../../context/AuthContext";
 import { getCourseBannerStyle } from "../utils/courseBanner";
@@ -21,6 +24,7 @@ import {
  * - Edit profile picture
  * - View read-only profile information
  * - Save or discard changes
+ * - Choose email/SMS notifications per event
  *
  * All business logic is extracted to useStudentSettings hook.
  */
@@ -951,6 +955,21 @@ const StudentSettings = () => {
                   </button>
                 </div>
               </div>
+
+              {/* Language - English/Filipino for the student pages */}
+              <div id="language" className="md:col-span-2 lg:col-span-3 scroll-mt-24">
+                <LanguagePreference />
+              </div>
+
+              {/* Notification Preferences - email/SMS per event */}
+              <div id="notification-preferences" className="md:col-span-2 lg:col-span-3 scroll-mt-24">
+                <NotificationPreferences />
+              </div>
+
+              {/* Guardian Access - link code for a parent/guardian account */}
+              <div id="guardian-access" className="md:col-span-2 lg:col-span-3 scroll-mt-24">
+                <GuardianLinkCode />
+              </div>
             </div>
           )}
         </div>
@@ -0,0 +1,192 @@
+import React, { useState } from "react";
+import { format } from "date-fns";
+import { Mail, Trash2, StickyNote, MessageSquare } from "lucide-react";
+import { CONTACT_STATUS_OPTIONS } from "../../utils/contactInbox";
+import ContactReplyForm from "./ContactReplyForm";
+
+const formatDateTime = (value) => (value ? format(new Date(value), "MMM d, yyyy h:mm a") : "");
+
+/**
+ * ContactDetail Component
+ *
+ * One contact message: the sender's message, status and assignee controls,
+ * internal notes, sent replies and the reply form.
+ *
+ * Props:
+ * - contact: Object - Message with notes and replies
+ * - staff: Array - Staff members the message can be assigned to
+ * - staffName: string - Signed-in staff member
+ * - loading: boolean - Notes/replies still loading
+ * - saving: boolean
+ * - onStatusChange: function(status)
+ * - onAssign: function(staffId)
+ * - onAddNote: async function(note)
+ * - onSendReply: async function({ subject, message })
+ * - onDelete: function
+ */
+const ContactDetail = ({
+  contact,
+  staff,
+  staffName,
+  loading,
+  saving,
+  onStatusChange,
+  onAssign,
+  onAddNote,
+  onSendReply,
+  onDelete,
+}) => {
+  const [note, setNote] = useState("");
+  const notes = contact.notes || [];
+  const replies = contact.replies || [];
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    try {
+      await onAddNote(note);
+      setNote("");
+    } catch {
+      // Error already shown by the hook; keep the draft
+    }
+  };
+
+  return (
+    <div className="p-4 sm:p-6 space-y-6">
+      {/* Sender + message */}
+      <div>
+        <div className="flex items-start justify-between gap-3">
+          <div className="min-w-0">
+            <h2 className="text-lg font-bold text-[#0C2340] truncate">{contact.name}</h2>
+            <a
+              href={`mailto:${contact.email}`}
+              className="text-sm text-[#003363] hover:underline flex items-center gap-1"
+            >
+              <Mail size={14} />
+              {contact.email}
+            </a>
+            <p className="text-xs text-gray-400 mt-0.5">{formatDateTime(contact.created_at)}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onDelete}
+            disabled={saving}
+            className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+            title="Delete message"
+            aria-label="Delete message"
+          >
+            <Trash2 size={18} />
+          </button>
+        </div>
+        <p className="mt-4 text-sm text-gray-800 whitespace-pre-wrap bg-gray-50 rounded-lg p-4">
+          {contact.message}
+        </p>
+      </div>
+
+      {/* Status + assignee */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <label className="block text-sm font-medium text-gray-700">
+          Status
+          <select
+            value={contact.status || "new"}
+            onChange={(e) => onStatusChange(e.target.value)}
+            disabled={saving}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#0C2340]"
+          >
+            {CONTACT_STATUS_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-sm font-medium text-gray-700">
+          Assigned to
+          <select
+            value={contact.assigned_to ?? ""}
+            onChange={(e) => onAssign(e.target.value || null)}
+            disabled={saving}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#0C2340]"
+          >
+            <option value="">Unassigned</option>
+            {staff.map((member) => (
+              <option key={member.id} value={member.id}>
+                {member.name || member.email}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* Internal notes */}
+      <section>
+        <h3 className="text-sm font-semibold text-[#0C2340] flex items-center gap-1.5 mb-2">
+          <StickyNote size={16} />
+          Internal notes
+          <span className="text-xs font-normal text-gray-400">(not sent to the sender)</span>
+        </h3>
+        {loading ? (
+          <p className="text-xs text-gray-500">Loading...</p>
+        ) : notes.length === 0 ? (
+          <p className="text-xs text-gray-500">No notes yet.</p>
+        ) : (
+          <ul className="space-y-2 mb-3">
+            {notes.map((entry) => (
+              <li key={entry.id} className="bg-yellow-50 border border-yellow-100 rounded-lg px-3 py-2">
+                <p className="text-sm text-gray-800 whitespace-pre-wrap">{entry.note}</p>
+                <p className="text-[11px] text-gray-500 mt-1">
+                  {entry.author_name || "Staff"} · {formatDateTime(entry.created_at)}
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form onSubmit={handleAddNote} className="flex gap-2 mt-2">
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Add a note for other staff"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#0C2340]"
+          />
+          <button
+            type="submit"
+            disabled={saving || !note.trim()}
+            className="px-4 py-2 border-2 border-[#0C2340] text-[#0C2340] rounded-lg text-sm font-semibold hover:bg-[#f3f6fb] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Add
+          </button>
+        </form>
+      </section>
+
+      {/* Replies */}
+      <section>
+        <h3 className="text-sm font-semibold text-[#0C2340] flex items-center gap-1.5 mb-2">
+          <MessageSquare size={16} />
+          Replies
+        </h3>
+        {replies.length > 0 && (
+          <ul className="space-y-2 mb-4">
+            {replies.map((reply) => (
+              <li key={reply.id} className="border border-gray-200 rounded-lg px-3 py-2">
+                <p className="text-sm font-semibold text-gray-800">{reply.subject}</p>
+                <p className="text-sm text-gray-700 whitespace-pre-wrap mt-1">{reply.message}</p>
+                <p className="text-[11px] text-gray-500 mt-1">
+                  {reply.author_name || "Staff"} · {formatDateTime(reply.created_at)}
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+        <ContactReplyForm
+          key={contact.id}
+          contact={contact}
+          staffName={staffName}
+          saving={saving}
+          onSend={onSendReply}
+        />
+      </section>
+    </div>
+  );
+};
+
+export default ContactDetail;
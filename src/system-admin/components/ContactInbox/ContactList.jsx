@@ -0,0 +1,75 @@
+import React from "react";
+import { formatDistanceToNow } from "date-fns";
+import { getContactStatusOption } from "../../utils/contactInbox";
+
+/**
+ * ContactList Component
+ *
+ * Message list of the contact inbox. Unread messages are bold with a dot.
+ *
+ * Props:
+ * - contacts: Array - Messages to list
+ * - selectedId: string|number|null - Open message
+ * - staff: Array - Staff members (to show the assignee's name)
+ * - loading: boolean
+ * - onSelect: function(id) - Open a message
+ */
+const ContactList = ({ contacts, selectedId, staff, loading, onSelect }) => {
+  const staffName = (id) => staff.find((member) => String(member.id) === String(id))?.name;
+
+  if (loading && contacts.length === 0) {
+    return <p className="p-6 text-sm text-gray-500 text-center">Loading messages...</p>;
+  }
+
+  if (contacts.length === 0) {
+    return <p className="p-6 text-sm text-gray-500 text-center">No messages found.</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {contacts.map((contact) => {
+        const status = getContactStatusOption(contact.status);
+        const assignee = contact.assigned_to_name || staffName(contact.assigned_to);
+        const isSelected = contact.id === selectedId;
+        return (
+          <li key={contact.id}>
+            <button
+              type="button"
+              onClick={() => onSelect(contact.id)}
+              className={`w-full text-left px-4 py-3 transition-colors ${
+                isSelected ? "bg-[#f3f6fb]" : "hover:bg-gray-50"
+              }`}
+            >
+              <div className="flex items-center justify-between gap-2">
+                <span
+                  className={`text-sm truncate ${
+                    contact.is_read ? "text-gray-700" : "font-bold text-[#0C2340]"
+                  }`}
+                >
+                  {!contact.is_read && (
+                    <span className="inline-block w-2 h-2 bg-[#E68B00] rounded-full mr-2 align-middle" />
+                  )}
+                  {contact.name || contact.email}
+                </span>
+                {contact.created_at && (
+                  <span className="text-xs text-gray-400 shrink-0">
+                    {formatDistanceToNow(new Date(contact.created_at), { addSuffix: true })}
+                  </span>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 truncate mt-0.5">{contact.message}</p>
+              <div className="flex items-center gap-2 mt-1.5">
+                <span className={`px-2 py-0.5 rounded-full text-[11px] font-semibold ${status.className}`}>
+                  {status.label}
+                </span>
+                {assignee && <span className="text-[11px] text-gray-500 truncate">→ {assignee}</span>}
+              </div>
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default ContactList;
@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { Send } from "lucide-react";
+import { REPLY_TEMPLATES, fillReplyTemplate } from "../../utils/contactInbox";
+
+/**
+ * ContactReplyForm Component
+ *
+ * Emails a reply to the sender of a contact message. A reply template fills in
+ * the subject and message, which can then be edited before sending.
+ *
+ * Props:
+ * - contact: Object - The message being answered
+ * - staffName: string - Signed-in staff member (used in templates)
+ * - saving: boolean
+ * - onSend: async function({ subject, message })
+ */
+const ContactReplyForm = ({ contact, staffName, saving, onSend }) => {
+  const [templateId, setTemplateId] = useState("");
+  const [subject, setSubject] = useState("");
+  const [message, setMessage] = useState("");
+
+  const handleTemplateChange = (id) => {
+    setTemplateId(id);
+    const template = REPLY_TEMPLATES.find((entry) => entry.id === id);
+    if (!template) return;
+    const filled = fillReplyTemplate(template, contact, staffName);
+    setSubject(filled.subject);
+    setMessage(filled.message);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await onSend({ subject: subject.trim(), message: message.trim() });
+      setTemplateId("");
+      setSubject("");
+      setMessage("");
+    } catch {
+      // Error already shown by the hook; keep the draft
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+        <label htmlFor="reply-template" className="text-sm font-medium text-gray-700 shrink-0">
+          Template
+        </label>
+        <select
+          id="reply-template"
+          value={templateId}
+          onChange={(e) => handleTemplateChange(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#0C2340]"
+        >
+          <option value="">Write from scratch</option>
+          {REPLY_TEMPLATES.map((template) => (
+            <option key={template.id} value={template.id}>
+              {template.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <input
+        type="text"
+        value={subject}
+        onChange={(e) => setSubject(e.target.value)}
+        placeholder="Subject"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#0C2340]"
+        required
+      />
+      <textarea
+        value={message}
+        onChange={(e) => setMessage(e.target.value)}
+        placeholder={`Reply to ${contact.email}`}
+        rows={6}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#0C2340]"
+        required
+      />
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={saving || !subject.trim() || !message.trim()}
+          className="flex items-center gap-2 px-4 py-2 bg-[#0C2340] text-white rounded-lg text-sm font-semibold hover:bg-[#003363] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Send size={16} />
+          {saving ? "Sending..." : "Send reply"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ContactReplyForm;
@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { RefreshCw } from "lucide-react";
+import AcademicYearRolloverModal from "./AcademicYearRolloverModal";
+import { formatDateToDisplay } from "../../utils/dateTimeUtils";
+import { ACADEMIC_YEAR_STATUS, formatAcademicYearLabel } from "../../../utils/academicYear";
+
+/**
+ * AcademicYearCard Component
+ *
+ * Lists the school years and starts the year-end rollover of the current one. Orders,
+ * inventory, order limits and reports are kept per year; the header selector switches
+ * between them.
+ *
+ * Props:
+ * - years: Array - School years ({ id, label, start_date, end_date, status, is_current })
+ * - currentYear: Object - The current school year
+ * - onLoadRolloverPreview: Function - Called with a year ID, resolves to the rollover summary
+ * - onRollover: Function - Called with the year ID and the next year's { label, start_date, end_date }
+ * - loading: Boolean - Loading state
+ * - saving: Boolean - Rollover in progress
+ * - error: String - Error message
+ */
+const AcademicYearCard = ({ years, currentYear, onLoadRolloverPreview, onRollover, loading, saving, error }) => {
+  const [showRollover, setShowRollover] = useState(false);
+
+  const renderStatus = (year) => {
+    if (year.is_current) {
+      return (
+        <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-700">Current</span>
+      );
+    }
+    if (year.status === ACADEMIC_YEAR_STATUS.CLOSED) {
+      return (
+        <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-100 text-gray-600">Closed</span>
+      );
+    }
+    return <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-700">Open</span>;
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 w-full">
+      <h2 className="text-xl font-bold text-gray-900 mb-1">School Years</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        The rollover closes {formatAcademicYearLabel(currentYear)}, carries the remaining stock forward as the new
+        beginning inventory and resets every student's order counters.
+      </p>
+
+      {/* Error Message */}
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      <ul className="mb-6">
+        {years.map((year) => (
+          <li
+            key={year.id}
+            className="flex items-center justify-between gap-3 py-2 border-b border-gray-100 last:border-b-0"
+          >
+            <div>
+              <p className="text-sm font-medium text-gray-900">{formatAcademicYearLabel(year)}</p>
+              <p className="text-xs text-gray-500">
+                {formatDateToDisplay(year.start_date)} – {formatDateToDisplay(year.end_date)}
+              </p>
+            </div>
+            {renderStatus(year)}
+          </li>
+        ))}
+      </ul>
+
+      <button
+        onClick={() => setShowRollover(true)}
+        disabled={loading || saving}
+        className="flex items-center justify-center gap-2 w-full px-6 py-2 bg-[#0C2340] text-white rounded-md hover:bg-[#0a1d33] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <RefreshCw size={16} />
+        Start Year-End Rollover
+      </button>
+
+      <AcademicYearRolloverModal
+        isOpen={showRollover}
+        year={currentYear}
+        onClose={() => setShowRollover(false)}
+        onLoadPreview={onLoadRolloverPreview}
+        onConfirm={onRollover}
+        saving={saving}
+      />
+    </div>
+  );
+};
+
+export default AcademicYearCard;
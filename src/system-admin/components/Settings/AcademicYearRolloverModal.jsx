@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from "react";
+import { createPortal } from "react-dom";
+import { X, AlertTriangle } from "lucide-react";
+import { toast } from "react-hot-toast";
+import { formatDateToDisplay } from "../../utils/dateTimeUtils";
+import { formatAcademicYearLabel, getNextAcademicYear } from "../../../utils/academicYear";
+
+/**
+ * AcademicYearRolloverModal Component
+ *
+ * Year-end rollover: shows what will be carried forward and reset, lets the admin
+ * adjust the dates of the year that starts, and asks for an explicit confirmation.
+ *
+ * Props:
+ * - isOpen: Boolean - Whether the modal is visible
+ * - year: Object - School year being closed
+ * - onClose: Function - Close handler
+ * - onLoadPreview: Function - Called with the year ID, resolves to the rollover summary
+ * - onConfirm: Function - Called with the year ID and { label, start_date, end_date }
+ * - saving: Boolean - Rollover in progress
+ */
+const AcademicYearRolloverModal = ({ isOpen, year, onClose, onLoadPreview, onConfirm, saving }) => {
+  const [nextYear, setNextYear] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [acknowledged, setAcknowledged] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !year) return;
+    setNextYear(getNextAcademicYear(year));
+    setAcknowledged(false);
+    setPreview(null);
+    setPreviewLoading(true);
+    onLoadPreview(year.id)
+      .then(setPreview)
+      .finally(() => setPreviewLoading(false));
+  }, [isOpen, year, onLoadPreview]);
+
+  if (!isOpen || !year || !nextYear) return null;
+
+  const handleDateChange = (field, value) => {
+    setNextYear((prev) => {
+      const updated = { ...prev, [field]: value };
+      const id = `${updated.start_date.slice(0, 4)}-${updated.end_date.slice(0, 4)}`;
+      return { ...updated, id, label: formatAcademicYearLabel(id) };
+    });
+  };
+
+  const handleConfirm = async () => {
+    if (!nextYear.start_date || !nextYear.end_date) {
+      toast.error("Please set the start and end of the new school year");
+      return;
+    }
+    if (nextYear.start_date <= year.end_date) {
+      toast.error(`The new school year must start after ${formatDateToDisplay(year.end_date)}`);
+      return;
+    }
+    if (nextYear.end_date <= nextYear.start_date) {
+      toast.error("The end date must be after the start date");
+      return;
+    }
+
+    try {
+      await onConfirm(year.id, {
+        label: nextYear.label,
+        start_date: nextYear.start_date,
+        end_date: nextYear.end_date,
+      });
+      onClose();
+    } catch {
+      // Error already handled in the hook
+    }
+  };
+
+  const summary = [
+    { label: "Items carried forward", value: preview?.items },
+    { label: "Units of stock carried forward", value: preview?.stock_units },
+    { label: "Students whose order counters reset", value: preview?.students_with_orders },
+  ];
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 backdrop-blur-sm flex items-center justify-center z-[9999] p-4"
+      onClick={saving ? undefined : onClose}
+    >
+      <div
+        className="relative bg-white rounded-2xl shadow-2xl max-w-lg w-full p-6 sm:p-8 max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={onClose}
+          disabled={saving}
+          className="absolute top-4 right-4 p-1 text-gray-400 hover:text-gray-600 rounded-md disabled:opacity-50"
+          title="Close"
+        >
+          <X size={20} />
+        </button>
+
+        <h2 className="text-2xl font-bold text-[#0C2340] mb-1">Year-End Rollover</h2>
+        <p className="text-sm text-gray-500 mb-6">
+          Close {formatAcademicYearLabel(year)} and start {nextYear.label}.
+        </p>
+
+        {/* What happens */}
+        <div className="rounded-lg border border-gray-200 divide-y divide-gray-100 mb-4">
+          {summary.map((row) => (
+            <div key={row.label} className="flex items-center justify-between px-4 py-2.5 text-sm">
+              <span className="text-gray-700">{row.label}</span>
+              <span className="font-semibold text-[#0C2340]">
+                {previewLoading ? "…" : row.value ?? "—"}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        {preview?.open_orders > 0 && (
+          <div className="flex gap-2 p-3 mb-4 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-yellow-800">
+            <AlertTriangle size={18} className="flex-shrink-0 mt-0.5" />
+            <p>
+              {preview.open_orders} order{preview.open_orders === 1 ? " is" : "s are"} still open. They stay in{" "}
+              {formatAcademicYearLabel(year)} and can still be released from there.
+            </p>
+          </div>
+        )}
+
+        {/* New Year Dates */}
+        <div className="grid grid-cols-2 gap-3 mb-4">
+          <label className="text-sm font-medium text-gray-700">
+            Starts
+            <input
+              type="date"
+              value={nextYear.start_date}
+              onChange={(e) => handleDateChange("start_date", e.target.value)}
+              disabled={saving}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-[#0C2340] disabled:bg-gray-100"
+            />
+          </label>
+          <label className="text-sm font-medium text-gray-700">
+            Ends
+            <input
+              type="date"
+              value={nextYear.end_date}
+              onChange={(e) => handleDateChange("end_date", e.target.value)}
+              disabled={saving}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-[#0C2340] disabled:bg-gray-100"
+            />
+          </label>
+        </div>
+
+        <label className="flex items-start gap-2 text-sm text-gray-700 mb-6">
+          <input
+            type="checkbox"
+            checked={acknowledged}
+            onChange={(e) => setAcknowledged(e.target.checked)}
+            disabled={saving}
+            className="mt-0.5"
+          />
+          <span>
+            I understand that {formatAcademicYearLabel(year)} becomes read-only and this cannot be undone.
+          </span>
+        </label>
+
+        <div className="flex gap-4">
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="flex-1 px-4 py-2 border-2 border-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-50 transition-all duration-200 text-sm disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={!acknowledged || saving || previewLoading}
+            className="flex-1 px-4 py-2 bg-[#E68B00] text-white font-semibold rounded-lg hover:bg-[#d97706] transition-all duration-200 shadow-md text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? "Rolling over..." : `Start ${nextYear.label}`}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+};
+
+export default AcademicYearRolloverModal;
@@ -0,0 +1,124 @@
+import React from "react";
+import { Plus, Trash2, ArrowUp, ArrowDown } from "lucide-react";
+import ContentField from "./ContentField";
+
+/**
+ * AnnouncementsEditor Component
+ *
+ * Edits the announcements shown above the "Now Available" section.
+ * The section is hidden when there are none.
+ *
+ * Props:
+ * - announcements: Array - [{ id, title, message, link_label, link_url }]
+ * - onChange: function(announcements)
+ * - disabled: boolean
+ */
+const AnnouncementsEditor = ({ announcements, onChange, disabled }) => {
+  const updateAt = (index, patch) =>
+    onChange(announcements.map((item, i) => (i === index ? { ...item, ...patch } : item)));
+
+  const move = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= announcements.length) return;
+    const next = [...announcements];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const addAnnouncement = () =>
+    onChange([
+      ...announcements,
+      { id: `announcement-${Date.now()}`, title: "", message: "", link_label: "", link_url: "" },
+    ]);
+
+  const iconButton =
+    "p-2 text-gray-400 hover:text-[#0C2340] rounded-md transition-colors disabled:opacity-30";
+
+  return (
+    <div className="space-y-4">
+      {announcements.length === 0 && (
+        <p className="text-sm text-gray-500">No announcements. The section is hidden on the landing page.</p>
+      )}
+
+      {announcements.map((item, index) => (
+        <div key={item.id} className="border border-gray-200 rounded-lg p-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-[#0C2340]">Announcement {index + 1}</h3>
+            <div className="flex items-center">
+              <button
+                type="button"
+                onClick={() => move(index, -1)}
+                disabled={disabled || index === 0}
+                className={iconButton}
+                title="Move up"
+              >
+                <ArrowUp size={16} />
+              </button>
+              <button
+                type="button"
+                onClick={() => move(index, 1)}
+                disabled={disabled || index === announcements.length - 1}
+                className={iconButton}
+                title="Move down"
+              >
+                <ArrowDown size={16} />
+              </button>
+              <button
+                type="button"
+                onClick={() => onChange(announcements.filter((_, i) => i !== index))}
+                disabled={disabled}
+                className="p-2 text-gray-400 hover:text-red-600 rounded-md transition-colors disabled:opacity-50"
+                title="Remove announcement"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          </div>
+          <ContentField
+            label="Title"
+            value={item.title}
+            onChange={(title) => updateAt(index, { title })}
+            placeholder="e.g. Uniform claiming starts June 3"
+            disabled={disabled}
+          />
+          <ContentField
+            label="Message"
+            value={item.message}
+            onChange={(message) => updateAt(index, { message })}
+            multiline
+            disabled={disabled}
+          />
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <ContentField
+              label="Link text"
+              value={item.link_label}
+              onChange={(link_label) => updateAt(index, { link_label })}
+              placeholder="Learn more"
+              disabled={disabled}
+            />
+            <ContentField
+              label="Link"
+              value={item.link_url}
+              onChange={(link_url) => updateAt(index, { link_url })}
+              placeholder="/all-products or https://..."
+              hint="Optional"
+              disabled={disabled}
+            />
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addAnnouncement}
+        disabled={disabled}
+        className="flex items-center gap-1 px-3 py-2 border-2 border-[#0C2340] text-[#0C2340] rounded-lg text-sm font-semibold hover:bg-[#f3f6fb] transition-colors disabled:opacity-50"
+      >
+        <Plus size={16} />
+        Add announcement
+      </button>
+    </div>
+  );
+};
+
+export default AnnouncementsEditor;
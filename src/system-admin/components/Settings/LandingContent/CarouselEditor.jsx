@@ -0,0 +1,141 @@
+import React from "react";
+import { Plus, Trash2 } from "lucide-react";
+import ContentField from "./ContentField";
+import ImageListEditor from "./ImageListEditor";
+
+/**
+ * CarouselEditor Component
+ *
+ * Edits the hero slide, the uniforms slide and the text under the carousel
+ *
+ * Props:
+ * - hero: Object - { title, titleAccent, tagline, taglineAccent, image, intro, ctaLabel }
+ * - carousel: Object - { heading, description, ctaLabel, uniforms }
+ * - onHeroChange: function(hero)
+ * - onCarouselChange: function(carousel)
+ * - disabled: boolean
+ */
+const CarouselEditor = ({ hero, carousel, onHeroChange, onCarouselChange, disabled }) => {
+  const setHero = (field) => (value) => onHeroChange({ ...hero, [field]: value });
+  const setCarousel = (field) => (value) => onCarouselChange({ ...carousel, [field]: value });
+
+  const updateUniform = (index, patch) =>
+    setCarousel("uniforms")(
+      carousel.uniforms.map((uniform, i) => (i === index ? { ...uniform, ...patch } : uniform)),
+    );
+
+  const addUniform = () =>
+    setCarousel("uniforms")([
+      ...carousel.uniforms,
+      { id: `uniform-${Date.now()}`, text: "", images: [{ src: "", alt: "" }] },
+    ]);
+
+  return (
+    <div className="space-y-6">
+      <section className="space-y-3">
+        <h3 className="text-sm font-semibold text-[#0C2340]">Hero slide</h3>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <ContentField label="Title" value={hero.title} onChange={setHero("title")} disabled={disabled} />
+          <ContentField
+            label="Title (orange)"
+            value={hero.titleAccent}
+            onChange={setHero("titleAccent")}
+            disabled={disabled}
+          />
+          <ContentField label="Tagline" value={hero.tagline} onChange={setHero("tagline")} disabled={disabled} />
+          <ContentField
+            label="Tagline (orange)"
+            value={hero.taglineAccent}
+            onChange={setHero("taglineAccent")}
+            disabled={disabled}
+          />
+        </div>
+        <ContentField
+          label="Background image"
+          value={hero.image}
+          onChange={setHero("image")}
+          placeholder="Image path or URL"
+          disabled={disabled}
+        />
+        <ContentField
+          label="Introduction under the carousel"
+          value={hero.intro}
+          onChange={setHero("intro")}
+          multiline
+          disabled={disabled}
+        />
+        <ContentField
+          label="Get started button"
+          value={hero.ctaLabel}
+          onChange={setHero("ctaLabel")}
+          disabled={disabled}
+        />
+      </section>
+
+      <section className="space-y-3">
+        <h3 className="text-sm font-semibold text-[#0C2340]">Uniforms slide</h3>
+        <ContentField
+          label="Heading"
+          value={carousel.heading}
+          onChange={setCarousel("heading")}
+          hint="Wrap words in **double asterisks** to show them in orange."
+          disabled={disabled}
+        />
+        <ContentField
+          label="Description"
+          value={carousel.description}
+          onChange={setCarousel("description")}
+          multiline
+          disabled={disabled}
+        />
+        <ContentField
+          label="Order button"
+          value={carousel.ctaLabel}
+          onChange={setCarousel("ctaLabel")}
+          disabled={disabled}
+        />
+
+        {carousel.uniforms.map((uniform, index) => (
+          <div key={uniform.id} className="border border-gray-200 rounded-lg p-4 space-y-3">
+            <div className="flex items-end gap-3">
+              <div className="flex-1">
+                <ContentField
+                  label={`Slide ${index + 1} label`}
+                  value={uniform.text}
+                  onChange={(text) => updateUniform(index, { text })}
+                  disabled={disabled}
+                />
+              </div>
+              <button
+                type="button"
+                onClick={() => setCarousel("uniforms")(carousel.uniforms.filter((_, i) => i !== index))}
+                disabled={disabled || carousel.uniforms.length <= 1}
+                className="p-2 text-gray-400 hover:text-red-600 rounded-md transition-colors disabled:opacity-50"
+                title="Remove slide"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+            <ImageListEditor
+              images={uniform.images}
+              onChange={(images) => updateUniform(index, { images })}
+              withAlt
+              disabled={disabled}
+            />
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={addUniform}
+          disabled={disabled}
+          className="flex items-center gap-1 px-3 py-2 border-2 border-[#0C2340] text-[#0C2340] rounded-lg text-sm font-semibold hover:bg-[#f3f6fb] transition-colors disabled:opacity-50"
+        >
+          <Plus size={16} />
+          Add uniform slide
+        </button>
+      </section>
+    </div>
+  );
+};
+
+export default CarouselEditor;
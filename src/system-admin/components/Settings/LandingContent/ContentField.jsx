@@ -0,0 +1,48 @@
+import React from "react";
+
+/**
+ * ContentField Component
+ *
+ * Labelled text input (or textarea) used by the landing content editors
+ *
+ * Props:
+ * - label: string
+ * - value: string
+ * - onChange: function(value)
+ * - multiline: boolean - Render a textarea
+ * - hint: string - Help text under the field
+ * - placeholder: string
+ * - disabled: boolean
+ */
+const ContentField = ({ label, value, onChange, multiline = false, hint, placeholder, disabled }) => {
+  const className =
+    "mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-normal focus:outline-none focus:ring-2 focus:ring-[#0C2340] disabled:bg-gray-100 disabled:cursor-not-allowed";
+
+  return (
+    <label className="block text-sm font-medium text-gray-700">
+      {label}
+      {multiline ? (
+        <textarea
+          value={value ?? ""}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder}
+          disabled={disabled}
+          rows={3}
+          className={className}
+        />
+      ) : (
+        <input
+          type="text"
+          value={value ?? ""}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder}
+          disabled={disabled}
+          className={className}
+        />
+      )}
+      {hint && <span className="block mt-1 text-xs font-normal text-gray-500">{hint}</span>}
+    </label>
+  );
+};
+
+export default ContentField;
@@ -0,0 +1,91 @@
+import React from "react";
+import { FEATURED_GROUP_KEYS } from "../../../../constants/landingContent";
+import ContentField from "./ContentField";
+import ImageListEditor from "./ImageListEditor";
+
+const GROUP_LABELS = {
+  seniorHigh: "Card 1",
+  basicEducation: "Card 2",
+  peUniforms: "Card 3",
+  higherEducation: "Card 4",
+};
+
+/**
+ * FeaturedEditor Component
+ *
+ * Edits the four "Now Available" cards. Each card rotates through its images.
+ *
+ * Props:
+ * - featured: Object - { heading, groups: { [key]: { title, subtitle, description, watermark, images } } }
+ * - onChange: function(featured)
+ * - disabled: boolean
+ */
+const FeaturedEditor = ({ featured, onChange, disabled }) => {
+  const updateGroup = (key, patch) =>
+    onChange({
+      ...featured,
+      groups: { ...featured.groups, [key]: { ...featured.groups[key], ...patch } },
+    });
+
+  return (
+    <div className="space-y-6">
+      <ContentField
+        label="Section heading"
+        value={featured.heading}
+        onChange={(heading) => onChange({ ...featured, heading })}
+        hint="Wrap words in **double asterisks** to show them in orange."
+        disabled={disabled}
+      />
+
+      {FEATURED_GROUP_KEYS.map((key) => {
+        const group = featured.groups[key];
+        return (
+          <section key={key} className="border border-gray-200 rounded-lg p-4 space-y-3">
+            <h3 className="text-sm font-semibold text-[#0C2340]">
+              {GROUP_LABELS[key]}: {group.title || "Untitled"}
+            </h3>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <ContentField
+                label="Title"
+                value={group.title}
+                onChange={(title) => updateGroup(key, { title })}
+                disabled={disabled}
+              />
+              <ContentField
+                label="Subtitle (orange)"
+                value={group.subtitle}
+                onChange={(subtitle) => updateGroup(key, { subtitle })}
+                disabled={disabled}
+              />
+              <ContentField
+                label="Description"
+                value={group.description}
+                onChange={(description) => updateGroup(key, { description })}
+                disabled={disabled}
+              />
+              <ContentField
+                label="Watermark line 1"
+                value={group.watermark[0]}
+                onChange={(line) => updateGroup(key, { watermark: [line, group.watermark[1]] })}
+                disabled={disabled}
+              />
+              <ContentField
+                label="Watermark line 2"
+                value={group.watermark[1]}
+                onChange={(line) => updateGroup(key, { watermark: [group.watermark[0], line] })}
+                disabled={disabled}
+              />
+            </div>
+            <ImageListEditor
+              images={group.images}
+              onChange={(images) => updateGroup(key, { images })}
+              disabled={disabled}
+            />
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+export default FeaturedEditor;
@@ -0,0 +1,84 @@
+import React from "react";
+import { Plus, Trash2 } from "lucide-react";
+
+/**
+ * ImageListEditor Component
+ *
+ * Edits a list of image paths/URLs with thumbnails. Items are either plain
+ * strings or { src, alt } objects (withAlt).
+ *
+ * Props:
+ * - images: Array<string|{ src, alt }>
+ * - onChange: function(images)
+ * - withAlt: boolean - Items carry alt text
+ * - disabled: boolean
+ */
+const ImageListEditor = ({ images, onChange, withAlt = false, disabled }) => {
+  const srcOf = (image) => (withAlt ? image.src : image);
+
+  const updateAt = (index, patch) => {
+    onChange(
+      images.map((image, i) => {
+        if (i !== index) return image;
+        return withAlt ? { ...image, ...patch } : patch.src;
+      }),
+    );
+  };
+
+  const inputClass =
+    "w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-[#0C2340] disabled:bg-gray-100";
+
+  return (
+    <div className="space-y-2">
+      {images.map((image, index) => (
+        <div key={index} className="flex items-center gap-3">
+          <div className="w-12 h-12 rounded-md border border-gray-200 bg-gray-50 flex-shrink-0 overflow-hidden">
+            {srcOf(image) && (
+              <img src={srcOf(image)} alt="" className="w-full h-full object-contain" />
+            )}
+          </div>
+          <div className="flex-1 space-y-1 min-w-0">
+            <input
+              type="text"
+              value={srcOf(image) || ""}
+              onChange={(e) => updateAt(index, { src: e.target.value })}
+              placeholder="Image path or URL"
+              disabled={disabled}
+              className={inputClass}
+            />
+            {withAlt && (
+              <input
+                type="text"
+                value={image.alt || ""}
+                onChange={(e) => updateAt(index, { alt: e.target.value })}
+                placeholder="Description (alt text)"
+                disabled={disabled}
+                className={inputClass}
+              />
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={() => onChange(images.filter((_, i) => i !== index))}
+            disabled={disabled}
+            className="p-2 text-gray-400 hover:text-red-600 rounded-md transition-colors disabled:opacity-50"
+            title="Remove image"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...images, withAlt ? { src: "", alt: "" } : ""])}
+        disabled={disabled}
+        className="flex items-center gap-1 text-sm font-medium text-[#0C2340] hover:text-[#E68B00] disabled:opacity-50"
+      >
+        <Plus size={16} />
+        Add image
+      </button>
+    </div>
+  );
+};
+
+export default ImageListEditor;
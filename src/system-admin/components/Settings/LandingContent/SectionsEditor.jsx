@@ -0,0 +1,69 @@
+import React from "react";
+import ContentField from "./ContentField";
+
+const ACCENT_HINT = "Wrap words in **double asterisks** to show them in orange.";
+
+/**
+ * SectionsEditor Component
+ *
+ * Edits the vision, mission and contact sections of the landing page
+ *
+ * Props:
+ * - about: Object - { vision, mission }
+ * - contact: Object - { heading, description, address, phone, email }
+ * - onAboutChange: function(about)
+ * - onContactChange: function(contact)
+ * - disabled: boolean
+ */
+const SectionsEditor = ({ about, contact, onAboutChange, onContactChange, disabled }) => {
+  const setAbout = (field) => (value) => onAboutChange({ ...about, [field]: value });
+  const setContact = (field) => (value) => onContactChange({ ...contact, [field]: value });
+
+  return (
+    <div className="space-y-6">
+      <section className="space-y-3">
+        <h3 className="text-sm font-semibold text-[#0C2340]">Vision and mission</h3>
+        <ContentField
+          label="Vision"
+          value={about.vision}
+          onChange={setAbout("vision")}
+          multiline
+          hint={ACCENT_HINT}
+          disabled={disabled}
+        />
+        <ContentField
+          label="Mission"
+          value={about.mission}
+          onChange={setAbout("mission")}
+          multiline
+          disabled={disabled}
+        />
+      </section>
+
+      <section className="space-y-3">
+        <h3 className="text-sm font-semibold text-[#0C2340]">Contact</h3>
+        <ContentField
+          label="Heading"
+          value={contact.heading}
+          onChange={setContact("heading")}
+          hint={ACCENT_HINT}
+          disabled={disabled}
+        />
+        <ContentField
+          label="Description"
+          value={contact.description}
+          onChange={setContact("description")}
+          multiline
+          disabled={disabled}
+        />
+        <ContentField label="Address" value={contact.address} onChange={setContact("address")} disabled={disabled} />
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <ContentField label="Phone" value={contact.phone} onChange={setContact("phone")} disabled={disabled} />
+          <ContentField label="Email" value={contact.email} onChange={setContact("email")} disabled={disabled} />
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default SectionsEditor;
@@ -0,0 +1,219 @@
+import React, { useState } from "react";
+import { format } from "date-fns";
+import { Eye, Save, Upload, RotateCcw } from "lucide-react";
+import CarouselEditor from "./LandingContent/CarouselEditor";
+import FeaturedEditor from "./LandingContent/FeaturedEditor";
+import AnnouncementsEditor from "./LandingContent/AnnouncementsEditor";
+import SectionsEditor from "./LandingContent/SectionsEditor";
+
+const TABS = [
+  { id: "carousel", label: "Hero & Carousel" },
+  { id: "featured", label: "Featured Uniforms" },
+  { id: "announcements", label: "Announcements" },
+  { id: "sections", label: "Vision, Mission & Contact" },
+];
+
+const formatTimestamp = (value) => (value ? format(new Date(value), "MMM d, yyyy h:mm a") : null);
+
+/**
+ * LandingContentCard Component
+ *
+ * Content editor for the public landing page. Edits are saved as a draft,
+ * previewed in a new tab and only reach the landing page when published.
+ *
+ * Props:
+ * - draft: Object - Content being edited
+ * - meta: Object - { draft_updated_at, published_at, published_by }
+ * - hasUnsavedChanges: Boolean - Edits not saved to the draft yet
+ * - hasUnpublishedChanges: Boolean - Saved draft differs from the published content
+ * - validationErrors: Array<string> - Problems that block publishing
+ * - onSectionChange: Function - Called with (section, value)
+ * - onSaveDraft: Function
+ * - onPreview: Function
+ * - onPublish: Function
+ * - onDiscard: Function - Go back to the saved draft
+ * - onResetToDefaults: Function - Load the built-in content
+ * - loading: Boolean - Loading state
+ * - saving: Boolean - Saving or publishing
+ * - error: String - Error message
+ */
+const LandingContentCard = ({
+  draft,
+  meta,
+  hasUnsavedChanges,
+  hasUnpublishedChanges,
+  validationErrors,
+  onSectionChange,
+  onSaveDraft,
+  onPreview,
+  onPublish,
+  onDiscard,
+  onResetToDefaults,
+  loading,
+  saving,
+  error,
+}) => {
+  const [activeTab, setActiveTab] = useState("carousel");
+  const disabled = loading || saving;
+
+  const handleResetToDefaults = () => {
+    if (window.confirm("Replace your edits with the original landing page content? Nothing changes on the live page until you publish.")) {
+      onResetToDefaults();
+    }
+  };
+
+  const statusText = hasUnsavedChanges
+    ? "Unsaved changes"
+    : hasUnpublishedChanges
+      ? "Draft saved, not published"
+      : "Published";
+  const statusClass = hasUnsavedChanges
+    ? "bg-yellow-100 text-yellow-700"
+    : hasUnpublishedChanges
+      ? "bg-blue-100 text-blue-700"
+      : "bg-green-100 text-green-700";
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 w-full">
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3 mb-6">
+        <div>
+          <h2 className="text-xl font-bold text-gray-900 mb-1">Landing Page Content</h2>
+          <p className="text-sm text-gray-500">
+            Carousel, featured uniforms, announcements and section text. Changes go live when you publish.
+          </p>
+          <p className="text-xs text-gray-400 mt-1">
+            {meta.published_at
+              ? `Last published ${formatTimestamp(meta.published_at)}${meta.published_by ? ` by ${meta.published_by}` : ""}`
+              : "Not published yet. The landing page shows the original content."}
+            {meta.draft_updated_at && ` · Draft saved ${formatTimestamp(meta.draft_updated_at)}`}
+          </p>
+        </div>
+        <span className={`px-3 py-1 rounded-full text-xs font-semibold whitespace-nowrap self-start ${statusClass}`}>
+          {statusText}
+        </span>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">{error}</div>
+      )}
+
+      {/* Tabs */}
+      <div className="flex gap-1 overflow-x-auto border-b border-gray-200 mb-6">
+        {TABS.map((tab) => (
+          <button
+            key={tab.id}
+            type="button"
+            onClick={() => setActiveTab(tab.id)}
+            className={`px-4 py-2 text-sm font-semibold whitespace-nowrap border-b-2 -mb-px transition-colors ${
+              activeTab === tab.id
+                ? "border-[#E68B00] text-[#0C2340]"
+                : "border-transparent text-gray-500 hover:text-[#0C2340]"
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === "carousel" && (
+        <CarouselEditor
+          hero={draft.hero}
+          carousel={draft.carousel}
+          onHeroChange={(value) => onSectionChange("hero", value)}
+          onCarouselChange={(value) => onSectionChange("carousel", value)}
+          disabled={disabled}
+        />
+      )}
+      {activeTab === "featured" && (
+        <FeaturedEditor
+          featured={draft.featured}
+          onChange={(value) => onSectionChange("featured", value)}
+          disabled={disabled}
+        />
+      )}
+      {activeTab === "announcements" && (
+        <AnnouncementsEditor
+          announcements={draft.announcements}
+          onChange={(value) => onSectionChange("announcements", value)}
+          disabled={disabled}
+        />
+      )}
+      {activeTab === "sections" && (
+        <SectionsEditor
+          about={draft.about}
+          contact={draft.contact}
+          onAboutChange={(value) => onSectionChange("about", value)}
+          onContactChange={(value) => onSectionChange("contact", value)}
+          disabled={disabled}
+        />
+      )}
+
+      {validationErrors.length > 0 && (
+        <div className="mt-6 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+          <p className="text-sm font-semibold text-yellow-800 mb-1">Fix these before publishing:</p>
+          <ul className="list-disc list-inside text-sm text-yellow-800">
+            {validationErrors.map((message) => (
+              <li key={message}>{message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Actions */}
+      <div className="mt-6 pt-6 border-t border-gray-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={handleResetToDefaults}
+            disabled={disabled}
+            className="flex items-center gap-1 text-sm font-medium text-gray-500 hover:text-[#0C2340] disabled:opacity-50"
+          >
+            <RotateCcw size={14} />
+            Original content
+          </button>
+          {hasUnsavedChanges && (
+            <button
+              type="button"
+              onClick={onDiscard}
+              disabled={disabled}
+              className="text-sm font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+            >
+              Discard changes
+            </button>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={onPreview}
+            disabled={disabled}
+            className="flex items-center gap-2 px-4 py-2 border-2 border-[#0C2340] text-[#0C2340] rounded-lg text-sm font-semibold hover:bg-[#f3f6fb] transition-colors disabled:opacity-50"
+          >
+            <Eye size={16} />
+            Preview
+          </button>
+          <button
+            type="button"
+            onClick={onSaveDraft}
+            disabled={disabled || !hasUnsavedChanges}
+            className="flex items-center gap-2 px-4 py-2 border-2 border-[#0C2340] text-[#0C2340] rounded-lg text-sm font-semibold hover:bg-[#f3f6fb] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Save size={16} />
+            Save draft
+          </button>
+          <button
+            type="button"
+            onClick={onPublish}
+            disabled={disabled || validationErrors.length > 0 || (!hasUnsavedChanges && !hasUnpublishedChanges)}
+            className="flex items-center gap-2 px-4 py-2 bg-[#0C2340] text-white rounded-lg text-sm font-semibold hover:bg-[#003363] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Upload size={16} />
+            {saving ? "Saving..." : "Publish"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LandingContentCard;
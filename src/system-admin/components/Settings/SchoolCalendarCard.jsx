@@ -0,0 +1,158 @@
+import React, { useState } from "react";
+import DatePicker from "react-datepicker";
+import "react-datepicker/dist/react-datepicker.css";
+import { Calendar, Trash2 } from "lucide-react";
+import { toast } from "react-hot-toast";
+import { formatDateToDisplay } from "../../utils/dateTimeUtils";
+import { toDateKey } from "../../../utils/schoolCalendar";
+
+const TYPE_LABELS = {
+  holiday: "Holiday",
+  suspension: "Class Suspension",
+};
+
+/**
+ * SchoolCalendarCard Component
+ *
+ * Manages the school's non-working dates. Holidays and class suspensions are skipped by
+ * the QR validity countdown and the auto-void, like Saturdays and Sundays.
+ *
+ * Props:
+ * - dates: Array - Calendar entries ({ id, date, label, type })
+ * - onAdd: Function - Called with { date, label, type }
+ * - onRemove: Function - Called with the entry ID
+ * - loading: Boolean - Loading state
+ * - error: String - Error message
+ */
+const SchoolCalendarCard = ({ dates, onAdd, onRemove, loading, error }) => {
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [label, setLabel] = useState("");
+  const [type, setType] = useState("holiday");
+
+  const todayKey = toDateKey(new Date());
+  const upcoming = dates.filter((d) => d.date >= todayKey);
+  const past = dates.filter((d) => d.date < todayKey);
+
+  /**
+   * Handle add button click
+   */
+  const handleAdd = async () => {
+    if (!selectedDate) {
+      toast.error("Please select a date");
+      return;
+    }
+    if (!label.trim()) {
+      toast.error("Please enter a name for the date");
+      return;
+    }
+
+    try {
+      await onAdd({ date: toDateKey(selectedDate), label: label.trim(), type });
+      setSelectedDate(null);
+      setLabel("");
+      setType("holiday");
+    } catch {
+      // Error already handled in parent component
+    }
+  };
+
+  const renderEntry = (entry) => (
+    <li
+      key={entry.id || entry.date}
+      className="flex items-center justify-between gap-3 py-2 border-b border-gray-100 last:border-b-0"
+    >
+      <div>
+        <p className="text-sm font-medium text-gray-900">{entry.label}</p>
+        <p className="text-xs text-gray-500">
+          {formatDateToDisplay(entry.date)} · {TYPE_LABELS[entry.type] || "Holiday"}
+        </p>
+      </div>
+      <button
+        onClick={() => onRemove(entry.id)}
+        disabled={loading}
+        className="p-2 text-gray-400 hover:text-red-600 rounded-md transition-colors disabled:opacity-50"
+        title="Remove"
+      >
+        <Trash2 size={16} />
+      </button>
+    </li>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 w-full">
+      <h2 className="text-xl font-bold text-gray-900 mb-1">School Calendar</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Holidays and class suspensions do not count toward a student's QR claim window.
+      </p>
+
+      {/* New Entry */}
+      <div className="space-y-3 mb-6">
+        <div className="relative">
+          <Calendar className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 z-10" size={20} />
+          <DatePicker
+            selected={selectedDate}
+            onChange={setSelectedDate}
+            dateFormat="dd.MM.yyyy"
+            placeholderText="Select a day"
+            disabled={loading}
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-[#0C2340] disabled:bg-gray-100 disabled:cursor-not-allowed"
+            calendarClassName="react-datepicker-custom"
+          />
+        </div>
+        <input
+          type="text"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          placeholder="e.g. Independence Day"
+          maxLength={100}
+          disabled={loading}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-[#0C2340] disabled:bg-gray-100 disabled:cursor-not-allowed"
+        />
+        <div className="flex gap-3">
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            disabled={loading}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-[#0C2340] disabled:bg-gray-100"
+          >
+            <option value="holiday">{TYPE_LABELS.holiday}</option>
+            <option value="suspension">{TYPE_LABELS.suspension}</option>
+          </select>
+          <button
+            onClick={handleAdd}
+            disabled={loading}
+            className="px-6 py-2 bg-[#0C2340] text-white rounded-md hover:bg-[#0a1d33] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Add Date
+          </button>
+        </div>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      {/* Entries */}
+      <h3 className="text-sm font-medium text-gray-700 mb-2">Upcoming</h3>
+      {upcoming.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No upcoming non-working dates.</p>
+      ) : (
+        <ul className="mb-4">{upcoming.map(renderEntry)}</ul>
+      )}
+
+      {past.length > 0 && (
+        <details>
+          <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+            Past dates ({past.length})
+          </summary>
+          <ul className="mt-2">{past.map(renderEntry)}</ul>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default SchoolCalendarCard;
@@ -0,0 +1,330 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { createPortal } from "react-dom";
+import { X, ArrowRight, ChevronLeft, ChevronRight, Search, CheckCircle } from "lucide-react";
+import { useStudentPromotion } from "../../hooks/useStudentPromotion";
+import {
+  PROMOTION_OUTCOME,
+  PROMOTION_OUTCOME_LABELS,
+} from "../../utils/gradePromotion";
+
+const OUTCOME_STYLES = {
+  [PROMOTION_OUTCOME.PROMOTE]: "bg-green-100 text-green-700",
+  [PROMOTION_OUTCOME.REPEAT]: "bg-yellow-100 text-yellow-800",
+  [PROMOTION_OUTCOME.GRADUATE]: "bg-blue-100 text-blue-700",
+  [PROMOTION_OUTCOME.UNCHANGED]: "bg-gray-100 text-gray-600",
+};
+
+const FILTERS = [
+  { value: "all", label: "All" },
+  ...Object.values(PROMOTION_OUTCOME).map((outcome) => ({
+    value: outcome,
+    label: PROMOTION_OUTCOME_LABELS[outcome],
+  })),
+];
+
+/**
+ * PromotionWizardModal Component
+ *
+ * Moves every active student up one grade level for the new school year.
+ * Step 1: Preview - old and new level per student; mark repeaters
+ * Step 2: Confirm - totals, then apply (recorded in the audit log)
+ *
+ * Props:
+ * - isOpen: Boolean - Whether the modal is visible
+ * - onClose: Function - Close handler
+ * - onComplete: Function - Called after the promotion was applied (refresh the list)
+ */
+const PromotionWizardModal = ({ isOpen, onClose, onComplete }) => {
+  const {
+    plan,
+    summary,
+    repeaterIds,
+    academicYear,
+    loading,
+    saving,
+    error,
+    loadStudents,
+    toggleRepeater,
+    applyPromotion,
+  } = useStudentPromotion();
+  const [currentStep, setCurrentStep] = useState(1);
+  const [filter, setFilter] = useState("all");
+  const [search, setSearch] = useState("");
+  const [acknowledged, setAcknowledged] = useState(false);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setCurrentStep(1);
+      setFilter("all");
+      setSearch("");
+      setAcknowledged(false);
+      setResult(null);
+      loadStudents();
+    }
+  }, [isOpen, loadStudents]);
+
+  const visibleRows = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return plan.filter(
+      (row) =>
+        (filter === "all" || row.outcome === filter) &&
+        (!term ||
+          row.name?.toLowerCase().includes(term) ||
+          row.student_number?.toLowerCase().includes(term)),
+    );
+  }, [plan, filter, search]);
+
+  if (!isOpen) return null;
+
+  const handleApply = async () => {
+    try {
+      const applied = await applyPromotion();
+      if (applied) {
+        setResult(applied);
+        onComplete?.();
+      }
+    } catch {
+      // Error already handled in the hook
+    }
+  };
+
+  const renderPreview = () => (
+    <>
+      <div className="flex flex-col sm:flex-row gap-3 mb-3">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={16} />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search name or student number"
+            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#0C2340]"
+          />
+        </div>
+        <div className="flex flex-wrap gap-1">
+          {FILTERS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setFilter(option.value)}
+              className={`px-3 py-1.5 text-xs font-semibold rounded-full transition-colors ${
+                filter === option.value
+                  ? "bg-[#0C2340] text-white"
+                  : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+              }`}
+            >
+              {option.label}
+              {option.value !== "all" && ` (${summary[option.value]})`}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="border border-gray-200 rounded-lg overflow-y-auto max-h-[45vh]">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr className="text-left text-xs font-semibold text-gray-600 uppercase">
+              <th className="px-3 py-2">Student</th>
+              <th className="px-3 py-2">Level</th>
+              <th className="px-3 py-2">Outcome</th>
+              <th className="px-3 py-2 text-center">Repeats</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {visibleRows.map((row) => (
+              <tr key={row.id}>
+                <td className="px-3 py-2">
+                  <p className="font-medium text-gray-900">{row.name}</p>
+                  <p className="text-xs text-gray-500">{row.student_number}</p>
+                </td>
+                <td className="px-3 py-2">
+                  <div className="flex items-center gap-1.5 flex-wrap">
+                    <span className={row.to !== row.from ? "text-gray-500 line-through" : "text-gray-900"}>
+                      {row.from || "—"}
+                    </span>
+                    {row.to !== row.from && (
+                      <>
+                        <ArrowRight size={14} className="text-gray-400" />
+                        <span className="font-semibold text-[#0C2340]">{row.to}</span>
+                      </>
+                    )}
+                  </div>
+                  {row.toEducationLevel !== row.fromEducationLevel && (
+                    <p className="text-xs text-[#E68B00]">
+                      {row.fromEducationLevel} → {row.toEducationLevel}
+                    </p>
+                  )}
+                </td>
+                <td className="px-3 py-2">
+                  <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${OUTCOME_STYLES[row.outcome]}`}>
+                    {PROMOTION_OUTCOME_LABELS[row.outcome]}
+                  </span>
+                </td>
+                <td className="px-3 py-2 text-center">
+                  <input
+                    type="checkbox"
+                    checked={repeaterIds.has(row.id)}
+                    onChange={() => toggleRepeater(row.id)}
+                    disabled={row.outcome === PROMOTION_OUTCOME.UNCHANGED}
+                    title={
+                      row.outcome === PROMOTION_OUTCOME.UNCHANGED
+                        ? "Level not in the grade list; update this student by hand"
+                        : "Keep this student at the same level"
+                    }
+                  />
+                </td>
+              </tr>
+            ))}
+            {visibleRows.length === 0 && (
+              <tr>
+                <td colSpan={4} className="px-3 py-6 text-center text-gray-500">
+                  No students match.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {summary[PROMOTION_OUTCOME.UNCHANGED] > 0 && (
+        <p className="text-xs text-gray-500 mt-2">
+          {summary[PROMOTION_OUTCOME.UNCHANGED]} student(s) have a level outside the grade list and are left as is.
+        </p>
+      )}
+    </>
+  );
+
+  const renderConfirm = () => (
+    <>
+      <div className="grid grid-cols-3 gap-3 mb-4">
+        {[PROMOTION_OUTCOME.PROMOTE, PROMOTION_OUTCOME.REPEAT, PROMOTION_OUTCOME.GRADUATE].map((outcome) => (
+          <div key={outcome} className="rounded-lg border border-gray-200 p-3 text-center">
+            <p className="text-2xl font-bold text-[#0C2340]">{summary[outcome]}</p>
+            <p className="text-xs text-gray-600">{PROMOTION_OUTCOME_LABELS[outcome]}</p>
+          </div>
+        ))}
+      </div>
+      <ul className="text-sm text-gray-700 list-disc pl-5 space-y-1 mb-4">
+        <li>Promoted students move up one level; their education level follows.</li>
+        <li>Repeaters keep their current level.</li>
+        <li>Graduating students' accounts are deactivated.</li>
+        <li>The promotion is recorded in the audit log.</li>
+      </ul>
+      <label className="flex items-start gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={acknowledged}
+          onChange={(e) => setAcknowledged(e.target.checked)}
+          disabled={saving}
+          className="mt-0.5"
+        />
+        <span>I have reviewed the preview and want to apply it for {academicYear.label}.</span>
+      </label>
+    </>
+  );
+
+  const renderResult = () => (
+    <div className="text-center py-6">
+      <CheckCircle size={48} className="text-green-600 mx-auto mb-3" />
+      <p className="text-lg font-semibold text-[#0C2340] mb-1">Promotion applied</p>
+      <p className="text-sm text-gray-600">
+        {result.promoted ?? 0} promoted · {result.repeated ?? 0} repeating · {result.graduated ?? 0} graduated
+      </p>
+      <p className="text-xs text-gray-500 mt-2">The change is listed in Recent Audits.</p>
+    </div>
+  );
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 backdrop-blur-sm flex items-center justify-center z-[9999] p-4"
+      onClick={saving ? undefined : onClose}
+    >
+      <div
+        className="relative bg-white rounded-2xl shadow-2xl max-w-3xl w-full p-6 sm:p-8 max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={onClose}
+          disabled={saving}
+          className="absolute top-4 right-4 p-1 text-gray-400 hover:text-gray-600 rounded-md disabled:opacity-50"
+          title="Close"
+        >
+          <X size={20} />
+        </button>
+
+        <h2 className="text-2xl font-bold text-[#0C2340] mb-1">Promote Students</h2>
+        <p className="text-sm text-gray-500 mb-6">
+          {result
+            ? academicYear.label
+            : `Step ${currentStep} of 2 · Move active students up one grade level for ${academicYear.label}`}
+        </p>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+
+        {result ? (
+          renderResult()
+        ) : loading ? (
+          <div className="py-12 text-center text-gray-500">Loading students...</div>
+        ) : currentStep === 1 ? (
+          renderPreview()
+        ) : (
+          renderConfirm()
+        )}
+
+        {/* Footer */}
+        <div className="flex gap-4 mt-6">
+          {result ? (
+            <button
+              onClick={onClose}
+              className="flex-1 px-4 py-2 bg-[#0C2340] text-white font-semibold rounded-lg hover:bg-[#0a1d33] transition-all duration-200 text-sm"
+            >
+              Done
+            </button>
+          ) : currentStep === 1 ? (
+            <>
+              <button
+                onClick={onClose}
+                className="flex-1 px-4 py-2 border-2 border-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-50 transition-all duration-200 text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => setCurrentStep(2)}
+                disabled={loading || plan.length === 0}
+                className="flex-1 flex items-center justify-center gap-1 px-4 py-2 bg-[#0C2340] text-white font-semibold rounded-lg hover:bg-[#0a1d33] transition-all duration-200 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+                <ChevronRight size={16} />
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={() => setCurrentStep(1)}
+                disabled={saving}
+                className="flex-1 flex items-center justify-center gap-1 px-4 py-2 border-2 border-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-50 transition-all duration-200 text-sm disabled:opacity-50"
+              >
+                <ChevronLeft size={16} />
+                Back
+              </button>
+              <button
+                onClick={handleApply}
+                disabled={!acknowledged || saving}
+                className="flex-1 px-4 py-2 bg-[#E68B00] text-white font-semibold rounded-lg hover:bg-[#d97706] transition-all duration-200 shadow-md text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? "Applying..." : "Apply Promotion"}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+};
+
+export default PromotionWizardModal;
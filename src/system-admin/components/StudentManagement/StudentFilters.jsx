@@ -1,5 +1,5 @@
 import React, { useState, useMemo } from "react";
-import { Search, Calendar, Edit, UserPlus } from "lucide-react";
+import { Search, Calendar, Edit, UserPlus, GraduationCap, Upload } from "lucide-react";
 
 /**
  * Format grade level for display: remove "1st/2nd/3rd/4th year" or "yr" so only the number remains (e.g. "BSSW 2nd year" -> "BSSW 2").
@@ -16,7 +16,9 @@ const formatGradeLevelDisplay = (str) => {
 /**
  * StudentFilters Component
  *
- * Provides search, school year selector, education level filter, grade level filter, and Edit Table button
+ * Provides search, school year selector, education level filter, grade level filter, and Edit Table button.
+ * The Promote (grade-level promotion wizard) and Import (bulk CSV/XLSX import) buttons only
+ * show when onPromote and onImport are passed.
  */
 const StudentFilters = ({
   search,
@@ -31,6 +33,8 @@ const StudentFilters = ({
   onGradeLevelChange,
   onEditTable,
   onAddUser,
+  onPromote,
+  onImport,
   selectedCount,
 }) => {
   // Education level options - matching property custodian
@@ -254,6 +258,26 @@ const StudentFilters = ({
 
         {/* Add User and Edit Table Buttons - Right side */}
         <div className="ml-auto flex items-center gap-2">
+          {onPromote && (
+            <button
+              onClick={onPromote}
+              className="flex items-center gap-2 px-4 py-2 bg-[#0C2340] text-white rounded-lg hover:bg-[#0a1d33] transition-colors font-medium"
+              title="Move students up one grade level for the new school year"
+            >
+              <GraduationCap size={20} />
+              <span className="hidden sm:inline">Promote</span>
+            </button>
+          )}
+          {onImport && (
+            <button
+              onClick={onImport}
+              className="flex items-center gap-2 px-4 py-2 border-2 border-[#e68b00] text-[#e68b00] rounded-lg hover:bg-orange-50 transition-colors font-medium"
+              title="Add many students from a CSV or Excel file"
+            >
+              <Upload size={20} />
+              <span className="hidden sm:inline">Import</span>
+            </button>
+          )}
           <button
             onClick={onAddUser}
             className="flex items-center gap-2 px-4 py-2 bg-[#e68b00] text-white rounded-lg hover:bg-[#d97a1f] transition-colors font-medium"
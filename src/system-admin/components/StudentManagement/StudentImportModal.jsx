@@ -0,0 +1,297 @@
+import React, { useState, useEffect, useRef } from "react";
+import { createPortal } from "react-dom";
+import { X, Upload, Download, CheckCircle, AlertCircle, ChevronLeft, FileSpreadsheet } from "lucide-react";
+import { useStudentImport } from "../../hooks/useStudentImport";
+import { STUDENT_IMPORT_ACCEPT, STUDENT_IMPORT_FIELDS } from "../../utils/studentImport";
+import { STUDENT_NUMBER_PLACEHOLDER } from "../../../utils/studentNumberFormat";
+
+/**
+ * StudentImportModal Component
+ *
+ * Bulk import of students from a CSV or XLSX file.
+ * Step 1: Upload & map - choose the file and the column for each student field
+ * Step 2: Dry run - valid and failing rows, downloadable error report, import the valid rows
+ *
+ * Props:
+ * - isOpen: Boolean - Whether the modal is visible
+ * - onClose: Function - Close handler
+ * - onComplete: Function - Called after students were imported (refresh the list)
+ */
+const StudentImportModal = ({ isOpen, onClose, onComplete }) => {
+  const {
+    fileName,
+    headers,
+    rowCount,
+    mapping,
+    missingFields,
+    results,
+    validRows,
+    invalidRows,
+    loading,
+    saving,
+    error,
+    loadFile,
+    setColumn,
+    editMapping,
+    runDryRun,
+    downloadErrorReport,
+    commitImport,
+    reset,
+  } = useStudentImport();
+  const [createdCount, setCreatedCount] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      reset();
+      setCreatedCount(null);
+    }
+  }, [isOpen, reset]);
+
+  if (!isOpen) return null;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) await loadFile(file);
+  };
+
+  const handleImport = async () => {
+    const created = await commitImport();
+    if (created != null) {
+      setCreatedCount(created);
+      onComplete?.();
+    }
+  };
+
+  const renderUpload = () => (
+    <>
+      <div className="flex items-center gap-3 mb-4">
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={loading}
+          className="flex items-center gap-2 px-4 py-2 border-2 border-[#0C2340] text-[#0C2340] font-semibold rounded-lg hover:bg-gray-50 transition-colors text-sm disabled:opacity-50"
+        >
+          <Upload size={16} />
+          {fileName ? "Choose Another File" : "Choose File"}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={STUDENT_IMPORT_ACCEPT}
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        {fileName && (
+          <span className="flex items-center gap-1.5 text-sm text-gray-700 min-w-0">
+            <FileSpreadsheet size={16} className="text-green-700 flex-shrink-0" />
+            <span className="truncate">{fileName}</span>
+            <span className="text-gray-500 flex-shrink-0">· {rowCount} row(s)</span>
+          </span>
+        )}
+      </div>
+
+      {!fileName && (
+        <p className="text-sm text-gray-600">
+          The first row must hold the column names. Needed per student: first name, last name, student number (
+          {STUDENT_NUMBER_PLACEHOLDER}), gender and course & year level. Email, education level and student type
+          are optional; emails are generated from the name like in Add User.
+        </p>
+      )}
+
+      {fileName && (
+        <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+          {STUDENT_IMPORT_FIELDS.map((field) => (
+            <div key={field.key} className="grid grid-cols-2 gap-3 items-center px-4 py-2">
+              <label htmlFor={`import-${field.key}`} className="text-sm font-medium text-gray-700">
+                {field.label}
+                {field.required && <span className="text-red-500"> *</span>}
+              </label>
+              <select
+                id={`import-${field.key}`}
+                value={mapping[field.key] ?? -1}
+                onChange={(e) => setColumn(field.key, Number(e.target.value))}
+                className={`px-3 py-1.5 border rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-[#0C2340] ${
+                  field.required && !(mapping[field.key] >= 0) ? "border-red-400" : "border-gray-300"
+                }`}
+              >
+                <option value={-1}>{field.required ? "Select column" : "Not in file"}</option>
+                {headers.map((header, index) => (
+                  <option key={index} value={index}>
+                    {header || `Column ${index + 1}`}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+
+  const renderResults = () => (
+    <>
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <div className="rounded-lg border border-green-200 bg-green-50 p-3 text-center">
+          <p className="text-2xl font-bold text-green-700">{validRows.length}</p>
+          <p className="text-xs text-green-800">Ready to import</p>
+        </div>
+        <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-center">
+          <p className="text-2xl font-bold text-red-600">{invalidRows.length}</p>
+          <p className="text-xs text-red-700">With errors (skipped)</p>
+        </div>
+      </div>
+
+      {invalidRows.length > 0 && (
+        <>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-medium text-gray-700">Rows with errors</h3>
+            <button
+              onClick={downloadErrorReport}
+              className="flex items-center gap-1.5 text-sm font-semibold text-[#E68B00] hover:text-orange-600"
+            >
+              <Download size={16} />
+              Download Error Report
+            </button>
+          </div>
+          <div className="border border-gray-200 rounded-lg overflow-y-auto max-h-[40vh]">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-left text-xs font-semibold text-gray-600 uppercase">
+                  <th className="px-3 py-2">Row</th>
+                  <th className="px-3 py-2">Student</th>
+                  <th className="px-3 py-2">Errors</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {invalidRows.map((row) => (
+                  <tr key={row.rowNumber} className="align-top">
+                    <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                    <td className="px-3 py-2">
+                      <p className="font-medium text-gray-900">{row.student.name || "—"}</p>
+                      <p className="text-xs text-gray-500">{row.student.student_number}</p>
+                    </td>
+                    <td className="px-3 py-2">
+                      <ul className="text-xs text-red-600 space-y-0.5">
+                        {row.errors.map((message) => (
+                          <li key={message}>{message}</li>
+                        ))}
+                      </ul>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {invalidRows.length === 0 && (
+        <p className="flex items-center gap-2 text-sm text-green-700">
+          <CheckCircle size={16} />
+          Every row passed the check.
+        </p>
+      )}
+    </>
+  );
+
+  const renderDone = () => (
+    <div className="text-center py-6">
+      <CheckCircle size={48} className="text-green-600 mx-auto mb-3" />
+      <p className="text-lg font-semibold text-[#0C2340] mb-1">Imported {createdCount} student(s)</p>
+      {invalidRows.length > 0 && (
+        <p className="text-sm text-gray-600">
+          {invalidRows.length} row(s) with errors were skipped. Fix them in the error report and import it again.
+        </p>
+      )}
+    </div>
+  );
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 backdrop-blur-sm flex items-center justify-center z-[9999] p-4"
+      onClick={saving ? undefined : onClose}
+    >
+      <div
+        className="relative bg-white rounded-2xl shadow-2xl max-w-2xl w-full p-6 sm:p-8 max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={onClose}
+          disabled={saving}
+          className="absolute top-4 right-4 p-1 text-gray-400 hover:text-gray-600 rounded-md disabled:opacity-50"
+          title="Close"
+        >
+          <X size={20} />
+        </button>
+
+        <h2 className="text-2xl font-bold text-[#0C2340] mb-1">Import Students</h2>
+        <p className="text-sm text-gray-500 mb-6">
+          {createdCount != null
+            ? fileName
+            : results
+              ? "Step 2 of 2 · Dry run: nothing has been saved yet"
+              : "Step 1 of 2 · Upload a CSV or Excel (.xlsx) file and match its columns"}
+        </p>
+
+        {error && (
+          <div className="flex gap-2 mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+            <AlertCircle size={18} className="text-red-600 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+
+        {createdCount != null ? renderDone() : results ? renderResults() : renderUpload()}
+
+        {/* Footer */}
+        <div className="flex gap-4 mt-6">
+          {createdCount != null ? (
+            <button
+              onClick={onClose}
+              className="flex-1 px-4 py-2 bg-[#0C2340] text-white font-semibold rounded-lg hover:bg-[#0a1d33] transition-all duration-200 text-sm"
+            >
+              Done
+            </button>
+          ) : results ? (
+            <>
+              <button
+                onClick={editMapping}
+                disabled={saving}
+                className="flex-1 flex items-center justify-center gap-1 px-4 py-2 border-2 border-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-50 transition-all duration-200 text-sm disabled:opacity-50"
+              >
+                <ChevronLeft size={16} />
+                Back
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={saving || validRows.length === 0}
+                className="flex-1 px-4 py-2 bg-[#E68B00] text-white font-semibold rounded-lg hover:bg-[#d97706] transition-all duration-200 shadow-md text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? "Importing..." : `Import ${validRows.length} Student(s)`}
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={onClose}
+                className="flex-1 px-4 py-2 border-2 border-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-50 transition-all duration-200 text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={runDryRun}
+                disabled={!fileName || loading || missingFields.length > 0}
+                className="flex-1 px-4 py-2 bg-[#0C2340] text-white font-semibold rounded-lg hover:bg-[#0a1d33] transition-all duration-200 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? "Checking..." : "Check Rows"}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+};
+
+export default StudentImportModal;
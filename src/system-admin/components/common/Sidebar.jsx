@@ -5,8 +5,10 @@ import {
   Settings,
   LogOut,
   FileText,
+  Inbox,
 } from "lucide-react";
 import { useAuth } from "../../../context/AuthContext";
+import { useContactUnreadCount } from "../../hooks/useContactUnreadCount";
 
 /**
  * System Admin Sidebar Component
@@ -21,6 +23,7 @@ const Sidebar = ({ isOpen = true, onNavigate }) => {
   const location = useLocation();
   const { logout } = useAuth();
   const [showLogoutConfirm, setShowLogoutConfirm] = useState(false);
+  const { unreadCount } = useContactUnreadCount();
 
   // Auto-close sidebar on mobile/tablet when route changes
   useEffect(() => {
@@ -36,6 +39,7 @@ const Sidebar = ({ isOpen = true, onNavigate }) => {
 
   const navItems = [
     { to: "/system-admin", label: "Home", icon: Home },
+    { to: "/system-admin/inbox", label: "Inbox", icon: Inbox, badge: unreadCount },
     { to: "/system-admin/recent-audits", label: "Recent Audits", icon: FileText },
     { to: "/system-admin/settings", label: "System Settings", icon: Settings },
   ];
@@ -52,7 +56,7 @@ const Sidebar = ({ isOpen = true, onNavigate }) => {
     }
   };
 
-  const navItem = (to, label, Icon, isExact = false) => (
+  const navItem = (to, label, Icon, isExact = false, badge = 0) => (
     <div
       onClick={(e) => {
         // Prevent any click on nav items from opening the sidebar
@@ -86,10 +90,20 @@ const Sidebar = ({ isOpen = true, onNavigate }) => {
         <Icon size={20} className="flex-shrink-0" />
         {isOpen && <span>{label}</span>}
 
+        {/* Unread badge: count when expanded, dot when collapsed */}
+        {badge > 0 &&
+          (isOpen ? (
+            <span className="ml-auto min-w-[1.25rem] px-1.5 py-0.5 rounded-full bg-[#E68B00] text-white text-[11px] font-bold text-center">
+              {badge > 99 ? "99+" : badge}
+            </span>
+          ) : (
+            <span className="absolute top-2 right-2 w-2.5 h-2.5 rounded-full bg-[#E68B00]" />
+          ))}
+
         {/* Tooltip for collapsed state */}
         {!isOpen && (
           <div className="absolute left-full ml-2 px-3 py-2 bg-[#0C2340] text-white text-xs rounded-lg whitespace-nowrap opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none z-50">
-            {label}
+            {badge > 0 ? `${label} (${badge})` : label}
           </div>
         )}
       </NavLink>
@@ -177,7 +191,7 @@ const Sidebar = ({ isOpen = true, onNavigate }) => {
       <nav className="flex flex-col gap-2 flex-1">
         {navItems.map((item) => (
           <div key={item.to}>
-            {navItem(item.to, item.label, item.icon, item.to === "/system-admin")}
+            {navItem(item.to, item.label, item.icon, item.to === "/system-admin", item.badge)}
           </div>
         ))}
       </nav>
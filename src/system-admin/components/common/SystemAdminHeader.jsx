@@ -2,6 +2,7 @@ import React, { useEffect, useState } from "react";
 import { Menu } from "lucide-react";
 import { useAuth } from "../../../context/AuthContext";
 import { splitDisplayName } from "../../../utils/displayName";
+import AcademicYearSelector from "../../../components/common/AcademicYearSelector";
 
 /**
  * SystemAdminHeader Component
@@ -9,6 +10,7 @@ import { splitDisplayName } from "../../../utils/displayName";
  * Displays the top header of the system admin dashboard with:
  * - Menu toggle button for sidebar
  * - "System Admin" title
+ * - School year selector (scopes every page)
  * - User profile section (responsive)
  *
  * Props:
@@ -54,6 +56,8 @@ const SystemAdminHeader = ({ onMenuToggle, sidebarOpen = true }) => {
 
       {/* Right side - User profile */}
       <div className="flex items-center gap-3 sm:gap-6">
+        <AcademicYearSelector />
+
         {/* User profile section */}
         <div className="flex items-center gap-2 sm:gap-3">
           {/* Hide name/email on small screens */}
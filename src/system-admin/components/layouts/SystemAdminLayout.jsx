@@ -1,6 +1,8 @@
 import React from "react";
 import Sidebar from "../common/Sidebar";
 import SystemAdminHeader from "../common/SystemAdminHeader";
+import AcademicYearScope from "../../../components/common/AcademicYearScope";
+import { AcademicYearProvider } from "../../../context/AcademicYearContext";
 import { useSystemAdminSidebar } from "../../hooks/common/useSystemAdminSidebar";
 
 /**
@@ -9,7 +11,7 @@ import { useSystemAdminSidebar } from "../../hooks/common/useSystemAdminSidebar"
  * A reusable layout wrapper for system admin pages that includes:
  * - Sidebar navigation
  * - System Admin header
- * - Main content area with proper spacing
+ * - Main content area with proper spacing, scoped to the school year picked in the header
  *
  * Props:
  * - children: React node - The page content to render
@@ -19,22 +21,27 @@ const SystemAdminLayout = ({ children, noPadding = false }) => {
   const { sidebarOpen, toggleSidebar, closeSidebar } = useSystemAdminSidebar();
 
   return (
-    <div className="min-h-screen bg-gray-50">
-      {/* Fixed Sidebar — mobile route change uses closeSidebar */}
-      <Sidebar isOpen={sidebarOpen} onNavigate={closeSidebar} />
-
-      {/* Fixed Header */}
-      <SystemAdminHeader onMenuToggle={toggleSidebar} sidebarOpen={sidebarOpen} />
-
-      {/* Main Content Area - Scrollable */}
-      <main
-        className={`fixed top-16 bottom-0 right-0 bg-gray-50 overflow-y-auto transition-all duration-300 ${
-          sidebarOpen ? "left-64" : "left-20"
-        }`}
-      >
-        <div className={noPadding ? "" : "p-4 sm:p-6 lg:p-8"}>{children}</div>
-      </main>
-    </div>
+    <AcademicYearProvider>
+      <div className="min-h-screen bg-gray-50">
+        {/* Fixed Sidebar — mobile route change uses closeSidebar */}
+        <Sidebar isOpen={sidebarOpen} onNavigate={closeSidebar} />
+
+        {/* Fixed Header */}
+        <SystemAdminHeader onMenuToggle={toggleSidebar} sidebarOpen={sidebarOpen} />
+
+        {/* Main Content Area - Scrollable */}
+        <main
+          className={`fixed top-16 bottom-0 right-0 bg-gray-50 overflow-y-auto transition-all duration-300 ${
+            sidebarOpen ? "left-64" : "left-20"
+          }`}
+        >
+          {/* Remounts the page when the school year in the header changes */}
+          <AcademicYearScope>
+            <div className={noPadding ? "" : "p-4 sm:p-6 lg:p-8"}>{children}</div>
+          </AcademicYearScope>
+        </main>
+      </div>
+    </AcademicYearProvider>
   );
 };
 
@@ -4,3 +4,9 @@ export { useSystemAdminSidebar } from "./common/useSystemAdminSidebar";
 
 
 
+export { useContactInbox } from "./useContactInbox";
+export { useContactUnreadCount } from "./useContactUnreadCount";
+export { useLandingContentEditor } from "./useLandingContentEditor";
+export { useAcademicYearAdmin } from "./useAcademicYearAdmin";
+export { useStudentPromotion } from "./useStudentPromotion";
+export { useStudentImport } from "./useStudentImport";
@@ -0,0 +1,81 @@
+import { useState, useCallback } from "react";
+import { toast } from "react-hot-toast";
+import { academicYearAPI } from "../../services/academicYear.service";
+import { useAcademicYear } from "../../context/AcademicYearContext";
+
+/**
+ * useAcademicYearAdmin Hook
+ *
+ * School-year management for SystemSettings:
+ * - Lists the years (from AcademicYearContext, so the header selector stays in sync)
+ * - Loads what a year-end rollover would do
+ * - Runs the rollover: closes the year, carries stock forward as the new beginning
+ *   inventory, resets per-student order counters and switches to the new year
+ *
+ * Usage:
+ * const { years, currentYear, loadRolloverPreview, rollover } = useAcademicYearAdmin();
+ */
+export const useAcademicYearAdmin = () => {
+  const { years, currentYear, loading, refetch, selectYear } = useAcademicYear();
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * What a rollover of the year would do
+   * @param {string} yearId
+   * @returns {Promise<Object|null>} { items, stock_units, students_with_orders, open_orders }
+   */
+  const loadRolloverPreview = useCallback(async (yearId) => {
+    try {
+      const response = await academicYearAPI.getRolloverPreview(yearId);
+      return response.data?.success ? response.data.data : null;
+    } catch (err) {
+      console.error("Error loading rollover preview:", err);
+      toast.error(err.response?.data?.message || err.message || "Failed to load rollover summary");
+      return null;
+    }
+  }, []);
+
+  /**
+   * Year-end rollover
+   * @param {string} yearId - Year being closed
+   * @param {{ label: string, start_date: string, end_date: string }} nextYear
+   */
+  const rollover = useCallback(
+    async (yearId, nextYear) => {
+      try {
+        setSaving(true);
+        setError(null);
+
+        const response = await academicYearAPI.rolloverAcademicYear(yearId, nextYear);
+
+        if (response.data && response.data.success) {
+          toast.success(`Rolled over to ${nextYear.label}`);
+          await refetch();
+          selectYear(null);
+        }
+      } catch (err) {
+        console.error("Error rolling over school year:", err);
+        const message = err.response?.data?.message || err.message || "Failed to roll over school year";
+        setError(message);
+        toast.error(message);
+        throw err;
+      } finally {
+        setSaving(false);
+      }
+    },
+    [refetch, selectYear],
+  );
+
+  return {
+    years,
+    currentYear,
+    loading,
+    saving,
+    error,
+    loadRolloverPreview,
+    rollover,
+  };
+};
+
+export default useAcademicYearAdmin;
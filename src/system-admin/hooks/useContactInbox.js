@@ -0,0 +1,273 @@
+import { useState, useEffect, useCallback } from "react";
+import { toast } from "react-hot-toast";
+import { contactAPI } from "../../services/api";
+import { userAPI } from "../../services/user.service";
+import { useSocket } from "../../context/SocketContext";
+import { CONTACT_INBOX_UPDATED_EVENT } from "./useContactUnreadCount";
+
+const notifyInboxUpdated = () => window.dispatchEvent(new CustomEvent(CONTACT_INBOX_UPDATED_EVENT));
+
+/**
+ * useContactInbox Hook
+ *
+ * Helpdesk inbox for messages sent from the landing-page contact form:
+ * - Fetches messages (filtered by status on the server, searched locally)
+ * - Opens a message with its notes and replies and marks it read
+ * - Changes status, assigns a staff member, adds internal notes, sends replies, deletes
+ * - Loads staff members for assignment; adds new messages live over the socket
+ *
+ * Usage:
+ * const { contacts, selectedContact, selectContact, updateStatus, assignTo, addNote, sendReply } = useContactInbox();
+ */
+export const useContactInbox = () => {
+  const [contacts, setContacts] = useState([]);
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [search, setSearch] = useState("");
+  const [selectedContact, setSelectedContact] = useState(null);
+  const [staff, setStaff] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [detailLoading, setDetailLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const { on, off } = useSocket();
+
+  /**
+   * Fetch messages for the current status filter
+   */
+  const fetchContacts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await contactAPI.getContacts(
+        statusFilter === "all" ? {} : { status: statusFilter },
+      );
+
+      if (response.data && response.data.success) {
+        setContacts(response.data.data || []);
+      }
+    } catch (err) {
+      console.error("Error fetching contact messages:", err);
+      setError(err.response?.data?.message || err.message || "Failed to fetch messages");
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchContacts();
+  }, [fetchContacts]);
+
+  // Staff members a message can be assigned to
+  useEffect(() => {
+    let cancelled = false;
+    userAPI
+      .getUsers({ page: 1, limit: 100, excludeRole: "student" })
+      .then((response) => {
+        if (!cancelled && response.data?.success) setStaff(response.data.data || []);
+      })
+      .catch((err) => console.error("Error fetching staff for assignment:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // New messages from the landing page
+  useEffect(() => {
+    const handleCreated = (contact) => {
+      if (!contact?.id) return;
+      if (statusFilter !== "all" && (contact.status || "new") !== statusFilter) return;
+      setContacts((prev) => [contact, ...prev.filter((c) => c.id !== contact.id)]);
+    };
+    on("contact:created", handleCreated);
+    return () => off("contact:created", handleCreated);
+  }, [on, off, statusFilter]);
+
+  const applyUpdate = useCallback((updated) => {
+    if (!updated?.id) return;
+    setContacts((prev) => prev.map((c) => (c.id === updated.id ? { ...c, ...updated } : c)));
+    setSelectedContact((prev) => (prev && prev.id === updated.id ? { ...prev, ...updated } : prev));
+  }, []);
+
+  /**
+   * Open a message (loads notes and replies) and mark it read
+   * @param {string|number|null} id - null closes the message
+   */
+  const selectContact = useCallback(
+    async (id) => {
+      if (id == null) {
+        setSelectedContact(null);
+        return;
+      }
+      const summary = contacts.find((c) => c.id === id) || null;
+      setSelectedContact(summary);
+
+      try {
+        setDetailLoading(true);
+        const response = await contactAPI.getContactById(id);
+        if (response.data && response.data.success) {
+          setSelectedContact(response.data.data);
+        }
+        if (summary && !summary.is_read) {
+          const readResponse = await contactAPI.updateContact(id, { is_read: true });
+          applyUpdate(readResponse.data?.data || { id, is_read: true });
+          notifyInboxUpdated();
+        }
+      } catch (err) {
+        console.error("Error opening contact message:", err);
+        toast.error(err.response?.data?.message || err.message || "Failed to open message");
+      } finally {
+        setDetailLoading(false);
+      }
+    },
+    [contacts, applyUpdate],
+  );
+
+  const runUpdate = useCallback(
+    async (id, data, successMessage) => {
+      try {
+        setSaving(true);
+        const response = await contactAPI.updateContact(id, data);
+        if (response.data && response.data.success) {
+          applyUpdate(response.data.data || { id, ...data });
+          toast.success(successMessage);
+        }
+      } catch (err) {
+        console.error("Error updating contact message:", err);
+        toast.error(err.response?.data?.message || err.message || "Failed to update message");
+        throw err;
+      } finally {
+        setSaving(false);
+      }
+    },
+    [applyUpdate],
+  );
+
+  /**
+   * Change a message's status (new, in_progress, resolved)
+   */
+  const updateStatus = useCallback(
+    (id, status) => runUpdate(id, { status }, "Status updated"),
+    [runUpdate],
+  );
+
+  /**
+   * Assign a message to a staff member (null unassigns)
+   */
+  const assignTo = useCallback(
+    (id, staffId) =>
+      runUpdate(id, { assigned_to: staffId || null }, staffId ? "Message assigned" : "Message unassigned"),
+    [runUpdate],
+  );
+
+  /**
+   * Add an internal note (only visible to staff)
+   * @param {string|number} id
+   * @param {string} note
+   */
+  const addNote = useCallback(
+    async (id, note) => {
+      const text = (note || "").trim();
+      if (!text) return;
+      try {
+        setSaving(true);
+        const response = await contactAPI.addContactNote(id, text);
+        if (response.data && response.data.success) {
+          const created = response.data.data;
+          setSelectedContact((prev) =>
+            prev && prev.id === id ? { ...prev, notes: [...(prev.notes || []), created] } : prev,
+          );
+          toast.success("Note added");
+        }
+      } catch (err) {
+        console.error("Error adding note:", err);
+        toast.error(err.response?.data?.message || err.message || "Failed to add note");
+        throw err;
+      } finally {
+        setSaving(false);
+      }
+    },
+    [],
+  );
+
+  /**
+   * Email a reply to the sender. A new message moves to in progress.
+   * @param {string|number} id
+   * @param {{ subject: string, message: string }} reply
+   */
+  const sendReply = useCallback(
+    async (id, reply) => {
+      try {
+        setSaving(true);
+        const response = await contactAPI.replyToContact(id, reply);
+        if (response.data && response.data.success) {
+          const { reply: sent, contact } = response.data.data || {};
+          setSelectedContact((prev) =>
+            prev && prev.id === id
+              ? { ...prev, ...(contact || {}), replies: [...(prev.replies || []), ...(sent ? [sent] : [])] }
+              : prev,
+          );
+          if (contact) applyUpdate(contact);
+          toast.success("Reply sent");
+        }
+      } catch (err) {
+        console.error("Error sending reply:", err);
+        toast.error(err.response?.data?.message || err.message || "Failed to send reply");
+        throw err;
+      } finally {
+        setSaving(false);
+      }
+    },
+    [applyUpdate],
+  );
+
+  /**
+   * Delete a message
+   */
+  const deleteContact = useCallback(async (id) => {
+    try {
+      setSaving(true);
+      await contactAPI.deleteContact(id);
+      setContacts((prev) => prev.filter((c) => c.id !== id));
+      setSelectedContact((prev) => (prev && prev.id === id ? null : prev));
+      notifyInboxUpdated();
+      toast.success("Message deleted");
+    } catch (err) {
+      console.error("Error deleting contact message:", err);
+      toast.error(err.response?.data?.message || err.message || "Failed to delete message");
+      throw err;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const query = search.trim().toLowerCase();
+  const visibleContacts = query
+    ? contacts.filter((c) =>
+        [c.name, c.email, c.message].some((value) => (value || "").toLowerCase().includes(query)),
+      )
+    : contacts;
+
+  return {
+    contacts: visibleContacts,
+    statusFilter,
+    setStatusFilter,
+    search,
+    setSearch,
+    selectedContact,
+    selectContact,
+    staff,
+    loading,
+    detailLoading,
+    saving,
+    error,
+    updateStatus,
+    assignTo,
+    addNote,
+    sendReply,
+    deleteContact,
+    refetch: fetchContacts,
+  };
+};
+
+export default useContactInbox;
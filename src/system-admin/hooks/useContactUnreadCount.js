@@ -0,0 +1,49 @@
+import { useState, useEffect, useCallback } from "react";
+import { contactAPI } from "../../services/api";
+import { useSocket } from "../../context/SocketContext";
+
+/** Window event the inbox dispatches after it marks a message read or deletes one */
+export const CONTACT_INBOX_UPDATED_EVENT = "contact-inbox-updated";
+
+/**
+ * useContactUnreadCount Hook
+ *
+ * Number of unread landing-page contact messages for the sidebar badge:
+ * - Fetches the count on mount
+ * - Refetches when a message arrives (socket) or the inbox changes one
+ *
+ * @returns {Object} { unreadCount, refetch }
+ */
+export const useContactUnreadCount = () => {
+  const [unreadCount, setUnreadCount] = useState(0);
+  const { on, off } = useSocket();
+
+  const fetchCount = useCallback(async () => {
+    try {
+      const response = await contactAPI.getUnreadCount();
+      if (response.data?.success) {
+        setUnreadCount(Number(response.data.data?.count) || 0);
+      }
+    } catch (err) {
+      // The badge is informational; keep the last known count
+      console.error("Error fetching unread contact count:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCount();
+  }, [fetchCount]);
+
+  useEffect(() => {
+    window.addEventListener(CONTACT_INBOX_UPDATED_EVENT, fetchCount);
+    on("contact:created", fetchCount);
+    return () => {
+      window.removeEventListener(CONTACT_INBOX_UPDATED_EVENT, fetchCount);
+      off("contact:created", fetchCount);
+    };
+  }, [on, off, fetchCount]);
+
+  return { unreadCount, refetch: fetchCount };
+};
+
+export default useContactUnreadCount;
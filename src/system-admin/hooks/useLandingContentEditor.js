@@ -0,0 +1,194 @@
+import { useState, useEffect, useCallback } from "react";
+import { toast } from "react-hot-toast";
+import { landingContentAPI } from "../../services/landingContent.service";
+import { DEFAULT_LANDING_CONTENT } from "../../constants/landingContent";
+import {
+  mergeLandingContent,
+  saveLandingPreview,
+  validateLandingContent,
+} from "../../utils/landingContent";
+
+const sameContent = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * useLandingContentEditor Hook
+ *
+ * Draft / preview / publish cycle for the landing page content:
+ * - Fetches the saved draft and the published content
+ * - Keeps local edits until they are saved as the draft
+ * - Opens the landing page with the current edits for preview
+ * - Publishes the saved draft (after validation)
+ *
+ * Usage:
+ * const { draft, updateSection, saveDraft, openPreview, publish } = useLandingContentEditor();
+ */
+export const useLandingContentEditor = () => {
+  const [draft, setDraft] = useState(() => mergeLandingContent(null));
+  const [savedDraft, setSavedDraft] = useState(() => mergeLandingContent(null));
+  const [published, setPublished] = useState(null);
+  const [meta, setMeta] = useState({ draft_updated_at: null, published_at: null, published_by: null });
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch the draft and published content
+   */
+  const fetchContent = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await landingContentAPI.getLandingContent();
+
+      if (response.data && response.data.success) {
+        const data = response.data.data || {};
+        const publishedContent = data.published ? mergeLandingContent(data.published) : null;
+        const draftContent = mergeLandingContent(data.draft || data.published || null);
+        setPublished(publishedContent);
+        setSavedDraft(draftContent);
+        setDraft(draftContent);
+        setMeta({
+          draft_updated_at: data.draft_updated_at || null,
+          published_at: data.published_at || null,
+          published_by: data.published_by || null,
+        });
+      }
+    } catch (err) {
+      console.error("Error fetching landing page content:", err);
+      const message = err.response?.data?.message || err.message || "Failed to fetch landing page content";
+      setError(message);
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchContent();
+  }, [fetchContent]);
+
+  /**
+   * Replace one section of the draft (hero, carousel, announcements, featured, about, contact)
+   * @param {string} section
+   * @param {*} value
+   */
+  const updateSection = useCallback((section, value) => {
+    setDraft((prev) => ({ ...prev, [section]: value }));
+  }, []);
+
+  /**
+   * Save the local edits as the draft
+   * @returns {Promise<boolean>} Whether the draft was saved
+   */
+  const saveDraft = useCallback(async () => {
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await landingContentAPI.saveDraft(draft);
+
+      if (response.data && response.data.success) {
+        setSavedDraft(draft);
+        setMeta((prev) => ({
+          ...prev,
+          draft_updated_at: response.data.data?.draft_updated_at || new Date().toISOString(),
+        }));
+        toast.success("Draft saved");
+        return true;
+      }
+      return false;
+    } catch (err) {
+      console.error("Error saving landing page draft:", err);
+      const message = err.response?.data?.message || err.message || "Failed to save draft";
+      setError(message);
+      toast.error(message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }, [draft]);
+
+  /**
+   * Publish the draft to the landing page. Unsaved edits are saved first.
+   */
+  const publish = useCallback(async () => {
+    const errors = validateLandingContent(draft);
+    if (errors.length > 0) {
+      toast.error(errors[0]);
+      return;
+    }
+
+    if (!sameContent(draft, savedDraft)) {
+      const saved = await saveDraft();
+      if (!saved) return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await landingContentAPI.publishDraft();
+
+      if (response.data && response.data.success) {
+        setPublished(draft);
+        setMeta((prev) => ({
+          ...prev,
+          published_at: response.data.data?.published_at || new Date().toISOString(),
+          published_by: response.data.data?.published_by || prev.published_by,
+        }));
+        toast.success("Landing page published");
+      }
+    } catch (err) {
+      console.error("Error publishing landing page content:", err);
+      const message = err.response?.data?.message || err.message || "Failed to publish";
+      setError(message);
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  }, [draft, savedDraft, saveDraft]);
+
+  /**
+   * Open the landing page in a new tab showing the current edits
+   */
+  const openPreview = useCallback(() => {
+    saveLandingPreview(draft);
+    window.open("/?preview=draft", "_blank", "noopener");
+  }, [draft]);
+
+  /**
+   * Drop local edits and go back to the saved draft
+   */
+  const discardChanges = useCallback(() => {
+    setDraft(savedDraft);
+  }, [savedDraft]);
+
+  /**
+   * Replace the local edits with the built-in default content (not saved until saveDraft)
+   */
+  const resetToDefaults = useCallback(() => {
+    setDraft(mergeLandingContent(DEFAULT_LANDING_CONTENT));
+  }, []);
+
+  return {
+    draft,
+    published,
+    meta,
+    loading,
+    saving,
+    error,
+    hasUnsavedChanges: !sameContent(draft, savedDraft),
+    hasUnpublishedChanges: !published || !sameContent(savedDraft, published),
+    validationErrors: validateLandingContent(draft),
+    updateSection,
+    saveDraft,
+    publish,
+    openPreview,
+    discardChanges,
+    resetToDefaults,
+    refetch: fetchContent,
+  };
+};
+
+export default useLandingContentEditor;
@@ -0,0 +1,122 @@
+import { useState, useEffect, useCallback } from "react";
+import { schoolCalendarAPI } from "../../services/schoolCalendar.service";
+import { setNonWorkingDates } from "../../utils/schoolCalendar";
+import { toast } from "react-hot-toast";
+
+/**
+ * useNonWorkingDates Hook
+ *
+ * Handles the school calendar managed in SystemSettings:
+ * - Fetches holidays and class suspensions
+ * - Adds and removes non-working dates
+ * - Keeps the shared calendar cache in sync so validity countdowns update right away
+ *
+ * Usage:
+ * const { dates, loading, error, addDate, removeDate } = useNonWorkingDates();
+ */
+export const useNonWorkingDates = () => {
+  const [dates, setDates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const applyDates = useCallback((next) => {
+    const sorted = [...next].sort((a, b) => a.date.localeCompare(b.date));
+    setDates(sorted);
+    setNonWorkingDates(sorted);
+  }, []);
+
+  /**
+   * Fetch all non-working dates
+   */
+  const fetchDates = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await schoolCalendarAPI.getNonWorkingDates();
+
+      if (response.data && response.data.success) {
+        applyDates(response.data.data || []);
+      }
+    } catch (err) {
+      console.error("Error fetching school calendar:", err);
+      setError(err.message || "Failed to fetch school calendar");
+      toast.error(err.message || "Failed to fetch school calendar");
+    } finally {
+      setLoading(false);
+    }
+  }, [applyDates]);
+
+  /**
+   * Add a holiday or class suspension
+   * @param {{ date: string, label: string, type: string }} entry
+   */
+  const addDate = useCallback(
+    async (entry) => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await schoolCalendarAPI.addNonWorkingDate(entry);
+
+        if (response.data && response.data.success) {
+          applyDates([...dates.filter((d) => d.date !== entry.date), response.data.data]);
+          toast.success("Non-working date added");
+          return response.data.data;
+        }
+      } catch (err) {
+        console.error("Error adding non-working date:", err);
+        const errorMessage = err.response?.data?.message || err.message || "Failed to add non-working date";
+        setError(errorMessage);
+        toast.error(errorMessage);
+        throw err;
+      } finally {
+        setLoading(false);
+      }
+    },
+    [dates, applyDates],
+  );
+
+  /**
+   * Remove a non-working date
+   * @param {string} id - Calendar entry ID
+   */
+  const removeDate = useCallback(
+    async (id) => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await schoolCalendarAPI.removeNonWorkingDate(id);
+
+        if (response.data && response.data.success) {
+          applyDates(dates.filter((d) => d.id !== id));
+          toast.success("Non-working date removed");
+        }
+      } catch (err) {
+        console.error("Error removing non-working date:", err);
+        const errorMessage = err.response?.data?.message || err.message || "Failed to remove non-working date";
+        setError(errorMessage);
+        toast.error(errorMessage);
+        throw err;
+      } finally {
+        setLoading(false);
+      }
+    },
+    [dates, applyDates],
+  );
+
+  // Fetch dates on mount
+  useEffect(() => {
+    fetchDates();
+  }, [fetchDates]);
+
+  return {
+    dates,
+    loading,
+    error,
+    fetchDates,
+    addDate,
+    removeDate,
+  };
+};
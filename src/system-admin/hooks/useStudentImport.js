@@ -0,0 +1,201 @@
+import { useState, useCallback, useMemo } from "react";
+import { toast } from "react-hot-toast";
+import { userAPI } from "../../services/user.service";
+import {
+  readStudentImportFile,
+  guessColumnMapping,
+  getMissingRequiredFields,
+  validateStudentRows,
+  downloadImportErrorReport,
+} from "../utils/studentImport";
+
+/**
+ * useStudentImport Hook
+ *
+ * State for the bulk student import:
+ * - Reads a CSV/XLSX file and guesses the column mapping
+ * - Dry run: checks every row here, then asks the server for duplicates with existing students
+ * - Downloads an error report of the rows that failed
+ * - Imports the valid rows in one batch
+ *
+ * Usage:
+ * const { loadFile, mapping, setColumn, runDryRun, results, commitImport } = useStudentImport();
+ */
+export const useStudentImport = () => {
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const missingFields = useMemo(() => getMissingRequiredFields(mapping), [mapping]);
+  const validRows = useMemo(() => (results || []).filter((row) => row.errors.length === 0), [results]);
+  const invalidRows = useMemo(() => (results || []).filter((row) => row.errors.length > 0), [results]);
+
+  /**
+   * Clear the file and results
+   */
+  const reset = useCallback(() => {
+    setFileName("");
+    setHeaders([]);
+    setRows([]);
+    setMapping({});
+    setResults(null);
+    setError(null);
+  }, []);
+
+  /**
+   * Read the chosen file
+   * @param {File} file
+   * @returns {Promise<boolean>} Whether the file could be read
+   */
+  const loadFile = useCallback(async (file) => {
+    try {
+      setLoading(true);
+      setError(null);
+      setResults(null);
+
+      const parsed = await readStudentImportFile(file);
+      setFileName(file.name);
+      setHeaders(parsed.headers);
+      setRows(parsed.rows);
+      setMapping(guessColumnMapping(parsed.headers));
+      return true;
+    } catch (err) {
+      console.error("Error reading import file:", err);
+      setError(err.message || "Failed to read the file");
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Map a field to a column (-1 = not mapped)
+   * @param {string} fieldKey
+   * @param {number} columnIndex
+   */
+  const setColumn = useCallback((fieldKey, columnIndex) => {
+    setMapping((prev) => ({ ...prev, [fieldKey]: columnIndex }));
+    setResults(null);
+  }, []);
+
+  /**
+   * Leave the dry-run results to change the mapping
+   */
+  const editMapping = useCallback(() => {
+    setResults(null);
+  }, []);
+
+  /**
+   * Check every row without saving anything
+   */
+  const runDryRun = useCallback(async () => {
+    if (missingFields.length > 0) {
+      toast.error(`Map a column to: ${missingFields.join(", ")}`);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const checked = validateStudentRows(rows, mapping);
+      const candidates = checked.filter((row) => row.errors.length === 0);
+
+      if (candidates.length > 0) {
+        const response = await userAPI.importStudents(
+          candidates.map((row) => ({ row: row.rowNumber, ...row.student })),
+          { dryRun: true },
+        );
+        const serverErrors = new Map(
+          (response.data?.data?.errors || []).map((entry) => [entry.row, entry.errors || []]),
+        );
+        checked.forEach((row) => {
+          if (serverErrors.has(row.rowNumber)) {
+            row.errors.push(...serverErrors.get(row.rowNumber));
+          }
+        });
+      }
+
+      setResults(checked);
+    } catch (err) {
+      console.error("Error checking student import:", err);
+      const message = err.response?.data?.message || err.message || "Failed to check the students";
+      setError(message);
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  }, [rows, mapping, missingFields]);
+
+  /**
+   * Download the rows that failed the dry run
+   */
+  const downloadErrorReport = useCallback(() => {
+    if (!results) return;
+    const reportName = downloadImportErrorReport(results, fileName);
+    toast.success(`Downloaded ${reportName}`);
+  }, [results, fileName]);
+
+  /**
+   * Import the valid rows in one batch
+   * @returns {Promise<number|null>} Number of students created
+   */
+  const commitImport = useCallback(async () => {
+    if (validRows.length === 0) {
+      toast.error("There are no valid rows to import");
+      return null;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await userAPI.importStudents(
+        validRows.map((row) => ({ row: row.rowNumber, ...row.student })),
+      );
+
+      if (response.data && response.data.success) {
+        const created = response.data.data?.created ?? validRows.length;
+        toast.success(`Imported ${created} student(s)`);
+        return created;
+      }
+      throw new Error(response.data?.message || "Failed to import students");
+    } catch (err) {
+      console.error("Error importing students:", err);
+      const message = err.response?.data?.message || err.message || "Failed to import students";
+      setError(message);
+      toast.error(message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, [validRows]);
+
+  return {
+    fileName,
+    headers,
+    rowCount: rows.length,
+    mapping,
+    missingFields,
+    results,
+    validRows,
+    invalidRows,
+    loading,
+    saving,
+    error,
+    loadFile,
+    setColumn,
+    editMapping,
+    runDryRun,
+    downloadErrorReport,
+    commitImport,
+    reset,
+  };
+};
+
+export default useStudentImport;
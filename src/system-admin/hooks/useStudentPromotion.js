@@ -0,0 +1,141 @@
+import { useState, useCallback, useMemo } from "react";
+import { toast } from "react-hot-toast";
+import { userAPI } from "../../services/user.service";
+import { useAcademicYear } from "../../context/AcademicYearContext";
+import {
+  buildPromotionPlan,
+  summarizePromotionPlan,
+  toPromotionChanges,
+} from "../utils/gradePromotion";
+
+const PAGE_SIZE = 100;
+
+/**
+ * useStudentPromotion Hook
+ *
+ * State for the grade-level promotion wizard:
+ * - Loads every active student
+ * - Builds the preview (next level, graduates, repeaters) from the level lists
+ * - Marks and unmarks repeaters
+ * - Applies the promotion for the current school year
+ *
+ * Usage:
+ * const { plan, summary, loadStudents, toggleRepeater, applyPromotion } = useStudentPromotion();
+ */
+export const useStudentPromotion = () => {
+  const { currentYear } = useAcademicYear();
+  const [students, setStudents] = useState([]);
+  const [repeaterIds, setRepeaterIds] = useState(() => new Set());
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const plan = useMemo(() => buildPromotionPlan(students, repeaterIds), [students, repeaterIds]);
+  const summary = useMemo(() => summarizePromotionPlan(plan), [plan]);
+
+  /**
+   * Load every active student, page by page
+   */
+  const loadStudents = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setRepeaterIds(new Set());
+
+      const loaded = [];
+      let page = 1;
+      let totalPages = 1;
+      do {
+        const response = await userAPI.getUsers({
+          page,
+          limit: PAGE_SIZE,
+          role: "student",
+          status: "Active",
+        });
+        if (!response.data?.success) {
+          throw new Error(response.data?.message || "Failed to load students");
+        }
+        loaded.push(...(response.data.data || []));
+        totalPages = response.data.pagination?.totalPages || 1;
+        page += 1;
+      } while (page <= totalPages);
+
+      setStudents(loaded);
+    } catch (err) {
+      console.error("Error loading students for promotion:", err);
+      const message = err.response?.data?.message || err.message || "Failed to load students";
+      setError(message);
+      setStudents([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Hold a student back (or undo it)
+   * @param {string} studentId
+   */
+  const toggleRepeater = useCallback((studentId) => {
+    setRepeaterIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(studentId)) {
+        next.delete(studentId);
+      } else {
+        next.add(studentId);
+      }
+      return next;
+    });
+  }, []);
+
+  /**
+   * Apply the promotion
+   * @returns {Promise<Object>} { promoted, repeated, graduated }
+   */
+  const applyPromotion = useCallback(async () => {
+    const changes = toPromotionChanges(plan);
+    if (changes.length === 0) {
+      toast.error("There are no students to promote");
+      return null;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await userAPI.promoteStudents(currentYear.id, changes);
+
+      if (response.data && response.data.success) {
+        toast.success(`Promotion for ${currentYear.label} applied`);
+        return response.data.data || {
+          promoted: summary.promote,
+          repeated: summary.repeat,
+          graduated: summary.graduate,
+        };
+      }
+      throw new Error(response.data?.message || "Failed to promote students");
+    } catch (err) {
+      console.error("Error promoting students:", err);
+      const message = err.response?.data?.message || err.message || "Failed to promote students";
+      setError(message);
+      toast.error(message);
+      throw err;
+    } finally {
+      setSaving(false);
+    }
+  }, [plan, summary, currentYear]);
+
+  return {
+    plan,
+    summary,
+    repeaterIds,
+    academicYear: currentYear,
+    loading,
+    saving,
+    error,
+    loadStudents,
+    toggleRepeater,
+    applyPromotion,
+  };
+};
+
+export default useStudentPromotion;
@@ -0,0 +1,147 @@
+import React from "react";
+import { Inbox, Search, ArrowLeft } from "lucide-react";
+import { useAuth } from "../../context/AuthContext";
+import { useContactInbox } from "../hooks/useContactInbox";
+import { CONTACT_STATUS_OPTIONS } from "../utils/contactInbox";
+import ContactList from "../components/ContactInbox/ContactList";
+import ContactDetail from "../components/ContactInbox/ContactDetail";
+
+const STATUS_TABS = [{ value: "all", label: "All" }, ...CONTACT_STATUS_OPTIONS];
+
+/**
+ * ContactInbox Page
+ *
+ * Helpdesk inbox for messages sent from the landing-page contact form:
+ * status, assignment, internal notes and templated replies
+ */
+const ContactInbox = () => {
+  const { user } = useAuth();
+  const {
+    contacts,
+    statusFilter,
+    setStatusFilter,
+    search,
+    setSearch,
+    selectedContact,
+    selectContact,
+    staff,
+    loading,
+    detailLoading,
+    saving,
+    error,
+    updateStatus,
+    assignTo,
+    addNote,
+    sendReply,
+    deleteContact,
+  } = useContactInbox();
+
+  const handleDelete = () => {
+    if (!selectedContact) return;
+    if (!window.confirm(`Delete the message from ${selectedContact.name || selectedContact.email}? This cannot be undone.`)) {
+      return;
+    }
+    deleteContact(selectedContact.id).catch(() => {});
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header Section */}
+      <div className="flex items-center gap-4 mb-2">
+        <div className="w-12 h-12 rounded-full bg-[#0C2340] flex items-center justify-center">
+          <Inbox className="text-white" size={24} />
+        </div>
+        <div>
+          <h1 className="text-3xl font-bold text-[#0C2340]">Inbox</h1>
+          <p className="text-sm text-orange-500 font-medium">Messages from the landing page</p>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="bg-white rounded-lg border border-gray-200 shadow-sm grid grid-cols-1 lg:grid-cols-5 min-h-[560px]">
+        {/* Message list (hidden on small screens while a message is open) */}
+        <div
+          className={`lg:col-span-2 border-b lg:border-b-0 lg:border-r border-gray-200 flex flex-col ${
+            selectedContact ? "hidden lg:flex" : "flex"
+          }`}
+        >
+          <div className="p-4 space-y-3 border-b border-gray-200">
+            <div className="flex gap-1 overflow-x-auto">
+              {STATUS_TABS.map((tab) => (
+                <button
+                  key={tab.value}
+                  type="button"
+                  onClick={() => setStatusFilter(tab.value)}
+                  className={`px-3 py-1.5 rounded-full text-xs font-semibold whitespace-nowrap transition-colors ${
+                    statusFilter === tab.value
+                      ? "bg-[#0C2340] text-white"
+                      : "text-[#0C2340] hover:bg-[#f3f6fb]"
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={16} />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search name, email or message"
+                className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-[#0C2340]"
+              />
+            </div>
+          </div>
+          <div className="flex-1 overflow-y-auto max-h-[640px]">
+            <ContactList
+              contacts={contacts}
+              selectedId={selectedContact?.id ?? null}
+              staff={staff}
+              loading={loading}
+              onSelect={selectContact}
+            />
+          </div>
+        </div>
+
+        {/* Open message */}
+        <div className={`lg:col-span-3 ${selectedContact ? "block" : "hidden lg:block"}`}>
+          {selectedContact ? (
+            <>
+              <button
+                type="button"
+                onClick={() => selectContact(null)}
+                className="lg:hidden flex items-center gap-1 px-4 pt-4 text-sm font-medium text-[#0C2340]"
+              >
+                <ArrowLeft size={16} />
+                Back to messages
+              </button>
+              <ContactDetail
+                contact={selectedContact}
+                staff={staff}
+                staffName={user?.name || user?.displayName}
+                loading={detailLoading}
+                saving={saving}
+                onStatusChange={(status) => updateStatus(selectedContact.id, status).catch(() => {})}
+                onAssign={(staffId) => assignTo(selectedContact.id, staffId).catch(() => {})}
+                onAddNote={(note) => addNote(selectedContact.id, note)}
+                onSendReply={(reply) => sendReply(selectedContact.id, reply)}
+                onDelete={handleDelete}
+              />
+            </>
+          ) : (
+            <div className="h-full flex flex-col items-center justify-center text-center p-8 text-gray-500">
+              <Inbox size={40} className="text-gray-300 mb-3" />
+              <p className="text-sm">Select a message to read it.</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContactInbox;
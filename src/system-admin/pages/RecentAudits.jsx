@@ -33,10 +33,11 @@ const RecentAudits = () => {
       setError(null);
 
       // Fetch audits for all roles except system_admin
-      // This includes: students, finance staff, accounting staff, department heads, and property custodians
+      // This includes: students, guardians, finance staff, accounting staff, department heads, and property custodians
       // System admin actions are excluded to allow system admins to monitor all user actions
       const rolesToFetch = [
         "student", 
+        "guardian", 
         "finance_staff", 
         "department_head", 
         "accounting_staff", 
@@ -6,6 +6,8 @@ import EditTableModal from "../components/StudentManagement/EditTableModal";
 import EditStudentOrderLimitsModal from "../components/StudentManagement/EditStudentOrderLimitsModal";
 import DeleteStudentModal from "../components/StudentManagement/DeleteStudentModal";
 import AddStudentModal from "../components/StudentManagement/AddStudentModal";
+import PromotionWizardModal from "../components/StudentManagement/PromotionWizardModal";
+import StudentImportModal from "../components/StudentManagement/StudentImportModal";
 import UserModal from "../components/UserManagement/UserModal";
 import { useUsers } from "../hooks/useUsers";
 import { useSocketStudentUpdates } from "../hooks/useSocketStudentUpdates";
@@ -45,6 +47,8 @@ const StudentList = () => {
   const [isOrderLimitsModalOpen, setIsOrderLimitsModalOpen] = useState(false);
   const [isUserModalOpen, setIsUserModalOpen] = useState(false);
   const [isAddStudentModalOpen, setIsAddStudentModalOpen] = useState(false);
+  const [isPromotionWizardOpen, setIsPromotionWizardOpen] = useState(false);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
   const [editingStudent, setEditingStudent] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [editingPage, setEditingPage] = useState(false);
@@ -661,6 +665,8 @@ const StudentList = () => {
           onGradeLevelChange={setGradeLevel}
           onEditTable={() => setIsEditTableModalOpen(true)}
           onAddUser={() => setIsAddStudentModalOpen(true)}
+          onPromote={() => setIsPromotionWizardOpen(true)}
+          onImport={() => setIsImportModalOpen(true)}
           selectedCount={selectedStudents.length}
         />
 
@@ -800,6 +806,20 @@ const StudentList = () => {
           onSave={handleSaveStudent}
         />
 
+        {/* Grade-Level Promotion Wizard */}
+        <PromotionWizardModal
+          isOpen={isPromotionWizardOpen}
+          onClose={() => setIsPromotionWizardOpen(false)}
+          onComplete={refreshStudentList}
+        />
+
+        {/* Bulk Student Import */}
+        <StudentImportModal
+          isOpen={isImportModalOpen}
+          onClose={() => setIsImportModalOpen(false)}
+          onComplete={refreshStudentList}
+        />
+
         {/* Add Student Modal */}
         <AddStudentModal
           isOpen={isAddStudentModalOpen}
@@ -1,12 +1,19 @@
 import React from "react";
 import MaintenanceModeCard from "../components/Settings/MaintenanceModeCard";
+import SchoolCalendarCard from "../components/Settings/SchoolCalendarCard";
+import LandingContentCard from "../components/Settings/LandingContentCard";
+import AcademicYearCard from "../components/Settings/AcademicYearCard";
 import { useMaintenance } from "../hooks/useMaintenance";
+import { useNonWorkingDates } from "../hooks/useNonWorkingDates";
+import { useLandingContentEditor } from "../hooks/useLandingContentEditor";
+import { useAcademicYearAdmin } from "../hooks/useAcademicYearAdmin";
 import { Settings } from "lucide-react";
 
 /**
  * SystemSettings Page
  * 
- * System settings page for maintenance mode and other system configurations
+ * System settings page for maintenance mode, the school calendar, school years, landing
+ * page content and other system configurations
  */
 const SystemSettings = () => {
   const {
@@ -16,6 +23,38 @@ const SystemSettings = () => {
     isActive,
     updateSettings,
   } = useMaintenance();
+  const {
+    dates: nonWorkingDates,
+    loading: calendarLoading,
+    error: calendarError,
+    addDate,
+    removeDate,
+  } = useNonWorkingDates();
+  const {
+    draft: landingDraft,
+    meta: landingMeta,
+    loading: landingLoading,
+    saving: landingSaving,
+    error: landingError,
+    hasUnsavedChanges,
+    hasUnpublishedChanges,
+    validationErrors,
+    updateSection,
+    saveDraft,
+    publish,
+    openPreview,
+    discardChanges,
+    resetToDefaults,
+  } = useLandingContentEditor();
+  const {
+    years: academicYears,
+    currentYear,
+    loading: academicYearsLoading,
+    saving: rolloverSaving,
+    error: academicYearError,
+    loadRolloverPreview,
+    rollover,
+  } = useAcademicYearAdmin();
 
   return (
     <div className="space-y-6">
@@ -50,6 +89,56 @@ const SystemSettings = () => {
             </p>
           </div>
         )}
+
+        {/* School Calendar Card - holidays and class suspensions for QR validity */}
+        <div className="flex justify-start">
+          <div className="w-full max-w-lg">
+            <SchoolCalendarCard
+              dates={nonWorkingDates}
+              onAdd={addDate}
+              onRemove={removeDate}
+              loading={calendarLoading}
+              error={calendarError}
+            />
+          </div>
+        </div>
+
+        {/* School Years Card - year-end rollover */}
+        <div className="flex justify-start">
+          <div className="w-full max-w-lg">
+            <AcademicYearCard
+              years={academicYears}
+              currentYear={currentYear}
+              onLoadRolloverPreview={loadRolloverPreview}
+              onRollover={rollover}
+              loading={academicYearsLoading}
+              saving={rolloverSaving}
+              error={academicYearError}
+            />
+          </div>
+        </div>
+
+        {/* Landing Page Content Card - draft, preview and publish */}
+        <div className="flex justify-start">
+          <div className="w-full max-w-4xl">
+            <LandingContentCard
+              draft={landingDraft}
+              meta={landingMeta}
+              hasUnsavedChanges={hasUnsavedChanges}
+              hasUnpublishedChanges={hasUnpublishedChanges}
+              validationErrors={validationErrors}
+              onSectionChange={updateSection}
+              onSaveDraft={saveDraft}
+              onPreview={openPreview}
+              onPublish={publish}
+              onDiscard={discardChanges}
+              onResetToDefaults={resetToDefaults}
+              loading={landingLoading}
+              saving={landingSaving}
+              error={landingError}
+            />
+          </div>
+        </div>
     </div>
   );
 };
@@ -0,0 +1,75 @@
+/**
+ * Contact Inbox Utility Functions
+ *
+ * Statuses and reply templates for landing-page contact messages
+ * handled in the system-admin inbox
+ */
+
+export const CONTACT_STATUS = {
+  NEW: "new",
+  IN_PROGRESS: "in_progress",
+  RESOLVED: "resolved",
+};
+
+export const CONTACT_STATUS_OPTIONS = [
+  { value: CONTACT_STATUS.NEW, label: "New", className: "bg-blue-100 text-blue-700" },
+  { value: CONTACT_STATUS.IN_PROGRESS, label: "In progress", className: "bg-yellow-100 text-yellow-700" },
+  { value: CONTACT_STATUS.RESOLVED, label: "Resolved", className: "bg-green-100 text-green-700" },
+];
+
+/**
+ * Status option for a message (messages saved before statuses existed count as new)
+ * @param {string} status
+ * @returns {{ value: string, label: string, className: string }}
+ */
+export const getContactStatusOption = (status) =>
+  CONTACT_STATUS_OPTIONS.find((option) => option.value === status) || CONTACT_STATUS_OPTIONS[0];
+
+/**
+ * Reply templates. {name} is replaced with the sender's first name and {staffName}
+ * with the name of the staff member replying.
+ */
+export const REPLY_TEMPLATES = [
+  {
+    id: "acknowledge",
+    label: "Acknowledge",
+    subject: "We received your message",
+    body:
+      "Hi {name},\n\nThank you for reaching out to La Verdad OrderHub. We received your message and will get back to you within two school days.\n\nRegards,\n{staffName}",
+  },
+  {
+    id: "order-status",
+    label: "Order status",
+    subject: "About your order",
+    body:
+      "Hi {name},\n\nYou can follow your order in the student portal under My Orders. Orders that are ready show a QR code to present at the claiming area.\n\nIf something looks wrong, reply with your order number and we will check it.\n\nRegards,\n{staffName}",
+  },
+  {
+    id: "account-access",
+    label: "Account access",
+    subject: "Signing in to the student portal",
+    body:
+      "Hi {name},\n\nStudents sign in with their school Google account (@student.laverdad.edu.ph). If you still cannot sign in, reply with the student's full name and student number so we can check the account.\n\nRegards,\n{staffName}",
+  },
+  {
+    id: "resolved",
+    label: "Resolved",
+    subject: "Your concern has been resolved",
+    body:
+      "Hi {name},\n\nWe have resolved the concern you sent us. Let us know if there is anything else we can help with.\n\nRegards,\n{staffName}",
+  },
+];
+
+/**
+ * Fill a reply template for a message
+ * @param {Object} template - Entry from REPLY_TEMPLATES
+ * @param {Object} contact - Contact message ({ name })
+ * @param {string} staffName - Name of the staff member replying
+ * @returns {{ subject: string, message: string }}
+ */
+export const fillReplyTemplate = (template, contact, staffName) => {
+  const firstName = (contact?.name || "").trim().split(/\s+/)[0] || "there";
+  const fill = (text) =>
+    text.replace(/\{name\}/g, firstName).replace(/\{staffName\}/g, staffName || "La Verdad OrderHub");
+  return { subject: fill(template.subject), message: fill(template.body) };
+};
@@ -0,0 +1,162 @@
+/**
+ * Grade Promotion Utility
+ *
+ * Works out where each student goes when a new school year starts, one level up along
+ * BASIC_EDUCATION_LEVELS or within the student's program in HIGHER_EDUCATION_PROGRAMS.
+ * Students in the last level (Grade 12, 4th Year) graduate; repeaters stay where they are.
+ */
+
+import {
+  BASIC_EDUCATION_LEVELS,
+  HIGHER_EDUCATION_PROGRAMS,
+} from "../../property-custodian/constants/ordersOptions";
+
+export const PROMOTION_OUTCOME = {
+  PROMOTE: "promote",
+  REPEAT: "repeat",
+  GRADUATE: "graduate",
+  UNCHANGED: "unchanged",
+};
+
+export const PROMOTION_OUTCOME_LABELS = {
+  [PROMOTION_OUTCOME.PROMOTE]: "Promoted",
+  [PROMOTION_OUTCOME.REPEAT]: "Repeating",
+  [PROMOTION_OUTCOME.GRADUATE]: "Graduating",
+  [PROMOTION_OUTCOME.UNCHANGED]: "Not changed",
+};
+
+/**
+ * Student records store "Prekindergarten" and "BSIS 1st Year"; the level lists use
+ * "Pre-Kindergarten" and "BSIS - 1st Year"
+ * @param {string} level - course_year_level as stored on the student
+ * @returns {string} The same level as written in the level lists
+ */
+const toListLevel = (level) => {
+  const value = String(level || "").trim();
+  if (/^pre-?kinder(garten)?$/i.test(value)) return "Pre-Kindergarten";
+  if (/^kinder(garten)?$/i.test(value)) return "Kindergarten";
+  const college = value.match(/^([A-Z]+)\s*-?\s*(\d)(st|nd|rd|th)\s+(year|yr)$/i);
+  if (college) {
+    return `${college[1].toUpperCase()} - ${college[2]}${college[3].toLowerCase()} Year`;
+  }
+  return value;
+};
+
+/**
+ * @param {string} listLevel - Level as written in the level lists
+ * @returns {string} course_year_level as stored on the student
+ */
+const toStudentLevel = (listLevel) =>
+  listLevel === "Pre-Kindergarten" ? "Prekindergarten" : listLevel.replace(" - ", " ");
+
+/**
+ * Level as stored on students, if it is in BASIC_EDUCATION_LEVELS or HIGHER_EDUCATION_PROGRAMS
+ * @param {string} courseYearLevel - e.g. "bsis - 2nd yr", "Grade 7"
+ * @returns {string|null} e.g. "BSIS 2nd Year", or null when not in the lists
+ */
+export const normalizeGradeLevel = (courseYearLevel) => {
+  const level = toListLevel(courseYearLevel);
+  const known = [...BASIC_EDUCATION_LEVELS, ...HIGHER_EDUCATION_PROGRAMS].find(
+    (listLevel) => listLevel.toLowerCase() === level.toLowerCase(),
+  );
+  return known ? toStudentLevel(known) : null;
+};
+
+/**
+ * Education level for a course/year level (same mapping as EditStudentOrderLimitsModal)
+ * @param {string} courseYearLevel - e.g. "Grade 7", "BSIS 2nd Year"
+ * @returns {string|null} e.g. "Junior High School", or null when unknown
+ */
+export const getEducationLevelForGrade = (courseYearLevel) => {
+  const level = toListLevel(courseYearLevel);
+  if (level === "Pre-Kindergarten" || level === "Kindergarten") return "Kindergarten";
+  if (/^Grade [1-6]$/.test(level)) return "Elementary";
+  if (/^Grade (7|8|9|10)$/.test(level)) return "Junior High School";
+  if (/^Grade (11|12)$/.test(level)) return "Senior High School";
+  if (/^(BSIS|BSA|BSAIS|BSSW|BAB|ACT) - (1st|2nd|3rd|4th) Year$/.test(level)) return "College";
+  return null;
+};
+
+/**
+ * The level a student moves to next school year
+ * @param {string} courseYearLevel - Current course_year_level
+ * @returns {{ outcome: string, level: string|null }} level is null for graduates and
+ *   for levels that are not in the lists (outcome UNCHANGED)
+ */
+export const getNextGradeLevel = (courseYearLevel) => {
+  const level = toListLevel(courseYearLevel);
+
+  const basicIndex = BASIC_EDUCATION_LEVELS.indexOf(level);
+  if (basicIndex !== -1) {
+    const next = BASIC_EDUCATION_LEVELS[basicIndex + 1];
+    return next
+      ? { outcome: PROMOTION_OUTCOME.PROMOTE, level: toStudentLevel(next) }
+      : { outcome: PROMOTION_OUTCOME.GRADUATE, level: null };
+  }
+
+  if (HIGHER_EDUCATION_PROGRAMS.includes(level)) {
+    const program = level.split(" - ")[0];
+    const programYears = HIGHER_EDUCATION_PROGRAMS.filter((l) => l.startsWith(`${program} - `));
+    const next = programYears[programYears.indexOf(level) + 1];
+    return next
+      ? { outcome: PROMOTION_OUTCOME.PROMOTE, level: toStudentLevel(next) }
+      : { outcome: PROMOTION_OUTCOME.GRADUATE, level: null };
+  }
+
+  return { outcome: PROMOTION_OUTCOME.UNCHANGED, level: null };
+};
+
+/**
+ * Preview of the promotion: one row per student
+ * @param {Array} students - Student records ({ id, name, student_number, course_year_level, education_level })
+ * @param {Set<string>} repeaterIds - Students held back a year
+ * @returns {Array<{ id, name, student_number, outcome, from, to, fromEducationLevel, toEducationLevel }>}
+ */
+export const buildPromotionPlan = (students, repeaterIds = new Set()) =>
+  students.map((student) => {
+    const from = student.course_year_level || "";
+    const fromEducationLevel = student.education_level || getEducationLevelForGrade(from);
+    const next = getNextGradeLevel(from);
+    const repeats = repeaterIds.has(student.id) && next.outcome !== PROMOTION_OUTCOME.UNCHANGED;
+    const outcome = repeats ? PROMOTION_OUTCOME.REPEAT : next.outcome;
+    const to = outcome === PROMOTION_OUTCOME.PROMOTE ? next.level : from;
+
+    return {
+      id: student.id,
+      name: student.name,
+      student_number: student.student_number,
+      outcome,
+      from,
+      to,
+      fromEducationLevel,
+      toEducationLevel:
+        outcome === PROMOTION_OUTCOME.PROMOTE ? getEducationLevelForGrade(to) : fromEducationLevel,
+    };
+  });
+
+/**
+ * Number of students per outcome
+ * @param {Array} plan - From buildPromotionPlan
+ * @returns {Object} { promote, repeat, graduate, unchanged }
+ */
+export const summarizePromotionPlan = (plan) =>
+  plan.reduce(
+    (counts, row) => ({ ...counts, [row.outcome]: counts[row.outcome] + 1 }),
+    Object.fromEntries(Object.values(PROMOTION_OUTCOME).map((outcome) => [outcome, 0])),
+  );
+
+/**
+ * Changes sent to the API (students whose level is not in the lists are left out)
+ * @param {Array} plan - From buildPromotionPlan
+ * @returns {Array<{ student_id, outcome, from_level, to_level, education_level }>}
+ */
+export const toPromotionChanges = (plan) =>
+  plan
+    .filter((row) => row.outcome !== PROMOTION_OUTCOME.UNCHANGED)
+    .map((row) => ({
+      student_id: row.id,
+      outcome: row.outcome,
+      from_level: row.from,
+      to_level: row.to,
+      education_level: row.toEducationLevel,
+    }));
@@ -0,0 +1,282 @@
+/**
+ * Student Import Utility
+ *
+ * Reads a CSV or XLSX student list, maps its columns to student fields and checks every
+ * row the same way AddStudentModal checks a single student: student number against
+ * STUDENT_NUMBER_PATTERN, course & year level against the education level and program
+ * lists, and no student number or email used twice in the file.
+ */
+
+import readXlsxFile from "read-excel-file";
+import {
+  STUDENT_NUMBER_PATTERN,
+  normalizeStudentNumber,
+  getStudentTypeFromStudentNumber,
+} from "../../utils/studentNumberFormat";
+import { EDUCATION_LEVELS } from "../../property-custodian/constants/ordersOptions";
+import { escapeCsvCell } from "../../utils/csvCell";
+import { normalizeGradeLevel, getEducationLevelForGrade } from "./gradePromotion";
+
+export const STUDENT_EMAIL_DOMAIN = "@student.laverdad.edu.ph";
+
+/** Accepted file types for the file input */
+export const STUDENT_IMPORT_ACCEPT = ".csv,.xlsx";
+
+const GENDERS = ["Male", "Female"];
+const STUDENT_TYPES = ["new", "old"];
+
+/**
+ * Student fields a column can be mapped to. `aliases` are header names recognised
+ * when guessing the mapping (compared lowercase, without spaces or punctuation).
+ */
+export const STUDENT_IMPORT_FIELDS = [
+  { key: "firstName", label: "First Name", required: true, aliases: ["firstname", "givenname", "first"] },
+  { key: "lastName", label: "Last Name", required: true, aliases: ["lastname", "surname", "familyname", "last"] },
+  { key: "studentNumber", label: "Student Number", required: true, aliases: ["studentnumber", "studentno", "studentid", "idnumber"] },
+  { key: "gender", label: "Gender", required: true, aliases: ["gender", "sex"] },
+  { key: "gradeLevel", label: "Course & Year Level", required: true, aliases: ["courseyearlevel", "gradelevel", "courseandyear", "yearlevel", "grade", "course"] },
+  { key: "educationLevel", label: "Education Level", required: false, aliases: ["educationlevel", "level"] },
+  { key: "email", label: "Email", required: false, aliases: ["email", "emailaddress"] },
+  { key: "studentType", label: "Student Type", required: false, aliases: ["studenttype", "type"] },
+];
+
+const toKey = (value) => String(value ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const cellText = (value) => {
+  if (value == null) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).trim();
+};
+
+/**
+ * Split CSV text into rows of cells (quoted cells may hold commas, quotes and line breaks)
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Read the header row and data rows of a CSV or XLSX file (first sheet)
+ * @param {File} file
+ * @returns {Promise<{ headers: Array<string>, rows: Array<Array<string>> }>}
+ */
+export const readStudentImportFile = async (file) => {
+  const isXlsx = /\.xlsx$/i.test(file.name);
+  if (!isXlsx && !/\.csv$/i.test(file.name)) {
+    throw new Error("Please choose a .csv or .xlsx file");
+  }
+
+  const raw = isXlsx ? await readXlsxFile(file) : parseCsv(await file.text());
+  const table = raw
+    .map((cells) => cells.map(cellText))
+    .filter((cells) => cells.some((value) => value !== ""));
+
+  if (table.length < 2) {
+    throw new Error("The file has no student rows below the header row");
+  }
+
+  const [headers, ...rows] = table;
+  return { headers, rows };
+};
+
+/**
+ * Column index per field, guessed from the header names
+ * @param {Array<string>} headers
+ * @returns {Object} { firstName: 0, lastName: 1, ... } (-1 = not mapped)
+ */
+export const guessColumnMapping = (headers) => {
+  const headerKeys = headers.map(toKey);
+  const used = new Set();
+  return Object.fromEntries(
+    STUDENT_IMPORT_FIELDS.map((field) => {
+      const index = headerKeys.findIndex(
+        (key, i) => !used.has(i) && (key === toKey(field.label) || field.aliases.includes(key)),
+      );
+      if (index !== -1) used.add(index);
+      return [field.key, index];
+    }),
+  );
+};
+
+/**
+ * Required fields without a column
+ * @param {Object} mapping - From guessColumnMapping
+ * @returns {Array<string>} Field labels
+ */
+export const getMissingRequiredFields = (mapping) =>
+  STUDENT_IMPORT_FIELDS.filter((field) => field.required && !(mapping[field.key] >= 0)).map(
+    (field) => field.label,
+  );
+
+const matchEducationLevel = (value) => {
+  const key = toKey(value);
+  const level = EDUCATION_LEVELS.find(
+    (option) => option.value !== "All Education Levels" && (toKey(option.value) === key || toKey(option.label) === key),
+  );
+  return level ? level.value : null;
+};
+
+/**
+ * Build the student records and check every row
+ * @param {Array<Array<string>>} rows - Data rows (no header)
+ * @param {Object} mapping - Column index per field
+ * @returns {Array<{ rowNumber: number, student: Object, errors: Array<string> }>} rowNumber
+ *   is the line in the file (header = 1)
+ */
+export const validateStudentRows = (rows, mapping) => {
+  const value = (cells, key) => (mapping[key] >= 0 ? cells[mapping[key]] || "" : "");
+  const seenNumbers = new Map();
+  const seenEmails = new Map();
+
+  return rows.map((cells, index) => {
+    const rowNumber = index + 2;
+    const errors = [];
+
+    const firstName = value(cells, "firstName");
+    const lastName = value(cells, "lastName");
+    if (!firstName) errors.push("First name is required");
+    if (!lastName) errors.push("Last name is required");
+
+    const studentNumber = normalizeStudentNumber(value(cells, "studentNumber"));
+    if (!studentNumber) {
+      errors.push("Student number is required");
+    } else if (!STUDENT_NUMBER_PATTERN.test(studentNumber)) {
+      errors.push(`Student number "${studentNumber}" must match YY-NNNNNIII (e.g. 22-00023RSR)`);
+    } else if (seenNumbers.has(studentNumber)) {
+      errors.push(`Student number also on row ${seenNumbers.get(studentNumber)}`);
+    } else {
+      seenNumbers.set(studentNumber, rowNumber);
+    }
+
+    const genderValue = value(cells, "gender");
+    const gender = GENDERS.find((g) => g.toLowerCase() === genderValue.toLowerCase() || g[0] === genderValue.toUpperCase());
+    if (!gender) errors.push(genderValue ? `Gender "${genderValue}" must be Male or Female` : "Gender is required");
+
+    const gradeValue = value(cells, "gradeLevel");
+    const courseYearLevel = normalizeGradeLevel(gradeValue);
+    if (!gradeValue) {
+      errors.push("Course & year level is required");
+    } else if (!courseYearLevel) {
+      errors.push(`Course & year level "${gradeValue}" is not in the grade or program list`);
+    }
+    const educationLevel = courseYearLevel ? getEducationLevelForGrade(courseYearLevel) : null;
+
+    const educationValue = value(cells, "educationLevel");
+    if (educationValue) {
+      const listedLevel = matchEducationLevel(educationValue);
+      if (!listedLevel) {
+        errors.push(`Education level "${educationValue}" is not in the education level list`);
+      } else if (educationLevel && listedLevel !== educationLevel) {
+        errors.push(`Education level "${educationValue}" does not match ${courseYearLevel}`);
+      }
+    }
+
+    const generatedEmail =
+      firstName && lastName
+        ? `${firstName}${lastName}`.toLowerCase().replace(/\s+/g, "") + STUDENT_EMAIL_DOMAIN
+        : "";
+    const email = (value(cells, "email") || generatedEmail).toLowerCase();
+    if (email && !email.endsWith(STUDENT_EMAIL_DOMAIN)) {
+      errors.push(`Email must end with ${STUDENT_EMAIL_DOMAIN}`);
+    } else if (email && seenEmails.has(email)) {
+      errors.push(`Email ${email} also on row ${seenEmails.get(email)}`);
+    } else if (email) {
+      seenEmails.set(email, rowNumber);
+    }
+
+    const typeValue = value(cells, "studentType").toLowerCase();
+    const studentType = typeValue || getStudentTypeFromStudentNumber(studentNumber);
+    if (typeValue && !STUDENT_TYPES.includes(typeValue)) {
+      errors.push(`Student type "${typeValue}" must be new or old`);
+    }
+
+    return {
+      rowNumber,
+      student: {
+        name: `${firstName} ${lastName}`.trim(),
+        email,
+        role: "student",
+        student_number: studentNumber,
+        gender: gender || "",
+        student_type: studentType || "",
+        course_year_level: courseYearLevel || gradeValue,
+        education_level: educationLevel,
+        total_item_limit: 8,
+      },
+      errors,
+    };
+  });
+};
+
+/**
+ * Download the rows that failed validation as CSV (row number, student and reasons)
+ * @param {Array} results - Rows from validateStudentRows with server errors merged in
+ * @param {string} sourceName - Imported file name, used for the report name
+ * @returns {string} Downloaded file name
+ */
+export const downloadImportErrorReport = (results, sourceName) => {
+  const lines = [
+    ["Row", "Student Number", "Name", "Email", "Course & Year Level", "Errors"],
+    ...results
+      .filter((row) => row.errors.length > 0)
+      .map((row) => [
+        row.rowNumber,
+        row.student.student_number,
+        row.student.name,
+        row.student.email,
+        row.student.course_year_level,
+        row.errors.join("; "),
+      ]),
+  ].map((cells) => cells.map(escapeCsvCell).join(","));
+
+  const fileName = `${sourceName.replace(/\.(csv|xlsx)$/i, "")}_import-errors.csv`;
+  // BOM so Excel opens the file as UTF-8 (ñ in names)
+  const blob = new Blob(["\uFEFF" + lines.join("\r\n")], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+  return fileName;
+};
@@ -0,0 +1,145 @@
+/**
+ * Academic Year Utility
+ *
+ * School years (e.g. S.Y. 2026 - 2027) scope orders, inventory, order limits and
+ * reports. Years are managed by the system admin in SystemSettings and served by
+ * GET /academic-years as { id, label, start_date, end_date, status, is_current }.
+ *
+ * The year picked in the admin headers is kept here so every request can carry it
+ * (X-Academic-Year header); without a selection the backend uses the current year.
+ * Requests whose own date range spans several years (e.g. the release history behind
+ * the demand forecast) send X-Academic-Year: all, and the backend then filters by that
+ * range alone.
+ */
+
+export const ACADEMIC_YEAR_HEADER = "X-Academic-Year";
+export const ACADEMIC_YEAR_STORAGE_KEY = "orderflow.academicYear";
+
+/** X-Academic-Year value that lifts the year scope */
+export const ACADEMIC_YEAR_ALL = "all";
+
+/** School years start in June (0-based month) */
+export const ACADEMIC_YEAR_START_MONTH = 5;
+
+export const ACADEMIC_YEAR_STATUS = {
+  OPEN: "open",
+  CLOSED: "closed",
+};
+
+let selectedAcademicYearId = null;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Display label for a year id or year object
+ * @param {string|{id: string, label?: string}} year - e.g. "2026-2027"
+ * @returns {string} e.g. "S.Y. 2026 - 2027"
+ */
+export const formatAcademicYearLabel = (year) => {
+  if (!year) return "";
+  if (typeof year === "object" && year.label) return year.label;
+  const id = typeof year === "object" ? year.id : year;
+  const [start, end] = String(id).split("-");
+  return end ? `S.Y. ${start} - ${end}` : String(id);
+};
+
+/**
+ * The school year a date falls in, built locally (used until the API answers
+ * and when no years have been set up yet)
+ * @param {Date} [date=new Date()]
+ * @returns {{ id: string, label: string, start_date: string, end_date: string, status: string, is_current: boolean }}
+ */
+export const getAcademicYearForDate = (date = new Date()) => {
+  const startYear =
+    date.getMonth() >= ACADEMIC_YEAR_START_MONTH ? date.getFullYear() : date.getFullYear() - 1;
+  const id = `${startYear}-${startYear + 1}`;
+  const endMonth = ACADEMIC_YEAR_START_MONTH === 0 ? 12 : ACADEMIC_YEAR_START_MONTH;
+  const endYear = ACADEMIC_YEAR_START_MONTH === 0 ? startYear : startYear + 1;
+  const lastDay = new Date(endYear, endMonth, 0).getDate();
+  return {
+    id,
+    label: formatAcademicYearLabel(id),
+    start_date: `${startYear}-${pad(ACADEMIC_YEAR_START_MONTH + 1)}-01`,
+    end_date: `${endYear}-${pad(endMonth)}-${pad(lastDay)}`,
+    status: ACADEMIC_YEAR_STATUS.OPEN,
+    is_current: true,
+  };
+};
+
+/**
+ * The year after the given one, with dates shifted by a year (rollover target)
+ * @param {{ start_date: string, end_date: string }} year
+ * @returns {{ id: string, label: string, start_date: string, end_date: string }}
+ */
+export const getNextAcademicYear = (year) => {
+  const shift = (dateStr) => {
+    const [y, m, d] = dateStr.split("-").map(Number);
+    return `${y + 1}-${pad(m)}-${pad(d)}`;
+  };
+  const startDate = shift(year.start_date);
+  const endDate = shift(year.end_date);
+  const id = `${startDate.slice(0, 4)}-${endDate.slice(0, 4)}`;
+  return { id, label: formatAcademicYearLabel(id), start_date: startDate, end_date: endDate };
+};
+
+/**
+ * Default date-filter range for a year: its first day up to today (or its last day
+ * for years that are over)
+ * @param {{ start_date: string, end_date: string }} year
+ * @param {Date} [today=new Date()]
+ * @returns {{ startDate: Date, endDate: Date }}
+ */
+export const getAcademicYearDateRange = (year, today = new Date()) => {
+  const startDate = new Date(`${year.start_date}T00:00:00`);
+  const yearEnd = new Date(`${year.end_date}T23:59:59.999`);
+  const endOfToday = new Date(today);
+  endOfToday.setHours(23, 59, 59, 999);
+  return { startDate, endDate: endOfToday < yearEnd ? endOfToday : yearEnd };
+};
+
+/**
+ * Set the year sent with API requests (null = the current year)
+ * @param {string|null} yearId
+ */
+export const setSelectedAcademicYearId = (yearId) => {
+  selectedAcademicYearId = yearId || null;
+};
+
+/**
+ * Remember the picked year for this browser tab
+ * @param {string|null} yearId - null forgets it
+ */
+export const storeAcademicYearId = (yearId) => {
+  try {
+    if (yearId) {
+      sessionStorage.setItem(ACADEMIC_YEAR_STORAGE_KEY, yearId);
+    } else {
+      sessionStorage.removeItem(ACADEMIC_YEAR_STORAGE_KEY);
+    }
+  } catch {
+    // Storage unavailable; the selection still applies until the page reloads
+  }
+};
+
+/** @returns {string|null} Year picked in this browser tab, if any */
+export const getStoredAcademicYearId = () => {
+  try {
+    return sessionStorage.getItem(ACADEMIC_YEAR_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+/** @returns {string|null} Year sent with API requests (null = the current year) */
+export const getSelectedAcademicYearId = () => selectedAcademicYearId;
+
+/**
+ * Request header scoping a request to the selected year
+ * @param {Object} [options]
+ * @param {boolean} [options.allYears=false] - Skip the year scope (ACADEMIC_YEAR_ALL)
+ * @returns {Object} { "X-Academic-Year": id } or {} for the current year
+ */
+export const getAcademicYearHeaders = ({ allYears = false } = {}) => {
+  if (allYears) return { [ACADEMIC_YEAR_HEADER]: ACADEMIC_YEAR_ALL };
+  return selectedAcademicYearId ? { [ACADEMIC_YEAR_HEADER]: selectedAcademicYearId } : {};
+};
@@ -0,0 +1,17 @@
+/**
+ * CSV helpers for files built in the browser (inventory export, student import error report).
+ */
+
+/**
+ * Quote a CSV cell. Text starting with =, +, -, @, tab or CR gets a ' prefix so
+ * spreadsheets do not run it as a formula; numbers are left as they are.
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeCsvCell = (value) => {
+  let text = value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
@@ -0,0 +1,129 @@
+/**
+ * Landing Page Content Utility
+ *
+ * Merges content published from SystemSettings over the defaults in
+ * constants/landingContent, parses **accent** markup, checks content before it
+ * is published, and hands an unpublished draft to the landing page for preview.
+ */
+import { DEFAULT_LANDING_CONTENT, FEATURED_GROUP_KEYS } from "../constants/landingContent";
+
+export const LANDING_PREVIEW_STORAGE_KEY = "orderflow.landingPreview";
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Recursively fill missing or wrongly-typed fields of value from fallback
+ * (arrays are taken as a whole)
+ */
+const mergeWithDefaults = (fallback, value) => {
+  if (isPlainObject(fallback)) {
+    const source = isPlainObject(value) ? value : {};
+    return Object.keys(fallback).reduce((merged, key) => {
+      merged[key] = mergeWithDefaults(fallback[key], source[key]);
+      return merged;
+    }, {});
+  }
+  if (Array.isArray(fallback)) return Array.isArray(value) ? value : fallback;
+  if (typeof fallback === "string") return typeof value === "string" ? value : fallback;
+  return value ?? fallback;
+};
+
+/**
+ * Stored content merged over the defaults. Uniforms and featured groups without
+ * images fall back to the default images so the carousels always have something to show.
+ * @param {Object|null} stored - Content from the API (may be partial)
+ * @returns {Object} Complete landing content
+ */
+export const mergeLandingContent = (stored) => {
+  const content = mergeWithDefaults(DEFAULT_LANDING_CONTENT, stored);
+
+  const uniforms = content.carousel.uniforms
+    .map((uniform) => ({
+      ...uniform,
+      images: (uniform.images || []).filter((image) => image?.src),
+    }))
+    .filter((uniform) => uniform.images.length > 0);
+  content.carousel.uniforms = uniforms.length > 0 ? uniforms : DEFAULT_LANDING_CONTENT.carousel.uniforms;
+
+  FEATURED_GROUP_KEYS.forEach((key) => {
+    const group = content.featured.groups[key];
+    const images = group.images.filter(Boolean);
+    group.images = images.length > 0 ? images : DEFAULT_LANDING_CONTENT.featured.groups[key].images;
+    group.watermark = [group.watermark[0] || "", group.watermark[1] || ""];
+  });
+
+  content.announcements = content.announcements.filter((item) => item?.title || item?.message);
+  return content;
+};
+
+/**
+ * Split text on **accent** markers
+ * @param {string} text - e.g. "Now **Available**"
+ * @returns {Array<{ text: string, accent: boolean }>}
+ */
+export const splitAccentText = (text = "") =>
+  String(text)
+    .split("**")
+    .map((part, index) => ({ text: part, accent: index % 2 === 1 }))
+    .filter((part) => part.text);
+
+/**
+ * Whether an announcement link is an http(s) URL or a path on this site.
+ * "//host" and "/\host" are rejected: browsers open them as links to another site.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const isSafeLinkUrl = (url = "") => /^(https?:\/\/|\/(?![/\\]))/i.test(String(url).trim());
+
+/**
+ * Problems that should block publishing
+ * @param {Object} content - Draft content
+ * @returns {string[]} Error messages (empty when the content can be published)
+ */
+export const validateLandingContent = (content) => {
+  const errors = [];
+  if (!content?.hero?.title?.trim()) errors.push("Hero title is required.");
+  if (!content?.about?.vision?.trim()) errors.push("Vision text is required.");
+  if (!content?.about?.mission?.trim()) errors.push("Mission text is required.");
+
+  (content?.carousel?.uniforms || []).forEach((uniform, index) => {
+    if (!uniform.text?.trim()) errors.push(`Carousel slide ${index + 1} needs a label.`);
+    if (!(uniform.images || []).some((image) => image?.src?.trim())) {
+      errors.push(`Carousel slide ${index + 1} needs at least one image.`);
+    }
+  });
+
+  (content?.announcements || []).forEach((item, index) => {
+    if (!item.title?.trim()) errors.push(`Announcement ${index + 1} needs a title.`);
+    if (item.link_url && !isSafeLinkUrl(item.link_url)) {
+      errors.push(`Announcement ${index + 1} link must start with http(s):// or a single /.`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Keep a draft for the landing page preview (read by the preview tab)
+ * @param {Object} content
+ */
+export const saveLandingPreview = (content) => {
+  try {
+    localStorage.setItem(LANDING_PREVIEW_STORAGE_KEY, JSON.stringify(content));
+  } catch (err) {
+    console.error("Failed to store landing page preview:", err);
+  }
+};
+
+/**
+ * Draft saved for preview, if any
+ * @returns {Object|null}
+ */
+export const loadLandingPreview = () => {
+  try {
+    const stored = localStorage.getItem(LANDING_PREVIEW_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * Notification preferences.
+ * Students choose, per event, whether they also get an email and/or an SMS (in-app
+ * notifications are always on). Saved on the profile as notificationPreferences; the
+ * backend reads the same shape when it delivers an event to a student who is offline.
+ *
+ * Shape: { phoneNumber, events: { [eventKey]: { email: boolean, sms: boolean } } }
+ */
+
+/** Delivery channels besides in-app */
+export const NOTIFICATION_CHANNELS = {
+  EMAIL: "email",
+  SMS: "sms",
+};
+
+/** Events a student can be notified about outside the app */
+export const NOTIFICATION_EVENTS = [
+  {
+    key: "order_released",
+    label: "Order released",
+    description: "Your order is ready to claim at the claiming area.",
+    defaults: { email: true, sms: false },
+  },
+  {
+    key: "restocked",
+    label: "Item restocked",
+    description: "A pre-ordered item and size is back in stock.",
+    defaults: { email: true, sms: false },
+  },
+  {
+    key: "order_decision",
+    label: "Order approval decision",
+    description: "The department head approved or denied an order over your limits.",
+    defaults: { email: false, sms: false },
+  },
+  {
+    key: "exchange_decision",
+    label: "Size exchange decision",
+    description: "Your size exchange request was approved or rejected.",
+    defaults: { email: false, sms: false },
+  },
+];
+
+/** Philippine mobile number: 09XXXXXXXXX or +639XXXXXXXXX */
+export const PHONE_NUMBER_PATTERN = /^(09|\+639)\d{9}$/;
+
+/**
+ * Fill in missing events and channels with their defaults
+ * @param {Object|null} saved - notificationPreferences from the profile
+ * @returns {{ phoneNumber: string, events: Object }}
+ */
+export const normalizeNotificationPreferences = (saved) => {
+  const events = {};
+  NOTIFICATION_EVENTS.forEach(({ key, defaults }) => {
+    const savedEvent = saved?.events?.[key] || {};
+    events[key] = {
+      email: typeof savedEvent.email === "boolean" ? savedEvent.email : defaults.email,
+      sms: typeof savedEvent.sms === "boolean" ? savedEvent.sms : defaults.sms,
+    };
+  });
+  return { phoneNumber: saved?.phoneNumber || "", events };
+};
+
+/**
+ * Whether any event has SMS turned on (a phone number is then required)
+ * @param {{ events: Object }} preferences - Normalized preferences
+ * @returns {boolean}
+ */
+export const usesSms = (preferences) =>
+  Object.values(preferences?.events || {}).some((event) => event.sms);
+
+/**
+ * Message for a channel. SMS is kept to one 160-character segment.
+ * @param {string} channel - NOTIFICATION_CHANNELS value
+ * @param {{ title: string, message: string }} notification
+ * @returns {{ subject: string|null, body: string }}
+ */
+export const formatChannelMessage = (channel, { title, message }) => {
+  if (channel === NOTIFICATION_CHANNELS.SMS) {
+    const text = `La Verdad OrderFlow: ${message}`;
+    return { subject: null, body: text.length > 160 ? `${text.slice(0, 157)}...` : text };
+  }
+  return {
+    subject: `${title} | La Verdad OrderFlow`,
+    body: `${message}\n\nYou can change which emails you get under Settings > Notifications.`,
+  };
+};
@@ -0,0 +1,96 @@
+/**
+ * Order limit policy checks.
+ * Compares order items against the per-item limits and total item limit returned by
+ * GET /auth/max-quantities. Orders that break the policy are not rejected; the backend
+ * runs the same check on POST /orders and gives them status ORDER_AWAITING_APPROVAL_STATUS
+ * for a department head to decide. The checks here only warn the student up front.
+ */
+import { resolveItemKeyForMaxQuantity, getDefaultMaxForItem } from "./maxQuantityKeys";
+
+/** Order status used while an out-of-policy order waits for a department head. */
+export const ORDER_AWAITING_APPROVAL_STATUS = "awaiting_approval";
+
+/** Values of order.approval_status */
+export const APPROVAL_STATUS = {
+  AWAITING: "awaiting",
+  APPROVED: "approved",
+  DENIED: "denied",
+};
+
+/**
+ * Find policy violations for a set of order items.
+ * @param {Array<{name: string, quantity: number}>} orderItems - Items about to be ordered
+ * @param {Object} limits - Response body of GET /auth/max-quantities
+ * @param {Object} [limits.maxQuantities] - Max per canonical item key
+ * @param {Object} [limits.alreadyOrdered] - Quantity already ordered per key
+ * @param {Object} [limits.claimedItems] - Quantity already claimed per key
+ * @param {number|null} [limits.totalItemLimit] - Max distinct items per student
+ * @param {number} [limits.slotsUsedFromPlacedOrders] - Distinct items already used
+ * @returns {Array<{type: string, itemKey?: string, itemName?: string, requested: number, allowed: number, message: string}>}
+ */
+export function getOrderPolicyViolations(orderItems = [], limits = {}) {
+  const maxQuantities = limits.maxQuantities || {};
+  const alreadyOrdered = limits.alreadyOrdered || {};
+  const claimedItems = limits.claimedItems || {};
+  const violations = [];
+
+  // Sum quantities per canonical key so sizes of the same item count together
+  const requestedByKey = {};
+  orderItems.forEach((item) => {
+    const key = resolveItemKeyForMaxQuantity(item.name);
+    if (!key) return;
+    if (!requestedByKey[key]) {
+      requestedByKey[key] = { name: item.name, quantity: 0 };
+    }
+    requestedByKey[key].quantity += Number(item.quantity) || 1;
+  });
+
+  Object.entries(requestedByKey).forEach(([key, { name, quantity }]) => {
+    const max = maxQuantities[key] ?? getDefaultMaxForItem(name);
+    const used = (Number(alreadyOrdered[key]) || 0) + (Number(claimedItems[key]) || 0);
+    const allowed = Math.max(0, Number(max) - used);
+    if (quantity > allowed) {
+      violations.push({
+        type: "item_limit",
+        itemKey: key,
+        itemName: name,
+        requested: quantity,
+        allowed,
+        message: `${name}: ${quantity} requested, ${allowed} allowed (max ${max} per student)`,
+      });
+    }
+  });
+
+  const totalItemLimit = Number(limits.totalItemLimit);
+  if (Number.isFinite(totalItemLimit) && totalItemLimit > 0) {
+    const slotsUsed = Number(limits.slotsUsedFromPlacedOrders) || 0;
+    const newSlots = Object.keys(requestedByKey).filter(
+      (key) => !(Number(alreadyOrdered[key]) > 0),
+    ).length;
+    if (slotsUsed + newSlots > totalItemLimit) {
+      violations.push({
+        type: "total_item_limit",
+        requested: slotsUsed + newSlots,
+        allowed: totalItemLimit,
+        message: `Total items: ${slotsUsed + newSlots} requested, ${totalItemLimit} allowed`,
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Whether an order is waiting for, or has received, a department head decision.
+ * @param {Object} order - Raw or transformed order
+ * @returns {boolean}
+ */
+export function hasApprovalHistory(order) {
+  if (!order) return false;
+  const raw = order._original || order;
+  return (
+    raw.status === ORDER_AWAITING_APPROVAL_STATUS ||
+    order.status === ORDER_AWAITING_APPROVAL_STATUS ||
+    Boolean(raw.approval_status || order.approvalStatus)
+  );
+}
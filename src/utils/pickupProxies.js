@@ -0,0 +1,82 @@
+/**
+ * Pickup Proxy Utility
+ *
+ * Authorized proxies (parents, guardians, relatives) who may claim an order for a
+ * student, e.g. preschool and elementary students who cannot claim uniforms themselves.
+ * Each proxy gets their own signed pickup pass (see generateProxyPassQRData); the
+ * release records who actually picked the order up as picked_up_by.
+ */
+
+/** Relationships offered when registering a proxy */
+export const PROXY_RELATIONSHIPS = [
+  "Mother",
+  "Father",
+  "Guardian",
+  "Grandparent",
+  "Sibling",
+  "Relative",
+  "Other",
+];
+
+/** Most proxies a student can register per order */
+export const MAX_PROXIES_PER_ORDER = 3;
+
+/**
+ * Validate a proxy before registering it
+ * @param {Object} proxy - { name, relationship }
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export const validateProxy = ({ name, relationship } = {}) => {
+  const errors = [];
+  const trimmedName = (name || "").trim();
+
+  if (trimmedName.length < 3) {
+    errors.push("Enter the proxy's full name as it appears on their ID");
+  } else if (trimmedName.length > 100) {
+    errors.push("Name must be 100 characters or less");
+  }
+  if (!PROXY_RELATIONSHIPS.includes(relationship)) {
+    errors.push("Choose the proxy's relationship to the student");
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Active (not revoked) proxies of an order
+ * @param {Object} order - Order from the API (pickup_proxies)
+ * @returns {Array}
+ */
+export const getActiveProxies = (order) =>
+  (order?.pickup_proxies || []).filter((proxy) => !proxy.revoked_at);
+
+/**
+ * Who is picking up, for the release request and the release transaction
+ * @param {Object} order - Order being released
+ * @param {Object|null} proxy - Proxy whose pass was scanned; null when the student's receipt was scanned
+ * @returns {{ type: "student"|"proxy", name: string, relationship: string|null, proxy_id: string|null }}
+ */
+export const buildPickedUpBy = (order, proxy = null) =>
+  proxy
+    ? {
+        type: "proxy",
+        name: proxy.name,
+        relationship: proxy.relationship || null,
+        proxy_id: proxy.id != null ? String(proxy.id) : null,
+      }
+    : {
+        type: "student",
+        name: order?.student_name || order?.studentName || "Student",
+        relationship: null,
+        proxy_id: null,
+      };
+
+/**
+ * Label for a picked_up_by record, e.g. "Maria Santos (Mother)"
+ * @param {Object} pickedUpBy - From buildPickedUpBy
+ * @returns {string}
+ */
+export const formatPickedUpBy = (pickedUpBy) => {
+  if (!pickedUpBy?.name) return "";
+  return pickedUpBy.relationship ? `${pickedUpBy.name} (${pickedUpBy.relationship})` : pickedUpBy.name;
+};
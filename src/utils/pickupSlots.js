@@ -0,0 +1,124 @@
+/**
+ * Pickup slot helpers.
+ * Slot times are "HH:mm" strings (24-hour, school local time); dates are YYYY-MM-DD.
+ */
+
+/** Default daily template offered when the custodian has not set one */
+export const DEFAULT_SLOT_TEMPLATE = [
+  { start_time: "08:00", end_time: "09:00", capacity: 15 },
+  { start_time: "09:00", end_time: "10:00", capacity: 15 },
+  { start_time: "10:00", end_time: "11:00", capacity: 15 },
+  { start_time: "13:00", end_time: "14:00", capacity: 15 },
+  { start_time: "14:00", end_time: "15:00", capacity: 15 },
+  { start_time: "15:00", end_time: "16:00", capacity: 15 },
+];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || "").split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * "13:30" -> "1:30 PM"
+ * @param {string} time - "HH:mm"
+ * @returns {string}
+ */
+export const formatSlotTime = (time) => {
+  const total = toMinutes(time);
+  if (Number.isNaN(total)) return time || "";
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  const suffix = hours >= 12 ? "PM" : "AM";
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, "0")} ${suffix}`;
+};
+
+/**
+ * "8:00 – 9:00 AM" style label for a slot
+ * @param {{ start_time: string, end_time: string }} slot
+ * @returns {string}
+ */
+export const formatSlotRange = (slot) => `${formatSlotTime(slot.start_time)} – ${formatSlotTime(slot.end_time)}`;
+
+/**
+ * "2026-10-20" -> "Tue, Oct 20"
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string}
+ */
+export const formatSlotDate = (dateKey) => {
+  const [year, month, day] = String(dateKey).split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+};
+
+/**
+ * Seats left in a slot
+ * @param {{ capacity: number, booked_count: number }} slot
+ * @returns {number}
+ */
+export const getSlotRemaining = (slot) =>
+  Math.max((Number(slot?.capacity) || 0) - (Number(slot?.booked_count) || 0), 0);
+
+/**
+ * Whether a slot has already started (students cannot book it any more)
+ * @param {{ date: string, start_time: string }} slot
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const hasSlotStarted = (slot, now = new Date()) => {
+  const [year, month, day] = String(slot.date).split("-").map(Number);
+  const start = new Date(year, month - 1, day);
+  start.setMinutes(toMinutes(slot.start_time));
+  return start <= now;
+};
+
+/**
+ * Group slots by date, each day's slots in time order
+ * @param {Array} slots
+ * @returns {Array<{ date: string, slots: Array }>}
+ */
+export const groupSlotsByDate = (slots = []) => {
+  const byDate = new Map();
+  [...slots]
+    .sort((a, b) => a.date.localeCompare(b.date) || toMinutes(a.start_time) - toMinutes(b.start_time))
+    .forEach((slot) => {
+      if (!byDate.has(slot.date)) byDate.set(slot.date, []);
+      byDate.get(slot.date).push(slot);
+    });
+  return [...byDate.entries()].map(([date, daySlots]) => ({ date, slots: daySlots }));
+};
+
+/**
+ * Problems with a daily template (empty when it can be saved)
+ * @param {Array<{start_time: string, end_time: string, capacity: number}>} slots
+ * @returns {string[]}
+ */
+export const validateSlotTemplate = (slots = []) => {
+  const errors = [];
+  if (slots.length === 0) errors.push("Add at least one pickup slot.");
+
+  slots.forEach((slot, index) => {
+    const label = `Slot ${index + 1}`;
+    if (!slot.start_time || !slot.end_time) {
+      errors.push(`${label}: set a start and end time.`);
+    } else if (toMinutes(slot.end_time) <= toMinutes(slot.start_time)) {
+      errors.push(`${label}: the end time must be after the start time.`);
+    }
+    if (!Number.isInteger(Number(slot.capacity)) || Number(slot.capacity) < 1) {
+      errors.push(`${label}: capacity must be at least 1.`);
+    }
+  });
+
+  const sorted = slots
+    .map((slot, index) => ({ ...slot, index }))
+    .filter((slot) => slot.start_time && slot.end_time)
+    .sort((a, b) => toMinutes(a.start_time) - toMinutes(b.start_time));
+  for (let i = 1; i < sorted.length; i += 1) {
+    if (toMinutes(sorted[i].start_time) < toMinutes(sorted[i - 1].end_time)) {
+      errors.push(`Slots ${sorted[i - 1].index + 1} and ${sorted[i].index + 1} overlap.`);
+    }
+  }
+  return errors;
+};
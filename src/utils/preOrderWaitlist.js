@@ -0,0 +1,46 @@
+/**
+ * Pre-order waitlist helpers.
+ * Pre-orders for the same item and size are filled first come, first served (by order
+ * date). GET /orders/pre-orders/waitlist returns, for each of the student's pre-order
+ * lines, how many pieces are ahead of them and the open restocks for that item/size
+ * (purchase order lines not yet received, with their expected dates).
+ */
+
+/**
+ * Key for one pre-order line, so MyOrders can look up an item's waitlist entry
+ * @param {string} orderId - Order UUID
+ * @param {string} itemName - Item name on the order
+ * @param {string} size - Size on the order ("N/A" when the item has none)
+ * @returns {string}
+ */
+export const getWaitlistKey = (orderId, itemName, size) =>
+  `${orderId}|${String(itemName || "").trim().toLowerCase()}|${String(size || "N/A").trim().toLowerCase()}`;
+
+/**
+ * Expected arrival for a waitlist entry. Open restocks are used up in expected-date order
+ * by the pieces ahead in the queue; the first restock that also covers this student's
+ * quantity gives the estimate.
+ * @param {Object} entry - { quantity, quantity_ahead, restocks: [{ expected_date, quantity_outstanding }] }
+ * @returns {{ date: Date|null, covered: boolean }}
+ *   covered false when open restocks do not reach this position (date null);
+ *   date null with covered true when the covering restock has no expected date yet
+ */
+export const estimateArrival = (entry) => {
+  const needed = (Number(entry?.quantity_ahead) || 0) + (Number(entry?.quantity) || 1);
+  const restocks = [...(entry?.restocks || [])].sort((a, b) => {
+    // Restocks without a date go last: they cannot promise anything earlier
+    if (!a.expected_date) return 1;
+    if (!b.expected_date) return -1;
+    return new Date(a.expected_date) - new Date(b.expected_date);
+  });
+
+  let incoming = 0;
+  for (const restock of restocks) {
+    incoming += Math.max(Number(restock.quantity_outstanding) || 0, 0);
+    if (incoming >= needed) {
+      const date = restock.expected_date ? new Date(restock.expected_date) : null;
+      return { date: date && !Number.isNaN(date.getTime()) ? date : null, covered: true };
+    }
+  }
+  return { date: null, covered: false };
+};
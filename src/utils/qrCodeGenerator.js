@@ -3,28 +3,113 @@
  *
  * Provides functions to generate QR code data for student orders
  * The QR code contains order information that can be scanned by admins
+ *
+ * Signed receipts: the backend signs "ORR1.<orderNumber>.<issuedAtSeconds>" with its
+ * ECDSA P-256 private key (SHA-256, IEEE P1363 signature) and returns it on the order as
+ * qr_signature / qr_issued_at. The QR then carries the compact payload
+ * "ORR1.<orderNumber>.<issuedAtSeconds>.<base64url signature>", which the scanner verifies
+ * against VITE_QR_RECEIPT_PUBLIC_KEY (base64 SPKI) before an order can be released.
+ *
+ * Proxy pickup passes: each authorized proxy gets "ORP1.<orderNumber>.<proxyId>.<issuedAtSeconds>",
+ * signed the same way with the order's receipt issue time, so the pass expires with the receipt
+ * and names the proxy the order may be released to.
  */
 
-/** Default number of weekdays (Mon–Fri) the QR/order is valid from order creation. */
+import { getNonWorkingDates, isNonWorkingDate } from "./schoolCalendar";
+
+/** Default number of school days (Mon–Fri, minus holidays) the QR/order is valid from order creation. */
 export const QR_VALID_DAYS = 7;
 
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
+/** Prefix (and version) of signed receipt payloads */
+export const SIGNED_RECEIPT_PREFIX = "ORR1";
+
+/** Prefix (and version) of signed proxy pickup passes */
+export const PROXY_PASS_PREFIX = "ORP1";
+
+const RECEIPT_PUBLIC_KEY = import.meta.env.VITE_QR_RECEIPT_PUBLIC_KEY;
+
+/** Build the signed part of a receipt payload: "ORR1.<orderNumber>.<issuedAtSeconds>" */
+const buildSignedReceiptMessage = (orderNumber, issuedAt) => {
+  const issuedAtSeconds = Math.floor(new Date(issuedAt).getTime() / 1000);
+  if (!Number.isFinite(issuedAtSeconds)) {
+    throw new Error("A valid issue date is required for a signed QR code");
+  }
+  return `${SIGNED_RECEIPT_PREFIX}.${orderNumber}.${issuedAtSeconds}`;
+};
+
+/** Build the signed part of a proxy pass payload: "ORP1.<orderNumber>.<proxyId>.<issuedAtSeconds>" */
+const buildProxyPassMessage = (orderNumber, proxyId, issuedAt) => {
+  const issuedAtSeconds = Math.floor(new Date(issuedAt).getTime() / 1000);
+  if (!Number.isFinite(issuedAtSeconds)) {
+    throw new Error("A valid issue date is required for a pickup pass");
+  }
+  return `${PROXY_PASS_PREFIX}.${orderNumber}.${proxyId}.${issuedAtSeconds}`;
+};
+
+const base64ToBytes = (value) => {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+let receiptKeyPromise = null;
+
+/** Import the receipt public key once; resolves to null when it is not configured */
+const getReceiptVerificationKey = () => {
+  if (!RECEIPT_PUBLIC_KEY) return Promise.resolve(null);
+  if (!receiptKeyPromise) {
+    receiptKeyPromise = crypto.subtle
+      .importKey(
+        "spki",
+        base64ToBytes(RECEIPT_PUBLIC_KEY.trim()),
+        { name: "ECDSA", namedCurve: "P-256" },
+        false,
+        ["verify"],
+      )
+      .catch((error) => {
+        receiptKeyPromise = null;
+        throw error;
+      });
+  }
+  return receiptKeyPromise;
+};
+
 /**
- * Count weekdays (Mon–Fri) between two dates, exclusive of the start and inclusive of the end.
- * Example: from = Monday, to = Monday => 0; from = Monday, to = Tuesday => 1.
+ * Whether a day counts toward the QR validity window: Mon–Fri and not a school holiday
+ * or class suspension.
+ * @param {Date} date
+ * @param {Set<string>} nonWorkingDates - YYYY-MM-DD dates from the school calendar
+ * @returns {boolean}
+ */
+const isSchoolDay = (date, nonWorkingDates) => {
+  const day = date.getDay();
+  return day >= 1 && day <= 5 && !isNonWorkingDate(date, nonWorkingDates);
+};
+
+/**
+ * Count school days (Mon–Fri, minus non-working dates) between two dates, exclusive of the
+ * start and inclusive of the end.
+ * Example: from = Monday, to = Monday => 0; from = Monday, to = Tuesday => 1
+ * (0 as well if that Tuesday is a holiday).
  * @param {Date} from
  * @param {Date} to
+ * @param {Set<string>} [nonWorkingDates] - Defaults to the cached school calendar
  * @returns {number}
  */
-const countElapsedWeekdays = (from, to) => {
+export const countElapsedWeekdays = (from, to, nonWorkingDates = getNonWorkingDates()) => {
   if (to.getTime() <= from.getTime()) return 0;
   let count = 0;
   const cur = new Date(from.getFullYear(), from.getMonth(), from.getDate());
   cur.setDate(cur.getDate() + 1); // start counting the day after "from"
   while (cur.getTime() <= to.getTime()) {
-    const day = cur.getDay();
-    if (day >= 1 && day <= 5) {
+    if (isSchoolDay(cur, nonWorkingDates)) {
       count++;
     }
     cur.setDate(cur.getDate() + 1);
@@ -33,18 +118,23 @@ const countElapsedWeekdays = (from, to) => {
 };
 
 /**
- * Get remaining weekdays (Mon–Fri) until QR/order expires.
+ * Get remaining school days (Mon–Fri, minus holidays/suspensions) until QR/order expires.
  * - On the order day: returns validDays (e.g. 7)
- * - Each weekday after that: decreases by 1
- * - Saturday/Sunday DO NOT decrement the count
- * - On the last valid weekday: returns 0 (\"Valid until end of today\")
+ * - Each school day after that: decreases by 1
+ * - Saturday/Sunday and non-working dates in the school calendar DO NOT decrement the count
+ * - On the last valid school day: returns 0 (\"Valid until end of today\")
  * - After the window: returns a negative number (expired)
  *
  * @param {string} qrIssuedAt - ISO timestamp when order was created / QR validity started
- * @param {number} [validDays=QR_VALID_DAYS] - Validity period in weekdays
- * @returns {number|null} Remaining weekdays (0 = expires today; negative = expired); null if no date
+ * @param {number} [validDays=QR_VALID_DAYS] - Validity period in school days
+ * @param {Set<string>} [nonWorkingDates] - Defaults to the cached school calendar
+ * @returns {number|null} Remaining school days (0 = expires today; negative = expired); null if no date
  */
-export const getRemainingValidityDays = (qrIssuedAt, validDays = QR_VALID_DAYS) => {
+export const getRemainingValidityDays = (
+  qrIssuedAt,
+  validDays = QR_VALID_DAYS,
+  nonWorkingDates = getNonWorkingDates(),
+) => {
   if (!qrIssuedAt) return null;
   const issued = new Date(qrIssuedAt);
   const issuedStart = new Date(issued.getFullYear(), issued.getMonth(), issued.getDate());
@@ -56,19 +146,46 @@ export const getRemainingValidityDays = (qrIssuedAt, validDays = QR_VALID_DAYS)
     return validDays;
   }
 
-  const elapsedWeekdays = countElapsedWeekdays(issuedStart, todayStart);
+  const elapsedWeekdays = countElapsedWeekdays(issuedStart, todayStart, nonWorkingDates);
   const remaining = validDays - elapsedWeekdays;
 
   if (remaining > 0) return remaining;
   if (remaining === 0) return 0;
-  // Expired: return negative number (magnitude = how many weekdays past expiry)
+  // Expired: return negative number (magnitude = how many school days past expiry)
   return remaining;
 };
 
+/**
+ * Last day the QR/order is valid: validDays school days after the issue date.
+ * @param {string} qrIssuedAt - ISO timestamp when order was created / QR validity started
+ * @param {number} [validDays=QR_VALID_DAYS] - Validity period in school days
+ * @param {Set<string>} [nonWorkingDates] - Defaults to the cached school calendar
+ * @returns {Date|null}
+ */
+export const getValidityEndDate = (
+  qrIssuedAt,
+  validDays = QR_VALID_DAYS,
+  nonWorkingDates = getNonWorkingDates(),
+) => {
+  if (!qrIssuedAt) return null;
+  const issued = new Date(qrIssuedAt);
+  if (Number.isNaN(issued.getTime())) return null;
+  const end = new Date(issued.getFullYear(), issued.getMonth(), issued.getDate());
+  let daysLeft = validDays;
+  while (daysLeft > 0) {
+    end.setDate(end.getDate() + 1);
+    if (isSchoolDay(end, nonWorkingDates)) daysLeft--;
+  }
+  return end;
+};
+
 /**
  * Generate QR code data for an order receipt
+ * When the order carries a backend signature (qrSignature / qr_signature) the compact signed
+ * payload is returned; otherwise the unsigned JSON is returned (sent on order creation, the
+ * backend replaces it with the signed payload). Scanners only release signed receipts.
  * @param {Object} orderData - Order information
- * @returns {string} JSON string to be encoded in QR code
+ * @returns {string} Data to be encoded in QR code
  */
 export const generateOrderReceiptQRData = (orderData) => {
   // Validate and ensure all required fields have realistic values
@@ -77,6 +194,15 @@ export const generateOrderReceiptQRData = (orderData) => {
     throw new Error("Order number is required for QR code generation");
   }
 
+  const qrSignature = orderData.qrSignature || orderData.qr_signature;
+  if (qrSignature) {
+    const signedIssuedAt = orderData.qrSignedAt || orderData.qr_issued_at;
+    if (!signedIssuedAt) {
+      throw new Error("Signed QR code requires the issue date it was signed with");
+    }
+    return `${buildSignedReceiptMessage(orderNumber, signedIssuedAt)}.${qrSignature}`;
+  }
+
   const studentId = orderData.studentId || orderData.student_id || "unknown";
   const studentName = orderData.studentName || orderData.student_name || "Unknown Student";
   const studentEmail = orderData.studentEmail || orderData.student_email || "";
@@ -128,12 +254,64 @@ export const generateOrderReceiptQRData = (orderData) => {
   return JSON.stringify(qrData);
 };
 
+/**
+ * Generate QR code data for a proxy's pickup pass
+ * @param {string} orderNumber - Order the proxy may claim
+ * @param {Object} proxy - Proxy from the API ({ id, qr_signature, qr_issued_at })
+ * @returns {string} Signed pass payload
+ */
+export const generateProxyPassQRData = (orderNumber, proxy) => {
+  if (!orderNumber || proxy?.id == null) {
+    throw new Error("Order number and proxy are required for a pickup pass");
+  }
+  if (!proxy.qr_signature || !proxy.qr_issued_at) {
+    throw new Error("This pickup pass has not been signed yet");
+  }
+  return `${buildProxyPassMessage(orderNumber, proxy.id, proxy.qr_issued_at)}.${proxy.qr_signature}`;
+};
+
 /**
  * Parse QR code data from scanned string
+ * Signed payloads come back with signed: true plus the signature and signed message for
+ * verifyOrderReceiptQRData; legacy JSON receipts come back with signed: false.
+ * Proxy pickup passes come back with type "proxy_pass" and the proxyId.
  * @param {string} qrString - Scanned QR code string
  * @returns {Object|null} Parsed order data or null if invalid
  */
 export const parseOrderReceiptQRData = (qrString) => {
+  if (typeof qrString === "string" && qrString.startsWith(`${SIGNED_RECEIPT_PREFIX}.`)) {
+    const parts = qrString.trim().split(".");
+    if (parts.length !== 4) return null;
+    const [, orderNumber, issuedAtSeconds, signature] = parts;
+    const seconds = Number(issuedAtSeconds);
+    if (!orderNumber || !signature || !Number.isInteger(seconds)) return null;
+    return {
+      type: "order_receipt",
+      orderNumber,
+      qrIssuedAt: new Date(seconds * 1000).toISOString(),
+      signature,
+      signedMessage: parts.slice(0, 3).join("."),
+      signed: true,
+    };
+  }
+
+  if (typeof qrString === "string" && qrString.startsWith(`${PROXY_PASS_PREFIX}.`)) {
+    const parts = qrString.trim().split(".");
+    if (parts.length !== 5) return null;
+    const [, orderNumber, proxyId, issuedAtSeconds, signature] = parts;
+    const seconds = Number(issuedAtSeconds);
+    if (!orderNumber || !proxyId || !signature || !Number.isInteger(seconds)) return null;
+    return {
+      type: "proxy_pass",
+      orderNumber,
+      proxyId,
+      qrIssuedAt: new Date(seconds * 1000).toISOString(),
+      signature,
+      signedMessage: parts.slice(0, 4).join("."),
+      signed: true,
+    };
+  }
+
   try {
     const data = JSON.parse(qrString);
 
@@ -142,13 +320,40 @@ export const parseOrderReceiptQRData = (qrString) => {
       return null;
     }
 
-    return data;
+    return { ...data, signed: false };
   } catch (error) {
     console.error("Failed to parse QR code data:", error);
     return null;
   }
 };
 
+/**
+ * Verify the signature of a parsed receipt against the configured public key
+ * @param {Object} qrData - Result of parseOrderReceiptQRData
+ * @returns {Promise<boolean>} true only for an unaltered, backend-signed receipt
+ * @throws {Error} When VITE_QR_RECEIPT_PUBLIC_KEY is not configured
+ */
+export const verifyOrderReceiptQRData = async (qrData) => {
+  if (!qrData?.signed || !qrData.signature || !qrData.signedMessage) return false;
+
+  const key = await getReceiptVerificationKey();
+  if (!key) {
+    throw new Error("QR receipt verification is not configured. Please contact the system administrator.");
+  }
+
+  try {
+    return await crypto.subtle.verify(
+      { name: "ECDSA", hash: "SHA-256" },
+      key,
+      base64ToBytes(qrData.signature),
+      new TextEncoder().encode(qrData.signedMessage),
+    );
+  } catch (error) {
+    console.error("Failed to verify QR code signature:", error);
+    return false;
+  }
+};
+
 /**
  * Generate a unique order number
  * Format: ORD-YYYYMMDD-XXXXX (e.g., ORD-20250115-12345)
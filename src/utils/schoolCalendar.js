@@ -0,0 +1,74 @@
+/**
+ * School Calendar Utility
+ *
+ * Keeps the school's non-working dates (holidays, class suspensions) so the QR validity
+ * countdown skips them the same way it skips weekends. Dates are managed by the system
+ * admin in SystemSettings and served to everyone by the public GET /config endpoint as
+ * nonWorkingDates (YYYY-MM-DD). The backend auto-void uses the same calendar.
+ */
+import api from "../services/api";
+
+let nonWorkingDates = new Set();
+let loadPromise = null;
+
+/**
+ * Local date key in YYYY-MM-DD format
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Replace the cached non-working dates
+ * @param {Array<string|{date: string}>} dates - YYYY-MM-DD strings or calendar entries
+ */
+export const setNonWorkingDates = (dates = []) => {
+  nonWorkingDates = new Set(
+    dates
+      .map((entry) => (typeof entry === "string" ? entry : entry?.date))
+      .filter(Boolean)
+      .map((date) => String(date).slice(0, 10)),
+  );
+};
+
+/** @returns {Set<string>} Cached non-working dates (YYYY-MM-DD) */
+export const getNonWorkingDates = () => nonWorkingDates;
+
+/**
+ * Whether a date is a school holiday or class suspension
+ * @param {Date} date
+ * @param {Set<string>} [dates] - Defaults to the cached calendar
+ * @returns {boolean}
+ */
+export const isNonWorkingDate = (date, dates = nonWorkingDates) =>
+  dates.has(toDateKey(date));
+
+/**
+ * Load the calendar from GET /config once per page load (force to reload)
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false]
+ * @returns {Promise<Set<string>>}
+ */
+export const loadSchoolCalendar = ({ force = false } = {}) => {
+  if (!loadPromise || force) {
+    loadPromise = api
+      .get("/config")
+      .then((response) => {
+        if (Array.isArray(response.data?.nonWorkingDates)) {
+          setNonWorkingDates(response.data.nonWorkingDates);
+        }
+        return nonWorkingDates;
+      })
+      .catch((error) => {
+        console.error("Failed to load school calendar:", error);
+        loadPromise = null;
+        return nonWorkingDates;
+      });
+  }
+  return loadPromise;
+};
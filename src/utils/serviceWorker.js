@@ -0,0 +1,92 @@
+/**
+ * Service worker registration and Web Push helpers.
+ * The worker lives at /sw.js (public/) so its scope covers the whole app.
+ */
+
+/** Events the backend pushes to a subscribed device */
+export const PUSH_EVENTS = ["items:restocked", "order:claimed", "qr:expiring"];
+
+/** Whether this browser can receive Web Push (iOS only once the app is on the Home Screen) */
+export const isPushSupported = () =>
+  typeof window !== "undefined" &&
+  "serviceWorker" in navigator &&
+  "PushManager" in window &&
+  "Notification" in window;
+
+/** Whether the app runs installed (standalone) rather than in a browser tab */
+export const isStandalone = () =>
+  typeof window !== "undefined" &&
+  (window.matchMedia?.("(display-mode: standalone)").matches || window.navigator.standalone === true);
+
+/**
+ * Register /sw.js once the page has loaded (does nothing where unsupported)
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export const registerServiceWorker = () => {
+  if (typeof window === "undefined" || !("serviceWorker" in navigator)) {
+    return Promise.resolve(null);
+  }
+  return new Promise((resolve) => {
+    const register = () =>
+      navigator.serviceWorker
+        .register("/sw.js")
+        .then(resolve)
+        .catch((error) => {
+          console.warn("Service worker registration failed:", error);
+          resolve(null);
+        });
+    if (document.readyState === "complete") register();
+    else window.addEventListener("load", register, { once: true });
+  });
+};
+
+/**
+ * Push subscription of this device, without registering the worker
+ * @returns {Promise<PushSubscription|null>}
+ */
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration();
+  return (await registration?.pushManager.getSubscription()) || null;
+};
+
+const PUSH_OWNER_KEY = "pushSubscriptionOwner";
+
+/**
+ * User a push subscription was registered for on this device (devices can be shared)
+ * @param {string} endpoint - PushSubscription endpoint
+ * @returns {string|null} User id, or null when unknown
+ */
+export const getPushSubscriptionOwner = (endpoint) => {
+  try {
+    const owner = JSON.parse(localStorage.getItem(PUSH_OWNER_KEY) || "null");
+    return owner?.endpoint === endpoint ? owner.userId : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @param {string|null} endpoint - PushSubscription endpoint; null clears the owner
+ * @param {string} [userId]
+ */
+export const setPushSubscriptionOwner = (endpoint, userId) => {
+  try {
+    if (endpoint) localStorage.setItem(PUSH_OWNER_KEY, JSON.stringify({ endpoint, userId }));
+    else localStorage.removeItem(PUSH_OWNER_KEY);
+  } catch {
+    // Ignore storage errors
+  }
+};
+
+/**
+ * VAPID public key (base64url) to the Uint8Array PushManager.subscribe expects
+ * @param {string} base64String
+ * @returns {Uint8Array}
+ */
+export const urlBase64ToUint8Array = (base64String) => {
+  const padding = "=".repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, "+").replace(/_/g, "/");
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
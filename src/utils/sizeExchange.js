@@ -0,0 +1,39 @@
+/**
+ * Size exchange requests.
+ * A student asks to swap a claimed item for another size. The new size is reserved
+ * when the request is created; on approval the custodian's backend posts a RETURN
+ * RECORDED for the old size and an ITEM RELEASED for the new one, both tagged with
+ * metadata.exchange_reference so the pair can be traced in the transaction log.
+ */
+
+/** Values of exchange.status */
+export const EXCHANGE_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  CANCELLED: "cancelled",
+};
+
+/** Student-facing label and badge colors per status */
+export const EXCHANGE_STATUS_DISPLAY = {
+  [EXCHANGE_STATUS.PENDING]: { label: "Waiting for review", className: "bg-amber-100 text-amber-800" },
+  [EXCHANGE_STATUS.APPROVED]: { label: "Approved", className: "bg-green-100 text-green-800" },
+  [EXCHANGE_STATUS.REJECTED]: { label: "Rejected", className: "bg-red-100 text-red-800" },
+  [EXCHANGE_STATUS.CANCELLED]: { label: "Cancelled", className: "bg-gray-100 text-gray-700" },
+};
+
+/**
+ * Whether an item has a size that can be exchanged
+ * @param {string} size - Size on the order item
+ * @returns {boolean}
+ */
+export const isExchangeableSize = (size) =>
+  Boolean(size) && !["N/A", "—", "-"].includes(String(size).trim());
+
+/**
+ * Stock left for a size row from GET /items/sizes (stock or available, whichever is set)
+ * @param {Object} sizeData - { size, stock?, available? }
+ * @returns {number}
+ */
+export const getSizeStock = (sizeData) =>
+  Math.max(Number(sizeData?.available ?? sizeData?.stock) || 0, 0);
@@ -0,0 +1,85 @@
+/**
+ * Size Recommendation Utility
+ *
+ * Recommends a uniform size from a student's measurements using SIZE_MEASUREMENTS.
+ * Used by the "Find my size" flow on the product page.
+ */
+
+import { SIZE_MEASUREMENTS } from "./sizeMeasurements";
+
+/** Sizes in order, smallest first (XXL is the same chart entry as 2XL) */
+export const SIZE_ORDER = ["XS", "S", "M", "L", "XL", "2XL"];
+
+const INCH_TO_CM = 2.54;
+
+/**
+ * Estimate chest and shirt length from height and weight when the student
+ * has no tape measure. Rough body-proportion formulas; the result says so.
+ * @param {number} heightCm - Height in cm
+ * @param {number} weightKg - Weight in kg
+ * @returns {{ chestCm: number, lengthCm: number }}
+ */
+export const estimateMeasurements = (heightCm, weightKg) => ({
+  chestCm: Math.round(0.55 * weightKg + 0.25 * heightCm + 18),
+  lengthCm: Math.round(0.42 * heightCm),
+});
+
+/**
+ * Index of the size whose range holds the value; between two ranges, the larger size
+ * (a slightly loose uniform beats one that does not fit)
+ */
+const sizeIndexFor = (valueCm, dimension) => {
+  const index = SIZE_ORDER.findIndex(
+    (size) => valueCm <= SIZE_MEASUREMENTS[size][dimension].maxCm,
+  );
+  return index === -1 ? SIZE_ORDER.length - 1 : index;
+};
+
+/**
+ * Recommend a size
+ * @param {Object} input - Either { chest, length, unit: "in"|"cm" } or { heightCm, weightKg }
+ * @returns {{ size: string, chestCm: number, lengthCm: number|null, estimated: boolean, reason: string } | null}
+ *   null when the input is incomplete
+ */
+export const recommendSize = (input = {}) => {
+  let chestCm;
+  let lengthCm = null;
+  let estimated = false;
+
+  if (Number(input.chest) > 0) {
+    const factor = input.unit === "in" ? INCH_TO_CM : 1;
+    chestCm = Number(input.chest) * factor;
+    lengthCm = Number(input.length) > 0 ? Number(input.length) * factor : null;
+  } else if (Number(input.heightCm) > 0 && Number(input.weightKg) > 0) {
+    ({ chestCm, lengthCm } = estimateMeasurements(Number(input.heightCm), Number(input.weightKg)));
+    estimated = true;
+  } else {
+    return null;
+  }
+
+  const chestIndex = sizeIndexFor(chestCm, "chest");
+  const lengthIndex = lengthCm != null ? sizeIndexFor(lengthCm, "length") : chestIndex;
+  // Chest decides; only size up one step when the body is clearly longer than that size
+  const index = lengthIndex > chestIndex ? Math.min(chestIndex + 1, SIZE_ORDER.length - 1) : chestIndex;
+  const size = SIZE_ORDER[index];
+  const { chest } = SIZE_MEASUREMENTS[size];
+
+  let reason = `Chest ${Math.round(chestCm)} cm fits ${SIZE_MEASUREMENTS[size].displayName} (${chest.minCm}–${chest.maxCm} cm).`;
+  if (index === chestIndex && chestIndex > 0 && chestCm < chest.minCm) {
+    reason = `Chest ${Math.round(chestCm)} cm is between ${SIZE_ORDER[chestIndex - 1]} and ${size}, so the roomier ${size} is recommended.`;
+  } else if (index > chestIndex) {
+    reason = `Chest ${Math.round(chestCm)} cm is ${SIZE_MEASUREMENTS[SIZE_ORDER[chestIndex]].displayName}, sized up to ${size} for shirt length ${Math.round(lengthCm)} cm.`;
+  }
+  if (estimated) {
+    reason += " Estimated from height and weight, so check the size chart if you are between sizes.";
+  }
+
+  return { size, chestCm: Math.round(chestCm), lengthCm: lengthCm != null ? Math.round(lengthCm) : null, estimated, reason };
+};
+
+/**
+ * Size as shown on the product page size buttons (2XL is labelled XXL there)
+ * @param {string} size - Size from recommendSize
+ * @returns {string}
+ */
+export const toProductPageSize = (size) => (size === "2XL" ? "XXL" : size);
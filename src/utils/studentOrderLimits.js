@@ -0,0 +1,184 @@
+/**
+ * Student Order Limits Utility
+ *
+ * Cart checks against a student's limits from GET /auth/max-quantities (or the guardian
+ * equivalent): max per item, already ordered / claimed counts, the total item-type limit
+ * and the void block. Follows the same rules as MyCart:
+ * - Items with max 1 count already placed orders; items with max > 1 only count claimed ones
+ * - Old students may only order items that have a max set for them
+ * - The total item limit counts item types in placed orders plus item types in the cart
+ */
+
+import {
+  resolveItemKeyForMaxQuantity,
+  getDefaultMaxByKey,
+  normalizeItemName,
+} from "./maxQuantityKeys";
+
+/** Limits shape used when the API has not answered yet */
+export const EMPTY_LIMITS = {
+  maxQuantities: {},
+  alreadyOrdered: {},
+  claimedItems: {},
+  totalItemLimit: null,
+  slotsUsedFromPlacedOrders: 0,
+  blockedDueToVoid: false,
+  profileIncomplete: false,
+};
+
+/**
+ * Normalize a max-quantities response body (success or 400/403 error body)
+ * @param {Object} data - Response data
+ * @returns {Object} Limits in the EMPTY_LIMITS shape
+ */
+export const normalizeLimits = (data = {}) => ({
+  maxQuantities: data.maxQuantities ?? {},
+  alreadyOrdered: data.alreadyOrdered ?? {},
+  claimedItems: data.claimedItems ?? {},
+  totalItemLimit: data.totalItemLimit ?? null,
+  slotsUsedFromPlacedOrders:
+    data.slotsUsedFromPlacedOrders ?? Object.keys(data.alreadyOrdered ?? {}).length,
+  blockedDueToVoid: data.blockedDueToVoid === true,
+  profileIncomplete: data.profileIncomplete === true,
+});
+
+/** Display name of a cart line */
+export const getCartItemName = (item) => item.inventory?.name || item.name || "Unknown Item";
+
+/**
+ * Max a student may have of an item (old students: 0 unless a max was set for them)
+ * @param {string} key - Canonical key from resolveItemKeyForMaxQuantity
+ * @param {Object} limits - Normalized limits
+ * @param {boolean} isOldStudent
+ * @returns {number}
+ */
+export const getEffectiveMaxForKey = (key, limits, isOldStudent) =>
+  isOldStudent && (limits.maxQuantities[key] === undefined || limits.maxQuantities[key] === null)
+    ? 0
+    : (limits.maxQuantities[key] ?? getDefaultMaxByKey(key));
+
+/** Quantity of the item still available to order, ignoring what is in the cart */
+const getRemainingForKey = (key, limits, isOldStudent) => {
+  const max = getEffectiveMaxForKey(key, limits, isOldStudent);
+  const countAlreadyOrdered = max <= 1;
+  return Math.max(
+    0,
+    max - (countAlreadyOrdered ? limits.alreadyOrdered[key] || 0 : 0) - (limits.claimedItems[key] || 0),
+  );
+};
+
+/**
+ * Largest quantity allowed for one cart line, given the other lines of the same item
+ * @param {Array} cartItems - The student's cart
+ * @param {Object} line - Cart line being changed
+ * @param {Object} limits - Normalized limits
+ * @param {boolean} isOldStudent
+ * @returns {number}
+ */
+export const getMaxQuantityForLine = (cartItems, line, limits, isOldStudent) => {
+  const key = resolveItemKeyForMaxQuantity(getCartItemName(line));
+  const otherLines = (cartItems || [])
+    .filter((item) => item.id !== line.id && resolveItemKeyForMaxQuantity(getCartItemName(item)) === key)
+    .reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+  return Math.max(0, getRemainingForKey(key, limits, isOldStudent) - otherLines);
+};
+
+/**
+ * Largest quantity of a new item that can still be added to the cart
+ * @param {Array} cartItems - The student's cart
+ * @param {string} itemName - Item display name
+ * @param {Object} limits - Normalized limits
+ * @param {boolean} isOldStudent
+ * @returns {number}
+ */
+export const getRoomForItem = (cartItems, itemName, limits, isOldStudent) =>
+  getMaxQuantityForLine(cartItems, { id: null, name: itemName }, limits, isOldStudent);
+
+/**
+ * Whether a cart line is an item the student's education level may order
+ * @param {Object} item - Cart line
+ * @param {Array} eligibleItems - Items returned for the student's eligibility level
+ * @returns {boolean}
+ */
+export const isEligibleCartItem = (item, eligibleItems) => {
+  const inventoryId = item.inventory?.id || item.inventory_id || item.inventoryId;
+  if (inventoryId && eligibleItems.some((eligible) => String(eligible.id) === String(inventoryId))) {
+    return true;
+  }
+  const name = normalizeItemName(getCartItemName(item));
+  return eligibleItems.some((eligible) => normalizeItemName(eligible.name) === name);
+};
+
+/**
+ * Everything that stops a cart from being ordered
+ * @param {Array} cartItems - The student's cart
+ * @param {Object} limits - Normalized limits
+ * @param {Object} options - { isOldStudent, eligibleItems } (eligibleItems null skips the eligibility check)
+ * @returns {{ overLimitItems: Array, ineligibleItems: Array, cartSlotCount: number, slotsLeft: number,
+ *   isOverSlotLimit: boolean, limitNotSet: boolean, blockedDueToVoid: boolean, canOrder: boolean, messages: string[] }}
+ */
+export const getCartIssues = (cartItems, limits, { isOldStudent = false, eligibleItems = null } = {}) => {
+  const items = cartItems || [];
+  const byKey = {};
+  items.forEach((item) => {
+    const name = getCartItemName(item);
+    const key = resolveItemKeyForMaxQuantity(name);
+    if (!byKey[key]) byKey[key] = { key, displayName: name, total: 0 };
+    byKey[key].total += Number(item.quantity) || 0;
+  });
+
+  const overLimitItems = Object.values(byKey)
+    .map((entry) => ({
+      ...entry,
+      max: getEffectiveMaxForKey(entry.key, limits, isOldStudent),
+      claimed: limits.claimedItems[entry.key] || 0,
+      remaining: getRemainingForKey(entry.key, limits, isOldStudent),
+    }))
+    .filter((entry) => (entry.max > 0 && entry.claimed >= entry.max) || entry.total > entry.remaining);
+
+  const ineligibleItems = eligibleItems
+    ? items.filter((item) => !isEligibleCartItem(item, eligibleItems))
+    : [];
+
+  const limitNotSet = limits.totalItemLimit == null || Number(limits.totalItemLimit) <= 0;
+  const slotsLeft = limitNotSet
+    ? 0
+    : Math.max(0, Number(limits.totalItemLimit) - (Number(limits.slotsUsedFromPlacedOrders) || 0));
+  const cartSlotCount = Object.keys(byKey).filter(Boolean).length;
+  const isOverSlotLimit = !limitNotSet && cartSlotCount > slotsLeft;
+
+  const messages = [];
+  if (limits.blockedDueToVoid) {
+    messages.push("A previous order was not claimed in time and was voided, so new orders are blocked.");
+  }
+  if (limitNotSet) {
+    messages.push("The total item limit has not been set yet. Ask the school to set it in System Admin.");
+  }
+  if (ineligibleItems.length > 0) {
+    messages.push(
+      `Not available for this student's education level: ${ineligibleItems.map(getCartItemName).join(", ")}.`,
+    );
+  }
+  if (overLimitItems.length > 0) {
+    messages.push(
+      `Over the maximum allowed: ${overLimitItems.map((entry) => `${entry.displayName} (max ${entry.remaining})`).join(", ")}.`,
+    );
+  }
+  if (isOverSlotLimit) {
+    messages.push(
+      `Only ${slotsLeft} item type${slotsLeft !== 1 ? "s" : ""} left (max ${limits.totalItemLimit}); the cart has ${cartSlotCount}.`,
+    );
+  }
+
+  return {
+    overLimitItems,
+    ineligibleItems,
+    cartSlotCount,
+    slotsLeft,
+    isOverSlotLimit,
+    limitNotSet,
+    blockedDueToVoid: limits.blockedDueToVoid,
+    canOrder: items.length > 0 && messages.length === 0,
+    messages,
+  };
+};